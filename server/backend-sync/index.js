@@ -0,0 +1,243 @@
+/**
+ * Amma Backend Sync
+ * Overnight sync of stored patients over SMART Backend Services: signs a
+ * client assertion with a private key that stays on this server, exchanges it
+ * for a system/ token and brings every stored patient of that FHIR server up
+ * to date with the same engine the app uses (src/utils/patientSync.js)
+ *
+ * Usage:
+ *   npm run backend-sync
+ *   npm run backend-sync -- --doctor doctor@hospital.org --patient erXuFYUfucBZaryVksYEcMg3
+ *   npm run backend-sync -- --dry-run --fhir http://localhost:8090/fhir --jwks backend-jwks.json --patient demo-patient-1
+ *
+ * See README.md for the environment variables.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { createSupabaseStore } from './store.js';
+import { requestBackendToken } from '../../src/utils/backendAuth.js';
+import { discoverSmartConfiguration } from '../../src/utils/smartDiscovery.js';
+import { fhirFetch, describeFhirError, FhirRequestError } from '../../src/utils/fhirHttp.js';
+import { parsePatient } from '../../src/utils/fhirParser.js';
+import {
+  PATIENT_DATA_SECTIONS,
+  fetchPatientSections,
+  parseSyncedSections,
+  buildVersionRows,
+  buildPatientDataColumns,
+  parsePatientDataRow
+} from '../../src/utils/patientSync.js';
+
+const SYNC_CONFIG = {
+  fhirBaseUrl: process.env.BACKEND_SYNC_FHIR_BASE || null,
+  clientId: process.env.BACKEND_SYNC_CLIENT_ID || null,
+  // Private JWKS file - readable by this job only, never uploaded anywhere
+  jwksPath: process.env.BACKEND_SYNC_JWKS_PATH || null,
+  kid: process.env.BACKEND_SYNC_KID || null,
+  scopes: process.env.BACKEND_SYNC_SCOPES || 'system/*.read',
+  maxPages: Number(process.env.BACKEND_SYNC_MAX_PAGES) || 20,
+  supabaseUrl: process.env.SUPABASE_URL || null,
+  supabaseServiceKey: process.env.SUPABASE_SERVICE_ROLE_KEY || null,
+  tokenRenewMarginMs: 60000 // Renew this long before expiry instead of waiting for a 401
+};
+
+const AUDIT_USER_AGENT = 'amma-backend-sync';
+
+/**
+ * Sign in to a FHIR server with Backend Services
+ * @param {Object} config - SYNC_CONFIG with fhirBaseUrl, clientId and jwks
+ * @returns {Promise<Object>} Session { fhirBaseUrl, request } for patientSync.js
+ */
+export async function createBackendSession(config) {
+  const { fhirBaseUrl, tokenEndpoint } = await discoverSmartConfiguration(config.fhirBaseUrl);
+  const session = { fhirBaseUrl, accessToken: null, expiresAt: 0 };
+  let renewing = null;
+
+  // There is no refresh token - every renewal signs a fresh assertion
+  const renewToken = () => {
+    renewing = renewing || requestBackendToken({
+      tokenEndpoint,
+      clientId: config.clientId,
+      jwks: config.jwks,
+      kid: config.kid,
+      scope: config.scopes
+    }).then(tokens => {
+      session.accessToken = tokens.access_token;
+      session.expiresAt = Date.now() + (tokens.expires_in || 300) * 1000;
+      console.log(`🔑 Backend token issued (${tokens.scope || config.scopes})`);
+    }).finally(() => {
+      renewing = null;
+    });
+    return renewing;
+  };
+
+  session.request = async (url, options = {}) => {
+    if (Date.now() > session.expiresAt - config.tokenRenewMarginMs) {
+      await renewToken();
+    }
+    const accessToken = session.accessToken;
+
+    try {
+      return await fhirFetch(url, { ...options, accessToken });
+    } catch (error) {
+      if (!(error instanceof FhirRequestError) || error.status !== 401) {
+        throw error;
+      }
+      // Another request may have renewed the token while this one was in flight
+      if (session.accessToken === accessToken) {
+        await renewToken();
+      }
+      return await fhirFetch(url, { ...options, accessToken: session.accessToken });
+    }
+  };
+
+  await renewToken();
+  return session;
+}
+
+/**
+ * Sync one patient
+ * @param {Object} session - Session from createBackendSession
+ * @param {string} epicPatientId - Patient ID on the FHIR server
+ * @param {Object|null} stored - Parsed epic_patient_data row (null for a full download)
+ * @returns {Promise<Object>} { columns, fhirResources, resourceStatus }
+ */
+export async function syncPatient(session, epicPatientId, stored, { maxPages } = {}) {
+  const { patientResource, sectionSyncs } = await fetchPatientSections(session, epicPatientId, stored, { maxPages });
+  const { parsedSections, resourceStatus, fhirResources, syncState } = await parseSyncedSections(session, sectionSyncs, stored);
+
+  // Note attachments are decoded in the browser; unchanged notes keep their text
+  // and new ones are read on the doctor's next sync in the app
+  const noteBodies = keepCurrentNoteBodies(fhirResources.documents, stored?.note_bodies || {});
+  const documents = parsedSections.documents.map(doc => ({ ...doc, text: noteBodies[doc.id]?.text || null }));
+
+  const columns = buildPatientDataColumns(
+    { patient: parsePatient(patientResource), ...parsedSections, documents },
+    { fhirResources, syncState, noteBodies }
+  );
+  return { columns, fhirResources, resourceStatus };
+}
+
+/**
+ * Sync the stored patients of every connection to the configured FHIR server
+ * @param {Object} config - SYNC_CONFIG plus the loaded jwks
+ * @param {Object} options - { doctorEmail, patientIds, dryRun }
+ * @returns {Promise<Object>} { synced, failed }
+ */
+export async function runBackendSync(config, { doctorEmail, patientIds = [], dryRun = false } = {}) {
+  const store = dryRun ? null : createSupabaseStore({ url: config.supabaseUrl, serviceKey: config.supabaseServiceKey });
+  const session = await createBackendSession(config);
+
+  // A dry run has nothing stored, so it downloads the named patients in full and writes nothing
+  const rows = dryRun ?
+    patientIds.map(epicPatientId => ({ epic_patient_id: epicPatientId })) :
+    await store.listPatientRows(config.fhirBaseUrl, { doctorEmail, patientIds });
+  console.log(`📋 ${rows.length} patient${rows.length === 1 ? '' : 's'} to sync from ${session.fhirBaseUrl}`);
+
+  const result = { synced: 0, failed: 0 };
+  for (const row of rows) {
+    try {
+      await syncStoredRow(session, store, row, config);
+      result.synced++;
+    } catch (error) {
+      console.error(`❌ ${row.epic_patient_id}: ${describeFhirError(error)}`);
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+// Helper Functions
+
+async function syncStoredRow(session, store, row, config) {
+  const stored = store ? parsePatientDataRow(row) : null;
+  const { columns, fhirResources, resourceStatus } = await syncPatient(session, row.epic_patient_id, stored, {
+    maxPages: config.maxPages
+  });
+  logSectionStatus(row.epic_patient_id, resourceStatus);
+  if (!store) return;
+
+  await store.updatePatientRow(row.id, columns);
+  await store.insertVersionRows(buildVersionRows({
+    doctorEmail: row.doctor_email,
+    connectionId: row.connection_id,
+    epicPatientId: row.epic_patient_id
+  }, stored.fhir_resources, fhirResources, resourceStatus));
+
+  const resourceTypes = PATIENT_DATA_SECTIONS.map(section => section.resourceType).join(', ');
+  await store.logAuditEvent({
+    doctor_email: row.doctor_email,
+    patient_email: row.patient_email || null,
+    epic_patient_id: row.epic_patient_id,
+    action: 'epic_backend_sync',
+    epic_resource_accessed: `Patient, ${resourceTypes} via Backend Services`,
+    ip_address: null,
+    user_agent: AUDIT_USER_AGENT
+  });
+}
+
+function keepCurrentNoteBodies(documentResources, previousBodies) {
+  return Object.fromEntries((documentResources || []).flatMap(doc => {
+    const version = doc.meta?.versionId || doc.meta?.lastUpdated || doc.date || null;
+    const cached = previousBodies[doc.id];
+    return cached && cached.version === version ? [[doc.id, cached]] : [];
+  }));
+}
+
+function logSectionStatus(epicPatientId, resourceStatus) {
+  const summary = Object.entries(resourceStatus).map(([section, status]) => {
+    if (status.status === 'error') return `${section} failed`;
+    if (status.truncated) return `${section} incomplete`;
+    if (status.mode === 'incremental') return `${section} +${status.changed}/-${status.removed}`;
+    return `${section} ${status.count}`;
+  });
+  console.log(`✅ ${epicPatientId}: ${summary.join(', ')}`);
+}
+
+async function loadConfig(options) {
+  const config = {
+    ...SYNC_CONFIG,
+    fhirBaseUrl: (options.fhir || SYNC_CONFIG.fhirBaseUrl || '').replace(/\/+$/, ''),
+    jwksPath: options.jwks || SYNC_CONFIG.jwksPath,
+    clientId: options['client-id'] || SYNC_CONFIG.clientId
+  };
+  if (!config.fhirBaseUrl || !config.clientId || !config.jwksPath) {
+    throw new Error('BACKEND_SYNC_FHIR_BASE, BACKEND_SYNC_CLIENT_ID and BACKEND_SYNC_JWKS_PATH are required');
+  }
+  config.jwks = JSON.parse(await readFile(config.jwksPath, 'utf8'));
+  return config;
+}
+
+// Start when run directly (node server/backend-sync/index.js)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values: options } = parseArgs({
+    options: {
+      fhir: { type: 'string' },
+      jwks: { type: 'string' },
+      'client-id': { type: 'string' },
+      doctor: { type: 'string' },
+      patient: { type: 'string', multiple: true, default: [] },
+      // Download the named patients without Supabase and write nothing
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  try {
+    if (options['dry-run'] && options.patient.length === 0) {
+      throw new Error('--dry-run needs at least one --patient');
+    }
+    const config = await loadConfig(options);
+    const { synced, failed } = await runBackendSync(config, {
+      doctorEmail: options.doctor,
+      patientIds: options.patient,
+      dryRun: options['dry-run']
+    });
+    console.log(`🏁 ${synced} synced, ${failed} failed`);
+    if (failed > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Backend sync failed:', error.message);
+    process.exitCode = 1;
+  }
+}
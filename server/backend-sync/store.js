@@ -0,0 +1,89 @@
+/**
+ * Supabase access for the backend sync job
+ * Talks to PostgREST directly with the service role key, which never leaves
+ * the server - the app's anon key cannot read what this job writes
+ */
+
+const VERSION_INSERT_CHUNK = 500;
+
+/**
+ * Create the store the sync job reads patients from and writes syncs to
+ * @param {Object} options - Connection options
+ * @param {string} options.url - Supabase project URL
+ * @param {string} options.serviceKey - Service role key
+ * @returns {Object} Store functions
+ */
+export function createSupabaseStore({ url, serviceKey }) {
+  if (!url || !serviceKey) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required (or use --dry-run)');
+  }
+
+  const restBase = `${url.replace(/\/+$/, '')}/rest/v1`;
+
+  async function rest(path, { method = 'GET', body, prefer } = {}) {
+    const response = await fetch(`${restBase}/${path}`, {
+      method,
+      headers: {
+        'apikey': serviceKey,
+        'Authorization': `Bearer ${serviceKey}`,
+        'Accept': 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(prefer ? { 'Prefer': prefer } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      throw new Error(`Supabase ${method} ${path.split('?')[0]} failed (${response.status}): ${await response.text()}`);
+    }
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  return {
+    /**
+     * Stored patients of every connection to a FHIR server
+     * @param {string} fhirBaseUrl - FHIR server the connections point at
+     * @param {Object} filters - { doctorEmail, patientIds } to narrow the list
+     * @returns {Promise<Array>} Raw epic_patient_data rows
+     */
+    async listPatientRows(fhirBaseUrl, { doctorEmail, patientIds } = {}) {
+      const connectionQuery = new URLSearchParams({ select: 'id', epic_base_url: `eq.${fhirBaseUrl}` });
+      if (doctorEmail) connectionQuery.set('doctor_email', `eq.${doctorEmail}`);
+      const connections = await rest(`epic_tokens?${connectionQuery}`);
+      if (connections.length === 0) return [];
+
+      const patientQuery = new URLSearchParams({
+        select: '*',
+        connection_id: `in.(${connections.map(connection => connection.id).join(',')})`
+      });
+      if (patientIds?.length) {
+        patientQuery.set('epic_patient_id', `in.(${patientIds.map(id => `"${id}"`).join(',')})`);
+      }
+      return rest(`epic_patient_data?${patientQuery}`);
+    },
+
+    async updatePatientRow(id, columns) {
+      await rest(`epic_patient_data?id=eq.${id}`, { method: 'PATCH', body: columns, prefer: 'return=minimal' });
+    },
+
+    async insertVersionRows(rows) {
+      for (let start = 0; start < rows.length; start += VERSION_INSERT_CHUNK) {
+        await rest('epic_resource_versions', {
+          method: 'POST',
+          body: rows.slice(start, start + VERSION_INSERT_CHUNK),
+          prefer: 'return=minimal'
+        });
+      }
+    },
+
+    // Audit failures are logged, never fatal - same as the app
+    async logAuditEvent(event) {
+      try {
+        await rest('epic_audit_log', { method: 'POST', body: event, prefer: 'return=minimal' });
+      } catch (error) {
+        console.error('❌ Failed to log audit event:', error.message);
+      }
+    }
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * CDS Hooks Request Authentication
+ * Checks the JWT an EHR sends in the Authorization header of every hook call
+ * against the issuers we trust and their JWKS
+ * https://cds-hooks.hl7.org/2.0/#trusting-cds-clients
+ */
+
+import { createPublicKey, verify } from 'node:crypto';
+
+const MAX_TOKEN_LIFETIME_SECONDS = 5 * 60;
+const CLOCK_SKEW_SECONDS = 30;
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+const JWKS_REFETCH_MS = 60 * 1000;
+
+// JWS algorithms CDS clients may sign with
+const TOKEN_ALGORITHMS = {
+  RS384: { kty: 'RSA' },
+  ES384: { kty: 'EC', dsaEncoding: 'ieee-p1363' }
+};
+
+/**
+ * Verifier for EHR-issued CDS Hooks JWTs
+ */
+export class EhrJwtVerifier {
+  /**
+   * @param {Array} issuers - Trusted EHRs: { iss, jwksUrl or jwks, fhirServers }
+   * @param {Object} options - Verifier options
+   * @param {number} options.fetchTimeoutMs - Timeout for JWKS downloads
+   */
+  constructor(issuers = [], { fetchTimeoutMs = 10000 } = {}) {
+    this.issuers = new Map(issuers.map(issuer => [issuer.iss, issuer]));
+    this.fetchTimeoutMs = fetchTimeoutMs;
+    this.jwksCache = new Map(); // jwksUrl -> { jwks, fetchedAt }
+    this.usedTokenIds = new Map(); // iss + jti -> exp
+  }
+
+  /**
+   * Verify the Authorization header of a hook call
+   * @param {string} authorization - Authorization header
+   * @param {Array<string>} audiences - URLs the token may be addressed to
+   * @returns {Promise<Object>} { issuer } on success, { error } otherwise
+   */
+  async verifyRequest(authorization, audiences) {
+    const token = /^Bearer\s+(\S+)$/i.exec(authorization || '')?.[1];
+    if (!token) {
+      return { error: 'Missing bearer JWT in Authorization header' };
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch {
+      return { error: 'Authorization token is not a JWT' };
+    }
+
+    // jku in the header is ignored - keys only come from the configured issuer
+    const issuer = this.issuers.get(payload.iss);
+    if (!issuer) {
+      return { error: `Untrusted issuer: ${payload.iss}` };
+    }
+
+    const algorithm = TOKEN_ALGORITHMS[header.alg];
+    if (!algorithm) {
+      return { error: `Unsupported JWT algorithm ${header.alg}` };
+    }
+    const jwk = await this.findKey(issuer, header.kid, algorithm.kty);
+    if (!jwk) {
+      return { error: `No ${header.alg} key with kid "${header.kid}" for ${payload.iss}` };
+    }
+
+    let signatureValid = false;
+    try {
+      signatureValid = verify(
+        'sha384',
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        { key: createPublicKey({ key: jwk, format: 'jwk' }), dsaEncoding: algorithm.dsaEncoding },
+        Buffer.from(encodedSignature || '', 'base64url')
+      );
+    } catch (error) {
+      console.warn(`⚠️ Could not check JWT signature for ${payload.iss}:`, error.message);
+    }
+    if (!signatureValid) {
+      return { error: 'JWT signature is invalid' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const tokenAudiences = [].concat(payload.aud || []);
+    if (!tokenAudiences.some(audience => audiences.includes(audience))) {
+      return { error: `JWT aud must be ${audiences[0]}` };
+    }
+    if (!payload.exp || payload.exp <= now - CLOCK_SKEW_SECONDS ||
+        payload.exp > now + MAX_TOKEN_LIFETIME_SECONDS + CLOCK_SKEW_SECONDS) {
+      return { error: 'JWT is expired or lives longer than five minutes' };
+    }
+
+    // Each jti may be used once while its token is still valid
+    this.usedTokenIds.forEach((exp, id) => {
+      if (exp <= now - CLOCK_SKEW_SECONDS) this.usedTokenIds.delete(id);
+    });
+    const tokenId = `${payload.iss} ${payload.jti}`;
+    if (!payload.jti || this.usedTokenIds.has(tokenId)) {
+      return { error: 'JWT jti is missing or was already used' };
+    }
+    this.usedTokenIds.set(tokenId, payload.exp);
+
+    return { issuer };
+  }
+
+  async findKey(issuer, kid, kty) {
+    const matches = (jwks) => (jwks?.keys || []).find(key => key.kty === kty && (!kid || key.kid === kid));
+    if (issuer.jwks) {
+      return matches(issuer.jwks);
+    }
+
+    // An unknown kid may mean the EHR rotated keys - refetch, but at most once a minute
+    const cached = this.jwksCache.get(issuer.jwksUrl);
+    const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+    const key = age < JWKS_CACHE_MS ? matches(cached.jwks) : null;
+    if (key || age < JWKS_REFETCH_MS) {
+      return key;
+    }
+    try {
+      return matches(await this.fetchJwks(issuer.jwksUrl));
+    } catch (error) {
+      console.warn(`⚠️ Could not fetch JWKS for ${issuer.iss}:`, error.message);
+      return null;
+    }
+  }
+
+  async fetchJwks(jwksUrl) {
+    const response = await fetch(jwksUrl, {
+      headers: { 'Accept': 'application/json' },
+      redirect: 'error',
+      signal: AbortSignal.timeout(this.fetchTimeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`JWKS endpoint answered ${response.status}`);
+    }
+    const jwks = await response.json();
+    this.jwksCache.set(jwksUrl, { jwks, fetchedAt: Date.now() });
+    return jwks;
+  }
+}
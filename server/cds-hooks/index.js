@@ -0,0 +1,252 @@
+/**
+ * Amma CDS Hooks Service
+ * Puts Amma in the EHR workflow: on patient-view and order-sign the EHR calls
+ * these services and shows their cards, which link back into Amma as a SMART app
+ *
+ * Usage: npm run cds-hooks
+ * Discovery: http://localhost:8091/cds-services
+ * Try it without an EHR: npm run cds-sandbox (see README.md)
+ */
+
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { CDS_SERVICES, REQUIRED_PREFETCH, buildCards } from './services.js';
+import { EhrJwtVerifier } from './ehrAuth.js';
+
+const CDS_CONFIG = {
+  port: Number(process.env.CDS_HOOKS_PORT) || 8091,
+  // SMART launch URL the card links open (the EHR adds iss and launch)
+  appLaunchUrl: process.env.CDS_HOOKS_APP_LAUNCH_URL || 'http://localhost:5182/epic-launch',
+  sourceUrl: process.env.CDS_HOOKS_SOURCE_URL || 'https://amma.today',
+  // A diagnosis recorded within this many days counts as new
+  newWithinDays: Number(process.env.CDS_HOOKS_NEW_WITHIN_DAYS) || 30,
+  maxCards: Number(process.env.CDS_HOOKS_MAX_CARDS) || 3,
+  // Trusted EHRs: JSON file of [{ iss, jwksUrl, fhirServers }] - hook calls from anyone else get 401
+  issuers: loadIssuers(process.env.CDS_HOOKS_ISSUERS),
+  // URL the EHR calls us at, for the JWT aud check (defaults to http://<Host header>)
+  publicUrl: process.env.CDS_HOOKS_PUBLIC_URL || null,
+  // Browser origins allowed to call the service (CDS Hooks sandboxes); none by default
+  allowedOrigins: (process.env.CDS_HOOKS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+  maxBodyBytes: Number(process.env.CDS_HOOKS_MAX_BODY_BYTES) || 5 * 1024 * 1024,
+  fhirTimeoutMs: 10000
+};
+
+const SERVICES_PATH = '/cds-services';
+
+/**
+ * Create the CDS Hooks server (not yet listening)
+ * @param {Object} options - Overrides for CDS_CONFIG
+ * @returns {http.Server} Node HTTP server
+ */
+export function createCdsHooksServer(options = {}) {
+  const config = { ...CDS_CONFIG, ...options };
+  const verifier = new EhrJwtVerifier(config.issuers, { fetchTimeoutMs: config.fhirTimeoutMs });
+
+  return http.createServer(async (req, res) => {
+    setCorsHeaders(req, res, config.allowedOrigins);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      console.log(`➡️  ${req.method} ${url.pathname}`);
+
+      const [base, serviceId, action, ...extra] = url.pathname.split('/').filter(Boolean);
+      if (`/${base}` !== SERVICES_PATH || extra.length > 0) {
+        return sendError(res, 404, `No route for ${url.pathname}`);
+      }
+
+      if (!serviceId && req.method === 'GET') {
+        return sendJson(res, 200, { services: CDS_SERVICES });
+      }
+
+      const service = CDS_SERVICES.find(candidate => candidate.id === serviceId);
+      if (!service) {
+        return sendError(res, 404, `Unknown CDS service ${serviceId}`);
+      }
+      if (req.method !== 'POST') {
+        return sendError(res, 405, 'Use POST to call a CDS service');
+      }
+
+      // Authenticate before reading the body, so strangers cannot make us buffer it
+      const publicUrl = (config.publicUrl || `http://${req.headers.host}`).replace(/\/+$/, '');
+      const serviceUrl = `${publicUrl}${SERVICES_PATH}/${service.id}`;
+      const { issuer, error: authError } = await verifier.verifyRequest(
+        req.headers.authorization,
+        [serviceUrl, `${publicUrl}${url.pathname}`]
+      );
+      if (authError) {
+        console.warn(`🚫 ${url.pathname}: ${authError}`);
+        return sendError(res, 401, authError);
+      }
+
+      const body = await readJsonBody(req, config.maxBodyBytes);
+      if (!body) {
+        return sendError(res, 400, 'Request body must be JSON');
+      }
+
+      if (action === 'feedback') {
+        (body.feedback || []).forEach(item => console.log(`💬 Card ${item.card}: ${item.outcome}`));
+        return sendJson(res, 200, {});
+      }
+      if (action) {
+        return sendError(res, 404, `No route for ${url.pathname}`);
+      }
+
+      return await handleHook(res, service, body, issuer, config);
+    } catch (error) {
+      if (error.status) {
+        return sendError(res, error.status, error.message);
+      }
+      console.error('❌ CDS Hooks service error:', error);
+      sendError(res, 500, error.message);
+    }
+  });
+}
+
+// Request Handlers
+
+async function handleHook(res, service, body, issuer, config) {
+  if (body.hook !== service.hook || !body.hookInstance || !body.context?.patientId) {
+    return sendError(res, 400, `Expected a ${service.hook} request with hookInstance and context.patientId`);
+  }
+
+  const prefetch = await completePrefetch(service, body, issuer, config);
+  const missing = REQUIRED_PREFETCH[service.id].filter(key => !prefetch[key]);
+  if (missing.length > 0) {
+    // 412 tells the EHR we could not get the data we need
+    return sendError(res, 412, `Missing prefetch ${missing.join(', ')} and no FHIR access to fetch it`);
+  }
+
+  const cards = buildCards(service, { ...body, prefetch }, { ...config, now: Date.now() });
+  console.log(`🃏 ${service.id} returned ${cards.length} card(s) for hook ${body.hookInstance}`);
+  sendJson(res, 200, { cards });
+}
+
+/**
+ * Fill in prefetch the EHR did not send
+ * Uses fhirServer and fhirAuthorization from the request, but only when
+ * fhirServer is one the calling EHR is registered with - otherwise any caller
+ * could point us at internal URLs. Keys that still cannot be fetched are left out
+ * @param {Object} service - Entry of CDS_SERVICES
+ * @param {Object} body - Hook request
+ * @param {Object} issuer - Verified issuer entry of config.issuers
+ * @param {Object} config - Server config
+ * @returns {Promise<Object>} Prefetch values by key
+ */
+async function completePrefetch(service, body, issuer, config) {
+  const prefetch = { ...(body.prefetch || {}) };
+  const token = body.fhirAuthorization?.access_token;
+
+  const missing = Object.entries(service.prefetch).filter(([key]) => prefetch[key] === undefined);
+  if (missing.length === 0 || !body.fhirServer || !token) {
+    return prefetch;
+  }
+
+  const fhirServer = String(body.fhirServer).replace(/\/+$/, '');
+  const allowed = (issuer.fhirServers || []).map(server => server.replace(/\/+$/, ''));
+  if (!allowed.includes(fhirServer)) {
+    console.warn(`🚫 Not fetching prefetch from ${fhirServer}: not a FHIR server of ${issuer.iss}`);
+    return prefetch;
+  }
+
+  await Promise.all(missing.map(async ([key, template]) => {
+    const query = fillTemplate(template, body.context);
+    try {
+      const response = await fetch(`${fhirServer}/${query}`, {
+        headers: { 'Accept': 'application/fhir+json', 'Authorization': `Bearer ${token}` },
+        redirect: 'error',
+        signal: AbortSignal.timeout(config.fhirTimeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`FHIR server answered ${response.status}`);
+      }
+      prefetch[key] = await response.json();
+    } catch (error) {
+      console.warn(`⚠️ Could not fetch prefetch ${key}:`, error.message);
+    }
+  }));
+
+  return prefetch;
+}
+
+// Helper Functions
+
+// {{context.patientId}} -> context value; unknown tokens stay empty
+function fillTemplate(template, context) {
+  return template.replace(/\{\{\s*context\.(\w+)\s*\}\}/g, (token, name) => encodeURIComponent(context[name] ?? ''));
+}
+
+// Trusted issuers from a JSON file; none when the file is not configured
+function loadIssuers(path) {
+  if (!path) return [];
+  const issuers = JSON.parse(readFileSync(path, 'utf8'));
+  if (!Array.isArray(issuers) || issuers.some(issuer => !issuer.iss || !(issuer.jwksUrl || issuer.jwks))) {
+    throw new Error(`${path} must be a JSON array of { iss, jwksUrl, fhirServers }`);
+  }
+  return issuers;
+}
+
+function setCorsHeaders(req, res, allowedOrigins) {
+  // CDS Hooks sandboxes call from the browser - only the configured ones
+  res.setHeader('Vary', 'Origin');
+  if (!req.headers.origin || !allowedOrigins.includes(req.headers.origin)) return;
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept');
+}
+
+async function readJsonBody(req, maxBytes) {
+  const tooLarge = () => Object.assign(new Error(`Request body is larger than ${maxBytes} bytes`), { status: 413 });
+  if (Number(req.headers['content-length']) > maxBytes) {
+    req.resume();
+    throw tooLarge();
+  }
+
+  const text = await new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Stop buffering and drain the rest so the 413 can still be sent
+        chunks.length = 0;
+        req.removeAllListeners('data');
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message) {
+  sendJson(res, status, { error: message });
+}
+
+// Start when run directly (node server/cds-hooks/index.js)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const server = createCdsHooksServer();
+  server.listen(CDS_CONFIG.port, () => {
+    console.log(`✅ CDS Hooks service running at http://localhost:${CDS_CONFIG.port}${SERVICES_PATH}`);
+  });
+}
@@ -0,0 +1,191 @@
+/**
+ * CDS Hooks Sandbox Stand-in
+ * Plays the EHR's part against the mock FHIR server: discovers the services,
+ * prefetches the patient's data, fires a hook and prints the cards with
+ * the launch URL each SMART link would open
+ *
+ * Usage:
+ *   npm run cds-sandbox -- --patient demo-patient-2
+ *   npm run cds-sandbox -- --patient demo-patient-5 --hook order-sign --medication "Atorvastatin 80 MG Oral Tablet"
+ *
+ * Without --fhir and --cds both servers are started in-process. Hook calls
+ * are signed like an EHR signs them; the in-process service trusts a key
+ * generated for the run, a running one needs --jwks with a key it trusts.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { generateKeyPairSync, randomUUID } from 'node:crypto';
+import { createMockFhirServer } from '../mock-fhir/index.js';
+import { createCdsHooksServer } from './index.js';
+import { requestBackendToken, importSigningKey, createClientAssertion, toPublicJwks } from '../../src/utils/backendAuth.js';
+
+const { values: options } = parseArgs({
+  options: {
+    patient: { type: 'string', default: 'demo-patient-1' },
+    hook: { type: 'string', default: 'patient-view' },
+    encounter: { type: 'string' },
+    medication: { type: 'string', default: 'Prednisone 20 MG Oral Tablet' },
+    fhir: { type: 'string' },
+    cds: { type: 'string' },
+    // Issuer and private JWKS the hook calls are signed with
+    iss: { type: 'string', default: 'amma-cds-sandbox' },
+    jwks: { type: 'string' },
+    // Fixture diagnoses are from 2024 - widen "new" for the in-process service
+    days: { type: 'string', default: '3650' },
+    // Send no prefetch, so the service fetches with fhirAuthorization instead
+    'no-prefetch': { type: 'boolean', default: false }
+  }
+});
+
+const started = [];
+
+try {
+  const fhirBase = options.fhir || `${await start(createMockFhirServer())}/fhir`;
+  const jwks = options.jwks ? JSON.parse(await readFile(options.jwks, 'utf8')) : generateJwks();
+  const cdsBase = options.cds || `${await start(createCdsHooksServer({
+    newWithinDays: Number(options.days),
+    issuers: [{ iss: options.iss, jwks: toPublicJwks(jwks), fhirServers: [fhirBase] }]
+  }))}/cds-services`;
+  const fhirOrigin = new URL(fhirBase).origin;
+  const signingKey = await importSigningKey(jwks);
+
+  const tokens = await getFhirToken(fhirOrigin);
+  const { services } = await fetchJson(cdsBase);
+  const service = services.find(candidate => candidate.hook === options.hook);
+  if (!service) {
+    throw new Error(`No service for hook ${options.hook} at ${cdsBase}`);
+  }
+  console.log(`🔎 Calling ${service.id} (${service.title}) for ${options.patient}`);
+
+  const context = hookContext(options);
+  const prefetch = options['no-prefetch'] ? undefined : await fetchPrefetch(service, context, fhirBase, tokens);
+
+  const serviceUrl = `${cdsBase}/${service.id}`;
+  const { cards } = await fetchJson(serviceUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${await signHookJwt(signingKey, options.iss, serviceUrl)}`
+    },
+    body: JSON.stringify({
+      hookInstance: randomUUID(),
+      hook: service.hook,
+      fhirServer: fhirBase,
+      fhirAuthorization: {
+        access_token: tokens.access_token,
+        token_type: 'Bearer',
+        expires_in: tokens.expires_in,
+        scope: tokens.scope,
+        subject: service.id
+      },
+      context,
+      prefetch
+    })
+  });
+
+  printCards(cards, fhirOrigin, context);
+} catch (error) {
+  console.error('❌ Sandbox failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  started.forEach(server => server.close());
+}
+
+// Helper Functions
+
+async function start(server) {
+  await new Promise(resolve => server.listen(0, resolve));
+  started.push(server);
+  return `http://localhost:${server.address().port}`;
+}
+
+// The mock hands out its Backend Services keys, which stand in for the EHR's own access
+async function getFhirToken(fhirOrigin) {
+  const { client_id: clientId, jwks } = await fetchJson(`${fhirOrigin}/backend-client`);
+  return requestBackendToken({
+    tokenEndpoint: `${fhirOrigin}/oauth/token`,
+    clientId,
+    jwks,
+    scope: 'system/*.read'
+  });
+}
+
+function generateJwks() {
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' });
+  return { keys: [{ ...privateKey.export({ format: 'jwk' }), kid: 'cds-sandbox', alg: 'ES384' }] };
+}
+
+// The CDS Hooks JWT has the claims of a Backend Services assertion: iss, sub, aud, exp and jti
+function signHookJwt(signingKey, iss, serviceUrl) {
+  return createClientAssertion({ clientId: iss, tokenEndpoint: serviceUrl, signingKey });
+}
+
+function hookContext({ hook, patient, encounter, medication }) {
+  const context = { userId: 'Practitioner/sandbox', patientId: patient };
+  if (encounter) context.encounterId = encounter;
+
+  if (hook === 'order-sign') {
+    context.draftOrders = {
+      resourceType: 'Bundle',
+      type: 'collection',
+      entry: [{
+        resource: {
+          resourceType: 'MedicationRequest',
+          id: 'sandbox-draft-1',
+          status: 'draft',
+          intent: 'order',
+          subject: { reference: `Patient/${patient}` },
+          medicationCodeableConcept: { text: medication },
+          authoredOn: new Date().toISOString()
+        }
+      }]
+    };
+  }
+  return context;
+}
+
+async function fetchPrefetch(service, context, fhirBase, tokens) {
+  const entries = await Promise.all(Object.entries(service.prefetch || {}).map(async ([key, template]) => {
+    const query = template.replace(/\{\{\s*context\.(\w+)\s*\}\}/g, (token, name) => encodeURIComponent(context[name] ?? ''));
+    const resource = await fetchJson(`${fhirBase}/${query}`, {
+      headers: { 'Accept': 'application/fhir+json', 'Authorization': `Bearer ${tokens.access_token}` }
+    });
+    return [key, resource];
+  }));
+  return Object.fromEntries(entries);
+}
+
+function printCards(cards, fhirOrigin, context) {
+  if (cards.length === 0) {
+    console.log('📭 No cards');
+    return;
+  }
+
+  cards.forEach((card, index) => {
+    console.log(`\n${index + 1}. [${card.indicator}] ${card.summary}`);
+    if (card.detail) console.log(`   ${card.detail}`);
+    (card.links || []).forEach(link => {
+      if (link.type !== 'smart') {
+        console.log(`   🔗 ${link.label}: ${link.url}`);
+        return;
+      }
+      // What the EHR does when the clinician clicks: register the context and launch the app
+      const launch = new URL('/launch', fhirOrigin);
+      launch.searchParams.set('patient', context.patientId);
+      if (context.encounterId) launch.searchParams.set('encounter', context.encounterId);
+      if (link.appContext) launch.searchParams.set('appContext', link.appContext);
+      launch.searchParams.set('app', link.url);
+      console.log(`   🚀 ${link.label}: ${launch}`);
+    });
+  });
+}
+
+async function fetchJson(url, init = {}) {
+  const response = await fetch(url, init);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(`${url} answered ${response.status}: ${body?.error || body?.issue?.[0]?.diagnostics || 'no details'}`);
+  }
+  return body;
+}
@@ -0,0 +1,168 @@
+/**
+ * Amma CDS Services
+ * Service definitions for discovery and the card logic behind them. Prefetched
+ * FHIR data goes through the same fhirParser functions the app uses.
+ * https://cds-hooks.hl7.org/2.0/
+ */
+
+import { randomUUID } from 'node:crypto';
+import { parseConditions, parseMedications } from '../../src/utils/fhirParser.js';
+import { describeConcept } from '../../src/utils/terminology.js';
+
+// Same query for both hooks, so EHRs that cache prefetch can share it
+const PREFETCH = {
+  patient: 'Patient/{{context.patientId}}',
+  conditions: 'Condition?patient={{context.patientId}}&clinical-status=active',
+  medications: 'MedicationRequest?patient={{context.patientId}}&status=active'
+};
+
+export const CDS_SERVICES = [
+  {
+    id: 'amma-patient-view',
+    hook: 'patient-view',
+    title: 'Amma explainer videos for new diagnoses',
+    description: 'Suggests a patient education video when the chart has a recently recorded diagnosis',
+    prefetch: PREFETCH,
+    usageRequirements: 'Amma must be registered as a SMART app in the EHR for the card links to open'
+  },
+  {
+    id: 'amma-order-sign',
+    hook: 'order-sign',
+    title: 'Amma explainer videos for new prescriptions',
+    description: 'Suggests a patient education video when a medication the patient is not already taking is signed',
+    prefetch: PREFETCH,
+    usageRequirements: 'Amma must be registered as a SMART app in the EHR for the card links to open'
+  }
+];
+
+// Prefetch keys a service cannot work without
+export const REQUIRED_PREFETCH = {
+  'amma-patient-view': ['conditions'],
+  'amma-order-sign': ['medications']
+};
+
+const INACTIVE_CLINICAL_STATUSES = ['inactive', 'remission', 'resolved'];
+const EXCLUDED_VERIFICATION_STATUSES = ['refuted', 'entered-in-error'];
+const SUMMARY_MAX_LENGTH = 140;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the cards for a hook call
+ * @param {Object} service - Entry of CDS_SERVICES
+ * @param {Object} request - Hook request (context and complete prefetch)
+ * @param {Object} config - { appLaunchUrl, sourceUrl, newWithinDays, maxCards, now }
+ * @returns {Array<Object>} CDS Hooks cards
+ */
+export function buildCards(service, request, config) {
+  switch (service.id) {
+    case 'amma-patient-view':
+      return patientViewCards(request, config);
+    case 'amma-order-sign':
+      return orderSignCards(request, config);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Flatten a prefetch value (search Bundle, single resource or null) into resources
+ * @param {Object|null} value - Prefetch value
+ * @returns {Array<Object>} FHIR resources
+ */
+export function prefetchResources(value) {
+  if (!value) return [];
+  if (value.resourceType === 'Bundle') {
+    return (value.entry || []).map(entry => entry.resource).filter(Boolean);
+  }
+  return [value];
+}
+
+// patient-view: one card per diagnosis recorded within the window, newest first
+function patientViewCards(request, config) {
+  const since = config.now - config.newWithinDays * DAY_MS;
+  const patientName = patientDisplayName(request.prefetch.patient);
+
+  return parseConditions(prefetchResources(request.prefetch.conditions))
+    .filter(condition => !INACTIVE_CLINICAL_STATUSES.includes(condition.clinicalStatus))
+    .filter(condition => !EXCLUDED_VERIFICATION_STATUSES.includes(condition.verificationStatus))
+    .filter(condition => condition.display !== 'Unknown condition')
+    .map(condition => ({ condition, recorded: conditionDate(condition) }))
+    .filter(({ recorded }) => recorded && recorded.getTime() >= since)
+    .sort((a, b) => b.recorded - a.recorded)
+    .slice(0, config.maxCards)
+    .map(({ condition, recorded }) => card({
+      summary: `Generate explainer video for new diagnosis ${condition.display}`,
+      detail: `${condition.display} was recorded on ${recorded.toISOString().slice(0, 10)}. ` +
+        `Amma can turn it into a short video ${patientName ? `${patientName} ` : 'the patient '}can watch at home, ` +
+        'covering what the diagnosis means and what happens next.',
+      appContext: { suggestion: 'diagnosis', resource: `Condition/${condition.id}`, display: condition.display }
+    }, config));
+}
+
+// order-sign: one card per drafted medication the patient is not already on
+function orderSignCards(request, config) {
+  const current = parseMedications(prefetchResources(request.prefetch.medications));
+  const conditions = parseConditions(prefetchResources(request.prefetch.conditions));
+  const orders = prefetchResources(request.context.draftOrders);
+  const drafts = parseMedications(orders, orders.filter(resource => resource.resourceType === 'Medication'));
+
+  return drafts
+    .filter(draft => draft.name !== 'Unknown medication')
+    .filter(draft => !current.some(medication => sameMedication(medication, draft)))
+    .slice(0, config.maxCards)
+    .map(draft => {
+      const reason = medicationReason(draft, conditions);
+      return card({
+        summary: `Generate explainer video for new medication ${draft.name}`,
+        detail: `Amma can explain ${draft.name}${reason ? ` for ${reason}` : ''} in a short video: ` +
+          `how to take it${draft.dosage ? ` (${draft.dosage})` : ''}, what it does and which side effects to watch for.`,
+        appContext: { suggestion: 'medication', resource: `MedicationRequest/${draft.id}`, display: draft.name }
+      }, config);
+    });
+}
+
+function card({ summary, detail, appContext }, config) {
+  return {
+    uuid: randomUUID(),
+    summary: summary.length > SUMMARY_MAX_LENGTH ? `${summary.slice(0, SUMMARY_MAX_LENGTH - 1)}…` : summary,
+    detail,
+    indicator: 'info',
+    source: {
+      label: 'Amma',
+      url: config.sourceUrl
+    },
+    links: [{
+      label: 'Open Amma to generate the video',
+      url: config.appLaunchUrl,
+      type: 'smart',
+      appContext: JSON.stringify(appContext)
+    }]
+  };
+}
+
+// When the diagnosis was made; recordedDate first, as onset can be years earlier
+function conditionDate(condition) {
+  const value = condition.raw.recordedDate || condition.onsetDate;
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+// Codes when both have one, otherwise the leading drug name - a new strength or
+// salt of a drug the patient already takes ("Atorvastatin 80 MG" vs "Atorvastatin Calcium") is not new
+function sameMedication(a, b) {
+  if (a.code && b.code) return a.code === b.code;
+  const drugName = (name) => name.toLowerCase().match(/[a-z]+/)?.[0];
+  return Boolean(drugName(a.name)) && drugName(a.name) === drugName(b.name);
+}
+
+// reasonReference to a prefetched Condition, or the coded reason
+function medicationReason(medication, conditions) {
+  const reasonId = medication.raw.reasonReference?.[0]?.reference?.split('/').pop();
+  const condition = reasonId ? conditions.find(c => c.id === reasonId) : null;
+  return condition?.display || describeConcept(medication.raw.reasonCode?.[0], 'condition').display;
+}
+
+function patientDisplayName(patient) {
+  const name = patient?.resourceType === 'Patient' ? patient.name?.[0] : null;
+  return name?.given?.[0] || null;
+}
@@ -0,0 +1,129 @@
+/**
+ * Mock Bulk Data Export
+ * Group-level $export jobs: kick-off, status polling and NDJSON output files
+ */
+
+import { randomUUID } from 'node:crypto';
+
+// Status polls answered with 202 before the manifest is ready
+const POLLS_BEFORE_COMPLETE = 1;
+
+/**
+ * In-memory export jobs for one FhirStore
+ */
+export class BulkExportJobs {
+  /**
+   * @param {FhirStore} store - Store to export from
+   */
+  constructor(store) {
+    this.store = store;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Start an export of a Group's members
+   * @param {string} groupId - Group resource id
+   * @param {URLSearchParams} params - Kick-off parameters (_type, _since)
+   * @param {string} requestUrl - Kick-off URL, echoed in the manifest
+   * @returns {Object} { jobId } on success, { status, code, message } otherwise
+   */
+  start(groupId, params, requestUrl) {
+    const group = this.store.read('Group', groupId);
+    if (!group) {
+      return { status: 404, code: 'not-found', message: `Group/${groupId} not found` };
+    }
+
+    const since = params.get('_since');
+    if (since && Number.isNaN(new Date(since).getTime())) {
+      return { status: 400, code: 'invalid', message: `Invalid _since: ${since}` };
+    }
+
+    const jobId = randomUUID();
+    this.jobs.set(jobId, {
+      groupId,
+      types: params.get('_type')?.split(',').filter(Boolean) || null,
+      since,
+      requestUrl,
+      transactionTime: new Date().toISOString(),
+      polls: 0,
+      files: null
+    });
+
+    console.log(`📦 Started export ${jobId} for Group/${groupId}`);
+    return { jobId };
+  }
+
+  /**
+   * Poll a job
+   * @param {string} jobId - Job id
+   * @param {string} fhirBase - Public FHIR base URL for file links
+   * @returns {Object|null} { progress } while running, { manifest } when done, null for unknown jobs
+   */
+  status(jobId, fhirBase) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    if (job.polls++ < POLLS_BEFORE_COMPLETE) {
+      return { progress: 'Collecting resources' };
+    }
+
+    job.files = job.files || this.collect(job);
+    return {
+      manifest: {
+        transactionTime: job.transactionTime,
+        request: job.requestUrl,
+        requiresAccessToken: true,
+        output: [...job.files.entries()].map(([type, resources]) => ({
+          type,
+          url: `${fhirBase}/$export-file/${jobId}/${type}.ndjson`,
+          count: resources.length
+        })),
+        error: []
+      }
+    };
+  }
+
+  /**
+   * NDJSON content of one output file
+   * @param {string} jobId - Job id
+   * @param {string} type - Resource type
+   * @returns {string|null} NDJSON, or null if the job or file is unknown
+   */
+  file(jobId, type) {
+    const resources = this.jobs.get(jobId)?.files?.get(type);
+    if (!resources) return null;
+    return resources.map(resource => JSON.stringify(resource)).join('\n') + '\n';
+  }
+
+  /**
+   * Cancel a job or delete its output
+   * @param {string} jobId - Job id
+   * @returns {boolean} True if the job existed
+   */
+  delete(jobId) {
+    return this.jobs.delete(jobId);
+  }
+
+  collect(job) {
+    const group = this.store.read('Group', job.groupId);
+    const patientIds = (group.member || [])
+      .map(member => member.entity?.reference?.match(/^Patient\/(.+)$/)?.[1])
+      .filter(Boolean);
+
+    const types = job.types || this.store.resourceTypes().filter(type => type !== 'Group');
+    const files = new Map();
+
+    types.forEach(type => {
+      const params = new URLSearchParams();
+      params.set(type === 'Patient' ? '_id' : 'patient', patientIds.join(','));
+      if (job.since) params.set('_lastUpdated', `gt${job.since}`);
+
+      const resources = this.store.search(type, params);
+      if (resources.length > 0) {
+        files.set(type, resources);
+      }
+    });
+
+    return files;
+  }
+}
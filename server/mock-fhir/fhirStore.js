@@ -0,0 +1,258 @@
+/**
+ * Mock FHIR Store
+ * In-memory FHIR R4 resources loaded from Synthea-style patient bundles,
+ * with the subset of search the Amma client relies on
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+// Fields that reference the patient in clinical resources
+const PATIENT_REFERENCE_FIELDS = ['subject', 'patient'];
+
+// Parameters handled by paging/shaping rather than filtering
+const RESULT_PARAMETERS = ['_count', '_offset', '_elements', '_format', '_include'];
+
+/**
+ * Create a store from every *.json Bundle in a directory
+ * @param {string} fixturesDir - Directory holding fixture bundles
+ * @returns {FhirStore} Loaded store
+ */
+export function loadFixtures(fixturesDir) {
+  const store = new FhirStore();
+
+  fs.readdirSync(fixturesDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      const bundle = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+      const count = store.addBundle(bundle);
+      console.log(`📦 Loaded ${count} resources from ${file}`);
+    });
+
+  return store;
+}
+
+export class FhirStore {
+  constructor() {
+    this.resources = new Map(); // resourceType -> Map(id -> resource)
+  }
+
+  /**
+   * Add every resource of a Bundle, rewriting urn:uuid references
+   * (as produced by Synthea) to relative Type/id references
+   * @param {Object} bundle - FHIR Bundle (transaction, batch or collection)
+   * @returns {number} Number of resources added
+   */
+  addBundle(bundle) {
+    if (bundle?.resourceType !== 'Bundle') {
+      throw new Error('Fixture is not a FHIR Bundle');
+    }
+
+    const entries = (bundle.entry || []).filter(entry => entry.resource?.resourceType);
+    const fullUrls = new Map();
+
+    entries.forEach(entry => {
+      const resource = entry.resource;
+      resource.id = resource.id || randomUUID();
+      if (entry.fullUrl) {
+        fullUrls.set(entry.fullUrl, `${resource.resourceType}/${resource.id}`);
+      }
+    });
+
+    entries.forEach(entry => {
+      this.put(rewriteReferences(entry.resource, fullUrls));
+    });
+
+    return entries.length;
+  }
+
+  /**
+   * Insert or replace a resource, stamping meta.versionId/lastUpdated
+   * @param {Object} resource - FHIR resource with an id
+   * @returns {Object} Stored resource
+   */
+  put(resource) {
+    const byId = this.resources.get(resource.resourceType) || new Map();
+    this.resources.set(resource.resourceType, byId);
+
+    const previous = byId.get(resource.id);
+    const stored = {
+      ...resource,
+      meta: {
+        ...resource.meta,
+        versionId: previous ? String(Number(previous.meta.versionId) + 1) : resource.meta?.versionId || '1',
+        lastUpdated: previous || !resource.meta?.lastUpdated ? new Date().toISOString() : resource.meta.lastUpdated
+      }
+    };
+
+    byId.set(resource.id, stored);
+    return stored;
+  }
+
+  /**
+   * Read a single resource
+   * @param {string} resourceType - Resource type
+   * @param {string} id - Resource id
+   * @returns {Object|null} Resource, or null if unknown
+   */
+  read(resourceType, id) {
+    return this.resources.get(resourceType)?.get(id) || null;
+  }
+
+  /**
+   * Resource types that currently hold data
+   * @returns {Array<string>} Resource types
+   */
+  resourceTypes() {
+    return [...this.resources.keys()].sort();
+  }
+
+  /**
+   * Search one resource type
+   * Unknown parameters are ignored (lenient handling, as most servers do)
+   * @param {string} resourceType - Resource type
+   * @param {URLSearchParams} params - Search parameters
+   * @returns {Array<Object>} Matching resources, most recently updated first
+   */
+  search(resourceType, params) {
+    const candidates = [...(this.resources.get(resourceType)?.values() || [])];
+
+    return candidates
+      .filter(resource => [...params.keys()]
+        .filter(name => !RESULT_PARAMETERS.includes(name))
+        .every(name => params.getAll(name).every(value => matchesParameter(resource, name, value))))
+      .sort((a, b) => b.meta.lastUpdated.localeCompare(a.meta.lastUpdated));
+  }
+}
+
+// Helper Functions
+
+function rewriteReferences(value, fullUrls) {
+  if (Array.isArray(value)) {
+    return value.map(item => rewriteReferences(item, fullUrls));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const rewritten = {};
+  Object.entries(value).forEach(([key, child]) => {
+    rewritten[key] = key === 'reference' && fullUrls.has(child) ?
+      fullUrls.get(child) :
+      rewriteReferences(child, fullUrls);
+  });
+  return rewritten;
+}
+
+function matchesParameter(resource, name, value) {
+  // Comma separated values are ORed
+  const values = value.split(',');
+
+  switch (name) {
+    case '_id':
+      return values.includes(resource.id);
+    case '_lastUpdated':
+      return values.every(v => matchesDate(resource.meta.lastUpdated, v));
+    case 'patient':
+    case 'subject':
+      return values.some(v => {
+        const reference = v.includes('/') ? v : `Patient/${v}`;
+        return PATIENT_REFERENCE_FIELDS.some(field => resource[field]?.reference === reference) ||
+          (resource.resourceType === 'Patient' && reference === `Patient/${resource.id}`);
+      });
+    case 'name':
+      return values.some(v => matchesName(resource, v, name => [
+        name.text,
+        name.family,
+        ...(name.given || []),
+        [...(name.given || []), name.family].join(' ')
+      ]));
+    case 'family':
+      return values.some(v => matchesName(resource, v, name => [name.family]));
+    case 'given':
+      return values.some(v => matchesName(resource, v, name => name.given || []));
+    case 'identifier':
+      return values.some(v => matchesToken(resource.identifier, v, identifier => [identifier]));
+    case 'birthdate':
+      return values.some(v => matchesDate(resource.birthDate, v));
+    case 'phone':
+      // Punctuation differs between systems - compare digits
+      return values.some(v => (resource.telecom || []).some(telecom =>
+        telecom.system === 'phone' && digits(telecom.value) === digits(v)
+      ));
+    case 'gender':
+    case 'status':
+    case 'intent':
+      return values.includes(resource[name]);
+    case 'category':
+      return values.some(v => matchesToken(asArray(resource.category), v, concept => concept.coding || []));
+    case 'code':
+      return values.some(v => matchesToken(asArray(resource.code || resource.vaccineCode), v, concept => concept.coding || []));
+    case 'clinical-status':
+      return values.some(v => matchesToken([resource.clinicalStatus].filter(Boolean), v, concept => concept.coding || []));
+    case 'date':
+      return matchesDate(resourceDate(resource), value);
+    default:
+      return true;
+  }
+}
+
+function digits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+function matchesName(resource, value, parts) {
+  const query = value.toLowerCase();
+  return (resource.name || []).some(name =>
+    parts(name).filter(Boolean).some(part => part.toLowerCase().startsWith(query))
+  );
+}
+
+// token search: "code", "system|code" or "|code"
+function matchesToken(elements, value, codings) {
+  const [system, code] = value.includes('|') ? value.split('|') : [null, value];
+
+  return (elements || []).some(element => codings(element).some(coding => {
+    const codeValue = coding.code ?? coding.value;
+    const codeMatches = !code || codeValue === code;
+    const systemMatches = system === null || (system === '' ? !coding.system : coding.system === system);
+    return codeMatches && systemMatches;
+  }));
+}
+
+// date search with FHIR prefixes: eq (default), gt, ge, lt, le
+function matchesDate(actual, value) {
+  if (!actual) return false;
+
+  const match = value.match(/^(eq|ne|gt|ge|lt|le)?(.+)$/);
+  const prefix = match[1] || 'eq';
+  const expected = new Date(match[2]).getTime();
+  const time = new Date(actual).getTime();
+
+  switch (prefix) {
+    case 'gt': return time > expected;
+    case 'ge': return time >= expected;
+    case 'lt': return time < expected;
+    case 'le': return time <= expected;
+    case 'ne': return !actual.startsWith(match[2]);
+    default: return actual.startsWith(match[2]);
+  }
+}
+
+function resourceDate(resource) {
+  return resource.effectiveDateTime ||
+    resource.occurrenceDateTime ||
+    resource.performedDateTime ||
+    resource.period?.start ||
+    resource.date ||
+    resource.authoredOn ||
+    resource.recordedDate ||
+    null;
+}
+
+function asArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
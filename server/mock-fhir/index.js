@@ -0,0 +1,489 @@
+/**
+ * Mock FHIR R4 Server
+ * Local stand-in for Plasma FHIR / Epic: serves fixture patient bundles behind
+ * a fake SMART on FHIR authorization server so epicClient.js runs end to end
+ *
+ * Usage: npm run mock-fhir
+ * Then set VITE_EPIC_FHIR_API_BASE=http://localhost:8090/fhir
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { generateKeyPairSync, randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { loadFixtures } from './fhirStore.js';
+import { SmartAuthServer } from './smartAuth.js';
+import { BulkExportJobs } from './bulkExport.js';
+import { matchPatients } from './patientMatch.js';
+
+const MOCK_CONFIG = {
+  port: Number(process.env.MOCK_FHIR_PORT) || 8090,
+  fixturesDir: process.env.MOCK_FHIR_FIXTURES || path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures'),
+  tokenLifetimeSeconds: Number(process.env.MOCK_FHIR_TOKEN_TTL) || 3600,
+  // Backend Services client; without a JWKS file a key pair is generated at startup
+  backendClientId: process.env.MOCK_FHIR_BACKEND_CLIENT_ID || 'amma-backend',
+  backendJwksFile: process.env.MOCK_FHIR_BACKEND_JWKS || null,
+  // Fault injection for exercising retries: share of FHIR requests answered with 503
+  failureRate: Number(process.env.MOCK_FHIR_FAILURE_RATE) || 0,
+  latencyMs: Number(process.env.MOCK_FHIR_LATENCY_MS) || 0,
+  defaultPageSize: 50,
+  maxPageSize: 200
+};
+
+const FHIR_PREFIX = '/fhir';
+
+// Supported _include values: SourceType:param -> reference element
+const INCLUDE_PATHS = {
+  'MedicationRequest:medication': 'medicationReference'
+};
+const OAUTH_URIS_EXTENSION = 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris';
+
+/**
+ * Create the mock server (not yet listening)
+ * @param {Object} options - Overrides for MOCK_CONFIG
+ * @returns {http.Server} Node HTTP server
+ */
+export function createMockFhirServer(options = {}) {
+  const config = { ...MOCK_CONFIG, ...options };
+  const store = loadFixtures(config.fixturesDir);
+  const backendClient = loadBackendClient(config);
+  const auth = new SmartAuthServer({
+    tokenLifetimeSeconds: config.tokenLifetimeSeconds,
+    backendClients: { [backendClient.clientId]: backendClient.publicJwks }
+  });
+  const bulkExports = new BulkExportJobs(store);
+
+  return http.createServer(async (req, res) => {
+    setCorsHeaders(req, res);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      const origin = `http://${req.headers.host}`;
+      console.log(`➡️  ${req.method} ${url.pathname}${url.search}`);
+
+      if (url.pathname === '/launch') {
+        return handleLaunch(res, auth, url.searchParams, origin);
+      }
+      if (url.pathname === '/oauth/authorize') {
+        return handleAuthorize(res, auth, url.searchParams);
+      }
+      if (url.pathname === '/oauth/token' && req.method === 'POST') {
+        return handleToken(res, auth, new URLSearchParams(await readBody(req)), `${origin}/oauth/token`);
+      }
+      if (url.pathname === '/backend-client') {
+        return handleBackendClient(res, backendClient);
+      }
+      if (url.pathname.startsWith(FHIR_PREFIX)) {
+        return await handleFhir(req, res, url, { store, auth, bulkExports, config, origin });
+      }
+
+      sendOperationOutcome(res, 404, 'not-found', `No route for ${url.pathname}`);
+    } catch (error) {
+      console.error('❌ Mock FHIR server error:', error);
+      sendOperationOutcome(res, 500, 'exception', error.message);
+    }
+  });
+}
+
+// Request Handlers
+
+// Simulated EHR: /launch?patient=...&encounter=...&appContext=...&app=http://localhost:5173/epic-launch
+function handleLaunch(res, auth, params, origin) {
+  const app = params.get('app');
+  const patient = params.get('patient');
+  if (!app || !patient) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'app and patient are required' });
+  }
+
+  const launchUrl = new URL(app);
+  launchUrl.searchParams.set('iss', `${origin}${FHIR_PREFIX}`);
+  launchUrl.searchParams.set('launch', auth.createLaunch({ patient, encounter: params.get('encounter'), appContext: params.get('appContext') }));
+
+  res.writeHead(302, { Location: launchUrl.toString() });
+  res.end();
+}
+
+function handleAuthorize(res, auth, params) {
+  const result = auth.authorize(params);
+  if (result.redirect) {
+    res.writeHead(302, { Location: result.redirect });
+    res.end();
+    return;
+  }
+  sendJson(res, result.status, { error: result.error, error_description: result.description });
+}
+
+function handleToken(res, auth, form, tokenEndpoint) {
+  const result = auth.token(form, tokenEndpoint);
+  if (result.body) {
+    sendJson(res, 200, result.body, { 'Cache-Control': 'no-store' });
+    return;
+  }
+  sendJson(res, result.status, { error: result.error, error_description: result.description });
+}
+
+// Test-only: hands out the generated backend client's private JWKS
+function handleBackendClient(res, backendClient) {
+  if (!backendClient.privateJwks) {
+    return sendJson(res, 404, { error: 'not_found', error_description: 'Backend client keys come from MOCK_FHIR_BACKEND_JWKS' });
+  }
+  sendJson(res, 200, { client_id: backendClient.clientId, jwks: backendClient.privateJwks });
+}
+
+async function handleFhir(req, res, url, { store, auth, bulkExports, config, origin }) {
+  const fhirBase = `${origin}${FHIR_PREFIX}`;
+  const [resourceType, id, ...rest] = url.pathname.slice(FHIR_PREFIX.length).split('/').filter(Boolean);
+
+  // Discovery documents are public
+  if (resourceType === '.well-known' && id === 'smart-configuration') {
+    return sendJson(res, 200, auth.smartConfiguration(origin));
+  }
+  if (resourceType === 'metadata') {
+    return sendFhir(res, 200, capabilityStatement(store, origin));
+  }
+
+  if (!auth.verifyAccessToken(req.headers.authorization)) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="mock-fhir", error="invalid_token"');
+    return sendOperationOutcome(res, 401, 'login', 'Missing, invalid or expired access token');
+  }
+
+  if (config.latencyMs > 0) {
+    await new Promise(resolve => setTimeout(resolve, config.latencyMs));
+  }
+  if (config.failureRate > 0 && Math.random() < config.failureRate) {
+    res.setHeader('Retry-After', '1');
+    return sendOperationOutcome(res, 503, 'transient', 'Injected failure (MOCK_FHIR_FAILURE_RATE)');
+  }
+
+  if (resourceType?.startsWith('$export') || rest[0] === '$export') {
+    return handleBulkExport(req, res, url, bulkExports, fhirBase);
+  }
+
+  if (!resourceType && req.method === 'POST') {
+    const bundle = JSON.parse(await readBody(req) || '{}');
+    if (bundle.resourceType !== 'Bundle' || bundle.type !== 'batch') {
+      return sendOperationOutcome(res, 400, 'invalid', 'Only batch Bundles are supported');
+    }
+    return sendFhir(res, 200, batchResponse(store, bundle, fhirBase, config));
+  }
+  if (resourceType === 'Patient' && id === '$match' && rest.length === 0 && req.method === 'POST') {
+    const result = matchPatients(store, JSON.parse(await readBody(req) || '{}'), fhirBase);
+    return result.bundle ?
+      sendFhir(res, 200, result.bundle) :
+      sendOperationOutcome(res, result.status, result.code, result.message);
+  }
+  if (resourceType && !id && rest.length === 0 && req.method === 'POST') {
+    return handleCreate(req, res, store, resourceType, fhirBase);
+  }
+  if (req.method !== 'GET') {
+    return sendOperationOutcome(res, 405, 'not-supported', `${req.method} is not supported by the mock server`);
+  }
+  if (!resourceType || rest.length > 0) {
+    return sendOperationOutcome(res, 404, 'not-found', `Unknown path ${url.pathname}`);
+  }
+
+  if (id) {
+    const resource = store.read(resourceType, id);
+    if (!resource) {
+      return sendOperationOutcome(res, 404, 'not-found', `${resourceType}/${id} not found`);
+    }
+    // Binary content is returned raw unless FHIR JSON is asked for
+    if (resourceType === 'Binary' && !acceptsFhirJson(req)) {
+      res.writeHead(200, { 'Content-Type': resource.contentType || 'application/octet-stream' });
+      res.end(Buffer.from(resource.data || '', 'base64'));
+      return;
+    }
+    return sendFhir(res, 200, resource);
+  }
+
+  return sendFhir(res, 200, searchBundle(store, resourceType, url, fhirBase, config));
+}
+
+// create: POST /fhir/{type} - the server assigns the id
+async function handleCreate(req, res, store, resourceType, fhirBase) {
+  const resource = JSON.parse(await readBody(req) || '{}');
+  if (resource.resourceType !== resourceType) {
+    return sendOperationOutcome(res, 400, 'invalid', `Body is not a ${resourceType}`);
+  }
+
+  const [subjectType, subjectId] = (resource.subject?.reference || '').split('/');
+  if (subjectType === 'Patient' && !store.read('Patient', subjectId)) {
+    return sendOperationOutcome(res, 422, 'processing', `Unknown subject ${resource.subject.reference}`);
+  }
+
+  const stored = store.put({ ...resource, id: randomUUID(), meta: undefined });
+  console.log(`📝 Created ${resourceType}/${stored.id}`);
+
+  res.writeHead(201, {
+    'Content-Type': 'application/fhir+json',
+    'Location': `${fhirBase}/${resourceType}/${stored.id}/_history/${stored.meta.versionId}`,
+    'ETag': `W/"${stored.meta.versionId}"`
+  });
+  res.end(/return=minimal/.test(req.headers.prefer || '') ? '' : JSON.stringify(stored));
+}
+
+// Bulk Data: GET Group/{id}/$export, GET|DELETE $export-status/{job}, GET $export-file/{job}/{type}.ndjson
+function handleBulkExport(req, res, url, bulkExports, fhirBase) {
+  const [first, second, third, ...extra] = url.pathname.slice(FHIR_PREFIX.length).split('/').filter(Boolean);
+
+  if (first === 'Group' && third === '$export' && extra.length === 0 && req.method === 'GET') {
+    if (!/respond-async/.test(req.headers.prefer || '')) {
+      return sendOperationOutcome(res, 400, 'invalid', 'Bulk export requires Prefer: respond-async');
+    }
+    const result = bulkExports.start(second, url.searchParams, url.toString());
+    if (!result.jobId) {
+      return sendOperationOutcome(res, result.status, result.code, result.message);
+    }
+    res.writeHead(202, { 'Content-Location': `${fhirBase}/$export-status/${result.jobId}` });
+    res.end();
+    return;
+  }
+
+  if (first === '$export-status' && second && !third) {
+    if (req.method === 'DELETE') {
+      return bulkExports.delete(second) ?
+        sendOperationOutcome(res, 202, 'informational', 'Export deleted') :
+        sendOperationOutcome(res, 404, 'not-found', `Unknown export ${second}`);
+    }
+    if (req.method === 'GET') {
+      const status = bulkExports.status(second, fhirBase);
+      if (!status) {
+        return sendOperationOutcome(res, 404, 'not-found', `Unknown export ${second}`);
+      }
+      if (status.progress) {
+        res.writeHead(202, { 'X-Progress': status.progress, 'Retry-After': '1' });
+        res.end();
+        return;
+      }
+      return sendJson(res, 200, status.manifest);
+    }
+  }
+
+  if (first === '$export-file' && second && third?.endsWith('.ndjson') && req.method === 'GET') {
+    const content = bulkExports.file(second, third.slice(0, -'.ndjson'.length));
+    if (content === null) {
+      return sendOperationOutcome(res, 404, 'not-found', `Unknown export file ${third}`);
+    }
+    res.writeHead(200, { 'Content-Type': 'application/fhir+ndjson' });
+    res.end(content);
+    return;
+  }
+
+  sendOperationOutcome(res, 404, 'not-found', `Unknown bulk export path ${url.pathname}`);
+}
+
+// FHIR Responses
+
+function searchBundle(store, resourceType, url, fhirBase, config) {
+  const params = url.searchParams;
+  const matches = store.search(resourceType, params);
+
+  const count = Math.min(Number(params.get('_count')) || config.defaultPageSize, config.maxPageSize);
+  const offset = Number(params.get('_offset')) || 0;
+  const page = matches.slice(offset, offset + count);
+  const elements = params.get('_elements')?.split(',').filter(Boolean);
+
+  const pageUrl = (pageOffset) => {
+    const pageParams = new URLSearchParams(params);
+    pageParams.set('_offset', String(pageOffset));
+    return `${fhirBase}/${resourceType}?${pageParams.toString()}`;
+  };
+
+  const link = [{ relation: 'self', url: pageUrl(offset) }];
+  if (offset + count < matches.length) {
+    link.push({ relation: 'next', url: pageUrl(offset + count) });
+  }
+
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: matches.length,
+    link,
+    entry: [
+      ...page.map(resource => ({
+        fullUrl: `${fhirBase}/${resourceType}/${resource.id}`,
+        resource: elements ? subsetResource(resource, elements) : resource,
+        search: { mode: 'match' }
+      })),
+      ...includedResources(store, page, params.getAll('_include')).map(resource => ({
+        fullUrl: `${fhirBase}/${resource.resourceType}/${resource.id}`,
+        resource,
+        search: { mode: 'include' }
+      }))
+    ]
+  };
+}
+
+// Resources referenced by a page of matches, once each; contained (#id) references are skipped
+function includedResources(store, matches, includes) {
+  const included = new Map();
+
+  includes.forEach(include => {
+    const element = INCLUDE_PATHS[include];
+    if (!element) return;
+
+    matches.forEach(resource => {
+      const [type, id] = resource[element]?.reference?.split('/') || [];
+      const target = type && id ? store.read(type, id) : null;
+      if (target) included.set(`${type}/${id}`, target);
+    });
+  });
+
+  return [...included.values()];
+}
+
+// batch Bundle of GET requests (reads and searches); other methods fail per entry
+function batchResponse(store, bundle, fhirBase, config) {
+  return {
+    resourceType: 'Bundle',
+    type: 'batch-response',
+    entry: (bundle.entry || []).map(entry => {
+      const method = entry.request?.method;
+      const url = new URL(entry.request?.url || '', `${fhirBase}/`);
+      const [resourceType, id] = url.pathname.slice(FHIR_PREFIX.length).split('/').filter(Boolean);
+
+      if (method !== 'GET' || !resourceType) {
+        return { resource: operationOutcome('not-supported', `${method} ${entry.request?.url} is not supported`), response: { status: '405 Method Not Allowed' } };
+      }
+      if (!id) {
+        return { resource: searchBundle(store, resourceType, url, fhirBase, config), response: { status: '200 OK' } };
+      }
+
+      const resource = store.read(resourceType, id);
+      return resource ?
+        { resource, response: { status: '200 OK', etag: `W/"${resource.meta.versionId}"` } } :
+        { resource: operationOutcome('not-found', `${resourceType}/${id} not found`), response: { status: '404 Not Found' } };
+    })
+  };
+}
+
+function subsetResource(resource, elements) {
+  const subset = {
+    resourceType: resource.resourceType,
+    id: resource.id,
+    meta: { ...resource.meta, tag: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue', code: 'SUBSETTED' }] }
+  };
+  elements.forEach(element => {
+    if (element in resource) {
+      subset[element] = resource[element];
+    }
+  });
+  return subset;
+}
+
+function capabilityStatement(store, origin) {
+  return {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    software: { name: 'Amma mock FHIR server' },
+    fhirVersion: '4.0.1',
+    format: ['json'],
+    rest: [{
+      mode: 'server',
+      security: {
+        service: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/restful-security-service', code: 'SMART-on-FHIR' }] }],
+        extension: [{
+          url: OAUTH_URIS_EXTENSION,
+          extension: [
+            { url: 'authorize', valueUri: `${origin}/oauth/authorize` },
+            { url: 'token', valueUri: `${origin}/oauth/token` }
+          ]
+        }]
+      },
+      resource: store.resourceTypes().map(type => ({
+        type,
+        interaction: [{ code: 'read' }, { code: 'search-type' }, { code: 'create' }],
+        ...(type === 'Patient' ? {
+          operation: [{ name: 'match', definition: 'http://hl7.org/fhir/OperationDefinition/Patient-match' }]
+        } : {})
+      })),
+      interaction: [{ code: 'batch' }]
+    }]
+  };
+}
+
+// Helper Functions
+
+function loadBackendClient(config) {
+  if (config.backendJwksFile) {
+    const publicJwks = JSON.parse(fs.readFileSync(config.backendJwksFile, 'utf8'));
+    return { clientId: config.backendClientId, publicJwks, privateJwks: null };
+  }
+
+  // One key per supported algorithm so both signing paths can be exercised
+  const privateKeys = [
+    { alg: 'RS384', keyPair: generateKeyPairSync('rsa', { modulusLength: 2048 }) },
+    { alg: 'ES384', keyPair: generateKeyPairSync('ec', { namedCurve: 'P-384' }) }
+  ].map(({ alg, keyPair }) => ({ ...keyPair.privateKey.export({ format: 'jwk' }), alg, kid: randomUUID() }));
+
+  const publicKeys = privateKeys.map(({ kty, n, e, crv, x, y, alg, kid }) =>
+    Object.fromEntries(Object.entries({ kty, n, e, crv, x, y, alg, kid }).filter(([, value]) => value !== undefined))
+  );
+
+  return {
+    clientId: config.backendClientId,
+    publicJwks: { keys: publicKeys },
+    privateJwks: { keys: privateKeys }
+  };
+}
+
+function setCorsHeaders(req, res) {
+  // The Vite dev server runs on another port - allow any local origin
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept, Prefer');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, WWW-Authenticate, Content-Location, X-Progress, Location, ETag');
+  res.setHeader('Vary', 'Origin');
+}
+
+function acceptsFhirJson(req) {
+  return /application\/(fhir\+)?json/.test(req.headers.accept || '');
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendFhir(res, status, resource) {
+  res.writeHead(status, { 'Content-Type': 'application/fhir+json' });
+  res.end(JSON.stringify(resource));
+}
+
+function sendOperationOutcome(res, status, code, message) {
+  sendFhir(res, status, operationOutcome(code, message));
+}
+
+function operationOutcome(code, message) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity: 'error', code, diagnostics: message }]
+  };
+}
+
+// Start when run directly (node server/mock-fhir/index.js)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const server = createMockFhirServer();
+  server.listen(MOCK_CONFIG.port, () => {
+    console.log(`✅ Mock FHIR server running at http://localhost:${MOCK_CONFIG.port}${FHIR_PREFIX}`);
+  });
+}
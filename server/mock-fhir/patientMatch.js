@@ -0,0 +1,101 @@
+/**
+ * Mock Patient/$match
+ * Scores every stored Patient against the one in the Parameters body and
+ * answers with a searchset graded like Epic's MPI
+ * https://hl7.org/fhir/R4/patient-operation-match.html
+ */
+
+const MATCH_GRADE_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/match-grade';
+
+// Evidence weights; together they add up to 1
+const MATCH_WEIGHTS = {
+  family: 0.3,
+  given: 0.2,
+  birthDate: 0.3,
+  email: 0.2
+};
+
+const DEFAULT_MATCH_COUNT = 10;
+
+/**
+ * Run $match against the store
+ * @param {FhirStore} store - Store holding the Patients
+ * @param {Object} parameters - Parameters resource from the request body
+ * @param {string} fhirBase - Public FHIR base URL for fullUrls
+ * @returns {Object} { bundle } on success, { status, code, message } otherwise
+ */
+export function matchPatients(store, parameters, fhirBase) {
+  if (parameters?.resourceType !== 'Parameters') {
+    return { status: 400, code: 'invalid', message: 'Body must be a Parameters resource' };
+  }
+
+  const parameter = (name) => (parameters.parameter || []).find(p => p.name === name);
+  const input = parameter('resource')?.resource;
+  if (input?.resourceType !== 'Patient') {
+    return { status: 400, code: 'required', message: 'A Patient "resource" parameter is required' };
+  }
+
+  const count = parameter('count')?.valueInteger || DEFAULT_MATCH_COUNT;
+  const onlyCertain = parameter('onlyCertainMatches')?.valueBoolean === true;
+
+  const matches = store.search('Patient', new URLSearchParams())
+    .map(patient => ({ patient, score: scorePatient(input, patient) }))
+    .filter(({ score }) => matchGrade(score) !== 'certainly-not')
+    .filter(({ score }) => !onlyCertain || matchGrade(score) === 'certain')
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count);
+
+  console.log(`🧩 $match scored ${matches.length} candidate(s)`);
+  return {
+    bundle: {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total: matches.length,
+      entry: matches.map(({ patient, score }) => ({
+        fullUrl: `${fhirBase}/Patient/${patient.id}`,
+        resource: patient,
+        search: {
+          mode: 'match',
+          score,
+          extension: [{ url: MATCH_GRADE_EXTENSION, valueCode: matchGrade(score) }]
+        }
+      }))
+    }
+  };
+}
+
+// Helper Functions
+
+function scorePatient(input, patient) {
+  const inputName = input.name?.[0] || {};
+  const emails = (resource) => (resource.telecom || [])
+    .filter(telecom => telecom.system === 'email')
+    .map(telecom => telecom.value.toLowerCase());
+
+  let score = 0;
+  if (inputName.family && (patient.name || []).some(name => same(name.family, inputName.family))) {
+    score += MATCH_WEIGHTS.family;
+  }
+  if (inputName.given?.length && (patient.name || []).some(name => same((name.given || []).join(' '), inputName.given.join(' ')))) {
+    score += MATCH_WEIGHTS.given;
+  }
+  if (input.birthDate && input.birthDate === patient.birthDate) {
+    score += MATCH_WEIGHTS.birthDate;
+  }
+  if (emails(input).some(email => emails(patient).includes(email))) {
+    score += MATCH_WEIGHTS.email;
+  }
+
+  return Math.round(score * 100) / 100;
+}
+
+function matchGrade(score) {
+  if (score >= 0.8) return 'certain';
+  if (score >= 0.5) return 'probable';
+  if (score >= 0.3) return 'possible';
+  return 'certainly-not';
+}
+
+function same(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
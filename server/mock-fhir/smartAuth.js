@@ -0,0 +1,331 @@
+/**
+ * Mock SMART Authorization Server
+ * Auto-approving authorize endpoint and a token endpoint supporting
+ * authorization_code (with PKCE), refresh_token and Backend Services
+ * client_credentials (signed JWT assertion) grants
+ */
+
+import { createHash, createPublicKey, randomBytes, verify } from 'node:crypto';
+
+const CODE_TTL_MS = 5 * 60 * 1000;
+const LAUNCH_TTL_MS = 5 * 60 * 1000;
+const MAX_ASSERTION_LIFETIME_SECONDS = 5 * 60;
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+// JWS algorithms Backend Services clients may sign with
+const ASSERTION_ALGORITHMS = {
+  RS384: { kty: 'RSA' },
+  ES384: { kty: 'EC', dsaEncoding: 'ieee-p1363' }
+};
+
+export const SUPPORTED_SCOPES = [
+  'openid',
+  'fhirUser',
+  'launch',
+  'launch/patient',
+  'offline_access',
+  'patient/*.read',
+  'patient/DocumentReference.write',
+  'patient/Communication.write',
+  'system/*.read'
+];
+
+/**
+ * In-memory issuer of authorization codes and tokens
+ */
+export class SmartAuthServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.tokenLifetimeSeconds - Access token lifetime
+   * @param {Object} options.backendClients - Backend Services clients: client id -> public JWKS
+   */
+  constructor({ tokenLifetimeSeconds = 3600, backendClients = {} } = {}) {
+    this.tokenLifetimeSeconds = tokenLifetimeSeconds;
+    this.backendClients = new Map(Object.entries(backendClients));
+    this.usedAssertionIds = new Map();
+    this.codes = new Map();
+    this.launches = new Map();
+    this.accessTokens = new Map();
+    this.refreshTokens = new Map();
+  }
+
+  /**
+   * SMART configuration document (/.well-known/smart-configuration)
+   * @param {string} origin - Public origin of the mock server
+   * @returns {Object} Discovery document
+   */
+  smartConfiguration(origin) {
+    return {
+      issuer: origin,
+      authorization_endpoint: `${origin}/oauth/authorize`,
+      token_endpoint: `${origin}/oauth/token`,
+      token_endpoint_auth_methods_supported: ['none', 'private_key_jwt'],
+      token_endpoint_auth_signing_alg_values_supported: Object.keys(ASSERTION_ALGORITHMS),
+      grant_types_supported: ['authorization_code', 'refresh_token', 'client_credentials'],
+      scopes_supported: SUPPORTED_SCOPES,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      capabilities: [
+        'launch-standalone',
+        'launch-ehr',
+        'client-public',
+        'client-confidential-asymmetric',
+        'context-standalone-patient',
+        'context-ehr-patient',
+        'context-ehr-encounter',
+        'permission-offline',
+        'permission-patient'
+      ]
+    };
+  }
+
+  /**
+   * Register chart context for an EHR launch, as the EHR does before opening an app
+   * @param {Object} context - Launch context
+   * @param {string} context.patient - Patient id
+   * @param {string} context.encounter - Encounter id (optional)
+   * @param {string} context.appContext - Opaque app context, e.g. from a CDS Hooks SMART link (optional)
+   * @returns {string} Opaque launch id to pass to the app
+   */
+  createLaunch({ patient, encounter = null, appContext = null }) {
+    const launch = randomToken();
+    this.launches.set(launch, { patient, encounter, appContext, expiresAt: Date.now() + LAUNCH_TTL_MS });
+    return launch;
+  }
+
+  /**
+   * Handle an authorization request - every request is approved
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object} { redirect } on success, { status, error, description } otherwise
+   */
+  authorize(params) {
+    const redirectUri = params.get('redirect_uri');
+    if (!redirectUri) {
+      return { status: 400, error: 'invalid_request', description: 'redirect_uri is required' };
+    }
+    if (params.get('response_type') !== 'code') {
+      return { status: 400, error: 'unsupported_response_type', description: 'Only response_type=code is supported' };
+    }
+
+    const codeChallenge = params.get('code_challenge');
+    if (codeChallenge && params.get('code_challenge_method') !== 'S256') {
+      return { status: 400, error: 'invalid_request', description: 'Only the S256 code_challenge_method is supported' };
+    }
+
+    // EHR launch: the launch id must be one we handed out
+    let context = null;
+    if (params.has('launch')) {
+      context = this.launches.get(params.get('launch'));
+      if (!context || context.expiresAt <= Date.now()) {
+        return { status: 400, error: 'invalid_request', description: 'Unknown or expired launch' };
+      }
+    }
+
+    const code = randomToken();
+    this.codes.set(code, {
+      clientId: params.get('client_id'),
+      redirectUri,
+      scope: params.get('scope') || '',
+      codeChallenge,
+      context,
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const redirect = new URL(redirectUri);
+    redirect.searchParams.set('code', code);
+    if (params.has('state')) {
+      redirect.searchParams.set('state', params.get('state'));
+    }
+
+    console.log('🔐 Authorized client', params.get('client_id') || '(none)');
+    return { redirect: redirect.toString() };
+  }
+
+  /**
+   * Handle a token request
+   * @param {URLSearchParams} form - Form-encoded request body
+   * @param {string} tokenEndpoint - Public token endpoint URL (the expected assertion audience)
+   * @returns {Object} { body } on success, { status, error, description } otherwise
+   */
+  token(form, tokenEndpoint) {
+    switch (form.get('grant_type')) {
+      case 'authorization_code':
+        return this.exchangeCode(form);
+      case 'refresh_token':
+        return this.refresh(form);
+      case 'client_credentials':
+        return this.clientCredentials(form, tokenEndpoint);
+      default:
+        return { status: 400, error: 'unsupported_grant_type', description: `Unsupported grant_type: ${form.get('grant_type')}` };
+    }
+  }
+
+  /**
+   * Check a bearer token
+   * @param {string} authorization - Authorization header value
+   * @returns {Object|null} Token grant, or null if missing/invalid/expired
+   */
+  verifyAccessToken(authorization) {
+    const token = authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+    const grant = token ? this.accessTokens.get(token) : null;
+
+    if (!grant || grant.expiresAt <= Date.now()) {
+      return null;
+    }
+    return grant;
+  }
+
+  exchangeCode(form) {
+    const code = form.get('code');
+    const pending = this.codes.get(code);
+    // Codes are single use
+    this.codes.delete(code);
+
+    if (!pending || pending.expiresAt <= Date.now()) {
+      return { status: 400, error: 'invalid_grant', description: 'Authorization code is invalid or expired' };
+    }
+    if (form.get('redirect_uri') !== pending.redirectUri) {
+      return { status: 400, error: 'invalid_grant', description: 'redirect_uri does not match the authorization request' };
+    }
+    if (pending.clientId && form.get('client_id') !== pending.clientId) {
+      return { status: 400, error: 'invalid_client', description: 'client_id does not match the authorization request' };
+    }
+    if (pending.codeChallenge) {
+      const verifier = form.get('code_verifier') || '';
+      if (base64UrlSha256(verifier) !== pending.codeChallenge) {
+        return { status: 400, error: 'invalid_grant', description: 'PKCE verification failed' };
+      }
+    }
+
+    const body = this.issueTokens(pending.clientId, pending.scope);
+    if (pending.context) {
+      body.patient = pending.context.patient;
+      if (pending.context.encounter) {
+        body.encounter = pending.context.encounter;
+      }
+      if (pending.context.appContext) {
+        body.appContext = pending.context.appContext;
+      }
+    }
+    return { body };
+  }
+
+  refresh(form) {
+    const refreshToken = form.get('refresh_token');
+    const grant = this.refreshTokens.get(refreshToken);
+
+    if (!grant) {
+      return { status: 400, error: 'invalid_grant', description: 'Refresh token is invalid' };
+    }
+
+    // Refresh tokens rotate, like most production servers
+    this.refreshTokens.delete(refreshToken);
+    return { body: this.issueTokens(grant.clientId, grant.scope) };
+  }
+
+  clientCredentials(form, tokenEndpoint) {
+    if (form.get('client_assertion_type') !== CLIENT_ASSERTION_TYPE || !form.get('client_assertion')) {
+      return { status: 400, error: 'invalid_request', description: 'A jwt-bearer client_assertion is required' };
+    }
+
+    const checked = this.verifyClientAssertion(form.get('client_assertion'), tokenEndpoint);
+    if (checked.error) {
+      return { status: 401, error: 'invalid_client', description: checked.error };
+    }
+
+    const scope = form.get('scope') || '';
+    if (!scope.split(' ').filter(Boolean).every(requested => requested.startsWith('system/'))) {
+      return { status: 400, error: 'invalid_scope', description: 'Backend Services tokens only carry system/ scopes' };
+    }
+
+    // Backend clients sign a new assertion instead of refreshing
+    const body = this.issueTokens(checked.clientId, scope);
+    this.refreshTokens.delete(body.refresh_token);
+    delete body.refresh_token;
+
+    console.log('🔐 Issued backend token to', checked.clientId);
+    return { body };
+  }
+
+  verifyClientAssertion(assertion, tokenEndpoint) {
+    const [encodedHeader, encodedPayload, encodedSignature] = assertion.split('.');
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch {
+      return { error: 'client_assertion is not a JWT' };
+    }
+
+    const jwks = this.backendClients.get(payload.iss);
+    if (!jwks || payload.sub !== payload.iss) {
+      return { error: `Unknown backend client: ${payload.iss}` };
+    }
+
+    const algorithm = ASSERTION_ALGORITHMS[header.alg];
+    const jwk = jwks.keys.find(key => key.kid === header.kid && key.kty === algorithm?.kty);
+    if (!algorithm || !jwk) {
+      return { error: `No registered ${header.alg} key with kid "${header.kid}"` };
+    }
+
+    const signatureValid = verify(
+      'sha384',
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      { key: createPublicKey({ key: jwk, format: 'jwk' }), dsaEncoding: algorithm.dsaEncoding },
+      Buffer.from(encodedSignature || '', 'base64url')
+    );
+    if (!signatureValid) {
+      return { error: 'client_assertion signature is invalid' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.aud !== tokenEndpoint) {
+      return { error: `client_assertion aud must be ${tokenEndpoint}` };
+    }
+    if (!payload.exp || payload.exp <= now || payload.exp > now + MAX_ASSERTION_LIFETIME_SECONDS) {
+      return { error: 'client_assertion is expired or lives longer than five minutes' };
+    }
+
+    // Each jti may be used once while its assertion is still valid
+    this.usedAssertionIds.forEach((exp, jti) => {
+      if (exp <= now) this.usedAssertionIds.delete(jti);
+    });
+    if (!payload.jti || this.usedAssertionIds.has(payload.jti)) {
+      return { error: 'client_assertion jti is missing or was already used' };
+    }
+    this.usedAssertionIds.set(payload.jti, payload.exp);
+
+    return { clientId: payload.iss };
+  }
+
+  issueTokens(clientId, scope) {
+    const accessToken = randomToken();
+    const refreshToken = randomToken();
+    const grant = { clientId, scope };
+
+    this.accessTokens.set(accessToken, {
+      ...grant,
+      expiresAt: Date.now() + this.tokenLifetimeSeconds * 1000
+    });
+    this.refreshTokens.set(refreshToken, grant);
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: this.tokenLifetimeSeconds,
+      scope,
+      refresh_token: refreshToken
+    };
+  }
+}
+
+// Helper Functions
+
+function randomToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+function base64UrlSha256(value) {
+  return createHash('sha256').update(value).digest('base64url');
+}
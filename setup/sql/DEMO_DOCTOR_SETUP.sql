@@ -24,84 +24,10 @@ VALUES
    NOW() + INTERVAL '30 days')
 ON CONFLICT (session_id) DO NOTHING;
 
--- Create demo Epic/Plasma FHIR connection
--- Note: This simulates a connected state for demo purposes
--- In demo mode, the app will return mock patient data
-INSERT INTO epic_tokens (
-  doctor_email, 
-  access_token, 
-  refresh_token, 
-  expires_at, 
-  epic_base_url
-)
-VALUES 
-  ('demo.doctor@amma.health',
-   'demo-access-token-encrypted',
-   'demo-refresh-token-encrypted',
-   NOW() + INTERVAL '365 days',
-   'https://api.plasma.health')
-ON CONFLICT (doctor_email) DO UPDATE
-SET 
-  access_token = 'demo-access-token-encrypted',
-  refresh_token = 'demo-refresh-token-encrypted',
-  expires_at = NOW() + INTERVAL '365 days',
-  epic_base_url = 'https://api.plasma.health';
-
--- Add some demo patient data (5 patients)
-INSERT INTO epic_patient_data (
-  doctor_email,
-  epic_patient_id,
-  epic_mrn,
-  patient_name,
-  patient_dob,
-  clinical_notes,
-  diagnoses,
-  medications,
-  last_synced
-)
-VALUES 
-  -- Patient 1: John Smith - Diabetes & Hypertension
-  ('demo.doctor@amma.health', 'demo-patient-1', 'MRN001234', 'John Smith', '1975-03-15',
-   'Routine follow-up. Blood sugar well controlled.',
-   '[{"display": "Type 2 Diabetes Mellitus", "clinicalStatus": "active"}, {"display": "Hypertension", "clinicalStatus": "active"}]',
-   '[{"name": "Metformin 500mg", "status": "active", "dosage": "500mg", "frequency": "Twice daily"}, {"name": "Lisinopril 10mg", "status": "active", "dosage": "10mg", "frequency": "Once daily"}]',
-   NOW()),
-   
-  -- Patient 2: Sarah Johnson - Asthma
-  ('demo.doctor@amma.health', 'demo-patient-2', 'MRN005678', 'Sarah Johnson', '1982-07-22',
-   'Asthma well controlled with current medication.',
-   '[{"display": "Asthma", "clinicalStatus": "active"}]',
-   '[{"name": "Albuterol Inhaler", "status": "active", "dosage": "90mcg", "frequency": "As needed"}]',
-   NOW()),
-   
-  -- Patient 3: Michael Chen - Anxiety
-  ('demo.doctor@amma.health', 'demo-patient-3', 'MRN009876', 'Michael Chen', '1990-11-08',
-   'Patient reports improved symptoms with medication.',
-   '[{"display": "Anxiety Disorder", "clinicalStatus": "active"}]',
-   '[{"name": "Sertraline 50mg", "status": "active", "dosage": "50mg", "frequency": "Once daily"}]',
-   NOW()),
-   
-  -- Patient 4: Emily Rodriguez - Osteoarthritis
-  ('demo.doctor@amma.health', 'demo-patient-4', 'MRN004321', 'Emily Rodriguez', '1988-04-30',
-   'Patient progressing well with PT exercises.',
-   '[{"display": "Osteoarthritis", "clinicalStatus": "active"}]',
-   '[{"name": "Ibuprofen 400mg", "status": "active", "dosage": "400mg", "frequency": "Three times daily"}]',
-   NOW()),
-   
-  -- Patient 5: David Williams - CAD & Hyperlipidemia
-  ('demo.doctor@amma.health', 'demo-patient-5', 'MRN007654', 'David Williams', '1968-12-19',
-   'Stable cardiac status. Continue current medications.',
-   '[{"display": "Coronary Artery Disease", "clinicalStatus": "active"}, {"display": "Hyperlipidemia", "clinicalStatus": "active"}]',
-   '[{"name": "Atorvastatin 40mg", "status": "active", "dosage": "40mg", "frequency": "Once daily"}, {"name": "Aspirin 81mg", "status": "active", "dosage": "81mg", "frequency": "Once daily"}]',
-   NOW())
-ON CONFLICT (doctor_email, epic_patient_id) DO UPDATE
-SET 
-  patient_name = EXCLUDED.patient_name,
-  patient_dob = EXCLUDED.patient_dob,
-  clinical_notes = EXCLUDED.clinical_notes,
-  diagnoses = EXCLUDED.diagnoses,
-  medications = EXCLUDED.medications,
-  last_synced = NOW();
+-- EHR connection and patient data
+-- Not seeded here: run the local mock FHIR server (npm run mock-fhir) and use
+-- "Connect to Plasma FHIR" as the demo doctor. The mock approves the OAuth
+-- request, and patient data is stored when it is pulled from the dashboard.
 
 -- Log demo setup in audit log
 INSERT INTO epic_audit_log (
@@ -5,22 +5,26 @@
 -- Run this in Supabase SQL Editor after COMPLETE_SUPABASE_SETUP.sql
 
 -- Table 1: Store encrypted OAuth tokens for Epic access
+-- One row per EHR connection - a doctor can connect to several health systems
 CREATE TABLE IF NOT EXISTS epic_tokens (
   id SERIAL PRIMARY KEY,
   doctor_email TEXT NOT NULL REFERENCES users(email) ON DELETE CASCADE,
+  connection_name TEXT NOT NULL DEFAULT 'Plasma FHIR',
+  auth_mode TEXT NOT NULL DEFAULT 'user' CHECK (auth_mode IN ('user', 'backend')),
   access_token TEXT NOT NULL,
   refresh_token TEXT,
   expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
   epic_base_url TEXT NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  UNIQUE(doctor_email)
+  UNIQUE(doctor_email, epic_base_url, auth_mode)
 );
 
 -- Table 2: Store patient data pulled from Epic FHIR API
 CREATE TABLE IF NOT EXISTS epic_patient_data (
   id SERIAL PRIMARY KEY,
   doctor_email TEXT NOT NULL REFERENCES users(email) ON DELETE CASCADE,
+  connection_id INTEGER NOT NULL REFERENCES epic_tokens(id) ON DELETE CASCADE, -- Disconnecting removes the synced data
   patient_email TEXT REFERENCES users(email) ON DELETE CASCADE,
   epic_patient_id TEXT NOT NULL,
   epic_mrn TEXT,
@@ -29,9 +33,16 @@ CREATE TABLE IF NOT EXISTS epic_patient_data (
   clinical_notes TEXT,
   diagnoses JSONB,
   medications JSONB,
+  allergies JSONB,
+  procedures JSONB,
+  immunizations JSONB,
+  encounters JSONB,
+  fhir_resources JSONB, -- Raw resources per section, merged by incremental syncs
+  sync_state JSONB, -- Per-section _lastUpdated cursor and last deletion check
+  note_bodies JSONB, -- Decoded note text per DocumentReference version
   last_synced TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  UNIQUE(doctor_email, epic_patient_id)
+  UNIQUE(doctor_email, connection_id, epic_patient_id)
 );
 
 -- Table 3: Audit log for HIPAA compliance
@@ -47,10 +58,27 @@ CREATE TABLE IF NOT EXISTS epic_audit_log (
   timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Table 4: Every version of every synced FHIR resource, for diffs between syncs
+CREATE TABLE IF NOT EXISTS epic_resource_versions (
+  id BIGSERIAL PRIMARY KEY,
+  doctor_email TEXT NOT NULL REFERENCES users(email) ON DELETE CASCADE,
+  connection_id INTEGER NOT NULL REFERENCES epic_tokens(id) ON DELETE CASCADE,
+  epic_patient_id TEXT NOT NULL,
+  section TEXT NOT NULL, -- epic_patient_data section key (conditions, medications, ...)
+  resource_type TEXT NOT NULL,
+  resource_id TEXT NOT NULL,
+  version_id TEXT, -- meta.versionId
+  last_updated TIMESTAMP WITH TIME ZONE, -- meta.lastUpdated
+  change TEXT NOT NULL CHECK (change IN ('created', 'updated', 'deleted')),
+  resource JSONB NOT NULL, -- The resource as of this version (last known version for deletions)
+  recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() -- Sync that saw the change
+);
+
 -- Disable RLS for development (enable in production with proper policies)
 ALTER TABLE epic_tokens DISABLE ROW LEVEL SECURITY;
 ALTER TABLE epic_patient_data DISABLE ROW LEVEL SECURITY;
 ALTER TABLE epic_audit_log DISABLE ROW LEVEL SECURITY;
+ALTER TABLE epic_resource_versions DISABLE ROW LEVEL SECURITY;
 
 -- Grant permissions
 GRANT ALL ON epic_tokens TO anon;
@@ -59,6 +87,8 @@ GRANT ALL ON epic_patient_data TO anon;
 GRANT ALL ON epic_patient_data TO authenticated;
 GRANT ALL ON epic_audit_log TO anon;
 GRANT ALL ON epic_audit_log TO authenticated;
+GRANT ALL ON epic_resource_versions TO anon;
+GRANT ALL ON epic_resource_versions TO authenticated;
 
 -- Grant sequence permissions
 GRANT USAGE, SELECT ON SEQUENCE epic_tokens_id_seq TO anon;
@@ -67,6 +97,8 @@ GRANT USAGE, SELECT ON SEQUENCE epic_patient_data_id_seq TO anon;
 GRANT USAGE, SELECT ON SEQUENCE epic_patient_data_id_seq TO authenticated;
 GRANT USAGE, SELECT ON SEQUENCE epic_audit_log_id_seq TO anon;
 GRANT USAGE, SELECT ON SEQUENCE epic_audit_log_id_seq TO authenticated;
+GRANT USAGE, SELECT ON SEQUENCE epic_resource_versions_id_seq TO anon;
+GRANT USAGE, SELECT ON SEQUENCE epic_resource_versions_id_seq TO authenticated;
 
 -- Create function to cleanup old Epic data (30 day retention)
 CREATE OR REPLACE FUNCTION cleanup_old_epic_data()
@@ -76,6 +108,15 @@ BEGIN
   DELETE FROM epic_patient_data
   WHERE last_synced < NOW() - INTERVAL '30 days';
   
+  -- Version history lives as long as the patient's data
+  DELETE FROM epic_resource_versions v
+  WHERE NOT EXISTS (
+    SELECT 1 FROM epic_patient_data d
+    WHERE d.doctor_email = v.doctor_email
+      AND d.connection_id = v.connection_id
+      AND d.epic_patient_id = v.epic_patient_id
+  );
+  
   -- Delete audit logs older than 90 days
   DELETE FROM epic_audit_log
   WHERE timestamp < NOW() - INTERVAL '90 days';
@@ -86,8 +127,71 @@ $$ LANGUAGE plpgsql;
 CREATE INDEX IF NOT EXISTS idx_epic_tokens_doctor ON epic_tokens(doctor_email);
 CREATE INDEX IF NOT EXISTS idx_epic_patient_data_doctor ON epic_patient_data(doctor_email);
 CREATE INDEX IF NOT EXISTS idx_epic_patient_data_epic_id ON epic_patient_data(epic_patient_id);
+CREATE INDEX IF NOT EXISTS idx_epic_patient_data_patient_email ON epic_patient_data(patient_email);
 CREATE INDEX IF NOT EXISTS idx_epic_audit_log_doctor ON epic_audit_log(doctor_email);
 CREATE INDEX IF NOT EXISTS idx_epic_audit_log_timestamp ON epic_audit_log(timestamp);
+CREATE INDEX IF NOT EXISTS idx_epic_resource_versions_patient
+  ON epic_resource_versions(doctor_email, connection_id, epic_patient_id, recorded_at);
+
+-- ========================================
+-- UPGRADES FOR EXISTING INSTALLS
+-- ========================================
+-- Safe to re-run: brings databases created from older versions of this script up to date
+
+-- Multiple EHR connections per doctor
+ALTER TABLE epic_tokens ADD COLUMN IF NOT EXISTS connection_name TEXT NOT NULL DEFAULT 'Plasma FHIR';
+ALTER TABLE epic_tokens DROP CONSTRAINT IF EXISTS epic_tokens_doctor_email_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_epic_tokens_doctor_server ON epic_tokens(doctor_email, epic_base_url);
+
+ALTER TABLE epic_patient_data ADD COLUMN IF NOT EXISTS connection_id INTEGER REFERENCES epic_tokens(id) ON DELETE CASCADE;
+ALTER TABLE epic_patient_data DROP CONSTRAINT IF EXISTS epic_patient_data_doctor_email_epic_patient_id_key;
+-- Before this upgrade each doctor had exactly one connection; doctors with more
+-- have upgraded already, and their NULL rows are leftovers of disconnects
+UPDATE epic_patient_data d
+SET connection_id = t.id
+FROM epic_tokens t
+WHERE d.connection_id IS NULL AND t.doctor_email = d.doctor_email
+  AND (SELECT COUNT(*) FROM epic_tokens o WHERE o.doctor_email = d.doctor_email) = 1;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_epic_patient_data_connection_patient
+  ON epic_patient_data(doctor_email, connection_id, epic_patient_id);
+
+-- Allergies, procedures, immunizations and encounters
+ALTER TABLE epic_patient_data ADD COLUMN IF NOT EXISTS allergies JSONB;
+ALTER TABLE epic_patient_data ADD COLUMN IF NOT EXISTS procedures JSONB;
+ALTER TABLE epic_patient_data ADD COLUMN IF NOT EXISTS immunizations JSONB;
+ALTER TABLE epic_patient_data ADD COLUMN IF NOT EXISTS encounters JSONB;
+
+-- Incremental sync
+ALTER TABLE epic_patient_data ADD COLUMN IF NOT EXISTS fhir_resources JSONB;
+ALTER TABLE epic_patient_data ADD COLUMN IF NOT EXISTS sync_state JSONB;
+
+-- Clinical note text
+ALTER TABLE epic_patient_data ADD COLUMN IF NOT EXISTS note_bodies JSONB;
+
+-- Backend Services connections (a doctor may hold a user and a backend connection per server)
+ALTER TABLE epic_tokens ADD COLUMN IF NOT EXISTS auth_mode TEXT NOT NULL DEFAULT 'user' CHECK (auth_mode IN ('user', 'backend'));
+ALTER TABLE epic_tokens DROP CONSTRAINT IF EXISTS epic_tokens_doctor_email_epic_base_url_key;
+DROP INDEX IF EXISTS idx_epic_tokens_doctor_server;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_epic_tokens_doctor_server_mode ON epic_tokens(doctor_email, epic_base_url, auth_mode);
+
+-- Backend Services signing keys stay with the server-side sync job (server/backend-sync);
+-- earlier versions kept them here, readable by any client
+ALTER TABLE epic_tokens DROP COLUMN IF EXISTS client_jwks;
+ALTER TABLE epic_tokens DROP COLUMN IF EXISTS client_id;
+ALTER TABLE epic_tokens DROP COLUMN IF EXISTS scope;
+
+-- Disconnecting deletes the synced data. Earlier versions kept it with a NULL
+-- connection_id, which no longer belongs to anyone and defeats the unique index
+DELETE FROM epic_patient_data WHERE connection_id IS NULL;
+DELETE FROM epic_resource_versions WHERE connection_id IS NULL;
+ALTER TABLE epic_patient_data ALTER COLUMN connection_id SET NOT NULL;
+ALTER TABLE epic_resource_versions ALTER COLUMN connection_id SET NOT NULL;
+ALTER TABLE epic_patient_data DROP CONSTRAINT IF EXISTS epic_patient_data_connection_id_fkey;
+ALTER TABLE epic_patient_data ADD CONSTRAINT epic_patient_data_connection_id_fkey
+  FOREIGN KEY (connection_id) REFERENCES epic_tokens(id) ON DELETE CASCADE;
+ALTER TABLE epic_resource_versions DROP CONSTRAINT IF EXISTS epic_resource_versions_connection_id_fkey;
+ALTER TABLE epic_resource_versions ADD CONSTRAINT epic_resource_versions_connection_id_fkey
+  FOREIGN KEY (connection_id) REFERENCES epic_tokens(id) ON DELETE CASCADE;
 
 -- ========================================
 -- VERIFICATION QUERIES
@@ -101,7 +205,7 @@ SELECT
     ELSE '❌ RLS ENABLED'
   END as status
 FROM pg_tables 
-WHERE tablename IN ('epic_tokens', 'epic_patient_data', 'epic_audit_log')
+WHERE tablename IN ('epic_tokens', 'epic_patient_data', 'epic_audit_log', 'epic_resource_versions')
 ORDER BY tablename;
 
 -- View structure
@@ -109,5 +213,7 @@ SELECT 'epic_tokens' as table_name, COUNT(*) as row_count FROM epic_tokens
 UNION ALL
 SELECT 'epic_patient_data', COUNT(*) FROM epic_patient_data
 UNION ALL
-SELECT 'epic_audit_log', COUNT(*) FROM epic_audit_log;
+SELECT 'epic_audit_log', COUNT(*) FROM epic_audit_log
+UNION ALL
+SELECT 'epic_resource_versions', COUNT(*) FROM epic_resource_versions;
 
@@ -7,6 +7,7 @@ import PatientProfile from './pages/PatientProfile'
 import DoctorProfile from './pages/DoctorProfile'
 import PatientFilesPage from './pages/PatientFilesPage'
 import EpicCallbackPage from './pages/EpicCallbackPage'
+import EpicLaunchPage from './pages/EpicLaunchPage'
 const ammaLogo = '/images/Black Elephant Flat Illustrative Company Logo.png'
 import './App.css'
 
@@ -420,6 +421,7 @@ function App() {
       <Route path="/doctor" element={<DoctorProfile />} />
       <Route path="/patient-files" element={<PatientFilesPage />} />
       <Route path="/epic-callback" element={<EpicCallbackPage />} />
+      <Route path="/epic-launch" element={<EpicLaunchPage />} />
     </Routes>
   )
 }
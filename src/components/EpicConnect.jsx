@@ -1,59 +1,85 @@
 import { useState, useEffect } from 'react';
-import { initEpicAuth, isEpicConnected, disconnectEpic } from '../utils/epicClient';
+import { initEpicAuth, listEpicConnections, renameEpicConnection, disconnectEpic } from '../utils/epicClient';
 
 function EpicConnect({ doctorEmail }) {
-  const [connected, setConnected] = useState(false);
+  const [connections, setConnections] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [disconnecting, setDisconnecting] = useState(false);
+  const [busyConnectionId, setBusyConnectionId] = useState(null);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newConnectionName, setNewConnectionName] = useState('');
+  const [newFhirBaseUrl, setNewFhirBaseUrl] = useState('');
 
   useEffect(() => {
-    checkConnection();
+    loadConnections();
   }, [doctorEmail]);
 
-  const checkConnection = async () => {
+  const loadConnections = async () => {
     try {
-      const isConnected = await isEpicConnected(doctorEmail);
-      setConnected(isConnected);
+      const list = await listEpicConnections(doctorEmail);
+      setConnections(list);
     } catch (error) {
-      console.error('Error checking Epic connection:', error);
+      console.error('Error loading EHR connections:', error);
     }
     setLoading(false);
   };
 
-  const handleConnect = async () => {
+  const startAuth = async (options) => {
     try {
-      const authUrl = initEpicAuth(doctorEmail);
-      
-      // If authUrl is null, we're in demo mode - just reload to show connected state
-      if (authUrl === null) {
-        alert('✅ Demo mode enabled! You can now search for demo patients.');
-        // Reload to update connection status
-        setTimeout(() => window.location.reload(), 1000);
-      } else {
-        // Production mode - redirect to OAuth
-        window.location.href = authUrl;
-      }
+      const authUrl = await initEpicAuth(doctorEmail, options);
+      window.location.assign(authUrl);
     } catch (error) {
       console.error('Error initiating Epic auth:', error);
       alert('Failed to connect to Epic: ' + error.message);
     }
   };
 
-  const handleDisconnect = async () => {
-    if (!confirm('Are you sure you want to disconnect from Epic? You will need to reconnect to access patient data.')) {
+  const handleConnect = async (e) => {
+    e.preventDefault();
+    await startAuth({
+      fhirBaseUrl: newFhirBaseUrl.trim() || undefined,
+      connectionName: newConnectionName.trim() || undefined
+    });
+  };
+
+  const handleReconnect = async (connection) => {
+    await startAuth({
+      fhirBaseUrl: connection.fhirBaseUrl,
+      connectionName: connection.name
+    });
+  };
+
+  const handleRename = async (connection) => {
+    const name = prompt('Connection name', connection.name);
+    if (!name || !name.trim() || name.trim() === connection.name) {
+      return;
+    }
+
+    setBusyConnectionId(connection.id);
+    try {
+      await renameEpicConnection(doctorEmail, connection.id, name.trim());
+      await loadConnections();
+    } catch (error) {
+      console.error('Error renaming EHR connection:', error);
+      alert('Failed to rename connection: ' + error.message);
+    }
+    setBusyConnectionId(null);
+  };
+
+  const handleDisconnect = async (connection) => {
+    if (!confirm(`Are you sure you want to disconnect from ${connection.name}? Patient data synced through it will be deleted, and you will need to reconnect to access it again.`)) {
       return;
     }
 
-    setDisconnecting(true);
+    setBusyConnectionId(connection.id);
     try {
-      await disconnectEpic(doctorEmail);
-      setConnected(false);
-      alert('Successfully disconnected from Epic');
+      await disconnectEpic(doctorEmail, connection.id);
+      setConnections(prev => prev.filter(c => c.id !== connection.id));
+      alert(`Successfully disconnected from ${connection.name}`);
     } catch (error) {
       console.error('Error disconnecting from Epic:', error);
       alert('Failed to disconnect: ' + error.message);
     }
-    setDisconnecting(false);
+    setBusyConnectionId(null);
   };
 
   if (loading) {
@@ -70,97 +96,131 @@ function EpicConnect({ doctorEmail }) {
     );
   }
 
+  const connected = connections.length > 0;
+
+  const secondaryButtonStyle = {
+    padding: '0.5rem 1rem',
+    background: 'white',
+    border: '2px solid #e0e0e0',
+    borderRadius: '8px',
+    color: '#666',
+    fontSize: '0.85rem',
+    fontWeight: '600',
+    cursor: 'pointer',
+    fontFamily: 'inherit'
+  };
+
+  const inputStyle = {
+    flex: 1,
+    minWidth: '180px',
+    padding: '0.75rem 1rem',
+    border: '2px solid #e0e0e0',
+    borderRadius: '8px',
+    fontSize: '0.95rem',
+    fontFamily: 'inherit'
+  };
+
   return (
     <div style={{
       padding: '1.5rem',
-      background: connected ? 
+      background: connected ?
         'linear-gradient(135deg, rgba(16, 185, 129, 0.1) 0%, rgba(5, 150, 105, 0.1) 100%)' :
         'linear-gradient(135deg, rgba(232, 121, 249, 0.1) 0%, rgba(168, 85, 247, 0.1) 100%)',
       borderRadius: '12px',
-      border: connected ? '1px solid rgba(16, 185, 129, 0.3)' : '1px solid rgba(232, 121, 249, 0.3)',
-      display: 'flex',
-      alignItems: 'center',
-      justifyContent: 'space-between',
-      gap: '1rem'
+      border: connected ? '1px solid rgba(16, 185, 129, 0.3)' : '1px solid rgba(232, 121, 249, 0.3)'
     }}>
-      {/* Left side - Status and Info */}
-      <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', flex: 1 }}>
-        {/* Epic Logo/Icon */}
-        <div style={{
-          width: '50px',
-          height: '50px',
-          borderRadius: '50%',
-          background: connected ? '#10b981' : '#E879F9',
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'center',
-          fontSize: '1.5rem',
-          color: 'white',
-          fontWeight: '700',
-          flexShrink: 0
-        }}>
-          {connected ? '✓' : 'E'}
-        </div>
-
-        {/* Status Text */}
-        <div style={{ flex: 1 }}>
-          <h3 style={{
-            fontSize: '1.125rem',
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '1rem'
+      }}>
+        {/* Left side - Status and Info */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', flex: 1 }}>
+          {/* Epic Logo/Icon */}
+          <div style={{
+            width: '50px',
+            height: '50px',
+            borderRadius: '50%',
+            background: connected ? '#10b981' : '#E879F9',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            fontSize: '1.5rem',
+            color: 'white',
             fontWeight: '700',
-            color: '#1a1a1a',
-            marginBottom: '0.25rem'
+            flexShrink: 0
           }}>
-            Plasma FHIR Integration
-          </h3>
-          <p style={{
-            fontSize: '0.95rem',
-            color: connected ? '#059669' : '#666',
-            margin: 0
-          }}>
-            {connected ? 
-              '✓ Connected - Access patient data from Epic & other EHR systems' :
-              'Not connected - Connect to pull patient data from Epic automatically'}
-          </p>
+            {connected ? '✓' : 'E'}
+          </div>
+
+          {/* Status Text */}
+          <div style={{ flex: 1 }}>
+            <h3 style={{
+              fontSize: '1.125rem',
+              fontWeight: '700',
+              color: '#1a1a1a',
+              marginBottom: '0.25rem'
+            }}>
+              EHR Connections
+            </h3>
+            <p style={{
+              fontSize: '0.95rem',
+              color: connected ? '#059669' : '#666',
+              margin: 0
+            }}>
+              {connected ?
+                `✓ ${connections.length} connected - Access patient data from Epic & other EHR systems` :
+                'Not connected - Connect to pull patient data from Epic automatically'}
+            </p>
+          </div>
         </div>
-      </div>
 
-      {/* Right side - Action Button */}
-      <div>
-        {connected ? (
+        {/* Right side - Action Button */}
+        {!showAddForm && (
           <button
-            onClick={handleDisconnect}
-            disabled={disconnecting}
+            onClick={() => setShowAddForm(true)}
             style={{
               padding: '0.75rem 1.5rem',
-              background: 'white',
-              border: '2px solid #e0e0e0',
+              background: 'linear-gradient(135deg, #E879F9 0%, #A855F7 100%)',
+              border: 'none',
               borderRadius: '8px',
-              color: '#666',
+              color: 'white',
               fontSize: '0.95rem',
               fontWeight: '600',
-              cursor: disconnecting ? 'not-allowed' : 'pointer',
+              cursor: 'pointer',
               transition: 'all 0.3s ease',
-              fontFamily: 'inherit',
-              opacity: disconnecting ? 0.6 : 1
-            }}
-            onMouseOver={(e) => {
-              if (!disconnecting) {
-                e.target.style.borderColor = '#ef4444';
-                e.target.style.color = '#ef4444';
-              }
-            }}
-            onMouseOut={(e) => {
-              if (!disconnecting) {
-                e.target.style.borderColor = '#e0e0e0';
-                e.target.style.color = '#666';
-              }
+              boxShadow: '0 4px 12px rgba(232, 121, 249, 0.3)',
+              fontFamily: 'inherit'
             }}
           >
-            {disconnecting ? 'Disconnecting...' : 'Disconnect'}
+            {connected ? '＋ Add Connection' : '🔐 Connect to Plasma FHIR'}
           </button>
-        ) : (
+        )}
+      </div>
+
+      {/* New connection form */}
+      {showAddForm && (
+        <form
+          onSubmit={handleConnect}
+          style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', marginTop: '1.25rem' }}
+        >
+          <input
+            type="text"
+            value={newConnectionName}
+            onChange={(e) => setNewConnectionName(e.target.value)}
+            placeholder="Name (e.g., Mass General)"
+            style={inputStyle}
+          />
+          <input
+            type="url"
+            value={newFhirBaseUrl}
+            onChange={(e) => setNewFhirBaseUrl(e.target.value)}
+            placeholder="FHIR base URL (blank for Plasma FHIR)"
+            style={{ ...inputStyle, flex: 2 }}
+          />
           <button
-            onClick={handleConnect}
+            type="submit"
             style={{
               padding: '0.75rem 1.5rem',
               background: 'linear-gradient(135deg, #E879F9 0%, #A855F7 100%)',
@@ -170,26 +230,77 @@ function EpicConnect({ doctorEmail }) {
               fontSize: '0.95rem',
               fontWeight: '600',
               cursor: 'pointer',
-              transition: 'all 0.3s ease',
-              boxShadow: '0 4px 12px rgba(232, 121, 249, 0.3)',
               fontFamily: 'inherit'
             }}
-            onMouseOver={(e) => {
-              e.target.style.transform = 'translateY(-2px)';
-              e.target.style.boxShadow = '0 6px 20px rgba(232, 121, 249, 0.4)';
-            }}
-            onMouseOut={(e) => {
-              e.target.style.transform = 'translateY(0)';
-              e.target.style.boxShadow = '0 4px 12px rgba(232, 121, 249, 0.3)';
-            }}
           >
-            🔐 Connect to Plasma FHIR
+            🔐 Connect
           </button>
-        )}
-      </div>
+          <button type="button" onClick={() => setShowAddForm(false)} style={secondaryButtonStyle}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {/* Connection list */}
+      {connected && (
+        <div style={{ marginTop: '1.25rem', display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+          {connections.map(connection => {
+            const busy = busyConnectionId === connection.id;
+            const expired = new Date(connection.expiresAt) <= new Date() && !connection.canRefresh;
+
+            return (
+              <div
+                key={connection.id}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  gap: '1rem',
+                  padding: '0.75rem 1rem',
+                  background: 'white',
+                  borderRadius: '8px',
+                  border: '1px solid #e0e0e0',
+                  opacity: busy ? 0.6 : 1
+                }}
+              >
+                <div style={{ minWidth: 0 }}>
+                  <p style={{ fontWeight: '600', color: '#1a1a1a', margin: 0 }}>
+                    {connection.name}
+                    {expired && <span style={{ color: '#ef4444', fontWeight: '500' }}> · Session expired</span>}
+                  </p>
+                  <p style={{
+                    fontSize: '0.85rem',
+                    color: '#666',
+                    margin: 0,
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    whiteSpace: 'nowrap'
+                  }}>
+                    {connection.fhirBaseUrl}
+                  </p>
+                </div>
+                <div style={{ display: 'flex', gap: '0.5rem', flexShrink: 0 }}>
+                  <button onClick={() => handleReconnect(connection)} disabled={busy} style={secondaryButtonStyle}>
+                    Reconnect
+                  </button>
+                  <button onClick={() => handleRename(connection)} disabled={busy} style={secondaryButtonStyle}>
+                    Rename
+                  </button>
+                  <button
+                    onClick={() => handleDisconnect(connection)}
+                    disabled={busy}
+                    style={{ ...secondaryButtonStyle, color: '#ef4444' }}
+                  >
+                    {busy ? 'Working...' : 'Disconnect'}
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
     </div>
   );
 }
 
 export default EpicConnect;
-
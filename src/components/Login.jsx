@@ -472,7 +472,10 @@ function Login() {
                   })
                   const success = await createOrUpdateUser(decoded.email, decoded.name, 'doctor', decoded.picture)
                   if (success) {
-                    navigate('/doctor')
+                    // Resume an EHR launch that was waiting for sign-in
+                    const pendingLaunch = sessionStorage.getItem('amma_pending_epic_launch')
+                    sessionStorage.removeItem('amma_pending_epic_launch')
+                    navigate(pendingLaunch ? `/epic-launch${pendingLaunch}` : '/doctor')
                   }
                 }}
                 onError={() => {
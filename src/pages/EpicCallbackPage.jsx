@@ -1,6 +1,6 @@
 import { useEffect, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
-import { handleEpicCallback } from '../utils/epicClient';
+import { handleEpicCallback, getStoredEpicData } from '../utils/epicClient';
 
 function EpicCallbackPage() {
   const navigate = useNavigate();
@@ -49,7 +49,25 @@ function EpicCallbackPage() {
       // Handle the callback and store tokens
       const result = await handleEpicCallback(code, state);
 
-      if (result.success) {
+      if (result.success && result.launchContext) {
+        // EHR launch - open the chart's patient directly
+        setStatus('success');
+        setMessage('Opening patient chart...');
+        const stored = await getStoredEpicData(result.doctorEmail, result.connectionId, result.launchContext.patient);
+        navigate('/patient-files', {
+          replace: true,
+          state: {
+            patientEmail: stored?.patient_email || null,
+            patientName: stored?.patient_name || null,
+            epicLaunch: {
+              connectionId: result.connectionId,
+              epicPatientId: result.launchContext.patient,
+              encounterId: result.launchContext.encounter,
+              appContext: result.launchContext.appContext
+            }
+          }
+        });
+      } else if (result.success) {
         setStatus('success');
         setMessage('Successfully connected to Epic! Redirecting...');
         console.log('✅ Epic connection successful');
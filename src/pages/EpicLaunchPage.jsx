@@ -0,0 +1,103 @@
+import { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { initEpicLaunch } from '../utils/epicClient';
+import { getCurrentSession } from '../utils/sessionManager';
+
+// SMART EHR launch entry point: Epic opens /epic-launch?iss=...&launch=...
+function EpicLaunchPage() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const startLaunch = async () => {
+      const iss = searchParams.get('iss');
+      const launch = searchParams.get('launch');
+
+      if (!iss || !launch) {
+        setError('This page must be opened from Epic (missing iss or launch parameter)');
+        return;
+      }
+
+      const session = await getCurrentSession();
+      if (!session || session.userType !== 'doctor') {
+        // Come back here once the doctor has signed in
+        sessionStorage.setItem('amma_pending_epic_launch', `?${searchParams.toString()}`);
+        navigate('/login');
+        return;
+      }
+
+      try {
+        const authUrl = await initEpicLaunch(session.email, { iss, launch });
+        window.location.assign(authUrl);
+      } catch (launchError) {
+        console.error('❌ EHR launch failed:', launchError);
+        setError(launchError.message);
+      }
+    };
+
+    startLaunch();
+  }, [navigate, searchParams]);
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: '#fafafa',
+      padding: '2rem'
+    }}>
+      <div style={{
+        background: 'white',
+        borderRadius: '16px',
+        padding: '3rem 2rem',
+        maxWidth: '500px',
+        width: '100%',
+        textAlign: 'center',
+        boxShadow: '0 10px 40px rgba(0, 0, 0, 0.1)',
+        border: '1px solid #e0e0e0'
+      }}>
+        <h1 style={{
+          fontSize: '2rem',
+          fontWeight: '800',
+          marginBottom: '1rem',
+          color: '#1a1a1a',
+          fontFamily: 'Plus Jakarta Sans, sans-serif'
+        }}>
+          {error ? 'Launch Failed' : 'Opening Amma...'}
+        </h1>
+
+        <p style={{
+          fontSize: '1.125rem',
+          color: '#666',
+          lineHeight: '1.7',
+          marginBottom: error ? '2rem' : 0
+        }}>
+          {error || 'Connecting to the patient chart in Epic'}
+        </p>
+
+        {error && (
+          <button
+            onClick={() => navigate('/doctor')}
+            style={{
+              padding: '1rem 2rem',
+              background: 'linear-gradient(135deg, #E879F9 0%, #A855F7 100%)',
+              border: 'none',
+              borderRadius: '12px',
+              color: 'white',
+              fontSize: '1rem',
+              fontWeight: '600',
+              cursor: 'pointer',
+              fontFamily: 'inherit'
+            }}
+          >
+            Go to Dashboard
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default EpicLaunchPage;
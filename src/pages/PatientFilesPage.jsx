@@ -2,15 +2,70 @@ import { useState, useEffect } from 'react'
 import { useNavigate, useLocation } from 'react-router-dom'
 import { supabase } from '../utils/supabaseClient'
 import { getCurrentSession, logout } from '../utils/sessionManager'
-import { searchEpicPatients, fetchPatientData, getStoredEpicData, isEpicConnected } from '../utils/epicClient'
-import { generateClinicalSummary } from '../utils/fhirParser'
+import { searchEpicPatients, suggestEpicMatches, suggestRosterMatches, linkEpicPatient, unlinkEpicPatient, fetchPatientData, exportPatientPanel, writeBackEducation, getStoredEpicData, getPatientChanges, listEpicConnections } from '../utils/epicClient'
+import { generateClinicalSummary, groupObservationTrends } from '../utils/fhirParser'
+import { describeFlag } from '../utils/referenceRanges'
+import { displayUnit } from '../utils/units'
+import { scorePatientMatch, splitFullName } from '../utils/patientMatching'
 import { extractTextFromFile } from '../utils/fileExtractor'
 import '../components/Profile.css'
 
+const EPIC_SECTION_LABELS = {
+  conditions: 'Diagnoses',
+  medications: 'Medications',
+  allergies: 'Allergies',
+  procedures: 'Procedures',
+  immunizations: 'Immunizations',
+  encounters: 'Visits',
+  documents: 'Documents',
+  observations: 'Labs'
+}
+
+// Sections compared against the last video - the ones a video talks about
+const VIDEO_CHANGE_SECTIONS = ['conditions', 'medications', 'allergies']
+
+const CHANGE_BADGES = {
+  added: { label: 'New', color: '#166534', background: '#dcfce7' },
+  updated: { label: 'Changed', color: '#92400e', background: '#fef3c7' },
+  removed: { label: 'Removed', color: '#991b1b', background: '#fee2e2' }
+}
+
+// Name of a parsed diagnosis, medication or allergy
+function epicItemName(item) {
+  return item?.display || item?.name || item?.substance || 'Unknown'
+}
+
+// What each FHIR patient search parameter means, for saying which ones a broadened search used
+const SEARCH_PARAM_LABELS = {
+  identifier: 'MRN',
+  birthdate: 'date of birth',
+  phone: 'phone',
+  family: 'name',
+  given: 'name',
+  name: 'name'
+}
+
+const MATCH_GRADE_BADGES = {
+  certain: { label: 'Certain match', color: '#166534', background: '#dcfce7' },
+  probable: { label: 'Probable match', color: '#1e40af', background: '#dbeafe' },
+  possible: { label: 'Possible match', color: '#92400e', background: '#fef3c7' }
+}
+
+// Placeholder clip until video generation is wired up - never recorded in a chart
+const DEMO_VIDEO_PATH = '/images/20251121_0810_01kakjqdsse5jb6f3mdz9p3j0t.mp4'
+
+// Set once videos are generated per patient instead of being the demo clip
+const VIDEO_GENERATION_READY = false
+
+// Writing education back to the chart needs write scopes, so it is switched on per deployment -
+// and only offered once there are patient videos to write back
+const EHR_WRITE_BACK_ENABLED = import.meta.env.VITE_EPIC_WRITE_BACK === 'true' && VIDEO_GENERATION_READY
+
 function PatientFilesPage() {
   const navigate = useNavigate()
   const location = useLocation()
-  const { patientEmail, patientName } = location.state || {}
+  // epicLaunch ({ connectionId, epicPatientId, encounterId, appContext }) is set when Amma was opened from the Epic chart
+  const { patientEmail, patientName, epicLaunch } = location.state || {}
   
   const [doctorEmail, setDoctorEmail] = useState('')
   const [files, setFiles] = useState([])
@@ -21,15 +76,32 @@ function PatientFilesPage() {
   
   // Epic integration state
   const [epicConnected, setEpicConnected] = useState(false)
+  const [epicConnections, setEpicConnections] = useState([])
+  const [selectedConnectionId, setSelectedConnectionId] = useState(null)
   const [epicData, setEpicData] = useState(null)
   const [showEpicModal, setShowEpicModal] = useState(false)
   const [epicSearchQuery, setEpicSearchQuery] = useState('')
   const [epicSearchResults, setEpicSearchResults] = useState([])
+  const [epicSearchBroadenedTo, setEpicSearchBroadenedTo] = useState(null) // Criteria a broadened search kept
   const [loadingEpic, setLoadingEpic] = useState(false)
+  const [bulkGroupId, setBulkGroupId] = useState(import.meta.env.VITE_EPIC_BULK_GROUP_ID || '')
+  const [bulkProgress, setBulkProgress] = useState('')
+  const [writeBackToEhr, setWriteBackToEhr] = useState(false)
+  const [lastVideoAt, setLastVideoAt] = useState(null)
+  const [epicChanges, setEpicChanges] = useState(null)
+  const [epicMatches, setEpicMatches] = useState([])
+  const [useEpicMatch, setUseEpicMatch] = useState(true)
+  const [rosterMatches, setRosterMatches] = useState(null)
+  const [linking, setLinking] = useState(false)
   const [expandedSections, setExpandedSections] = useState({
     demographics: true,
     conditions: false,
     medications: false,
+    allergies: false,
+    procedures: false,
+    immunizations: false,
+    labs: false,
+    encounters: false,
     notes: false,
     documents: false
   })
@@ -38,6 +110,41 @@ function PatientFilesPage() {
     checkSessionAndLoadData()
   }, [])
 
+  // Chart changes since the last video, so the doctor can tell whether it is out of date
+  useEffect(() => {
+    const epicPatientId = epicData?.patient?.id
+    if (!epicPatientId || !lastVideoAt || !selectedConnectionId) return
+
+    const loadChanges = async () => {
+      try {
+        const changes = await getPatientChanges(doctorEmail, selectedConnectionId, epicPatientId, {
+          since: lastVideoAt,
+          sections: VIDEO_CHANGE_SECTIONS
+        })
+        setEpicChanges({ ...changes, epicPatientId })
+      } catch (error) {
+        console.error('Error loading chart changes:', error)
+      }
+    }
+
+    loadChanges()
+  }, [doctorEmail, selectedConnectionId, epicData, lastVideoAt])
+
+  // An Epic patient opened without an Amma patient - suggest who on the roster it might be
+  useEffect(() => {
+    if (patientEmail || !doctorEmail || !epicData?.patient || epicData.linkedPatientEmail) return
+
+    const loadRosterMatches = async () => {
+      try {
+        setRosterMatches(await suggestRosterMatches(doctorEmail, epicData.patient))
+      } catch (error) {
+        console.error('Error suggesting roster matches:', error)
+      }
+    }
+
+    loadRosterMatches()
+  }, [doctorEmail, patientEmail, epicData])
+
   const checkSessionAndLoadData = async () => {
     const session = await getCurrentSession()
     
@@ -47,25 +154,52 @@ function PatientFilesPage() {
       return
     }
     
-    if (!patientEmail) {
+    if (!patientEmail && !epicLaunch) {
       alert('⚠️ Missing patient information')
       navigate('/doctor')
       return
     }
     
     setDoctorEmail(session.email)
-    loadFiles(session.email, patientEmail)
-    checkEpicConnection(session.email)
+    if (patientEmail) {
+      loadFiles(session.email, patientEmail)
+    } else {
+      // Launched for an Epic patient not linked to an Amma patient - no files to show
+      setLoading(false)
+    }
+    await checkEpicConnection(session.email)
+    
+    if (epicLaunch) {
+      loadLaunchedPatient(session.email)
+    }
   }
   
   const checkEpicConnection = async (email) => {
     try {
-      const connected = await isEpicConnected(email)
-      setEpicConnected(connected)
+      const connections = await listEpicConnections(email)
+      setEpicConnections(connections)
+      setSelectedConnectionId(epicLaunch?.connectionId || connections[0]?.id || null)
+      setEpicConnected(connections.length > 0)
     } catch (error) {
       console.log('Error checking Epic connection:', error)
     }
   }
+  
+  // Load the chart's patient straight away after an EHR launch
+  const loadLaunchedPatient = async (email) => {
+    setLoadingEpic(true)
+    try {
+      const data = await fetchPatientData(email, epicLaunch.connectionId, epicLaunch.epicPatientId)
+      setEpicData(data)
+      if (epicLaunch.encounterId) {
+        setExpandedSections(prev => ({ ...prev, encounters: true }))
+      }
+    } catch (error) {
+      console.error('Failed to load launched patient:', error)
+      alert('Failed to load patient from Epic: ' + error.message)
+    }
+    setLoadingEpic(false)
+  }
 
   const loadFiles = async (docEmail, patEmail) => {
     try {
@@ -83,6 +217,7 @@ function PatientFilesPage() {
         const video = data.find(f => f.file_type === 'video')
         setFiles(filesList)
         setVideoUrl(video?.file_url || '')
+        setLastVideoAt(video?.created_at || null)
       }
     } catch (error) {
       console.log('Error loading files:', error)
@@ -94,6 +229,11 @@ function PatientFilesPage() {
     const file = e.target.files[0]
     if (!file) return
     
+    if (!patientEmail) {
+      alert('This Epic patient is not linked to an Amma patient yet')
+      return
+    }
+    
     setUploading(true)
     
     try {
@@ -102,6 +242,14 @@ function PatientFilesPage() {
       let extractedData = null
       try {
         extractedData = await extractTextFromFile(file)
+        if (extractedData?.document) {
+          const { conditions, medications, observations } = extractedData.document
+          console.log(`🩺 C-CDA document: ${conditions.length} problems, ${medications.length} medications, ${observations.length} results`)
+        }
+        if (extractedData?.messages) {
+          const { messages, observations } = extractedData.messages
+          console.log(`🧪 HL7 v2: ${messages.length} messages, ${observations.length} results`)
+        }
         if (extractedData?.text) {
           console.log('✅ Text extraction successful:', extractedData.text.substring(0, 100) + '...')
         } else {
@@ -173,7 +321,11 @@ function PatientFilesPage() {
         console.log('📄 Extracted text:', extractedData.text.substring(0, 200) + '...')
       }
       await loadFiles(doctorEmail, patientEmail)
-      alert('✅ File uploaded successfully!' + (extractedData?.text ? ' Text extracted and saved.' : ''))
+      alert('✅ File uploaded successfully!' + (
+        extractedData?.document ? ' C-CDA problems, medications, allergies and results saved as text.' :
+        extractedData?.messages ? ` ${extractedData.messages.observations.length} HL7 results saved as text.` :
+        extractedData?.text ? ' Text extracted and saved.' : ''
+      ))
       
     } catch (error) {
       console.error('❌ Upload failed:', error)
@@ -229,11 +381,16 @@ function PatientFilesPage() {
   }
 
   const handleGenerateVideo = async () => {
+    if (!patientEmail) {
+      alert('This Epic patient is not linked to an Amma patient yet')
+      return
+    }
+    
     try {
       console.log('🎬 Generating video...')
       
-      // Set the demo video URL
-      const demoVideoPath = '/images/20251121_0810_01kakjqdsse5jb6f3mdz9p3j0t.mp4'
+      // Video generation is not wired up yet - every video is the demo clip
+      const videoPath = DEMO_VIDEO_PATH
       
       // Save video reference to database
       const { data, error } = await supabase
@@ -242,24 +399,49 @@ function PatientFilesPage() {
           doctor_email: doctorEmail,
           patient_email: patientEmail,
           file_type: 'video',
-          file_url: demoVideoPath,
+          file_url: videoPath,
           file_name: 'generated_video.mp4'
         }])
         .select()
       
       if (error) {
         console.error('Error saving video:', error)
+        alert('❌ Error saving video: ' + error.message)
+        return
       }
       
-      setVideoUrl(demoVideoPath)
+      const savedVideo = data[0]
+      setVideoUrl(savedVideo.file_url)
+      setLastVideoAt(savedVideo.created_at)
       
       // Log clinical summary if Epic data is available
+      let summary = null
       if (epicData) {
-        const summary = generateClinicalSummary(epicData)
+        // Patients watch the video - plain language, clinical terms kept for the chart
+        summary = generateClinicalSummary(epicData, { plainLanguage: true })
         console.log('Clinical Summary for Video:', summary)
       }
       
-      alert('✅ Video generated successfully!')
+      // Opt-in: document the education in the Epic chart - only for a video made for this patient
+      let chartMessage = ''
+      if (writeBackToEhr && epicData && savedVideo.file_url === DEMO_VIDEO_PATH) {
+        chartMessage = '\n⚠️ Not saved to the Epic chart: this is the demo video, not one generated for the patient.'
+      } else if (writeBackToEhr && epicData) {
+        try {
+          await writeBackEducation(doctorEmail, selectedConnectionId, epicData.patient.id, {
+            title: `Patient education video for ${epicData.patient.name}`,
+            videoUrl: new URL(savedVideo.file_url, window.location.origin).toString(),
+            summary,
+            encounterId: epicLaunch?.epicPatientId === epicData.patient.id ? epicLaunch.encounterId : null
+          })
+          chartMessage = '\n📝 Saved to the Epic chart.'
+        } catch (writeError) {
+          console.error('Error writing to Epic:', writeError)
+          chartMessage = '\n⚠️ Could not save to the Epic chart: ' + writeError.message
+        }
+      }
+      
+      alert('✅ Video generated successfully!' + chartMessage)
     } catch (error) {
       console.error('Error generating video:', error)
       alert('Error generating video: ' + error.message)
@@ -272,14 +454,15 @@ function PatientFilesPage() {
   
   const handleEpicSearch = async () => {
     if (!epicSearchQuery.trim()) {
-      alert('Please enter a patient name or MRN to search')
+      alert('Please enter a name, MRN, date of birth or phone number to search')
       return
     }
     
     setLoadingEpic(true)
     try {
-      const results = await searchEpicPatients(doctorEmail, epicSearchQuery)
+      const { patients: results, searchedBy, broadened } = await searchEpicPatients(doctorEmail, selectedConnectionId, epicSearchQuery)
       setEpicSearchResults(results)
+      setEpicSearchBroadenedTo(broadened ? [...new Set(searchedBy.map(param => SEARCH_PARAM_LABELS[param] || param))].join(' and ') : null)
       
       if (results.length === 0) {
         alert('No patients found matching: ' + epicSearchQuery)
@@ -291,13 +474,70 @@ function PatientFilesPage() {
     setLoadingEpic(false)
   }
   
+  // Epic patients that may be this roster patient, from $match or a name search
+  const handleSuggestEpicMatches = async () => {
+    setLoadingEpic(true)
+    try {
+      const matches = await suggestEpicMatches(doctorEmail, selectedConnectionId, {
+        email: patientEmail,
+        ...splitFullName(patientName)
+      }, { useMatch: useEpicMatch })
+      setEpicMatches(matches)
+      
+      if (matches.length === 0) {
+        alert(`No likely matches for ${patientName || patientEmail} - try searching by name or MRN`)
+      }
+    } catch (error) {
+      console.error('Epic match error:', error)
+      alert('Failed to find matches: ' + error.message)
+    }
+    setLoadingEpic(false)
+  }
+  
+  const handleLinkEpicPatient = async (email, name) => {
+    setLinking(true)
+    try {
+      await linkEpicPatient(doctorEmail, selectedConnectionId, epicData.patient.id, email)
+      setEpicData(prev => ({ ...prev, linkedPatientEmail: email }))
+      
+      // Opened from Epic without an Amma patient - this page now belongs to the linked one
+      if (!patientEmail) {
+        navigate(location.pathname, {
+          replace: true,
+          state: { ...location.state, patientEmail: email, patientName: name }
+        })
+        setRosterMatches(null)
+        loadFiles(doctorEmail, email)
+      }
+      alert(`✅ ${epicData.patient.name}'s Epic record is now linked to ${name || email}'s Amma account`)
+    } catch (error) {
+      console.error('Failed to link patient:', error)
+      alert('Failed to link patient: ' + error.message)
+    }
+    setLinking(false)
+  }
+  
+  const handleUnlinkEpicPatient = async () => {
+    if (!confirm(`Unlink ${epicData.patient.name}'s Epic record? The patient will no longer see it in Amma.`)) return
+    
+    setLinking(true)
+    try {
+      await unlinkEpicPatient(doctorEmail, selectedConnectionId, epicData.patient.id)
+      setEpicData(prev => ({ ...prev, linkedPatientEmail: null }))
+    } catch (error) {
+      console.error('Failed to unlink patient:', error)
+      alert('Failed to unlink patient: ' + error.message)
+    }
+    setLinking(false)
+  }
+  
   const handleSelectEpicPatient = async (epicPatient) => {
     setLoadingEpic(true)
     setShowEpicModal(false)
     
     try {
       console.log('Fetching patient data from Epic:', epicPatient.id)
-      const data = await fetchPatientData(doctorEmail, epicPatient.id)
+      const data = await fetchPatientData(doctorEmail, selectedConnectionId, epicPatient.id)
       setEpicData(data)
       alert(`Successfully pulled data for ${epicPatient.name} from Epic!`)
     } catch (error) {
@@ -307,6 +547,43 @@ function PatientFilesPage() {
     setLoadingEpic(false)
   }
   
+  // Imports every patient in the doctor's panel (Group) in one Bulk Data export
+  const handleBulkImport = async () => {
+    if (!bulkGroupId.trim()) {
+      alert('Please enter the Group ID of your patient panel')
+      return
+    }
+    
+    setLoadingEpic(true)
+    setBulkProgress('Starting export...')
+    try {
+      const result = await exportPatientPanel(doctorEmail, selectedConnectionId, bulkGroupId.trim(), {
+        onProgress: setBulkProgress
+      })
+      const failedText = result.failed.length > 0 ? ` (${result.failed.length} could not be saved)` : ''
+      alert(`Imported ${result.patients} patients from Epic${failedText}`)
+    } catch (error) {
+      console.error('Bulk import error:', error)
+      alert('Failed to import patient panel: ' + error.message)
+    }
+    setBulkProgress('')
+    setLoadingEpic(false)
+  }
+  
+  // Only changes since the last sync are downloaded
+  const handleRefreshEpicData = async () => {
+    setLoadingEpic(true)
+    
+    try {
+      const data = await fetchPatientData(doctorEmail, selectedConnectionId, epicData.patient.id)
+      setEpicData(data)
+    } catch (error) {
+      console.error('Failed to refresh Epic data:', error)
+      alert('Failed to refresh patient data: ' + error.message)
+    }
+    setLoadingEpic(false)
+  }
+  
   const toggleSection = (section) => {
     setExpandedSections(prev => ({
       ...prev,
@@ -319,6 +596,24 @@ function PatientFilesPage() {
     navigate('/login')
   }
 
+  // Why this Epic record looks like (or unlike) the roster patient the page was opened for
+  // One row per analyte, results in a common unit so labs that report differently line up
+  const labTrends = groupObservationTrends(epicData?.observations)
+
+  const rosterMatch = patientEmail && epicData?.patient ?
+    scorePatientMatch({ email: patientEmail, ...splitFullName(patientName) }, epicData.patient) :
+    null
+
+  // appContext of a CDS Hooks card link ({ suggestion, resource, display } from server/cds-hooks)
+  const appContext = epicLaunch?.appContext
+  const cdsSuggestion = appContext?.display ?
+    `explainer video for new ${appContext.suggestion === 'medication' ? 'medication' : 'diagnosis'} ${appContext.display}` :
+    appContext?.text || null
+
+  const launchEncounter = epicLaunch?.encounterId ?
+    epicData?.encounters?.find(encounter => encounter.id === epicLaunch.encounterId) :
+    null
+
   if (loading) return <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: 'linear-gradient(135deg, #fdf4ff 0%, #fae8ff 50%, #f5f3ff 100%)' }}><div style={{ color: '#A855F7', fontSize: '1.1rem', fontWeight: '600' }}>Loading...</div></div>
 
   return (
@@ -332,9 +627,11 @@ function PatientFilesPage() {
             marginBottom: '0.5rem',
             color: '#1f2937'
           }}>
-            Manage Files for {patientName} 📁
+            Manage Files for {patientName || epicData?.patient?.name || 'Epic Patient'} 📁
           </h1>
-          <p style={{ fontSize: '1.125rem', color: '#64748b' }}>Patient: {patientEmail}</p>
+          <p style={{ fontSize: '1.125rem', color: '#64748b' }}>
+            {patientEmail ? `Patient: ${patientEmail}` : 'Opened from Epic - not linked to an Amma patient'}
+          </p>
           <div style={{ marginTop: '1rem', display: 'flex', gap: '1rem', justifyContent: 'center' }}>
             <button 
               onClick={() => navigate('/doctor')}
@@ -458,6 +755,25 @@ function PatientFilesPage() {
               Generate Video 🎬
             </button>
           </div>
+
+          {EHR_WRITE_BACK_ENABLED && epicData && (
+            <label style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+              marginTop: '1rem',
+              fontSize: '0.9rem',
+              color: '#64748b',
+              cursor: 'pointer'
+            }}>
+              <input
+                type="checkbox"
+                checked={writeBackToEhr}
+                onChange={(e) => setWriteBackToEhr(e.target.checked)}
+              />
+              📝 Also save the video and summary to {epicData.patient?.name || 'the patient'}'s Epic chart
+            </label>
+          )}
         </div>
 
         {/* Video Preview - Only show when video exists */}
@@ -513,11 +829,202 @@ function PatientFilesPage() {
                 <h3 style={{ fontSize: '1.25rem', fontWeight: '700', color: '#1f2937', margin: 0 }}>
                   Plasma FHIR Data (Epic)
                 </h3>
-                <p style={{ fontSize: '0.85rem', color: '#9ca3af', margin: 0 }}>
-                  Last synced: {new Date().toLocaleString()}
-                </p>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                  <p style={{ fontSize: '0.85rem', color: '#9ca3af', margin: 0 }}>
+                    Last synced: {epicData.lastSynced ? new Date(epicData.lastSynced).toLocaleString() : 'Unknown'}
+                  </p>
+                  <button
+                    onClick={handleRefreshEpicData}
+                    disabled={loadingEpic}
+                    style={{
+                      padding: '0.4rem 0.75rem',
+                      background: 'white',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '6px',
+                      color: '#7c3aed',
+                      fontSize: '0.85rem',
+                      fontWeight: '600',
+                      cursor: loadingEpic ? 'not-allowed' : 'pointer',
+                      fontFamily: 'inherit'
+                    }}
+                  >
+                    {loadingEpic ? 'Syncing...' : '🔄 Refresh'}
+                  </button>
+                </div>
               </div>
 
+              {/* Encounter the chart was opened from */}
+              {epicLaunch?.encounterId && epicLaunch.epicPatientId === epicData.patient?.id && (
+                <div style={{ padding: '0.75rem 1rem', background: '#eff6ff', border: '1px solid #bfdbfe', borderRadius: '8px', marginBottom: '1rem', color: '#1e40af', fontSize: '0.9rem' }}>
+                  📅 Opened from Epic during {launchEncounter
+                    ? `${launchEncounter.type} (${launchEncounter.startDate ? new Date(launchEncounter.startDate).toLocaleDateString() : 'date unknown'})`
+                    : `encounter ${epicLaunch.encounterId}`}
+                </div>
+              )}
+
+              {/* Suggestion from the CDS Hooks card the doctor followed into Amma */}
+              {cdsSuggestion && epicLaunch.epicPatientId === epicData.patient?.id && (
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', padding: '0.75rem 1rem', background: '#faf5ff', border: '1px solid #e9d5ff', borderRadius: '8px', marginBottom: '1rem', color: '#6b21a8', fontSize: '0.9rem' }}>
+                  <span>💡 Suggested in Epic: {cdsSuggestion}</span>
+                  <button
+                    onClick={handleGenerateVideo}
+                    style={{ padding: '0.4rem 0.75rem', background: '#7c3aed', border: 'none', borderRadius: '6px', color: 'white', fontSize: '0.85rem', fontWeight: '600', cursor: 'pointer', fontFamily: 'inherit', whiteSpace: 'nowrap' }}
+                  >
+                    Generate Video 🎬
+                  </button>
+                </div>
+              )}
+
+              {/* Link between this Epic record and the Amma patient account */}
+              {patientEmail ? (
+                epicData.linkedPatientEmail === patientEmail ? (
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', padding: '0.75rem 1rem', background: '#f0fdf4', border: '1px solid #bbf7d0', borderRadius: '8px', marginBottom: '1rem', color: '#166534', fontSize: '0.9rem' }}>
+                    <span>🔗 Linked to {patientName || patientEmail}'s Amma account - they see this record in their profile</span>
+                    <button
+                      onClick={handleUnlinkEpicPatient}
+                      disabled={linking}
+                      style={{ padding: '0.3rem 0.6rem', background: 'white', border: '1px solid #bbf7d0', borderRadius: '6px', color: '#166534', fontSize: '0.8rem', fontWeight: '600', cursor: linking ? 'not-allowed' : 'pointer', fontFamily: 'inherit', whiteSpace: 'nowrap' }}
+                    >
+                      Unlink
+                    </button>
+                  </div>
+                ) : (
+                  <div style={{ padding: '1rem', background: '#fffbeb', border: '1px solid #fde68a', borderRadius: '8px', marginBottom: '1rem', fontSize: '0.9rem', color: '#92400e' }}>
+                    <p style={{ fontWeight: '600', marginBottom: '0.25rem' }}>
+                      Not linked to {patientName || patientEmail}'s Amma account
+                      {epicData.linkedPatientEmail && ` (currently linked to ${epicData.linkedPatientEmail})`}
+                    </p>
+                    <p style={{ marginBottom: '0.75rem' }}>
+                      {rosterMatch.reasons.length > 0
+                        ? `${MATCH_GRADE_BADGES[rosterMatch.grade]?.label || 'Unlikely match'}: ${rosterMatch.reasons.join(', ')}`
+                        : 'Name and email do not match - check this is the right patient before linking'}
+                    </p>
+                    <button
+                      onClick={() => handleLinkEpicPatient(patientEmail, patientName)}
+                      disabled={linking}
+                      style={{ padding: '0.4rem 0.75rem', background: '#f59e0b', border: 'none', borderRadius: '6px', color: 'white', fontSize: '0.85rem', fontWeight: '600', cursor: linking ? 'not-allowed' : 'pointer', fontFamily: 'inherit' }}
+                    >
+                      {linking ? 'Linking...' : `🔗 Link to ${patientName || patientEmail}`}
+                    </button>
+                  </div>
+                )
+              ) : rosterMatches && (
+                <div style={{ padding: '1rem', background: '#fffbeb', border: '1px solid #fde68a', borderRadius: '8px', marginBottom: '1rem', fontSize: '0.9rem', color: '#92400e' }}>
+                  <p style={{ fontWeight: '600', marginBottom: '0.5rem' }}>
+                    {rosterMatches.length > 0 ? 'Link this record to one of your Amma patients' : 'None of your Amma patients look like this patient'}
+                  </p>
+                  {rosterMatches.map(candidate => (
+                    <div key={candidate.email} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', marginBottom: '0.5rem' }}>
+                      <span style={{ color: '#374151' }}>
+                        <strong>{candidate.name}</strong> ({candidate.email})
+                        <span style={{ color: '#64748b' }}> - {MATCH_GRADE_BADGES[candidate.match.grade].label}: {candidate.match.reasons.join(', ')}</span>
+                      </span>
+                      <button
+                        onClick={() => handleLinkEpicPatient(candidate.email, candidate.name)}
+                        disabled={linking}
+                        style={{ padding: '0.3rem 0.6rem', background: '#f59e0b', border: 'none', borderRadius: '6px', color: 'white', fontSize: '0.8rem', fontWeight: '600', cursor: linking ? 'not-allowed' : 'pointer', fontFamily: 'inherit', whiteSpace: 'nowrap' }}
+                      >
+                        🔗 Link
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* What changed in the chart since the last video */}
+              {epicChanges && epicChanges.since === lastVideoAt && epicChanges.epicPatientId === epicData.patient?.id && (
+                <div style={{
+                  padding: '1rem',
+                  marginBottom: '1rem',
+                  background: '#faf5ff',
+                  border: '1px solid #e9d5ff',
+                  borderRadius: '8px',
+                  fontSize: '0.9rem'
+                }}>
+                  <p style={{ fontWeight: '600', color: '#6d28d9', marginBottom: '0.5rem' }}>
+                    🔔 Changes since the last video ({new Date(lastVideoAt).toLocaleDateString()})
+                  </p>
+                  {epicChanges.baselineAt && (
+                    <p style={{ color: '#64748b', marginBottom: '0.5rem' }}>
+                      No chart history before the first sync on {new Date(epicChanges.baselineAt).toLocaleDateString()} - changes between the video and then are not shown.
+                    </p>
+                  )}
+                  {VIDEO_CHANGE_SECTIONS.every(section => epicChanges.sections[section]?.length === 0) ? (
+                    <p style={{ color: '#64748b' }}>
+                      {epicChanges.baselineAt
+                        ? 'No diagnosis, medication or allergy changes since the first sync.'
+                        : 'No diagnosis, medication or allergy changes - the video is up to date.'}
+                    </p>
+                  ) : VIDEO_CHANGE_SECTIONS
+                    .filter(section => epicChanges.sections[section]?.length > 0)
+                    .map(section => (
+                      <div key={section} style={{ marginBottom: '0.5rem' }}>
+                        <p style={{ fontWeight: '600', color: '#1f2937', marginBottom: '0.25rem' }}>{EPIC_SECTION_LABELS[section]}</p>
+                        {epicChanges.sections[section].map(entry => (
+                          <div key={entry.id} style={{ display: 'flex', alignItems: 'baseline', gap: '0.5rem', marginBottom: '0.25rem', color: '#374151' }}>
+                            <span style={{
+                              padding: '0.1rem 0.4rem',
+                              borderRadius: '4px',
+                              fontSize: '0.75rem',
+                              fontWeight: '600',
+                              color: CHANGE_BADGES[entry.change].color,
+                              background: CHANGE_BADGES[entry.change].background
+                            }}>
+                              {CHANGE_BADGES[entry.change].label}
+                            </span>
+                            <span>
+                              {epicItemName(entry.after || entry.before)}
+                              {entry.fields.length > 0 && (
+                                <span style={{ color: '#64748b' }}>
+                                  {' - '}{entry.fields.map(f => `${f.field}: ${f.before ?? 'none'} → ${f.after ?? 'none'}`).join(', ')}
+                                </span>
+                              )}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                </div>
+              )}
+
+              {/* Sections the EHR could not deliver (unavailable is not the same as empty) */}
+              {epicData.resourceStatus && Object.entries(epicData.resourceStatus)
+                .filter(([, status]) => status.status === 'error')
+                .map(([section, status]) => (
+                  <div key={section} style={{
+                    padding: '0.75rem 1rem',
+                    marginBottom: '0.75rem',
+                    background: '#fef2f2',
+                    border: '1px solid #fca5a5',
+                    borderRadius: '8px',
+                    color: '#991b1b',
+                    fontSize: '0.9rem'
+                  }}>
+                    ❌ {EPIC_SECTION_LABELS[section] || section} unavailable - {status.error}
+                    {status.stale && ' (showing data from the last sync)'}
+                  </div>
+                ))}
+
+              {/* Paging cap reached or a later page failed - some records were not downloaded */}
+              {epicData.resourceStatus && Object.values(epicData.resourceStatus).some(status => status.truncated) && (
+                <div style={{
+                  padding: '0.75rem 1rem',
+                  marginBottom: '1rem',
+                  background: '#fffbeb',
+                  border: '1px solid #fcd34d',
+                  borderRadius: '8px',
+                  color: '#92400e',
+                  fontSize: '0.9rem'
+                }}>
+                  ⚠️ Some records were not loaded for: {
+                    Object.keys(epicData.resourceStatus)
+                      .filter(section => epicData.resourceStatus[section].truncated)
+                      .map(section => EPIC_SECTION_LABELS[section] || section)
+                      .join(', ')
+                  }
+                </div>
+              )}
+
               {/* Patient Demographics */}
               {epicData.patient && (
                 <div style={{ marginBottom: '1rem' }}>
@@ -616,6 +1123,11 @@ function PatientFilesPage() {
                       {epicData.medications.map((med, idx) => (
                         <div key={idx} style={{ marginBottom: '0.75rem', paddingBottom: '0.75rem', borderBottom: idx < epicData.medications.length - 1 ? '1px solid #e5e7eb' : 'none' }}>
                           <p style={{ fontWeight: '600', marginBottom: '0.25rem', color: '#1f2937' }}>{med.name}</p>
+                          {(med.strength || med.form) && (
+                            <p style={{ fontSize: '0.85rem', color: '#7c3aed', marginBottom: '0.25rem' }}>
+                              {[med.strength, med.form].filter(Boolean).join(' • ')}
+                            </p>
+                          )}
                           <p style={{ fontSize: '0.9rem', color: '#64748b' }}>
                             {med.dosage && `Dosage: ${med.dosage}`}
                             {med.frequency && ` • ${med.frequency}`}
@@ -627,6 +1139,209 @@ function PatientFilesPage() {
                 </div>
               )}
 
+              {/* Allergies */}
+              {epicData.allergies && epicData.allergies.length > 0 && (
+                <div style={{ marginBottom: '1rem' }}>
+                  <button
+                    onClick={() => toggleSection('allergies')}
+                    style={{
+                      width: '100%',
+                      padding: '1rem',
+                      background: expandedSections.allergies ? '#faf5ff' : 'white',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '8px',
+                      textAlign: 'left',
+                      cursor: 'pointer',
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      fontFamily: 'inherit'
+                    }}
+                  >
+                    <span style={{ fontWeight: '600', color: '#1f2937' }}>⚠️ Allergies ({epicData.allergies.length})</span>
+                    <span style={{ color: '#7c3aed' }}>{expandedSections.allergies ? '−' : '+'}</span>
+                  </button>
+                  {expandedSections.allergies && (
+                    <div style={{ padding: '1rem', background: '#faf5ff', borderRadius: '0 0 8px 8px', marginTop: '-1px' }}>
+                      {epicData.allergies.map((allergy, idx) => (
+                        <div key={idx} style={{ marginBottom: '0.75rem', paddingBottom: '0.75rem', borderBottom: idx < epicData.allergies.length - 1 ? '1px solid #e5e7eb' : 'none' }}>
+                          <p style={{ fontWeight: '600', marginBottom: '0.25rem', color: '#1f2937' }}>{allergy.substance}</p>
+                          <p style={{ fontSize: '0.9rem', color: '#64748b' }}>
+                            {allergy.reactions.map(r => r.manifestation).filter(Boolean).join(', ') || 'Reaction not recorded'}
+                            {allergy.criticality && ` • Criticality: ${allergy.criticality}`}
+                            {allergy.clinicalStatus && ` • ${allergy.clinicalStatus}`}
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Procedures */}
+              {epicData.procedures && epicData.procedures.length > 0 && (
+                <div style={{ marginBottom: '1rem' }}>
+                  <button
+                    onClick={() => toggleSection('procedures')}
+                    style={{
+                      width: '100%',
+                      padding: '1rem',
+                      background: expandedSections.procedures ? '#faf5ff' : 'white',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '8px',
+                      textAlign: 'left',
+                      cursor: 'pointer',
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      fontFamily: 'inherit'
+                    }}
+                  >
+                    <span style={{ fontWeight: '600', color: '#1f2937' }}>🏥 Procedures ({epicData.procedures.length})</span>
+                    <span style={{ color: '#7c3aed' }}>{expandedSections.procedures ? '−' : '+'}</span>
+                  </button>
+                  {expandedSections.procedures && (
+                    <div style={{ padding: '1rem', background: '#faf5ff', borderRadius: '0 0 8px 8px', marginTop: '-1px' }}>
+                      {epicData.procedures.map((procedure, idx) => (
+                        <div key={idx} style={{ marginBottom: '0.75rem', paddingBottom: '0.75rem', borderBottom: idx < epicData.procedures.length - 1 ? '1px solid #e5e7eb' : 'none' }}>
+                          <p style={{ fontWeight: '600', marginBottom: '0.25rem', color: '#1f2937' }}>{procedure.display}</p>
+                          <p style={{ fontSize: '0.9rem', color: '#64748b' }}>
+                            Status: {procedure.status}
+                            {procedure.performedDate && ` • ${new Date(procedure.performedDate).toLocaleDateString()}`}
+                            {procedure.performer && ` • ${procedure.performer}`}
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Immunizations */}
+              {epicData.immunizations && epicData.immunizations.length > 0 && (
+                <div style={{ marginBottom: '1rem' }}>
+                  <button
+                    onClick={() => toggleSection('immunizations')}
+                    style={{
+                      width: '100%',
+                      padding: '1rem',
+                      background: expandedSections.immunizations ? '#faf5ff' : 'white',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '8px',
+                      textAlign: 'left',
+                      cursor: 'pointer',
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      fontFamily: 'inherit'
+                    }}
+                  >
+                    <span style={{ fontWeight: '600', color: '#1f2937' }}>💉 Immunizations ({epicData.immunizations.length})</span>
+                    <span style={{ color: '#7c3aed' }}>{expandedSections.immunizations ? '−' : '+'}</span>
+                  </button>
+                  {expandedSections.immunizations && (
+                    <div style={{ padding: '1rem', background: '#faf5ff', borderRadius: '0 0 8px 8px', marginTop: '-1px' }}>
+                      {epicData.immunizations.map((immunization, idx) => (
+                        <div key={idx} style={{ marginBottom: '0.75rem', paddingBottom: '0.75rem', borderBottom: idx < epicData.immunizations.length - 1 ? '1px solid #e5e7eb' : 'none' }}>
+                          <p style={{ fontWeight: '600', marginBottom: '0.25rem', color: '#1f2937' }}>{immunization.vaccine}</p>
+                          <p style={{ fontSize: '0.9rem', color: '#64748b' }}>
+                            Status: {immunization.status}
+                            {immunization.date && ` • ${new Date(immunization.date).toLocaleDateString()}`}
+                            {immunization.doseNumber && ` • Dose ${immunization.doseNumber}`}
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Labs */}
+              {labTrends.length > 0 && (
+                <div style={{ marginBottom: '1rem' }}>
+                  <button
+                    onClick={() => toggleSection('labs')}
+                    style={{
+                      width: '100%',
+                      padding: '1rem',
+                      background: expandedSections.labs ? '#faf5ff' : 'white',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '8px',
+                      textAlign: 'left',
+                      cursor: 'pointer',
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      fontFamily: 'inherit'
+                    }}
+                  >
+                    <span style={{ fontWeight: '600', color: '#1f2937' }}>🧪 Labs ({labTrends.length})</span>
+                    <span style={{ color: '#7c3aed' }}>{expandedSections.labs ? '−' : '+'}</span>
+                  </button>
+                  {expandedSections.labs && (
+                    <div style={{ padding: '1rem', background: '#faf5ff', borderRadius: '0 0 8px 8px', marginTop: '-1px' }}>
+                      {labTrends.map((trend, idx) => {
+                        const latest = trend.points[trend.points.length - 1]
+                        const flagged = latest.flag && latest.flag !== 'normal'
+                        return (
+                          <div key={`${trend.analyte}|${trend.unit}`} style={{ marginBottom: '0.75rem', paddingBottom: '0.75rem', borderBottom: idx < labTrends.length - 1 ? '1px solid #e5e7eb' : 'none' }}>
+                            <p style={{ fontWeight: '600', marginBottom: '0.25rem', color: '#1f2937' }}>
+                              {trend.display}: {latest.comparator || ''}{latest.value} {displayUnit(trend.unit)}
+                              {flagged && <span style={{ marginLeft: '0.5rem', color: '#991b1b' }}>{describeFlag(latest.flag)}</span>}
+                            </p>
+                            <p style={{ fontSize: '0.9rem', color: '#64748b' }}>
+                              {new Date(latest.date).toLocaleDateString()}
+                              {trend.points.length > 1 && ` • Earlier: ${trend.points.slice(0, -1).slice(-4).reverse()
+                                .map(point => `${point.comparator || ''}${point.value} (${new Date(point.date).toLocaleDateString()})`)
+                                .join(', ')}`}
+                            </p>
+                          </div>
+                        )
+                      })}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Visits */}
+              {epicData.encounters && epicData.encounters.length > 0 && (
+                <div style={{ marginBottom: '1rem' }}>
+                  <button
+                    onClick={() => toggleSection('encounters')}
+                    style={{
+                      width: '100%',
+                      padding: '1rem',
+                      background: expandedSections.encounters ? '#faf5ff' : 'white',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '8px',
+                      textAlign: 'left',
+                      cursor: 'pointer',
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      fontFamily: 'inherit'
+                    }}
+                  >
+                    <span style={{ fontWeight: '600', color: '#1f2937' }}>📅 Visits ({epicData.encounters.length})</span>
+                    <span style={{ color: '#7c3aed' }}>{expandedSections.encounters ? '−' : '+'}</span>
+                  </button>
+                  {expandedSections.encounters && (
+                    <div style={{ padding: '1rem', background: '#faf5ff', borderRadius: '0 0 8px 8px', marginTop: '-1px' }}>
+                      {epicData.encounters.map((encounter, idx) => (
+                        <div key={idx} style={{ marginBottom: '0.75rem', paddingBottom: '0.75rem', borderBottom: idx < epicData.encounters.length - 1 ? '1px solid #e5e7eb' : 'none' }}>
+                          <p style={{ fontWeight: '600', marginBottom: '0.25rem', color: '#1f2937' }}>{encounter.type}</p>
+                          <p style={{ fontSize: '0.9rem', color: '#64748b' }}>
+                            {encounter.startDate ? new Date(encounter.startDate).toLocaleDateString() : 'Date unknown'}
+                            {encounter.reason && ` • ${encounter.reason}`}
+                            {encounter.provider && ` • ${encounter.provider}`}
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Clinical Notes */}
               {epicData.clinical_notes && (
                 <div style={{ marginBottom: '1rem' }}>
@@ -872,15 +1587,42 @@ function PatientFilesPage() {
               🔍 Search Patients (Plasma FHIR)
             </h3>
             <p style={{ fontSize: '0.95rem', color: '#666', marginBottom: '1.5rem' }}>
-              Enter patient name or MRN to search via Plasma FHIR (synced with Epic)
+              Search by name, MRN, date of birth or phone - e.g. "Sharma, Priya 12/19/1988" - via Plasma FHIR (synced with Epic)
             </p>
 
+            {epicConnections.length > 1 && (
+              <select
+                value={selectedConnectionId || ''}
+                onChange={(e) => {
+                  setSelectedConnectionId(Number(e.target.value))
+                  setEpicSearchResults([])
+                  setEpicMatches([])
+                }}
+                style={{
+                  width: '100%',
+                  padding: '0.875rem',
+                  fontSize: '1rem',
+                  borderRadius: '8px',
+                  border: '2px solid #e0e0e0',
+                  fontFamily: 'inherit',
+                  marginBottom: '0.75rem',
+                  background: 'white'
+                }}
+              >
+                {epicConnections.map(connection => (
+                  <option key={connection.id} value={connection.id}>
+                    {connection.name}
+                  </option>
+                ))}
+              </select>
+            )}
+
             <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1.5rem' }}>
               <input
                 type="text"
                 value={epicSearchQuery}
                 onChange={(e) => setEpicSearchQuery(e.target.value)}
-                placeholder="Patient name or MRN"
+                placeholder="Name, MRN, DOB or phone"
                 onKeyPress={(e) => e.key === 'Enter' && handleEpicSearch()}
                 style={{
                   flex: 1,
@@ -910,12 +1652,82 @@ function PatientFilesPage() {
               </button>
             </div>
 
+            {/* Suggested matches for the roster patient */}
+            {patientEmail && (
+              <div style={{ marginBottom: '1.5rem', padding: '1rem', background: '#f5f3ff', borderRadius: '8px', border: '1px solid #e9d5ff' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem', color: '#374151', cursor: 'pointer' }}>
+                    <input
+                      type="checkbox"
+                      checked={useEpicMatch}
+                      onChange={(e) => setUseEpicMatch(e.target.checked)}
+                    />
+                    Use Epic patient matching ($match)
+                  </label>
+                  <button
+                    onClick={handleSuggestEpicMatches}
+                    disabled={loadingEpic}
+                    style={{
+                      padding: '0.5rem 1rem',
+                      background: 'linear-gradient(135deg, #E879F9 0%, #A855F7 100%)',
+                      border: 'none',
+                      borderRadius: '8px',
+                      color: 'white',
+                      fontWeight: '600',
+                      cursor: loadingEpic ? 'not-allowed' : 'pointer',
+                      fontSize: '0.9rem',
+                      opacity: loadingEpic ? 0.6 : 1,
+                      whiteSpace: 'nowrap'
+                    }}
+                  >
+                    ✨ Suggest matches for {patientName || patientEmail}
+                  </button>
+                </div>
+
+                {epicMatches.length > 0 && (
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginTop: '1rem' }}>
+                    {epicMatches.map(({ patient, match }) => (
+                      <div
+                        key={patient.id}
+                        onClick={() => handleSelectEpicPatient(patient)}
+                        style={{ padding: '0.75rem 1rem', background: 'white', borderRadius: '8px', border: '1px solid #e0e0e0', cursor: 'pointer' }}
+                      >
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+                          <p style={{ fontWeight: '600', color: '#1a1a1a' }}>{patient.name}</p>
+                          <span style={{
+                            padding: '0.1rem 0.5rem',
+                            borderRadius: '4px',
+                            fontSize: '0.75rem',
+                            fontWeight: '600',
+                            color: MATCH_GRADE_BADGES[match.grade]?.color || '#374151',
+                            background: MATCH_GRADE_BADGES[match.grade]?.background || '#f3f4f6'
+                          }}>
+                            {MATCH_GRADE_BADGES[match.grade]?.label || match.grade}
+                          </span>
+                        </div>
+                        <p style={{ fontSize: '0.85rem', color: '#666' }}>
+                          {patient.birthDate && `DOB: ${patient.birthDate}`}
+                          {patient.mrn && ` • MRN: ${patient.mrn}`}
+                          {match.reasons.length > 0 && ` • ${match.reasons.join(', ')}`}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Search Results */}
             {epicSearchResults.length > 0 && (
               <div style={{ marginBottom: '1rem' }}>
                 <h4 style={{ fontSize: '1.1rem', fontWeight: '600', marginBottom: '1rem', color: '#1a1a1a' }}>
                   Results ({epicSearchResults.length})
                 </h4>
+                {epicSearchBroadenedTo && (
+                  <div style={{ padding: '0.75rem 1rem', marginBottom: '0.75rem', background: '#fffbeb', border: '1px solid #fcd34d', borderRadius: '8px', color: '#92400e', fontSize: '0.9rem' }}>
+                    ⚠️ Nobody matched the whole search - these patients were found by {epicSearchBroadenedTo} alone. Check the other details before choosing.
+                  </div>
+                )}
                 <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', maxHeight: '300px', overflowY: 'auto' }}>
                   {epicSearchResults.map((patient, idx) => (
                     <div
@@ -944,12 +1756,66 @@ function PatientFilesPage() {
                         {patient.mrn && ` • MRN: ${patient.mrn}`}
                         {patient.gender && ` • ${patient.gender}`}
                       </p>
+                      {patient.matchedOn?.length > 0 && (
+                        <p style={{ fontSize: '0.8rem', color: '#7c3aed', marginTop: '0.25rem' }}>
+                          Matched on {patient.matchedOn.join(', ')}
+                        </p>
+                      )}
                     </div>
                   ))}
                 </div>
               </div>
             )}
 
+            {/* Bulk Import */}
+            <div style={{ borderTop: '1px solid #e5e7eb', paddingTop: '1.5rem', marginTop: '1.5rem' }}>
+              <h4 style={{ fontSize: '1.1rem', fontWeight: '600', marginBottom: '0.5rem', color: '#1a1a1a' }}>
+                📦 Import Whole Panel
+              </h4>
+              <p style={{ fontSize: '0.9rem', color: '#666', marginBottom: '1rem' }}>
+                Pull every patient in an Epic Group at once (Bulk FHIR export). Large panels can take several minutes.
+              </p>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <input
+                  type="text"
+                  value={bulkGroupId}
+                  onChange={(e) => setBulkGroupId(e.target.value)}
+                  placeholder="Group ID"
+                  disabled={loadingEpic}
+                  style={{
+                    flex: 1,
+                    padding: '0.875rem',
+                    fontSize: '1rem',
+                    borderRadius: '8px',
+                    border: '2px solid #e0e0e0',
+                    fontFamily: 'inherit'
+                  }}
+                />
+                <button
+                  onClick={handleBulkImport}
+                  disabled={loadingEpic}
+                  style={{
+                    padding: '0.875rem 1.5rem',
+                    background: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
+                    border: 'none',
+                    borderRadius: '8px',
+                    color: 'white',
+                    fontWeight: '600',
+                    cursor: loadingEpic ? 'not-allowed' : 'pointer',
+                    fontSize: '1rem',
+                    opacity: loadingEpic ? 0.6 : 1
+                  }}
+                >
+                  {bulkProgress ? '...' : 'Import'}
+                </button>
+              </div>
+              {bulkProgress && (
+                <p style={{ fontSize: '0.9rem', color: '#059669', marginTop: '0.75rem' }}>
+                  {bulkProgress}
+                </p>
+              )}
+            </div>
+
             <div style={{ display: 'flex', gap: '1rem', marginTop: '1.5rem' }}>
               <button
                 onClick={() => setShowEpicModal(false)}
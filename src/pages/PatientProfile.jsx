@@ -2,11 +2,29 @@ import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { supabase } from '../utils/supabaseClient'
 import { getCurrentSession, logout } from '../utils/sessionManager'
+import { getLinkedEpicData } from '../utils/epicClient'
 import { formatPatientKey, copyToClipboard } from '../utils/keyGenerator'
 import { FiVideo, FiMessageCircle, FiCalendar, FiLogOut, FiCopy, FiCheck, FiSend, FiUser, FiHelpCircle, FiActivity } from 'react-icons/fi'
 import { MdMedicalServices } from 'react-icons/md'
 import '../components/Profile.css'
 
+// Diagnoses still being treated (resolved ones stay in the record but not in answers)
+function currentDiagnoses(medicalData) {
+  return (medicalData?.diagnoses || []).filter(diagnosis =>
+    !['resolved', 'inactive', 'remission'].includes(diagnosis.clinicalStatus)
+  )
+}
+
+function currentMedications(medicalData) {
+  return (medicalData?.medications || []).filter(medication =>
+    ['active', 'on-hold', 'unknown'].includes(medication.status)
+  )
+}
+
+function medicationLabel(medication) {
+  return medication.dosage ? `${medication.name} (${medication.dosage})` : medication.name
+}
+
 function PatientProfile() {
   const navigate = useNavigate()
   const [userName, setUserName] = useState('Patient')
@@ -116,20 +134,8 @@ function PatientProfile() {
 
   const loadPatientMedicalData = async (email) => {
     try {
-      // Load Epic patient data if available
-      const { data: epicData, error: epicError } = await supabase
-        .from('epic_patient_data')
-        .select('*')
-        .eq('patient_email', email)
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single()
-
-      if (epicError && epicError.code !== 'PGRST116') {
-        console.error('Error loading Epic data:', epicError)
-      }
-
-      setPatientMedicalData(epicData)
+      // Epic record the doctor linked to this account, if any
+      setPatientMedicalData(await getLinkedEpicData(email))
     } catch (error) {
       console.log('Error loading patient medical data:', error)
     }
@@ -255,21 +261,31 @@ function PatientProfile() {
     
     // Check if medical data is available
     const hasMedicalData = medicalData || (filesData && filesData.length > 0)
+    const diagnoses = currentDiagnoses(medicalData)
+    const medications = currentMedications(medicalData)
     
     if (lowerMessage.includes('diagnosis') || lowerMessage.includes('condition')) {
-      if (medicalData?.diagnoses) {
-        return `Based on your medical records, your condition includes: ${medicalData.diagnoses}. This means your body is experiencing specific health challenges that we're actively managing with your treatment plan.`
+      if (diagnoses.length > 0) {
+        return `Based on your medical records, your condition includes: ${diagnoses.map(diagnosis => diagnosis.display).join(', ')}. This means your body is experiencing specific health challenges that we're actively managing with your treatment plan.`
       }
       return "Your diagnosis information will be available here once your doctor uploads your medical records or syncs with Epic."
     }
     
     if (lowerMessage.includes('medication') || lowerMessage.includes('medicine')) {
-      if (medicalData?.medications) {
-        return `You are currently prescribed: ${medicalData.medications}. It's important to take these as directed. Would you like a video explaining how these medications work?`
+      if (medications.length > 0) {
+        return `You are currently prescribed: ${medications.map(medicationLabel).join(', ')}. It's important to take these as directed. Would you like a video explaining how these medications work?`
       }
       return "Your medication information will appear here once your doctor adds it to your records."
     }
     
+    if (lowerMessage.includes('note') || lowerMessage.includes('visit') || lowerMessage.includes('doctor said')) {
+      if (medicalData?.clinical_notes) {
+        const latestNote = medicalData.clinical_notes.split('\n\n')[0]
+        return `Here is what your care team wrote in your most recent note:\n\n${latestNote.slice(0, 800)}${latestNote.length > 800 ? '…' : ''}\n\nWould you like a video explaining any part of it?`
+      }
+      return "Your visit notes will appear here once your doctor syncs your records from Epic."
+    }
+    
     if (lowerMessage.includes('recovery') || lowerMessage.includes('healing')) {
       return "Recovery is a journey that takes time. Focus on rest, proper nutrition, following your medication schedule, and attending all follow-up appointments. Check the Recovery Plan tab for your personalized 30-day recovery roadmap."
     }
@@ -573,6 +589,43 @@ function PatientProfile() {
                 </p>
               </div>
             )}
+
+            {/* Epic record the doctor linked to this account */}
+            {patientMedicalData && (
+              <div style={{ marginTop: '2rem', display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1.5rem' }}>
+                <div style={{ padding: '1.5rem', background: '#f9fafb', borderRadius: '12px', border: '1px solid #e5e7eb' }}>
+                  <h3 style={{ fontSize: '1.1rem', fontWeight: '600', color: '#1f2937', marginBottom: '1rem' }}>
+                    Your Conditions
+                  </h3>
+                  {currentDiagnoses(patientMedicalData).length > 0 ? (
+                    currentDiagnoses(patientMedicalData).map(diagnosis => (
+                      <p key={diagnosis.id} style={{ color: '#374151', marginBottom: '0.5rem' }}>
+                        • {diagnosis.display}
+                      </p>
+                    ))
+                  ) : (
+                    <p style={{ color: '#6b7280' }}>No current conditions on record</p>
+                  )}
+                </div>
+                <div style={{ padding: '1.5rem', background: '#f9fafb', borderRadius: '12px', border: '1px solid #e5e7eb' }}>
+                  <h3 style={{ fontSize: '1.1rem', fontWeight: '600', color: '#1f2937', marginBottom: '1rem' }}>
+                    Your Medications
+                  </h3>
+                  {currentMedications(patientMedicalData).length > 0 ? (
+                    currentMedications(patientMedicalData).map(medication => (
+                      <p key={medication.id} style={{ color: '#374151', marginBottom: '0.5rem' }}>
+                        • {medicationLabel(medication)}
+                      </p>
+                    ))
+                  ) : (
+                    <p style={{ color: '#6b7280' }}>No current medications on record</p>
+                  )}
+                </div>
+                <p style={{ gridColumn: '1 / -1', fontSize: '0.85rem', color: '#9ca3af', margin: 0 }}>
+                  From your health system's records{patientMedicalData.last_synced && `, updated ${new Date(patientMedicalData.last_synced).toLocaleDateString()}`}
+                </p>
+              </div>
+            )}
           </div>
         )}
 
@@ -674,7 +727,8 @@ function PatientProfile() {
                           boxShadow: '0 2px 8px rgba(0, 0, 0, 0.1)',
                           border: msg.role === 'user' ? 'none' : '1px solid #e5e7eb',
                           fontSize: '0.95rem',
-                          lineHeight: '1.6'
+                          lineHeight: '1.6',
+                          whiteSpace: 'pre-wrap'
                         }}>
                           {msg.content}
                         </div>
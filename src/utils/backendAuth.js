@@ -0,0 +1,172 @@
+/**
+ * SMART Backend Services Authorization
+ * client_credentials grant authenticated with a signed JWT client assertion
+ * (RS384 or ES384), for unattended jobs such as overnight syncs
+ * https://hl7.org/fhir/smart-app-launch/backend-services.html
+ *
+ * Uses WebCrypto only, so it runs in the browser and in Node 20 alike
+ */
+
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+// The spec caps assertion lifetime at five minutes
+const ASSERTION_LIFETIME_SECONDS = 300;
+
+// WebCrypto parameters per JWS algorithm
+const SIGNING_ALGORITHMS = {
+  RS384: {
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+    signParams: { name: 'RSASSA-PKCS1-v1_5' }
+  },
+  ES384: {
+    importParams: { name: 'ECDSA', namedCurve: 'P-384' },
+    signParams: { name: 'ECDSA', hash: 'SHA-384' }
+  }
+};
+
+/**
+ * Pick and import the private signing key from a JWKS
+ * @param {Object} jwks - JSON Web Key Set holding at least one private RS384/ES384 key
+ * @param {string} kid - Key ID to use (defaults to the first usable key)
+ * @returns {Promise<Object>} { key: CryptoKey, kid, alg }
+ */
+export async function importSigningKey(jwks, kid = null) {
+  const jwk = (jwks?.keys || []).find(candidate =>
+    candidate.d && keyAlgorithm(candidate) && (!kid || candidate.kid === kid)
+  );
+
+  if (!jwk) {
+    throw new Error(kid ?
+      `No private RS384/ES384 key with kid "${kid}" in the JWKS` :
+      'No private RS384/ES384 key in the JWKS');
+  }
+  if (!jwk.kid) {
+    throw new Error('Signing key needs a kid so the server can find its public half');
+  }
+
+  const alg = keyAlgorithm(jwk);
+  const key = await crypto.subtle.importKey(
+    'jwk',
+    { ...jwk, alg, key_ops: ['sign'], ext: true },
+    SIGNING_ALGORITHMS[alg].importParams,
+    false,
+    ['sign']
+  );
+
+  return { key, kid: jwk.kid, alg };
+}
+
+/**
+ * Build the public JWKS to register with the EHR (private members removed)
+ * @param {Object} jwks - JWKS with private keys
+ * @returns {Object} JWKS safe to publish
+ */
+export function toPublicJwks(jwks) {
+  const privateMembers = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth'];
+  return {
+    keys: (jwks?.keys || []).map(jwk => Object.fromEntries(
+      Object.entries(jwk).filter(([member]) => !privateMembers.includes(member))
+    ))
+  };
+}
+
+/**
+ * Sign a client assertion JWT
+ * @param {Object} options - Assertion options
+ * @param {string} options.clientId - Registered client ID (iss and sub)
+ * @param {string} options.tokenEndpoint - Token endpoint URL (aud)
+ * @param {Object} options.signingKey - Result of importSigningKey
+ * @param {string} options.jku - URL of our published JWKS (optional)
+ * @returns {Promise<string>} Compact JWS
+ */
+export async function createClientAssertion({ clientId, tokenEndpoint, signingKey, jku = null }) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = {
+    alg: signingKey.alg,
+    typ: 'JWT',
+    kid: signingKey.kid,
+    ...(jku ? { jku } : {})
+  };
+  const payload = {
+    iss: clientId,
+    sub: clientId,
+    aud: tokenEndpoint,
+    jti: crypto.randomUUID(),
+    iat: now,
+    exp: now + ASSERTION_LIFETIME_SECONDS
+  };
+
+  const signingInput = `${base64UrlJson(header)}.${base64UrlJson(payload)}`;
+  // WebCrypto ECDSA signatures are already in the r||s form JWS expects
+  const signature = await crypto.subtle.sign(
+    SIGNING_ALGORITHMS[signingKey.alg].signParams,
+    signingKey.key,
+    new TextEncoder().encode(signingInput)
+  );
+
+  return `${signingInput}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+/**
+ * Request a system-scoped access token
+ * @param {Object} options - Token request options
+ * @param {string} options.tokenEndpoint - Token endpoint URL
+ * @param {string} options.clientId - Registered client ID
+ * @param {Object} options.jwks - JWKS holding the private signing key
+ * @param {string} options.kid - Key ID to sign with (optional)
+ * @param {string} options.scope - Space separated system/ scopes
+ * @returns {Promise<Object>} Token response { access_token, expires_in, scope, ... }
+ */
+export async function requestBackendToken({ tokenEndpoint, clientId, jwks, kid = null, scope }) {
+  const signingKey = await importSigningKey(jwks, kid);
+  const clientAssertion = await createClientAssertion({ clientId, tokenEndpoint, signingKey });
+
+  const response = await fetch(tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      scope,
+      client_assertion_type: CLIENT_ASSERTION_TYPE,
+      client_assertion: clientAssertion
+    })
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    console.error('❌ Backend token request failed:', error);
+    throw new Error(`Backend token request failed (${response.status}): ${error}`);
+  }
+
+  const tokens = await response.json();
+  if (!tokens.access_token) {
+    throw new Error('Backend token response has no access_token');
+  }
+  return tokens;
+}
+
+// Helper Functions
+
+function keyAlgorithm(jwk) {
+  if (jwk.alg) {
+    return SIGNING_ALGORITHMS[jwk.alg] ? jwk.alg : null;
+  }
+  if (jwk.kty === 'RSA') return 'RS384';
+  if (jwk.kty === 'EC' && jwk.crv === 'P-384') return 'ES384';
+  return null;
+}
+
+function base64UrlJson(value) {
+  return base64UrlEncode(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
@@ -0,0 +1,133 @@
+/**
+ * FHIR Bulk Data Export Client
+ * Kick-off, status polling and NDJSON download for the Bulk Data Access
+ * ($export) flow: https://hl7.org/fhir/uv/bulkdata/export.html
+ *
+ * Every function takes a request function - (url, options) => Promise<Response>,
+ * e.g. a session-bound fhirFetch - so token handling stays with the caller
+ */
+
+import { parseRetryAfter } from './fhirHttp';
+
+const BULK_EXPORT_CONFIG = {
+  pollIntervalMs: 5000, // Used when the server sends no Retry-After
+  maxPollIntervalMs: 60000,
+  timeoutMs: 2 * 60 * 60 * 1000 // Give up on exports still running after this long
+};
+
+/**
+ * Start a Group-level export
+ * @param {Function} request - Request function (url, options) => Promise<Response>
+ * @param {string} fhirBaseUrl - FHIR base URL
+ * @param {string} groupId - Group resource ID (the doctor's panel)
+ * @param {Object} options - Export options
+ * @param {Array<string>} options.types - Resource types to export (_type)
+ * @param {string} options.since - Only resources changed after this instant (_since)
+ * @returns {Promise<string>} Absolute status URL to poll
+ */
+export async function startBulkExport(request, fhirBaseUrl, groupId, { types = [], since } = {}) {
+  const params = new URLSearchParams();
+  if (types.length > 0) params.set('_type', types.join(','));
+  if (since) params.set('_since', since);
+
+  const query = params.toString();
+  const url = `${fhirBaseUrl}/Group/${encodeURIComponent(groupId)}/$export${query ? `?${query}` : ''}`;
+
+  const response = await request(url, {
+    headers: {
+      'Accept': 'application/fhir+json',
+      'Prefer': 'respond-async'
+    }
+  });
+
+  const statusUrl = response.headers.get('Content-Location');
+  if (response.status !== 202 || !statusUrl) {
+    throw new Error(`Bulk export was not accepted (HTTP ${response.status})`);
+  }
+
+  return new URL(statusUrl, `${fhirBaseUrl}/`).toString();
+}
+
+/**
+ * Poll an export until the server publishes its manifest
+ * @param {Function} request - Request function (url, options) => Promise<Response>
+ * @param {string} statusUrl - Status URL from startBulkExport
+ * @param {Object} options - Polling options
+ * @param {Function} options.onProgress - Called with the server's X-Progress text after each poll
+ * @returns {Promise<Object>} Export manifest { transactionTime, requiresAccessToken, output, error }
+ */
+export async function pollBulkExport(request, statusUrl, { onProgress } = {}) {
+  const startedAt = Date.now();
+
+  for (;;) {
+    const response = await request(statusUrl, { headers: { 'Accept': 'application/json' } });
+
+    if (response.status === 200) {
+      const manifest = await response.json();
+      if (!Array.isArray(manifest?.output)) {
+        throw new Error('Bulk export manifest has no output list');
+      }
+      return manifest;
+    }
+
+    // 202 - still running
+    onProgress?.(response.headers.get('X-Progress') || 'In progress');
+
+    if (Date.now() - startedAt > BULK_EXPORT_CONFIG.timeoutMs) {
+      throw new Error('Bulk export did not finish in time');
+    }
+
+    const delayMs = parseRetryAfter(response.headers.get('Retry-After')) ?? BULK_EXPORT_CONFIG.pollIntervalMs;
+    await sleep(Math.min(delayMs, BULK_EXPORT_CONFIG.maxPollIntervalMs));
+  }
+}
+
+/**
+ * Ask the server to stop an export and delete its files
+ * Best effort - failures are logged, not thrown
+ * @param {Function} request - Request function (url, options) => Promise<Response>
+ * @param {string} statusUrl - Status URL from startBulkExport
+ */
+export async function cancelBulkExport(request, statusUrl) {
+  try {
+    await request(statusUrl, { method: 'DELETE' });
+  } catch (error) {
+    console.warn('⚠️ Could not cancel bulk export:', error.message);
+  }
+}
+
+/**
+ * Download one NDJSON output file
+ * @param {Function} request - Request function (url, options) => Promise<Response>
+ * @param {string} fileUrl - File URL from the manifest
+ * @returns {Promise<Array<Object>>} FHIR resources in the file
+ */
+export async function downloadExportFile(request, fileUrl) {
+  const response = await request(fileUrl, { headers: { 'Accept': 'application/fhir+ndjson' } });
+  return parseNdjson(await response.text());
+}
+
+/**
+ * Parse newline-delimited JSON
+ * @param {string} text - NDJSON content
+ * @returns {Array<Object>} One object per non-empty line
+ */
+export function parseNdjson(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, idx) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`Invalid NDJSON record #${idx + 1}`);
+      }
+    });
+}
+
+// Helper Functions
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,714 @@
+/**
+ * C-CDA Document Parser
+ * Reads Consolidated CDA (R2.1) documents - referral packets, CCDs, discharge
+ * summaries - and maps their Problems, Medications, Results, Allergies and
+ * Encounters sections onto FHIR R4 resources, which then go through the
+ * regular fhirParser functions. A referral therefore ends up in exactly the
+ * same shape as data pulled from Epic.
+ * Mapping follows the HL7 C-CDA on FHIR guidance, simplified to the fields
+ * fhirParser reads: https://hl7.org/fhir/us/ccda/
+ */
+
+import {
+  parsePatient,
+  parseConditions,
+  parseMedications,
+  parseObservations,
+  parseAllergies,
+  parseEncounters,
+  generateClinicalSummary
+} from './fhirParser';
+
+const CDA_NAMESPACE = 'urn:hl7-org:v3';
+
+// Sections by templateId (with and without "entries required") and LOINC section code
+const CCDA_SECTIONS = {
+  problems: { templateIds: ['2.16.840.1.113883.10.20.22.2.5.1', '2.16.840.1.113883.10.20.22.2.5'], loinc: '11450-4' },
+  medications: { templateIds: ['2.16.840.1.113883.10.20.22.2.1.1', '2.16.840.1.113883.10.20.22.2.1'], loinc: '10160-0' },
+  results: { templateIds: ['2.16.840.1.113883.10.20.22.2.3.1', '2.16.840.1.113883.10.20.22.2.3'], loinc: '30954-2' },
+  allergies: { templateIds: ['2.16.840.1.113883.10.20.22.2.6.1', '2.16.840.1.113883.10.20.22.2.6'], loinc: '48765-2' },
+  encounters: { templateIds: ['2.16.840.1.113883.10.20.22.2.22.1', '2.16.840.1.113883.10.20.22.2.22'], loinc: '46240-8' }
+};
+
+// Code system OIDs used in C-CDA -> FHIR system URIs
+const CODE_SYSTEMS = {
+  '2.16.840.1.113883.6.96': 'http://snomed.info/sct',
+  '2.16.840.1.113883.6.90': 'http://hl7.org/fhir/sid/icd-10-cm',
+  '2.16.840.1.113883.6.103': 'http://hl7.org/fhir/sid/icd-9-cm',
+  '2.16.840.1.113883.6.1': 'http://loinc.org',
+  '2.16.840.1.113883.6.88': 'http://www.nlm.nih.gov/research/umls/rxnorm',
+  '2.16.840.1.113883.6.69': 'http://hl7.org/fhir/sid/ndc',
+  '2.16.840.1.113883.6.12': 'http://www.ama-assn.org/go/cpt',
+  '2.16.840.1.113883.12.292': 'http://hl7.org/fhir/sid/cvx',
+  '2.16.840.1.113883.4.9': 'http://fdasis.nlm.nih.gov',
+  '2.16.840.1.113883.5.83': 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+  '2.16.840.1.113883.5.4': 'http://terminology.hl7.org/CodeSystem/v3-ActCode'
+};
+
+// Problem / allergy status observation values (SNOMED)
+const STATUS_CODES = {
+  '55561003': 'active',
+  '73425007': 'inactive',
+  '413322009': 'resolved'
+};
+
+const MEDICATION_STATUSES = {
+  active: 'active',
+  completed: 'completed',
+  aborted: 'stopped',
+  suspended: 'on-hold',
+  cancelled: 'cancelled',
+  nullified: 'entered-in-error'
+};
+
+// YYYY[MM[DD[HH[MM[SS[.S]]]]]][+/-ZZZZ]
+const HL7_TIMESTAMP = /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?([+-]\d{4})?$/;
+
+const REACTION_SEVERITIES = {
+  '255604002': 'mild',
+  '6736007': 'moderate',
+  '24484000': 'severe'
+};
+
+const CRITICALITIES = {
+  CRITH: 'high',
+  CRITL: 'low',
+  CRITU: 'unable-to-assess'
+};
+
+const INTERPRETATIONS = {
+  N: 'Normal',
+  A: 'Abnormal',
+  H: 'High',
+  L: 'Low',
+  HH: 'Critical high',
+  LL: 'Critical low'
+};
+
+/**
+ * Check whether text is a CDA document
+ * @param {string} text - File or attachment content
+ * @returns {boolean} True for a ClinicalDocument in the HL7 v3 namespace
+ */
+export function isCcdaDocument(text) {
+  if (typeof text !== 'string') return false;
+  const head = text.slice(0, 4000);
+  return /<(\w+:)?ClinicalDocument[\s>]/.test(head) && head.includes(CDA_NAMESPACE);
+}
+
+/**
+ * Parse a C-CDA document
+ * @param {string} xml - C-CDA XML
+ * @returns {Object} { title, date, author, patient, conditions, medications, observations,
+ *   allergies, encounters, resources } - parsed the same way as FHIR data, with the
+ *   generated FHIR resources in resources
+ */
+export function parseCcdaDocument(xml) {
+  const root = parseXml(xml).children.find(node => node.name === 'ClinicalDocument');
+  if (!root) {
+    throw new Error('Not a C-CDA document (no ClinicalDocument element)');
+  }
+
+  const documentTime = attr(child(root, 'effectiveTime'), 'value');
+  // Times without their own offset are in the document's time zone
+  const context = { narrative: indexNarrative(root), ids: new Set(), zone: timestampZone(documentTime) };
+  const sections = findSections(root);
+
+  const resources = {
+    patient: buildPatient(root),
+    conditions: entriesOf(sections.problems).flatMap(entry => buildConditions(entry, context)),
+    medications: entriesOf(sections.medications).flatMap(entry => buildMedicationRequests(entry, context)),
+    observations: entriesOf(sections.results).flatMap(entry => buildObservations(entry, context)),
+    allergies: entriesOf(sections.allergies).flatMap(entry => buildAllergies(entry, context)),
+    encounters: entriesOf(sections.encounters).flatMap(entry => buildEncounters(entry, context))
+  };
+
+  return {
+    title: textContent(child(root, 'title')) || 'Clinical document',
+    date: toFhirDateTime(documentTime),
+    author: authorName(root),
+    patient: resources.patient ? parsePatient(resources.patient) : null,
+    conditions: parseConditions(resources.conditions),
+    medications: parseMedications(resources.medications),
+    observations: parseObservations(resources.observations),
+    allergies: parseAllergies(resources.allergies),
+    encounters: parseEncounters(resources.encounters),
+    resources
+  };
+}
+
+/**
+ * Plain text version of a parsed C-CDA document, for note text and uploads
+ * @param {Object} document - Result of parseCcdaDocument
+ * @returns {string} Heading plus the clinical summary of its sections
+ */
+export function ccdaToText(document) {
+  const heading = [document.title, document.date?.slice(0, 10), document.author]
+    .filter(Boolean)
+    .join(' - ');
+
+  // The document's patient is already on the heading line
+  const summary = generateClinicalSummary({ ...document, patient: null });
+  return summary ? `${heading}\n\n${summary}` : heading;
+}
+
+// FHIR Resource Builders
+
+function buildPatient(root) {
+  const patientRole = descendant(root, ['recordTarget', 'patientRole']);
+  const patient = child(patientRole, 'patient');
+  if (!patient) return null;
+
+  const identifiers = children(patientRole, 'id')
+    .filter(id => attr(id, 'extension'))
+    .map(id => ({
+      system: `urn:oid:${attr(id, 'root')}`,
+      value: attr(id, 'extension'),
+      type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'MR' }], text: 'MRN' }
+    }));
+
+  const name = child(patient, 'name');
+  const telecom = children(patientRole, 'telecom')
+    .map(node => attr(node, 'value'))
+    .filter(Boolean)
+    .map(value => value.startsWith('mailto:') ?
+      { system: 'email', value: value.slice(7) } :
+      { system: 'phone', value: value.replace(/^tel:/, '') });
+
+  const address = child(patientRole, 'addr');
+
+  return {
+    resourceType: 'Patient',
+    id: identifiers[0]?.value || 'ccda-patient',
+    identifier: identifiers,
+    name: name ? [{
+      family: textContent(child(name, 'family')) || undefined,
+      given: children(name, 'given').map(textContent).filter(Boolean)
+    }] : [],
+    gender: { M: 'male', F: 'female', UN: 'other' }[attr(child(patient, 'administrativeGenderCode'), 'code')] || 'unknown',
+    birthDate: toFhirDateTime(attr(child(patient, 'birthTime'), 'value'))?.slice(0, 10),
+    telecom,
+    address: address ? [{
+      line: children(address, 'streetAddressLine').map(textContent).filter(Boolean),
+      city: textContent(child(address, 'city')) || undefined,
+      state: textContent(child(address, 'state')) || undefined,
+      postalCode: textContent(child(address, 'postalCode')) || undefined
+    }] : []
+  };
+}
+
+// Problem Concern Act -> one Condition per Problem Observation
+function buildConditions(entry, context) {
+  const act = child(entry, 'act');
+  const observations = act ?
+    children(act, 'entryRelationship').map(relationship => child(relationship, 'observation')).filter(Boolean) :
+    [child(entry, 'observation')].filter(Boolean);
+
+  return observations.map(observation => {
+    const effectiveTime = child(observation, 'effectiveTime');
+    const abatement = toFhirDateTime(attr(child(effectiveTime, 'high'), 'value'), context.zone);
+    const clinicalStatus = statusObservationCode(observation) ||
+      (abatement ? 'resolved' : null) ||
+      (attr(child(act, 'statusCode'), 'code') === 'completed' ? 'resolved' : 'active');
+
+    return {
+      resourceType: 'Condition',
+      id: resourceId(observation, 'problem', context),
+      clinicalStatus: conditionCoding('condition-clinical', clinicalStatus),
+      verificationStatus: conditionCoding('condition-ver-status', attr(observation, 'negationInd') === 'true' ? 'refuted' : 'confirmed'),
+      category: [{
+        coding: [{
+          system: 'http://terminology.hl7.org/CodeSystem/condition-category',
+          code: 'problem-list-item',
+          display: 'Problem List Item'
+        }]
+      }],
+      code: codeableConcept(child(observation, 'value'), context) || codeableConcept(child(observation, 'code'), context),
+      onsetDateTime: toFhirDateTime(attr(child(effectiveTime, 'low'), 'value'), context.zone) || undefined,
+      abatementDateTime: abatement || undefined,
+      recordedDate: authorTime(observation, context) || authorTime(act, context) || undefined
+    };
+  });
+}
+
+// Medication Activity (substanceAdministration) -> MedicationRequest
+function buildMedicationRequests(entry, context) {
+  const administration = child(entry, 'substanceAdministration');
+  if (!administration) return [];
+
+  const effectiveTimes = children(administration, 'effectiveTime');
+  const period = effectiveTimes.find(time => attr(time, 'type') === 'IVL_TS' || child(time, 'low'));
+  const frequency = effectiveTimes.find(time => attr(time, 'type') === 'PIVL_TS');
+  const material = descendant(administration, ['consumable', 'manufacturedProduct', 'manufacturedMaterial']);
+  const dose = child(administration, 'doseQuantity');
+  const sig = narrativeText(child(administration, 'text'), context);
+
+  return [{
+    resourceType: 'MedicationRequest',
+    id: resourceId(administration, 'medication', context),
+    status: MEDICATION_STATUSES[attr(child(administration, 'statusCode'), 'code')] || 'unknown',
+    intent: attr(administration, 'moodCode') === 'INT' ? 'plan' : 'order',
+    medicationCodeableConcept: codeableConcept(child(material, 'code'), context) ||
+      { text: textContent(child(material, 'name')) || undefined },
+    authoredOn: toFhirDateTime(attr(child(period, 'low'), 'value'), context.zone) || authorTime(administration, context) || undefined,
+    dosageInstruction: [{
+      text: sig || undefined,
+      timing: frequency ? timingFromPeriod(child(frequency, 'period')) : undefined,
+      route: codeableConcept(child(administration, 'routeCode'), context) || undefined,
+      doseAndRate: attr(dose, 'value') ? [{
+        doseQuantity: { value: Number(attr(dose, 'value')), unit: attr(dose, 'unit') || '' }
+      }] : undefined
+    }]
+  }];
+}
+
+// Result Organizer -> one Observation per component; bare Result Observations too
+function buildObservations(entry, context) {
+  const organizer = child(entry, 'organizer');
+  const observations = organizer ?
+    children(organizer, 'component').map(component => child(component, 'observation')).filter(Boolean) :
+    [child(entry, 'observation')].filter(Boolean);
+
+  return observations.map(observation => {
+    const value = child(observation, 'value');
+    const interpretation = child(observation, 'interpretationCode');
+    const interpretationCode = attr(interpretation, 'code');
+    const range = descendant(observation, ['referenceRange', 'observationRange']);
+
+    return {
+      resourceType: 'Observation',
+      id: resourceId(observation, 'result', context),
+      status: attr(child(observation, 'statusCode'), 'code') === 'active' ? 'preliminary' : 'final',
+      category: [{
+        coding: [{
+          system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+          code: 'laboratory',
+          display: 'Laboratory'
+        }]
+      }],
+      code: codeableConcept(child(observation, 'code'), context),
+      effectiveDateTime: toFhirDateTime(
+        attr(child(observation, 'effectiveTime'), 'value') ||
+        attr(child(child(observation, 'effectiveTime'), 'low'), 'value') ||
+        attr(child(organizer, 'effectiveTime'), 'value') ||
+        attr(child(child(organizer, 'effectiveTime'), 'low'), 'value'),
+        context.zone
+      ) || undefined,
+      ...observationValue(value, context),
+      interpretation: interpretationCode ? [{
+        coding: [{
+          system: CODE_SYSTEMS['2.16.840.1.113883.5.83'],
+          code: interpretationCode,
+          display: attr(interpretation, 'displayName') || INTERPRETATIONS[interpretationCode] || interpretationCode
+        }]
+      }] : undefined,
+      referenceRange: range ? [referenceRange(range, context)] : undefined
+    };
+  });
+}
+
+// Allergy Concern Act -> one AllergyIntolerance per Allergy Intolerance Observation
+function buildAllergies(entry, context) {
+  const act = child(entry, 'act');
+  const observations = act ?
+    children(act, 'entryRelationship').map(relationship => child(relationship, 'observation')).filter(Boolean) :
+    [child(entry, 'observation')].filter(Boolean);
+
+  return observations.map(observation => {
+    const relatedObservations = children(observation, 'entryRelationship')
+      .map(relationship => ({ typeCode: attr(relationship, 'typeCode'), observation: child(relationship, 'observation') }))
+      .filter(related => related.observation);
+
+    const substance = descendant(observation, ['participant', 'participantRole', 'playingEntity']);
+    const allergyType = attr(child(observation, 'value'), 'displayName') || '';
+    const criticality = relatedObservations
+      .map(related => attr(child(related.observation, 'value'), 'code'))
+      .find(code => CRITICALITIES[code]);
+
+    const reactions = relatedObservations
+      .filter(related => related.typeCode === 'MFST')
+      .map(related => ({
+        manifestation: [codeableConcept(child(related.observation, 'value'), context)].filter(Boolean),
+        severity: severityOf(related.observation) || undefined
+      }));
+
+    const effectiveTime = child(observation, 'effectiveTime');
+    const clinicalStatus = statusObservationCode(observation) ||
+      (attr(child(effectiveTime, 'high'), 'value') ? 'resolved' : 'active');
+
+    return {
+      resourceType: 'AllergyIntolerance',
+      id: resourceId(observation, 'allergy', context),
+      clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical', code: clinicalStatus }] },
+      verificationStatus: {
+        coding: [{
+          system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification',
+          code: attr(observation, 'negationInd') === 'true' ? 'refuted' : 'confirmed'
+        }]
+      },
+      type: /intolerance/i.test(allergyType) ? 'intolerance' : 'allergy',
+      category: allergyCategory(allergyType),
+      criticality: CRITICALITIES[criticality] || undefined,
+      code: codeableConcept(child(substance, 'code'), context) ||
+        { text: textContent(child(substance, 'name')) || undefined },
+      reaction: reactions,
+      onsetDateTime: toFhirDateTime(attr(child(effectiveTime, 'low'), 'value'), context.zone) || undefined,
+      recordedDate: authorTime(observation, context) || authorTime(act, context) || undefined
+    };
+  });
+}
+
+// Encounter Activity -> Encounter
+function buildEncounters(entry, context) {
+  const encounter = child(entry, 'encounter');
+  if (!encounter) return [];
+
+  const effectiveTime = child(encounter, 'effectiveTime');
+  const start = attr(effectiveTime, 'value') || attr(child(effectiveTime, 'low'), 'value');
+  const end = attr(child(effectiveTime, 'high'), 'value');
+  const status = attr(child(encounter, 'statusCode'), 'code');
+
+  const performer = descendant(encounter, ['performer', 'assignedEntity', 'assignedPerson', 'name']);
+  const location = descendant(encounter, ['participant', 'participantRole', 'playingEntity', 'name']);
+  const indication = children(encounter, 'entryRelationship')
+    .filter(relationship => attr(relationship, 'typeCode') === 'RSON')
+    .map(relationship => codeableConcept(child(child(relationship, 'observation'), 'value'), context))
+    .find(Boolean);
+
+  return [{
+    resourceType: 'Encounter',
+    id: resourceId(encounter, 'encounter', context),
+    status: status === 'active' ? 'in-progress' : status === 'cancelled' ? 'cancelled' : 'finished',
+    type: [codeableConcept(child(encounter, 'code'), context)].filter(Boolean),
+    reasonCode: indication ? [indication] : undefined,
+    period: {
+      start: toFhirDateTime(start, context.zone) || undefined,
+      end: toFhirDateTime(end, context.zone) || undefined
+    },
+    participant: performer ? [{ individual: { display: personName(performer) } }] : undefined,
+    location: location ? [{ location: { display: textContent(location) } }] : undefined
+  }];
+}
+
+// Mapping Helpers
+
+function findSections(root) {
+  const sections = {};
+  descendants(descendant(root, ['component', 'structuredBody']), 'section').forEach(section => {
+    const templateIds = children(section, 'templateId').map(templateId => attr(templateId, 'root'));
+    const loinc = attr(child(section, 'code'), 'code');
+
+    const key = Object.keys(CCDA_SECTIONS).find(name =>
+      CCDA_SECTIONS[name].templateIds.some(id => templateIds.includes(id)) || CCDA_SECTIONS[name].loinc === loinc
+    );
+    if (key && !sections[key]) {
+      sections[key] = section;
+    }
+  });
+  return sections;
+}
+
+function entriesOf(section) {
+  return children(section, 'entry');
+}
+
+// Unique resource id from the entry's <id>, or a generated one
+function resourceId(node, prefix, context) {
+  const id = child(node, 'id');
+  const base = (attr(id, 'extension') || attr(id, 'root') || `${prefix}-${context.ids.size + 1}`)
+    .replace(/[^A-Za-z0-9.-]/g, '-')
+    .slice(0, 64);
+
+  let unique = base;
+  for (let i = 2; context.ids.has(unique); i++) {
+    unique = `${base}-${i}`;
+  }
+  context.ids.add(unique);
+  return unique;
+}
+
+// CD/CE element (with translations and originalText) -> CodeableConcept
+function codeableConcept(node, context) {
+  if (!node) return null;
+
+  const coding = [node, ...children(node, 'translation')]
+    .filter(code => attr(code, 'code') && !attr(code, 'nullFlavor'))
+    .map(code => ({
+      system: codeSystemUri(attr(code, 'codeSystem')),
+      code: attr(code, 'code'),
+      display: attr(code, 'displayName') || undefined
+    }));
+  const text = narrativeText(child(node, 'originalText'), context) || attr(node, 'displayName');
+
+  if (coding.length === 0 && !text) return null;
+  return { coding, text: text || undefined };
+}
+
+function codeSystemUri(oid) {
+  if (!oid) return undefined;
+  return CODE_SYSTEMS[oid] || `urn:oid:${oid}`;
+}
+
+function conditionCoding(codeSystem, code) {
+  return { coding: [{ system: `http://terminology.hl7.org/CodeSystem/${codeSystem}`, code }] };
+}
+
+// Problem Status / Allergy Status observation nested in an entry
+function statusObservationCode(observation) {
+  return children(observation, 'entryRelationship')
+    .map(relationship => child(relationship, 'observation'))
+    .filter(related => attr(child(related, 'code'), 'code') === '33999-4')
+    .map(related => STATUS_CODES[attr(child(related, 'value'), 'code')])
+    .find(Boolean) || null;
+}
+
+function severityOf(observation) {
+  return children(observation, 'entryRelationship')
+    .map(relationship => child(relationship, 'observation'))
+    .filter(related => attr(child(related, 'code'), 'code') === 'SEV')
+    .map(related => REACTION_SEVERITIES[attr(child(related, 'value'), 'code')])
+    .find(Boolean) || null;
+}
+
+function allergyCategory(allergyType) {
+  if (/drug|medication/i.test(allergyType)) return ['medication'];
+  if (/food/i.test(allergyType)) return ['food'];
+  if (/environment/i.test(allergyType)) return ['environment'];
+  return undefined;
+}
+
+// PQ, ST, CD and IVL_PQ values
+function observationValue(value, context) {
+  if (!value) return {};
+
+  const type = attr(value, 'type');
+  if (type === 'PQ' || (attr(value, 'value') && attr(value, 'unit') !== null)) {
+    const number = Number(attr(value, 'value'));
+    return Number.isNaN(number) ?
+      { valueString: attr(value, 'value') } :
+      { valueQuantity: { value: number, unit: attr(value, 'unit') || '' } };
+  }
+  if (type === 'CD' || type === 'CE' || attr(value, 'code')) {
+    const concept = codeableConcept(value, context);
+    return concept ? { valueCodeableConcept: concept } : {};
+  }
+  const text = textContent(value);
+  return text ? { valueString: text } : {};
+}
+
+function referenceRange(range, context) {
+  const value = child(range, 'value');
+  const low = child(value, 'low');
+  const high = child(value, 'high');
+  const quantity = (node) => attr(node, 'value') ?
+    { value: Number(attr(node, 'value')), unit: attr(node, 'unit') || '' } :
+    undefined;
+
+  const text = narrativeText(child(range, 'text'), context) ||
+    (low || high ?
+      `${attr(low, 'value') ?? ''}-${attr(high, 'value') ?? ''} ${attr(low, 'unit') || attr(high, 'unit') || ''}`.trim() :
+      null);
+
+  return { low: quantity(low), high: quantity(high), text: text || undefined };
+}
+
+function timingFromPeriod(period) {
+  const value = Number(attr(period, 'value'));
+  const unit = attr(period, 'unit');
+  if (!value || !unit) return undefined;
+
+  const unitNames = { h: 'hours', d: 'days', wk: 'weeks', mo: 'months', min: 'minutes' };
+  const text = value === 24 && unit === 'h' ? 'once daily' : `every ${value} ${unitNames[unit] || unit}`;
+  return { repeat: { period: value, periodUnit: unit }, code: { text } };
+}
+
+function authorTime(node, context) {
+  return toFhirDateTime(attr(descendant(node, ['author', 'time']), 'value'), context.zone);
+}
+
+function authorName(root) {
+  const author = child(root, 'author');
+  const person = descendant(author, ['assignedAuthor', 'assignedPerson', 'name']);
+  if (person) return personName(person);
+  return textContent(descendant(author, ['assignedAuthor', 'representedOrganization', 'name'])) ||
+    textContent(descendant(root, ['custodian', 'assignedCustodian', 'representedCustodianOrganization', 'name'])) ||
+    null;
+}
+
+function personName(name) {
+  const parts = [
+    ...children(name, 'prefix'),
+    ...children(name, 'given'),
+    ...children(name, 'family'),
+    ...children(name, 'suffix')
+  ].map(textContent).filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : textContent(name);
+}
+
+// <originalText><reference value="#id"/></originalText> points into the section narrative
+function narrativeText(node, context) {
+  if (!node) return null;
+  const reference = attr(child(node, 'reference'), 'value');
+  if (reference?.startsWith('#')) {
+    const target = context.narrative.get(reference.slice(1));
+    if (target) return textContent(target) || null;
+  }
+  return textContent(node) || null;
+}
+
+function indexNarrative(root) {
+  const index = new Map();
+  const visit = (node) => {
+    if (node.attributes?.ID) index.set(node.attributes.ID, node);
+    node.children?.forEach(visit);
+  };
+  visit(root);
+  return index;
+}
+
+/**
+ * Convert an HL7 timestamp to a FHIR date or dateTime
+ * The TS format is shared by CDA and HL7 v2 messages. A FHIR time needs an
+ * offset: timestamps without one take defaultZone, and without that they are
+ * kept to the day rather than read as UTC
+ * @param {string} value - YYYY[MM[DD[HH[MM[SS[.S]]]]]][+/-ZZZZ]
+ * @param {string} defaultZone - +/-ZZZZ of the document or message (see timestampZone)
+ * @returns {string|null} FHIR date/dateTime at the same precision, or null if unparseable
+ */
+export function toFhirDateTime(value, defaultZone = null) {
+  const match = HL7_TIMESTAMP.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, ownZone] = match;
+  const zone = ownZone || defaultZone;
+  if (!month) return year;
+  if (!day) return `${year}-${month}`;
+  if (!hour || !zone) return `${year}-${month}-${day}`;
+
+  const offset = `${zone.slice(0, 3)}:${zone.slice(3)}`;
+  return `${year}-${month}-${day}T${hour}:${minute || '00'}:${second || '00'}${offset}`;
+}
+
+/**
+ * Time zone offset of an HL7 timestamp
+ * @param {string} value - HL7 timestamp (e.g., CDA effectiveTime or MSH-7)
+ * @returns {string|null} +/-ZZZZ, or null when the timestamp has none
+ */
+export function timestampZone(value) {
+  return HL7_TIMESTAMP.exec(value || '')?.[7] || null;
+}
+
+// XML Helpers
+// A small non-validating parser: C-CDA is plain namespaced XML, and this keeps
+// the parser usable where DOMParser is not available (Node scripts, servers)
+
+function parseXml(xml) {
+  const document = { name: '#document', attributes: {}, children: [] };
+  const stack = [document];
+  const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+  let position = 0;
+
+  while ((match = tokens.exec(xml)) !== null) {
+    if (match.index !== position) {
+      throw new Error(`Malformed XML near character ${position}`);
+    }
+    position = tokens.lastIndex;
+
+    const [token, cdata, closeName, openName, attributeText, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (openName) {
+      const node = { name: localName(openName), attributes: parseAttributes(attributeText), children: [] };
+      parent.children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (closeName) {
+      if (stack.length === 1 || parent.name !== localName(closeName)) {
+        throw new Error(`Malformed XML: unexpected </${closeName}>`);
+      }
+      stack.pop();
+    } else if (cdata !== undefined) {
+      parent.children.push({ name: '#text', text: cdata });
+    } else if (text !== undefined && stack.length > 1) {
+      parent.children.push({ name: '#text', text: decodeEntities(text) });
+    } else if (token.startsWith('<') && !/^<(!--|\?|!DOCTYPE)/.test(token)) {
+      throw new Error('Malformed XML tag');
+    }
+  }
+
+  if (position !== xml.length || stack.length !== 1) {
+    throw new Error('Malformed XML: document is incomplete');
+  }
+  return document;
+}
+
+// Prefixes are dropped - CDA documents put everything in one namespace
+function parseAttributes(text) {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    const [, name, doubleQuoted, singleQuoted] = match;
+    if (name === 'xmlns' || name.startsWith('xmlns:')) continue;
+    attributes[localName(name)] = decodeEntities(doubleQuoted ?? singleQuoted);
+  }
+  return attributes;
+}
+
+function localName(name) {
+  return name.includes(':') ? name.slice(name.indexOf(':') + 1) : name;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(codePoint);
+    }
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name.toLowerCase()];
+  });
+}
+
+function child(node, name) {
+  return node?.children?.find(candidate => candidate.name === name) || null;
+}
+
+function children(node, name) {
+  return node?.children?.filter(candidate => candidate.name === name) || [];
+}
+
+// Follow a path of child element names
+function descendant(node, path) {
+  return path.reduce((current, name) => child(current, name), node);
+}
+
+// Every element with this name below node, in document order
+function descendants(node, name) {
+  const found = [];
+  const visit = (current) => {
+    current?.children?.forEach(candidate => {
+      if (candidate.name === name) found.push(candidate);
+      visit(candidate);
+    });
+  };
+  visit(node);
+  return found;
+}
+
+function attr(node, name) {
+  return node?.attributes?.[name] ?? null;
+}
+
+function textContent(node) {
+  if (!node) return '';
+  if (node.name === '#text') return node.text;
+  return node.children
+    .map(candidate => {
+      const text = textContent(candidate);
+      // Table cells and paragraphs would otherwise run together
+      return ['td', 'th', 'paragraph', 'item', 'br', 'tr'].includes(candidate.name) ? ` ${text} ` : text;
+    })
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
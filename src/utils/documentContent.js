@@ -0,0 +1,247 @@
+/**
+ * Clinical Document Content
+ * Picks the readable attachment of a DocumentReference and turns its bytes
+ * (plain text, HTML, RTF, C-CDA or PDF) into plain note text
+ */
+
+import { extractTextFromFile } from './fileExtractor';
+import { isCcdaDocument, parseCcdaDocument, ccdaToText } from './ccdaParser';
+
+// Attachment formats we can read, most useful first
+const READABLE_CONTENT_TYPES = [
+  'text/plain',
+  'text/html',
+  'application/xhtml+xml',
+  'text/rtf',
+  'application/rtf',
+  'application/hl7-cda+xml',
+  'application/xml',
+  'text/xml',
+  'application/pdf'
+];
+
+// RTF groups that never contain note text
+const RTF_SKIPPED_GROUPS = ['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'object'];
+
+/**
+ * Choose the attachment to read from a DocumentReference
+ * Epic often offers the same note as HTML and RTF - prefer the simplest format
+ * @param {Object} documentReference - FHIR DocumentReference resource
+ * @returns {Object|null} FHIR Attachment, or null if none is readable
+ */
+export function selectNoteAttachment(documentReference) {
+  const attachments = (documentReference?.content || [])
+    .map(content => content.attachment)
+    .filter(attachment => attachment && (attachment.data || attachment.url));
+
+  let best = null;
+  let bestRank = READABLE_CONTENT_TYPES.length;
+
+  attachments.forEach(attachment => {
+    const rank = READABLE_CONTENT_TYPES.indexOf(baseContentType(attachment.contentType));
+    if (rank !== -1 && rank < bestRank) {
+      best = attachment;
+      bestRank = rank;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Check whether a content type can be turned into note text
+ * @param {string} contentType - MIME type, parameters allowed
+ * @returns {boolean} True if decodeNoteContent understands it
+ */
+export function isReadableContentType(contentType) {
+  return READABLE_CONTENT_TYPES.includes(baseContentType(contentType));
+}
+
+/**
+ * Decode base64 attachment data (Attachment.data, Binary.data)
+ * @param {string} data - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function decodeBase64(data) {
+  const binary = atob(data.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode UTF-8 text as base64 attachment data
+ * @param {string} text - Text to embed
+ * @returns {string} Base64 string
+ */
+export function encodeBase64Text(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Turn attachment bytes into plain text
+ * @param {Uint8Array} bytes - Attachment content
+ * @param {string} contentType - MIME type of the content
+ * @returns {Promise<string|null>} Note text, or null for unreadable formats
+ */
+export async function decodeNoteContent(bytes, contentType) {
+  const type = baseContentType(contentType);
+
+  switch (type) {
+    case 'text/plain':
+      return normalizeNoteText(decodeText(bytes, contentType));
+    case 'text/html':
+    case 'application/xhtml+xml':
+      return normalizeNoteText(htmlToText(decodeText(bytes, contentType)));
+    case 'text/rtf':
+    case 'application/rtf':
+      return normalizeNoteText(rtfToText(decodeText(bytes, contentType)));
+    case 'application/hl7-cda+xml':
+    case 'application/xml':
+    case 'text/xml': {
+      // Only C-CDA documents - other XML has no note text we know how to find
+      const xml = decodeText(bytes, contentType);
+      return isCcdaDocument(xml) ? normalizeNoteText(ccdaToText(parseCcdaDocument(xml))) : null;
+    }
+    case 'application/pdf': {
+      // Same pipeline as uploaded PDFs; returns null when pdf.js cannot read the file
+      const file = new File([bytes], 'clinical-note.pdf', { type: 'application/pdf' });
+      const extracted = await extractTextFromFile(file);
+      return extracted?.text ? normalizeNoteText(extracted.text) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Strip markup from an HTML note, keeping paragraph and line breaks
+ * @param {string} html - HTML document or fragment
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  // Mark block boundaries before the markup goes away
+  const marked = html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6]|table|section)>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '• ');
+
+  if (typeof DOMParser !== 'undefined') {
+    const doc = new DOMParser().parseFromString(marked, 'text/html');
+    doc.querySelectorAll('script, style').forEach(element => element.remove());
+    return doc.body?.textContent || '';
+  }
+
+  return marked
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extract the text of an RTF note
+ * Handles the control words Epic notes use; embedded pictures and font
+ * tables are dropped rather than rendered
+ * @param {string} rtf - RTF document
+ * @returns {string} Plain text
+ */
+export function rtfToText(rtf) {
+  let text = '';
+  let depth = 0;
+  let skipDepth = null; // Group depth of a destination we are ignoring
+  let i = 0;
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      depth++;
+      // {\*\destination ...} groups hold metadata, not text
+      if (skipDepth === null && rtf.startsWith('\\*', i + 1)) {
+        skipDepth = depth;
+      }
+      i++;
+    } else if (char === '}') {
+      if (skipDepth === depth) skipDepth = null;
+      depth--;
+      i++;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        if (skipDepth === null) text += next;
+        i += 2;
+      } else if (next === "'") {
+        // \'hh - a character in the document code page
+        if (skipDepth === null) text += String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16));
+        i += 4;
+      } else {
+        const match = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i, i + 40)) || ['\\' + next, next];
+        const word = match[1];
+        i += match[0].length;
+
+        if (RTF_SKIPPED_GROUPS.includes(word)) {
+          skipDepth = skipDepth ?? depth;
+        } else if (skipDepth === null) {
+          if (word === 'par' || word === 'line' || word === 'row') text += '\n';
+          else if (word === '~') text += ' ';
+          else if (word === 'tab' || word === 'cell') text += '\t';
+          else if (word === 'u' && match[2]) {
+            text += String.fromCharCode(Number(match[2]) < 0 ? Number(match[2]) + 65536 : Number(match[2]));
+            // Skip the ANSI fallback character that follows \uN
+            if (rtf[i] && rtf[i] !== '\\' && rtf[i] !== '{' && rtf[i] !== '}') i++;
+          }
+        }
+      }
+    } else {
+      if (skipDepth === null && char !== '\r' && char !== '\n') text += char;
+      i++;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Collapse whitespace left over from markup while keeping paragraphs
+ * @param {string} text - Raw extracted text
+ * @returns {string|null} Tidy text, or null when nothing is left
+ */
+export function normalizeNoteText(text) {
+  const normalized = (text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return normalized || null;
+}
+
+// Helper Functions
+
+function baseContentType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function decodeText(bytes, contentType) {
+  const charset = /charset=([^;]+)/i.exec(contentType || '')?.[1]?.trim() || 'utf-8';
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    // Unknown charset label
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
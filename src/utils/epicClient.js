@@ -5,59 +5,110 @@
 
 import { supabase } from './supabaseClient';
 import { encrypt, decrypt } from './encryption';
-import { 
-  parsePatient, 
-  parseConditions, 
-  parseMedications, 
-  parseDocuments,
-  parseObservations,
-  parseBundle
-} from './fhirParser';
+import { parsePatient } from './fhirParser';
+import { discoverSmartConfiguration, filterSupportedScopes } from './smartDiscovery';
+import { fhirFetch, describeFhirError, FhirRequestError } from './fhirHttp';
+import { selectNoteAttachment, isReadableContentType, decodeBase64, decodeNoteContent, encodeBase64Text } from './documentContent';
+import { startBulkExport, pollBulkExport, cancelBulkExport, downloadExportFile } from './bulkExport';
+import {
+  PATIENT_DATA_SECTIONS,
+  fetchPatientSections,
+  parseSyncedSections,
+  buildVersionRows,
+  buildPatientDataColumns,
+  parsePatientDataRow,
+  isEnteredInError
+} from './patientSync';
+import { scorePatientMatch, matchGrade, rankMatches } from './patientMatching';
+import { parsePatientQuery, buildSearchAttempts, rankPatients } from './patientSearch';
 
 // Plasma FHIR Configuration from environment variables
 // Plasma FHIR provides unified access to Epic and other EHR systems
+// OAuth endpoints are discovered per server (see smartDiscovery.js);
+// authUrl/tokenUrl only override discovery for the default fhirApiBase
 const EPIC_CONFIG = {
   clientId: import.meta.env.VITE_EPIC_CLIENT_ID || '64b06556-5871-4703-a7c4-095821d64e36',
   redirectUri: import.meta.env.VITE_EPIC_REDIRECT_URI || 'http://localhost:5173/epic-callback',
   baseUrl: import.meta.env.VITE_EPIC_BASE_URL || 'https://api.plasma.health',
-  authUrl: import.meta.env.VITE_EPIC_AUTH_URL || 'https://api.plasma.health/oauth2/authorize',
-  tokenUrl: import.meta.env.VITE_EPIC_TOKEN_URL || 'https://api.plasma.health/oauth2/token',
+  authUrl: import.meta.env.VITE_EPIC_AUTH_URL || null,
+  tokenUrl: import.meta.env.VITE_EPIC_TOKEN_URL || null,
   fhirApiBase: import.meta.env.VITE_EPIC_FHIR_API_BASE || 'https://api.plasma.health/fhir/r4',
   scopes: import.meta.env.VITE_EPIC_SCOPES || 'patient/*.read launch/patient openid fhirUser',
-  demoMode: import.meta.env.VITE_DEMO_MODE === 'true' || false
+  defaultConnectionName: 'Plasma FHIR',
+  mrnSystem: import.meta.env.VITE_EPIC_MRN_SYSTEM || null, // Identifier system MRN searches are scoped to
+  maxBundlePages: Number(import.meta.env.VITE_FHIR_MAX_PAGES) || 20,
+  refreshSkewSeconds: 60, // Refresh this long before expires_at
+  syncOverlapMinutes: 5, // Incremental syncs re-ask for this much history to absorb clock skew
+  maxNoteDownloads: 10, // Most recent notes whose attachment is downloaded and decoded
+  maxNoteBytes: 5 * 1024 * 1024, // Larger attachments are skipped
+  maxNoteChars: 20000, // Note text kept per document
+  maxHistoryRowsPerInsert: 500, // Version history rows per insert request
+  // Patient education write-back needs write scopes, e.g. patient/DocumentReference.write
+  writeBackResource: import.meta.env.VITE_EPIC_WRITE_BACK_RESOURCE || 'DocumentReference',
+  bulkGroupId: import.meta.env.VITE_EPIC_BULK_GROUP_ID || null, // Default Group for panel exports
+  // FHIR servers allowed to EHR-launch us besides fhirApiBase and already connected servers
+  launchIssuers: (import.meta.env.VITE_EPIC_LAUNCH_ISSUERS || '').split(',').map(iss => iss.trim()).filter(Boolean)
 };
 
+// In-flight refreshes keyed by connection ID, so parallel requests share one
+// refresh instead of racing each other with rotated refresh tokens
+const refreshInFlight = new Map();
+
 /**
  * Initialize Epic OAuth flow (redirect to Epic authorization)
+ * Uses PKCE (S256) since we run as a public browser client
  * @param {string} doctorEmail - Doctor's email for state tracking
- * @returns {string|null} Authorization URL to redirect to, or null for demo mode
+ * @param {Object} options - Connection options
+ * @param {string} options.fhirBaseUrl - FHIR base URL of the SMART server to connect to
+ * @param {string} options.connectionName - Display name for this EHR connection
+ * @param {string} options.launch - Launch ID from an EHR launch (see initEpicLaunch)
+ * @returns {Promise<string>} Authorization URL to redirect to
  */
-export function initEpicAuth(doctorEmail) {
-  // Demo mode: Skip OAuth, directly create connection
-  if (EPIC_CONFIG.demoMode || doctorEmail === 'demo.doctor@amma.health') {
-    console.log('🎭 Demo Mode: Skipping OAuth, creating demo connection');
-    createDemoConnection(doctorEmail);
-    return null; // Don't redirect
-  }
+export async function initEpicAuth(doctorEmail, {
+  fhirBaseUrl = EPIC_CONFIG.fhirApiBase,
+  connectionName = EPIC_CONFIG.defaultConnectionName,
+  launch = null
+} = {}) {
+  // Resolve authorize/token endpoints and supported scopes for this server
+  const smartConfig = await resolveSmartConfig(fhirBaseUrl);
   
   // Generate random state for CSRF protection
   const state = generateRandomState();
   
-  // Store state in sessionStorage to verify callback
+  // Generate PKCE verifier and its S256 challenge
+  const codeVerifier = generateCodeVerifier();
+  const codeChallenge = await generateCodeChallenge(codeVerifier);
+  
+  // Store state and verifier in sessionStorage to verify callback
   sessionStorage.setItem('epic_oauth_state', state);
   sessionStorage.setItem('epic_oauth_doctor_email', doctorEmail);
+  sessionStorage.setItem('epic_oauth_code_verifier', codeVerifier);
+  sessionStorage.setItem('epic_oauth_fhir_base', smartConfig.fhirBaseUrl);
+  sessionStorage.setItem('epic_oauth_connection_name', connectionName);
+  if (launch) {
+    sessionStorage.setItem('epic_oauth_launch', 'ehr');
+  } else {
+    sessionStorage.removeItem('epic_oauth_launch');
+  }
   
   // Build authorization URL
   const params = new URLSearchParams({
     response_type: 'code',
     client_id: EPIC_CONFIG.clientId,
     redirect_uri: EPIC_CONFIG.redirectUri,
-    scope: EPIC_CONFIG.scopes,
+    scope: filterSupportedScopes(launch ? ehrLaunchScopes(EPIC_CONFIG.scopes) : EPIC_CONFIG.scopes, smartConfig.scopesSupported),
     state: state,
-    aud: EPIC_CONFIG.fhirApiBase
+    aud: smartConfig.fhirBaseUrl,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
   });
   
-  const authUrl = `${EPIC_CONFIG.authUrl}?${params.toString()}`;
+  // The EHR binds its launch context (patient, encounter) to this ID
+  if (launch) {
+    params.set('launch', launch);
+  }
+  
+  const authUrl = `${smartConfig.authorizationEndpoint}?${params.toString()}`;
   
   console.log('🔐 Initiating Epic OAuth flow...');
   console.log('Authorization URL:', authUrl);
@@ -66,48 +117,49 @@ export function initEpicAuth(doctorEmail) {
 }
 
 /**
- * Create demo connection without OAuth
+ * Start an EHR launch (Amma opened from inside the chart)
+ * The EHR calls our launch route with iss and launch; we authorize against
+ * iss with the launch ID so the token response carries the chart's context
  * @param {string} doctorEmail - Doctor's email
+ * @param {Object} params - Launch parameters
+ * @param {string} params.iss - FHIR base URL of the launching EHR
+ * @param {string} params.launch - Opaque launch ID
+ * @returns {Promise<string>} Authorization URL to redirect to
  */
-async function createDemoConnection(doctorEmail) {
-  try {
-    // Create demo connection in database
-    const expiresAt = new Date(Date.now() + (365 * 24 * 60 * 60 * 1000)); // 1 year
-    
-    const { error } = await supabase
-      .from('epic_tokens')
-      .upsert({
-        doctor_email: doctorEmail,
-        access_token: 'demo-token-' + Date.now(),
-        refresh_token: 'demo-refresh-' + Date.now(),
-        expires_at: expiresAt.toISOString(),
-        epic_base_url: 'https://demo.plasma.health'
-      }, {
-        onConflict: 'doctor_email'
-      });
-    
-    if (error) {
-      console.error('Error creating demo connection:', error);
-    } else {
-      console.log('✅ Demo connection created');
-      
-      // Log audit event
-      await logAuditEvent({
-        doctor_email: doctorEmail,
-        action: 'demo_connection_created',
-        epic_resource_accessed: 'Demo Mode Connection'
-      });
-    }
-  } catch (error) {
-    console.error('Error in createDemoConnection:', error);
+export async function initEpicLaunch(doctorEmail, { iss, launch }) {
+  if (!iss || !launch) {
+    throw new Error('EHR launch requires iss and launch parameters');
   }
+  
+  const fhirBaseUrl = iss.replace(/\/+$/, '');
+  
+  // iss comes from the URL - only trust servers we already know
+  const { data: connections } = await supabase
+    .from('epic_tokens')
+    .select('connection_name, epic_base_url')
+    .eq('doctor_email', doctorEmail);
+  const existing = (connections || []).find(connection => connection.epic_base_url === fhirBaseUrl);
+  const trusted = [EPIC_CONFIG.fhirApiBase, ...EPIC_CONFIG.launchIssuers].map(url => url.replace(/\/+$/, ''));
+  
+  if (!existing && !trusted.includes(fhirBaseUrl)) {
+    throw new Error(`Launch from an unknown EHR (${fhirBaseUrl}) - add it to VITE_EPIC_LAUNCH_ISSUERS`);
+  }
+  
+  console.log('🏥 EHR launch from', fhirBaseUrl);
+  return await initEpicAuth(doctorEmail, {
+    fhirBaseUrl,
+    connectionName: existing?.connection_name ||
+      (fhirBaseUrl === EPIC_CONFIG.fhirApiBase ? EPIC_CONFIG.defaultConnectionName : new URL(fhirBaseUrl).hostname),
+    launch
+  });
 }
 
 /**
  * Handle OAuth callback (exchange code for tokens)
  * @param {string} code - Authorization code from Epic
  * @param {string} state - State parameter for CSRF verification
- * @returns {Promise<Object>} Token response
+ * @returns {Promise<Object>} { success, doctorEmail, connectionId, launchContext }
+ *   launchContext ({ patient, encounter, appContext }) is set for EHR launches
  */
 export async function handleEpicCallback(code, state) {
   console.log('🔐 Handling Epic OAuth callback...');
@@ -123,8 +175,19 @@ export async function handleEpicCallback(code, state) {
     throw new Error('No doctor email found in session');
   }
   
+  const codeVerifier = sessionStorage.getItem('epic_oauth_code_verifier');
+  if (!codeVerifier) {
+    throw new Error('No PKCE code verifier found in session');
+  }
+  
+  const fhirBaseUrl = sessionStorage.getItem('epic_oauth_fhir_base') || EPIC_CONFIG.fhirApiBase;
+  const connectionName = sessionStorage.getItem('epic_oauth_connection_name') || 
+    EPIC_CONFIG.defaultConnectionName;
+  const isEhrLaunch = sessionStorage.getItem('epic_oauth_launch') === 'ehr';
+  const smartConfig = await resolveSmartConfig(fhirBaseUrl);
+  
   // Exchange authorization code for access token
-  const tokenResponse = await fetch(EPIC_CONFIG.tokenUrl, {
+  const tokenResponse = await fetch(smartConfig.tokenEndpoint, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/x-www-form-urlencoded',
@@ -133,7 +196,8 @@ export async function handleEpicCallback(code, state) {
       grant_type: 'authorization_code',
       code: code,
       redirect_uri: EPIC_CONFIG.redirectUri,
-      client_id: EPIC_CONFIG.clientId
+      client_id: EPIC_CONFIG.clientId,
+      code_verifier: codeVerifier
     })
   });
   
@@ -154,49 +218,212 @@ export async function handleEpicCallback(code, state) {
   const encryptedRefreshToken = tokens.refresh_token ? 
     await encrypt(tokens.refresh_token) : null;
   
-  // Store encrypted tokens in database
-  const { error: dbError } = await supabase
+  // Store encrypted tokens in database (reconnecting to the same server reuses its connection)
+  const { data: connection, error: dbError } = await supabase
     .from('epic_tokens')
     .upsert({
       doctor_email: doctorEmail,
+      connection_name: connectionName,
+      auth_mode: 'user',
       access_token: encryptedAccessToken,
       refresh_token: encryptedRefreshToken,
       expires_at: expiresAt.toISOString(),
-      epic_base_url: EPIC_CONFIG.fhirApiBase
+      epic_base_url: smartConfig.fhirBaseUrl,
+      updated_at: new Date().toISOString()
     }, {
-      onConflict: 'doctor_email'
-    });
+      onConflict: 'doctor_email,epic_base_url,auth_mode'
+    })
+    .select('id')
+    .single();
   
   if (dbError) {
     console.error('❌ Failed to store tokens:', dbError);
     throw new Error('Failed to store Epic tokens: ' + dbError.message);
   }
   
+  // Chart context travels alongside the token in an EHR launch
+  const launchContext = isEhrLaunch && tokens.patient ? {
+    patient: tokens.patient,
+    encounter: tokens.encounter || null,
+    appContext: parseAppContext(tokens.appContext)
+  } : null;
+  
   // Log audit event
   await logAuditEvent({
     doctor_email: doctorEmail,
-    action: 'epic_oauth_connected',
-    epic_resource_accessed: 'OAuth Token'
+    epic_patient_id: launchContext?.patient || null,
+    action: isEhrLaunch ? 'epic_ehr_launch' : 'epic_oauth_connected',
+    epic_resource_accessed: `OAuth Token (${connectionName})`
   });
   
   // Clear session storage
   sessionStorage.removeItem('epic_oauth_state');
   sessionStorage.removeItem('epic_oauth_doctor_email');
+  sessionStorage.removeItem('epic_oauth_code_verifier');
+  sessionStorage.removeItem('epic_oauth_fhir_base');
+  sessionStorage.removeItem('epic_oauth_connection_name');
+  sessionStorage.removeItem('epic_oauth_launch');
   
   console.log('✅ Epic tokens stored securely');
-  return { success: true, doctorEmail };
+  return { success: true, doctorEmail, connectionId: connection.id, launchContext };
+}
+
+/**
+ * List a doctor's EHR connections (tokens are never returned)
+ * @param {string} doctorEmail - Doctor's email
+ * @returns {Promise<Array>} Connections ordered by creation date
+ */
+export async function listEpicConnections(doctorEmail) {
+  const { data, error } = await supabase
+    .from('epic_tokens')
+    .select('id, connection_name, auth_mode, epic_base_url, expires_at, refresh_token, created_at, updated_at')
+    .eq('doctor_email', doctorEmail)
+    .order('created_at', { ascending: true });
+  
+  if (error) {
+    throw new Error('Failed to load EHR connections: ' + error.message);
+  }
+  
+  return (data || []).map(row => ({
+    id: row.id,
+    name: row.connection_name || EPIC_CONFIG.defaultConnectionName,
+    fhirBaseUrl: row.epic_base_url,
+    authMode: row.auth_mode || 'user',
+    expiresAt: row.expires_at,
+    canRefresh: canRenewToken(row),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }));
 }
 
 /**
- * Get Epic access token for a doctor (with auto-refresh)
+ * Rename an EHR connection
  * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - Connection ID
+ * @param {string} connectionName - New display name
+ */
+export async function renameEpicConnection(doctorEmail, connectionId, connectionName) {
+  const { error } = await supabase
+    .from('epic_tokens')
+    .update({
+      connection_name: connectionName,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', connectionId)
+    .eq('doctor_email', doctorEmail);
+  
+  if (error) {
+    throw new Error('Failed to rename connection: ' + error.message);
+  }
+}
+
+/**
+ * Get Epic access token for a connection (with auto-refresh)
+ * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - Connection ID
  * @returns {Promise<string>} Valid access token
  */
-export async function getEpicToken(doctorEmail) {
-  // Fetch token from database
+export async function getEpicToken(doctorEmail, connectionId) {
+  const session = await getEpicSession(doctorEmail, connectionId);
+  return session.accessToken;
+}
+
+/**
+ * Get a valid access token together with the FHIR server it belongs to
+ * Tokens about to expire are refreshed proactively
+ * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - Connection ID
+ * @returns {Promise<Object>} { doctorEmail, connectionId, accessToken, fhirBaseUrl, connection, request }
+ *   - request(url, options) is sessionFetch bound to the session, for patientSync.js
+ */
+async function getEpicSession(doctorEmail, connectionId) {
+  let connection = await getEpicConnection(doctorEmail, connectionId);
+  
+  // Refresh shortly before expiry; without a refresh token use it until it actually expires
+  if (isTokenExpiring(connection) && (canRenewToken(connection) || isTokenExpired(connection))) {
+    console.log('🔄 Token expired or expiring, refreshing...');
+    connection = await refreshConnectionToken(connection);
+  }
+  
+  const session = {
+    doctorEmail,
+    connectionId: connection.id,
+    fhirBaseUrl: connection.epic_base_url,
+    accessToken: await decrypt(connection.access_token),
+    connection
+  };
+  session.request = (url, options) => sessionFetch(session, url, options);
+  return session;
+}
+
+/**
+ * Replace a session's access token after the server rejected it (401)
+ * @param {Object} session - Session from getEpicSession (updated in place)
+ * @param {string} rejectedToken - Access token the failed request used
+ */
+async function renewSessionToken(session, rejectedToken) {
+  // A parallel request already renewed this session
+  if (session.accessToken !== rejectedToken) return;
+  
+  const connection = await refreshConnectionToken(session.connection);
+  if (session.accessToken === rejectedToken) {
+    session.connection = connection;
+    session.accessToken = await decrypt(connection.access_token);
+  }
+}
+
+/**
+ * FHIR request on behalf of a session
+ * A 401 triggers one token refresh and a transparent retry
+ * @param {Object} session - Session from getEpicSession
+ * @param {string} url - Absolute request URL
+ * @param {Object} options - fhirFetch options (accessToken is filled in)
+ * @returns {Promise<Response>} Successful fetch Response
+ */
+async function sessionFetch(session, url, options = {}) {
+  const accessToken = session.accessToken;
+  
+  try {
+    return await fhirFetch(url, { ...options, accessToken });
+  } catch (error) {
+    if (!(error instanceof FhirRequestError) || error.status !== 401) {
+      throw error;
+    }
+    
+    console.log('🔄 Access token rejected (401), refreshing and retrying...');
+    await renewSessionToken(session, accessToken);
+    return await fhirFetch(url, { ...options, accessToken: session.accessToken });
+  }
+}
+
+/**
+ * FHIR JSON request on behalf of a session (see sessionFetch)
+ * @param {Object} session - Session from getEpicSession
+ * @param {string} url - Absolute request URL
+ * @param {Object} options - fhirFetch options (accessToken is filled in)
+ * @returns {Promise<Object|null>} Parsed response body
+ */
+async function sessionFetchJson(session, url, options = {}) {
+  const response = await sessionFetch(session, url, options);
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Load a connection row, scoped to the doctor who owns it
+ * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - Connection ID
+ * @returns {Promise<Object>} epic_tokens row
+ */
+async function getEpicConnection(doctorEmail, connectionId) {
+  if (!connectionId) {
+    throw new Error('No EHR connection selected.');
+  }
+  
   const { data, error } = await supabase
     .from('epic_tokens')
     .select('*')
+    .eq('id', connectionId)
     .eq('doctor_email', doctorEmail)
     .single();
   
@@ -204,35 +431,64 @@ export async function getEpicToken(doctorEmail) {
     throw new Error('No Epic connection found. Please connect to Epic first.');
   }
   
-  // Check if token is expired
-  const expiresAt = new Date(data.expires_at);
-  const now = new Date();
-  
-  if (now >= expiresAt) {
-    console.log('🔄 Token expired, refreshing...');
-    return await refreshEpicToken(doctorEmail, data.refresh_token);
-  }
-  
-  // Decrypt and return token
-  const accessToken = await decrypt(data.access_token);
-  return accessToken;
+  return data;
 }
 
 /**
  * Refresh Epic access token
  * @param {string} doctorEmail - Doctor's email
- * @param {string} encryptedRefreshToken - Encrypted refresh token
+ * @param {number} connectionId - Connection ID
  * @returns {Promise<string>} New access token
  */
-export async function refreshEpicToken(doctorEmail, encryptedRefreshToken) {
+export async function refreshEpicToken(doctorEmail, connectionId) {
+  const connection = await getEpicConnection(doctorEmail, connectionId);
+  const refreshed = await refreshConnectionToken(connection);
+  return await decrypt(refreshed.access_token);
+}
+
+/**
+ * Refresh a connection's tokens, at most once at a time per connection
+ * Concurrent callers share the same in-flight refresh
+ * @param {Object} connection - epic_tokens row the caller is working from
+ * @returns {Promise<Object>} Updated epic_tokens row
+ */
+async function refreshConnectionToken(connection) {
+  const inFlight = refreshInFlight.get(connection.id);
+  if (inFlight) {
+    return await inFlight;
+  }
+  
+  const refresh = refreshLatestConnectionToken(connection)
+    .finally(() => refreshInFlight.delete(connection.id));
+  refreshInFlight.set(connection.id, refresh);
+  return await refresh;
+}
+
+/**
+ * Exchange the newest stored refresh token for a new access token
+ * @param {Object} connection - epic_tokens row the caller is working from
+ * @returns {Promise<Object>} Updated epic_tokens row
+ */
+async function refreshLatestConnectionToken(connection) {
+  // Another tab may have rotated the tokens since this row was read -
+  // reuse its access token rather than spending the old refresh token
+  const latest = await getEpicConnection(connection.doctor_email, connection.id);
+  if (latest.access_token !== connection.access_token && !isTokenExpiring(latest)) {
+    console.log('🔄 Token was already refreshed, reusing it');
+    return latest;
+  }
+  
+  const { doctor_email: doctorEmail, refresh_token: encryptedRefreshToken } = latest;
+  
   if (!encryptedRefreshToken) {
     throw new Error('No refresh token available. Please reconnect to Epic.');
   }
   
   const refreshToken = await decrypt(encryptedRefreshToken);
+  const smartConfig = await resolveSmartConfig(latest.epic_base_url);
   
   // Request new access token
-  const tokenResponse = await fetch(EPIC_CONFIG.tokenUrl, {
+  const tokenResponse = await fetch(smartConfig.tokenEndpoint, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/x-www-form-urlencoded',
@@ -258,16 +514,18 @@ export async function refreshEpicToken(doctorEmail, encryptedRefreshToken) {
   const newEncryptedRefreshToken = tokens.refresh_token ? 
     await encrypt(tokens.refresh_token) : encryptedRefreshToken;
   
+  const updates = {
+    access_token: encryptedAccessToken,
+    refresh_token: newEncryptedRefreshToken,
+    expires_at: expiresAt.toISOString(),
+    updated_at: new Date().toISOString()
+  };
+  
   // Update database
   const { error: dbError } = await supabase
     .from('epic_tokens')
-    .update({
-      access_token: encryptedAccessToken,
-      refresh_token: newEncryptedRefreshToken,
-      expires_at: expiresAt.toISOString(),
-      updated_at: new Date().toISOString()
-    })
-    .eq('doctor_email', doctorEmail);
+    .update(updates)
+    .eq('id', latest.id);
   
   if (dbError) {
     console.error('❌ Failed to update tokens:', dbError);
@@ -282,883 +540,948 @@ export async function refreshEpicToken(doctorEmail, encryptedRefreshToken) {
   });
   
   console.log('✅ Epic token refreshed successfully');
-  return await decrypt(encryptedAccessToken);
+  return { ...latest, ...updates };
 }
 
-/**
- * Get demo patients for testing
- * @returns {Array} Array of demo patients
- */
-function getDemoPatients() {
-  return [
-    {
-      id: 'demo-patient-1',
-      name: 'Anish Polakala',
-      firstName: 'Anish',
-      lastName: 'Polakala',
-      gender: 'male',
-      birthDate: '1992-08-15',
-      age: new Date().getFullYear() - 1992,
-      mrn: 'MRN001234',
-      phone: '555-0100',
-      email: 'anish.polakala@example.com',
-      address: '123 Commonwealth Ave, Boston, MA 02116'
-    },
-    {
-      id: 'demo-patient-2',
-      name: 'Keisha Washington',
-      firstName: 'Keisha',
-      lastName: 'Washington',
-      gender: 'female',
-      birthDate: '1985-03-22',
-      age: new Date().getFullYear() - 1985,
-      mrn: 'MRN005678',
-      phone: '555-0101',
-      email: 'keisha.washington@example.com',
-      address: '456 Blue Hill Ave, Boston, MA 02121'
-    },
-    {
-      id: 'demo-patient-3',
-      name: 'Mei Lin Zhang',
-      firstName: 'Mei Lin',
-      lastName: 'Zhang',
-      gender: 'female',
-      birthDate: '1990-11-08',
-      age: new Date().getFullYear() - 1990,
-      mrn: 'MRN009876',
-      phone: '555-0102',
-      email: 'meilin.zhang@example.com',
-      address: '789 Beach St, Boston, MA 02111'
-    },
-    {
-      id: 'demo-patient-4',
-      name: 'Jamal Thompson',
-      firstName: 'Jamal',
-      lastName: 'Thompson',
-      gender: 'male',
-      birthDate: '1978-06-14',
-      age: new Date().getFullYear() - 1978,
-      mrn: 'MRN004321',
-      phone: '555-0103',
-      email: 'jamal.thompson@example.com',
-      address: '321 Warren St, Boston, MA 02119'
-    },
-    {
-      id: 'demo-patient-5',
-      name: 'Priya Sharma',
-      firstName: 'Priya',
-      lastName: 'Sharma',
-      gender: 'female',
-      birthDate: '1988-12-19',
-      age: new Date().getFullYear() - 1988,
-      mrn: 'MRN007654',
-      phone: '555-0104',
-      email: 'priya.sharma@example.com',
-      address: '567 Cambridge St, Boston, MA 02114'
-    }
-  ];
+function canRenewToken(connection) {
+  return Boolean(connection.refresh_token);
+}
+
+function isTokenExpiring(connection) {
+  const refreshAt = new Date(connection.expires_at).getTime() - EPIC_CONFIG.refreshSkewSeconds * 1000;
+  return Date.now() >= refreshAt;
+}
+
+function isTokenExpired(connection) {
+  return Date.now() >= new Date(connection.expires_at).getTime();
 }
 
 /**
  * Search for patients in Epic via Plasma FHIR
+ * The query is split into MRN, date of birth, phone and name (see
+ * patientSearch.js). A combined search that finds nobody is retried with
+ * fewer criteria, and results are ranked by how much of the query they match
  * @param {string} doctorEmail - Doctor's email
- * @param {string} query - Patient name or MRN
- * @returns {Promise<Array>} Array of matching patients
+ * @param {number} connectionId - EHR connection to search
+ * @param {string} query - Name, MRN, date of birth and/or phone, e.g. "Sharma, Priya 12/19/1988"
+ * @returns {Promise<Object>} { patients: best first, with searchScore and matchedOn,
+ *   searchedBy: parameters of the search that found them, broadened: true when that search left some out }
  */
-export async function searchEpicPatients(doctorEmail, query) {
-  // Demo mode: return mock patients filtered by query
-  if (EPIC_CONFIG.demoMode || doctorEmail === 'demo.doctor@amma.health') {
-    console.log('🎭 Demo Mode: Returning mock patients');
-    const demoPatients = getDemoPatients();
-    
-    // Filter by query if provided
-    if (query && query.trim()) {
-      const lowerQuery = query.toLowerCase();
-      const filtered = demoPatients.filter(p => 
-        p.name.toLowerCase().includes(lowerQuery) ||
-        p.mrn.toLowerCase().includes(lowerQuery) ||
-        p.email.toLowerCase().includes(lowerQuery)
-      );
-      return filtered;
-    }
-    
-    return demoPatients;
+export async function searchEpicPatients(doctorEmail, connectionId, query) {
+  const { criteria, params, invalidDates } = parsePatientQuery(query, { mrnSystem: EPIC_CONFIG.mrnSystem });
+  if (invalidDates.length > 0) {
+    throw new Error(`"${invalidDates[0]}" is not a valid date of birth - use YYYY-MM-DD or MM/DD/YYYY`);
+  }
+  if (Object.keys(params).length === 0) {
+    throw new Error('Enter a name, MRN, date of birth or phone number to search');
   }
   
-  const accessToken = await getEpicToken(doctorEmail);
-  
-  // Build search URL for Plasma FHIR
-  const searchParams = new URLSearchParams({
-    name: query,
-    _count: 20
-  });
-  
-  const searchUrl = `${EPIC_CONFIG.fhirApiBase}/Patient?${searchParams.toString()}`;
+  const session = await getEpicSession(doctorEmail, connectionId);
   
-  console.log('🔍 Searching patients via Plasma FHIR:', query);
+  console.log('🔍 Searching patients via Plasma FHIR by', Object.keys(params).join(', '));
   
-  const response = await fetch(searchUrl, {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/fhir+json',
-      'Content-Type': 'application/fhir+json'
+  let entries = [];
+  let searchedBy = [];
+  try {
+    for (const attempt of buildSearchAttempts(params)) {
+      const searchParams = new URLSearchParams({ ...attempt, _count: 20 });
+      const bundle = await sessionFetchJson(session, `${session.fhirBaseUrl}/Patient?${searchParams.toString()}`);
+      
+      searchedBy = Object.keys(attempt);
+      entries = (bundle?.entry || []).filter(entry => entry.resource?.resourceType === 'Patient');
+      if (entries.length > 0) break;
     }
-  });
-  
-  if (!response.ok) {
-    const error = await response.text();
+  } catch (error) {
     console.error('❌ Patient search failed:', error);
-    throw new Error('Failed to search patients: ' + response.statusText);
+    throw new Error('Failed to search patients: ' + describeFhirError(error));
   }
   
-  const bundle = await response.json();
-  
-  // Parse patient resources
-  const patients = bundle.entry?.map(entry => parsePatient(entry.resource)) || [];
+  const patients = rankPatients(entries.map(entry => parsePatient(entry.resource)), criteria);
   
-  // Log audit event
+  // Log audit event (search terms are PHI - only the parameter names are kept)
   await logAuditEvent({
     doctor_email: doctorEmail,
     action: 'plasma_patient_search',
-    epic_resource_accessed: 'Patient via Plasma FHIR'
+    epic_resource_accessed: `Patient via Plasma FHIR (${searchedBy.join(', ')})`
   });
   
-  console.log(`✅ Found ${patients.length} patients via Plasma FHIR`);
-  return patients;
+  // A retry with fewer criteria can return people who match only part of the query
+  const broadened = searchedBy.length < Object.keys(params).length;
+  console.log(`✅ Found ${patients.length} patients via Plasma FHIR${broadened ? ` (by ${searchedBy.join(', ')} only)` : ''}`);
+  return { patients, searchedBy, broadened };
 }
 
+// Servers without Patient/$match answer one of these; fall back to a name search
+const MATCH_UNSUPPORTED_STATUSES = [400, 404, 405, 422, 501];
+const MATCH_GRADE_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/match-grade';
+
 /**
- * Get demo patient data
- * @param {string} patientId - Demo patient ID
- * @returns {Object} Demo patient data
+ * Suggest EHR patients that may be the given roster patient
+ * With useMatch the server's Patient/$match does the matching (Epic
+ * supports it); servers without it get a last name search scored locally
+ * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - EHR connection to search
+ * @param {Object} rosterPatient - { email, firstName, lastName, birthDate }
+ * @param {Object} options - Match options
+ * @param {boolean} options.useMatch - Ask the server to match (Patient/$match)
+ * @returns {Promise<Array>} [{ patient, match: { score, grade, reasons }, source }], best first
  */
-function getDemoPatientData(patientId) {
-  const demoPatients = {
-    'demo-patient-1': {
-      patient: getDemoPatients()[0],
-      conditions: [
-        { id: 'cond-1', display: 'Glioblastoma Multiforme, Right Frontal Lobe (C71.1)', clinicalStatus: 'active', onsetDate: '2024-08-15', category: 'Neoplasm/Oncology', severity: 'Grade IV (WHO), High-grade malignant glioma' },
-        { id: 'cond-2', display: 'Cerebral Edema Secondary to Intracranial Mass (G93.6)', clinicalStatus: 'active', onsetDate: '2024-08-15', category: 'Neurological', severity: 'Moderate, controlled with steroids' },
-        { id: 'cond-3', display: 'Seizure Disorder Secondary to Brain Tumor (G40.909)', clinicalStatus: 'active', onsetDate: '2024-08-20', category: 'Neurological', severity: 'Controlled on anticonvulsants' }
-      ],
-      medications: [
-        { id: 'med-1', name: 'Temozolomide', status: 'active', dosage: '150mg/m² (280mg)', frequency: 'Once daily for 5 consecutive days every 28 days', route: 'Oral', prescribedDate: '2024-10-01', instructions: 'Chemotherapy agent. Take on empty stomach at bedtime. Concurrent with radiation therapy. Monitor CBC weekly. Anti-nausea medications prescribed as needed.' },
-        { id: 'med-2', name: 'Dexamethasone', status: 'active', dosage: '4mg', frequency: 'Twice daily (morning & evening)', route: 'Oral', prescribedDate: '2024-08-20', instructions: 'Corticosteroid to reduce cerebral edema. Take with food to prevent GI upset. Do not abruptly discontinue. Monitor blood glucose. Taper as directed by oncology team.' },
-        { id: 'med-3', name: 'Levetiracetam (Keppra)', status: 'active', dosage: '1000mg', frequency: 'Twice daily', route: 'Oral', prescribedDate: '2024-08-22', instructions: 'Anticonvulsant for seizure prophylaxis. May cause drowsiness - avoid driving until response known. Report mood changes, behavioral changes, or suicidal thoughts immediately.' },
-        { id: 'med-4', name: 'Ondansetron (Zofran)', status: 'active', dosage: '8mg', frequency: 'Every 8 hours as needed for nausea', route: 'Oral', prescribedDate: '2024-10-01', instructions: 'Anti-nausea medication. Can be taken 30 minutes before meals if anticipating nausea from chemotherapy.' }
-      ],
-      documents: [
-        { id: 'doc-1', type: 'Oncology Progress Note', date: '2024-11-18', author: 'Dr. Michael Rivera, MD - Neuro-Oncology', description: 'Post-operative follow-up. Patient tolerating chemoradiation protocol. Reviewing MRI findings.' },
-        { id: 'doc-2', type: 'MRI Brain with Contrast', date: '2024-11-12', author: 'Dr. Patricia Lee, MD - Neuroradiology', description: 'Post-surgical baseline MRI showing expected post-operative changes. Residual enhancement in right frontal lobe. No new masses identified.' },
-        { id: 'doc-3', type: 'Pathology Report', date: '2024-08-18', author: 'Dr. James Wu, MD - Neuropathology', description: 'Surgical specimen analysis confirms Glioblastoma Multiforme (WHO Grade IV). IDH-wildtype. MGMT promoter methylation status: Methylated (favorable prognostic indicator).' }
-      ],
-      observations: [
-        { id: 'obs-1', display: 'Karnofsky Performance Status', value: '80', unit: 'score (0-100)', date: '2024-11-18', status: 'final', interpretation: 'Good functional status - able to carry on normal activity with effort' },
-        { id: 'obs-2', display: 'White Blood Cell Count', value: '4.2', unit: 'K/uL', date: '2024-11-16', status: 'final', interpretation: 'Within normal range - adequate for chemotherapy continuation' },
-        { id: 'obs-3', display: 'Absolute Neutrophil Count (ANC)', value: '2.8', unit: 'K/uL', date: '2024-11-16', status: 'final', interpretation: 'Adequate - no evidence of neutropenia' },
-        { id: 'obs-4', display: 'Platelet Count', value: '195', unit: 'K/uL', date: '2024-11-16', status: 'final', interpretation: 'Normal - no bleeding risk' }
-      ],
-      clinical_notes: `PATIENT: Anish Polakala (MRN: MRN001234)
-DATE OF VISIT: November 18, 2024
-PROVIDER: Dr. Michael Rivera, MD - Neuro-Oncology
-VISIT TYPE: Post-Operative Follow-Up - Glioblastoma Multiforme Management
-
-CHIEF COMPLAINT:
-Post-operative follow-up for newly diagnosed Glioblastoma Multiforme, right frontal lobe. Currently receiving concurrent chemoradiation therapy.
-
-HISTORY OF PRESENT ILLNESS:
-32-year-old male with recent diagnosis of Glioblastoma Multiforme (WHO Grade IV) of the right frontal lobe. Patient initially presented to emergency department on August 10, 2024 with new-onset seizure activity and progressive headaches over 2-week period. CT head revealed 4.2cm heterogeneous mass in right frontal lobe with significant surrounding edema and mild midline shift. MRI with contrast confirmed enhancing mass with central necrosis, concerning for high-grade glioma.
-
-Patient underwent right frontal craniotomy with maximal safe resection on August 16, 2024 performed by Dr. Katherine Nguyen (Neurosurgery). Pathology confirmed Glioblastoma Multiforme, IDH-wildtype, with MGMT promoter methylation (favorable prognostic marker). Post-operative course complicated by transient left-sided weakness (resolved with PT) and one breakthrough seizure on post-op day 3.
-
-Patient initiated Stupp Protocol on October 1, 2024: concurrent radiation therapy (60 Gy in 30 fractions) with daily temozolomide 75mg/m², followed by adjuvant temozolomide 150-200mg/m² days 1-5 of 28-day cycles. Currently in Cycle 1, Day 18 of adjuvant phase. Radiation therapy completed November 10, 2024.
-
-CURRENT MEDICATIONS:
-1. Temozolomide 280mg (150mg/m²) PO daily × 5 days every 28 days - chemotherapy
-2. Dexamethasone 4mg PO BID - cerebral edema control
-3. Levetiracetam (Keppra) 1000mg PO BID - seizure prophylaxis
-4. Ondansetron 8mg PO Q8H PRN nausea
-5. Pantoprazole 40mg PO daily - GI protection while on steroids
-
-ALLERGIES: No Known Drug Allergies (NKDA)
-
-REVIEW OF SYSTEMS:
-Constitutional: Reports fatigue (expected from treatment), no fever. Weight stable at 165 lbs.
-Neurological: No recurrent seizure activity since August. Mild persistent headaches controlled with acetaminophen. No new focal neurological deficits. Intact motor function bilaterally. Denies vision changes, ataxia, or vertigo.
-Gastrointestinal: Mild nausea days 1-3 of chemotherapy cycle, well-controlled with ondansetron. Appetite fair. No vomiting or diarrhea.
-Psychiatric: Mood stable but understandably anxious about diagnosis. Engaged with social work and support groups. No depression screening concerns.
-Dermatologic: Mild facial puffiness from steroid use. Radiation dermatitis resolved.
-
-PHYSICAL EXAMINATION:
-Vitals: BP 118/76, HR 68, RR 14, Temp 98.4°F, Weight 165 lbs, O2 Sat 98% on room air
-General: Alert, oriented x3, appears stated age, mild cushingoid features from steroid therapy
-HEENT: Normocephalic. Well-healed right frontal craniotomy scar. No erythema or drainage at surgical site.
-Neurological Examination:
-  - Mental Status: Alert, fully oriented, appropriate affect, fluent speech
-  - Cranial Nerves II-XII: Intact bilaterally
-  - Motor: 5/5 strength all extremities, no pronator drift
-  - Sensory: Intact to light touch and pinprick throughout
-  - Reflexes: 2+ and symmetric, downgoing Babinski bilaterally
-  - Coordination: Finger-to-nose intact, no dysmetria
-  - Gait: Normal, steady, no ataxia
-Cardiovascular: Regular rate and rhythm, no murmurs
-Respiratory: Clear to auscultation bilaterally
-Abdomen: Soft, non-tender, non-distended
-Extremities: No cyanosis, clubbing, or edema
-
-RECENT IMAGING - MRI Brain with Contrast (11/12/2024):
-FINDINGS:
-- Status post right frontal craniotomy with expected post-operative changes
-- Minimal residual enhancement along resection cavity margins (stable from prior)
-- Decreased surrounding FLAIR signal compared to immediate post-operative study
-- No new enhancing lesions or masses identified
-- No hydrocephalus or significant mass effect
-- Ventricles and sulci normal in size and configuration
-IMPRESSION: Expected post-surgical changes without evidence of tumor progression. Decreased vasogenic edema compared to prior study.
-
-LABORATORY RESULTS (11/16/2024):
-Complete Blood Count:
-- WBC: 4.2 K/uL (reference: 4.5-11.0) - mild leukopenia acceptable
-- Hemoglobin: 13.2 g/dL (reference: 13.5-17.5)
-- Platelets: 195 K/uL (reference: 150-400)
-- ANC: 2.8 K/uL (adequate for chemotherapy continuation)
-
-Comprehensive Metabolic Panel:
-- Sodium: 139 mEq/L, Potassium: 4.1 mEq/L, Chloride: 102 mEq/L
-- BUN: 14 mg/dL, Creatinine: 0.9 mg/dL
-- Glucose: 126 mg/dL (elevated due to steroid therapy - monitoring)
-- ALT: 32 U/L, AST: 28 U/L - normal liver function
-- Total Bilirubin: 0.6 mg/dL
-
-ASSESSMENT AND PLAN:
-
-PRIMARY DIAGNOSIS: GLIOBLASTOMA MULTIFORME (WHO GRADE IV), RIGHT FRONTAL LOBE
-Status: Post-operative, currently receiving adjuvant chemotherapy (Cycle 1 of planned 6 cycles)
-
-1. ONCOLOGIC MANAGEMENT
-   • Patient tolerating Stupp Protocol reasonably well
-   • Baseline post-radiation MRI shows stable disease, no progression
-   • Continue temozolomide 280mg days 1-5 of 28-day cycle
-   • MGMT methylation positive - favorable for temozolomide response
-   • Karnofsky Performance Status: 80 (good functional status)
-   • Plan: Continue current chemotherapy protocol for total of 6 cycles
-   • Next MRI brain with contrast in 8 weeks (late January 2025)
-   • Consider clinical trial enrollment if disease progression
-
-2. CEREBRAL EDEMA - CONTROLLED
-   • Dexamethasone 4mg BID effectively controlling symptoms
-   • Begin steroid taper next week: reduce to 3mg BID × 1 week, then 2mg BID
-   • Monitor for steroid-related complications (hyperglycemia, immunosuppression)
-   • Continue PPI for GI protection
-
-3. SEIZURE DISORDER SECONDARY TO BRAIN TUMOR - CONTROLLED
-   • No seizure activity since initial presentation
-   • Continue levetiracetam 1000mg BID
-   • Maintain seizure precautions
-   • State driving restrictions apply per neurology recommendations
-   • Therapeutic drug monitoring not indicated at this time
-
-4. SUPPORTIVE CARE
-   • Nausea well-controlled with ondansetron
-   • Encourage adequate hydration and nutrition
-   • Fatigue expected from treatment - recommend energy conservation strategies
-   • Continue physical therapy for conditioning
-   • Social work engaged, support group recommended
-
-5. MONITORING
-   • CBC with differential weekly during chemotherapy weeks
-   • CMP monthly to monitor glucose (steroid-induced hyperglycemia)
-   • Pneumocystis jirovecii prophylaxis with TMP-SMX to be initiated given prolonged steroid use
-
-PATIENT EDUCATION:
-- Discussed MRI findings: stable post-operative changes, no evidence of tumor growth
-- Reviewed expected chemotherapy side effects and when to call
-- Emphasized importance of medication compliance, especially anti-seizure medication
-- Driving restrictions discussed per state law (seizure within 6 months)
-- Emergency contact information provided for fever, severe headache, new neurological symptoms, or uncontrolled nausea/vomiting
-- Patient and family demonstrate good understanding of treatment plan
-- Resources provided: American Brain Tumor Association, support groups
-
-PROGNOSIS DISCUSSION:
-Long discussion with patient and family regarding prognosis and treatment goals. Median survival for GBM with standard therapy is 15-18 months, but MGMT methylation status provides favorable prognostic indicator. Patient expresses realistic understanding and strong determination to pursue aggressive treatment. Emphasis on quality of life throughout treatment course. Palliative care consultation offered for symptom management - patient declines at this time but aware of availability.
-
-FOLLOW-UP:
-- Return to Neuro-Oncology clinic in 2 weeks (Cycle 2, Day 1 of chemotherapy)
-- CBC with diff prior to next chemotherapy cycle
-- MRI brain with contrast in 8 weeks
-- Call immediately for fever > 100.4°F, severe headache, seizure, new weakness, or concerning symptoms
-- Continue current medication regimen with planned steroid taper
-
-ELECTRONICALLY SIGNED:
-Dr. Michael Rivera, MD, FACP
-Board Certified Medical Oncology & Neuro-Oncology
-Massachusetts General Hospital Cancer Center
-November 18, 2024 16:45 EST`
-    },
-    'demo-patient-2': {
-      patient: getDemoPatients()[1],
-      conditions: [
-        { id: 'cond-4', display: 'Mild Persistent Asthma (J45.30)', clinicalStatus: 'active', onsetDate: '2010-03-15', category: 'Respiratory', severity: 'Mild-Moderate' },
-        { id: 'cond-5', display: 'Seasonal Allergic Rhinitis (J30.2)', clinicalStatus: 'active', onsetDate: '2010-03-15', category: 'Allergic/Immunologic', severity: 'Mild' }
-      ],
-      medications: [
-        { id: 'med-4', name: 'Albuterol Sulfate HFA Inhaler', status: 'active', dosage: '90mcg (2 puffs)', frequency: 'Every 4-6 hours as needed', route: 'Oral Inhalation', prescribedDate: '2024-06-20', instructions: 'Rescue inhaler for acute bronchospasm. Use 15 minutes before exercise. Seek emergency care if using more than 2x/week.' },
-        { id: 'med-5', name: 'Fluticasone Propionate HFA', status: 'active', dosage: '110mcg (2 puffs)', frequency: 'Twice daily (morning & evening)', route: 'Oral Inhalation', prescribedDate: '2024-06-20', instructions: 'Controller medication - use daily even when feeling well. Rinse mouth after use to prevent thrush.' },
-        { id: 'med-6', name: 'Montelukast Sodium', status: 'active', dosage: '10mg', frequency: 'Once daily at bedtime', route: 'Oral', prescribedDate: '2024-08-15', instructions: 'Leukotriene receptor antagonist for asthma control. Report mood changes.' }
-      ],
-      documents: [
-        { id: 'doc-4', type: 'Pulmonology Follow-Up', date: '2024-11-10', author: 'Dr. Michael Rodriguez, MD', description: 'Asthma control assessment and spirometry results review.' },
-        { id: 'doc-5', type: 'Spirometry Report', date: '2024-11-10', author: 'Pulmonary Function Lab', description: 'PFTs show mild obstruction, responsive to bronchodilator.' },
-        { id: 'doc-6', type: 'Asthma Action Plan', date: '2024-11-10', author: 'Dr. Michael Rodriguez, MD', description: 'Updated action plan with green/yellow/red zone instructions.' }
-      ],
-      observations: [
-        { id: 'obs-5', display: 'FEV1 (Forced Expiratory Volume)', value: '82', unit: '% predicted', date: '2024-11-10', status: 'final', interpretation: 'Mild obstruction, improved post-bronchodilator' },
-        { id: 'obs-6', display: 'Peak Flow', value: '420', unit: 'L/min', date: '2024-11-10', status: 'final', interpretation: 'Personal best: 450 L/min - In green zone' },
-        { id: 'obs-7', display: 'Oxygen Saturation', value: '98', unit: '%', date: '2024-11-10', status: 'final', interpretation: 'Normal' }
-      ],
-      clinical_notes: `PATIENT: Jane Doe (MRN: MRN005678)
-DATE OF VISIT: November 10, 2024
-PROVIDER: Dr. Michael Rodriguez, MD - Pulmonology
-VISIT TYPE: Asthma Control Assessment & Spirometry
-
-CHIEF COMPLAINT:
-Follow-up for asthma management and seasonal allergy symptoms.
-
-HISTORY OF PRESENT ILLNESS:
-35-year-old female with mild persistent asthma (diagnosed 2010) presents for scheduled follow-up. Patient reports good overall asthma control on current regimen. Uses rescue inhaler approximately 1-2 times per week, primarily with exercise or during high pollen days. No nighttime awakenings in past month. No emergency department visits or oral steroid courses in past year. Patient compliant with controller medications. Reports seasonal rhinitis symptoms improving with addition of montelukast.
-
-CURRENT MEDICATIONS:
-1. Fluticasone Propionate 110mcg - 2 puffs BID (controller)
-2. Albuterol Sulfate 90mcg - 2 puffs Q4-6H PRN (rescue)
-3. Montelukast 10mg PO daily at bedtime
-
-ALLERGIES: Penicillin (rash)
-
-ASTHMA CONTROL QUESTIONNAIRE (ACQ) SCORE: 0.8 (Well controlled: < 1.5)
-
-REVIEW OF SYSTEMS:
-Respiratory: Occasional mild dyspnea with exertion. No chest tightness at rest.
-ENT: Seasonal rhinorrhea and sneezing, improved with montelukast.
-All other systems reviewed and negative.
-
-PHYSICAL EXAMINATION:
-Vitals: BP 118/76, HR 68, RR 14, SpO2 98% on room air, Temp 98.2°F
-General: Alert, comfortable, speaking in full sentences
-HEENT: Nasal mucosa slightly pale and boggy, consistent with allergic rhinitis
-Neck: No lymphadenopathy, no stridor
-Cardiovascular: Regular rate and rhythm, no murmurs
-Respiratory: Good air entry bilaterally, no wheezes, crackles, or rhonchi
-  - No accessory muscle use
-  - No prolonged expiratory phase
-Skin: No eczema or urticaria
-
-SPIROMETRY RESULTS (11/10/2024):
-Pre-bronchodilator:
-- FEV1: 2.45 L (82% predicted)
-- FVC: 3.18 L (91% predicted)
-- FEV1/FVC ratio: 77%
-
-Post-bronchodilator (after 4 puffs albuterol):
-- FEV1: 2.78 L (93% predicted) - 13% improvement
-- FVC: 3.25 L (93% predicted)
-- Interpretation: Mild obstructive pattern with significant bronchodilator response
-
-PEAK FLOW MONITORING:
-- Current: 420 L/min
-- Personal Best: 450 L/min
-- Green Zone: > 360 L/min (80% of personal best)
-- Yellow Zone: 270-360 L/min (50-80%)
-- Red Zone: < 270 L/min (< 50%)
-
-ASSESSMENT AND PLAN:
-
-1. MILD PERSISTENT ASTHMA - WELL CONTROLLED
-   • ACQ score 0.8 indicates good control
-   • Spirometry shows mild obstruction with bronchodilator response
-   • Continue current three-medication regimen
-   • Fluticasone 110mcg BID - continue as controller
-   • Albuterol PRN - using appropriately (< 2x/week)
-   • Montelukast 10mg QHS - continue for dual benefit (asthma + allergies)
-   • Patient demonstrates excellent inhaler technique
-   • Updated Asthma Action Plan provided and reviewed
-
-2. SEASONAL ALLERGIC RHINITIS - CONTROLLED
-   • Symptoms improved with montelukast
-   • May add intranasal corticosteroid if symptoms worsen during peak allergy season
-   • Recommend environmental controls (keep windows closed during high pollen counts)
-
-PATIENT EDUCATION:
-- Reviewed proper inhaler technique with spacer
-- Emphasized importance of daily controller medication (fluticasone) even when asymptomatic
-- Discussed environmental triggers: pollen, dust, cold air, exercise
-- When to escalate care: use of rescue inhaler > 2x/week, nighttime symptoms, decreased peak flow
-- GREEN zone: current medications
-- YELLOW zone: increase fluticasone to 220mcg BID, more frequent albuterol
-- RED zone: seek immediate medical attention
-
-FOLLOW-UP:
-- Return in 6 months or sooner if control worsens
-- Call office if rescue inhaler use increases to > 2x/week
-- Continue home peak flow monitoring weekly
-- Annual flu vaccine recommended (scheduled for next month)
-
-ELECTRONICALLY SIGNED:
-Dr. Michael Rodriguez, MD
-Board Certified Pulmonary Medicine
-November 10, 2024 11:15 PST`
-    },
-    'demo-patient-3': {
-      patient: getDemoPatients()[2],
-      conditions: [
-        { id: 'cond-8', display: 'Generalized Anxiety Disorder (F41.1)', clinicalStatus: 'active', onsetDate: '2020-07-05', category: 'Mental Health', severity: 'Moderate, improving' },
-        { id: 'cond-9', display: 'Insomnia Disorder (G47.00)', clinicalStatus: 'active', onsetDate: '2020-08-12', category: 'Sleep Disorder', severity: 'Mild' }
-      ],
-      medications: [
-        { id: 'med-7', name: 'Sertraline HCl', status: 'active', dosage: '75mg', frequency: 'Once daily in morning', route: 'Oral', prescribedDate: '2023-09-01', instructions: 'SSRI for anxiety. Take with food. May cause initial nausea - usually resolves. Report increased anxiety or mood changes.' },
-        { id: 'med-8', name: 'Hydroxyzine Pamoate', status: 'active', dosage: '25mg', frequency: 'At bedtime as needed', route: 'Oral', prescribedDate: '2024-02-10', instructions: 'For sleep and anxiety. May cause drowsiness - do not drive after taking. Maximum 3x per week.' }
-      ],
-      documents: [
-        { id: 'doc-7', type: 'Psychiatric Follow-Up', date: '2024-10-20', author: 'Dr. Lisa Patel, MD', description: 'Patient reports 50% reduction in anxiety symptoms with current regimen.' },
-        { id: 'doc-8', type: 'Therapy Progress Note', date: '2024-10-15', author: 'Amanda Chen, LCSW', description: 'CBT session #12. Patient demonstrating improved coping strategies.' }
-      ],
-      observations: [
-        { id: 'obs-8', display: 'GAD-7 Score (Anxiety Assessment)', value: '8', unit: 'score', date: '2024-10-20', status: 'final', interpretation: 'Mild anxiety (score 5-9). Previously 15 (moderate). Significant improvement.' },
-        { id: 'obs-9', display: 'PHQ-9 Score (Depression Screening)', value: '4', unit: 'score', date: '2024-10-20', status: 'final', interpretation: 'Minimal depression symptoms (score < 5). No concerning findings.' }
-      ],
-      clinical_notes: `PATIENT: Emily Johnson (MRN: MRN009876)
-DATE OF VISIT: October 20, 2024
-PROVIDER: Dr. Lisa Patel, MD - Psychiatry
-VISIT TYPE: Psychiatric Follow-Up - Anxiety Management
-
-CHIEF COMPLAINT: "I'm feeling much better but still have some anxiety."
-
-HISTORY OF PRESENT ILLNESS:
-28-year-old female with Generalized Anxiety Disorder and insomnia presents for follow-up. Patient started on sertraline 50mg 13 months ago, dose increased to 75mg 6 months ago with good response. Reports approximately 50% reduction in anxiety symptoms compared to initial presentation. Sleep has improved with combination of medication and sleep hygiene. Currently engaged in weekly cognitive behavioral therapy with LCSW. Patient reports fewer panic attacks (now 0-1 per month, previously 3-4 per week). Able to work full-time without significant impairment. Occasional breakthrough anxiety managed with hydroxyzine PRN.
-
-CURRENT PSYCHIATRIC MEDICATIONS:
-1. Sertraline 75mg PO daily in AM - SSRI for anxiety
-2. Hydroxyzine 25mg PO QHS PRN insomnia/anxiety (using 2-3x/week)
-
-PSYCHIATRIC REVIEW:
-Mood: "Generally good, some ups and downs"
-Affect: Bright, appropriate
-Sleep: 6-7 hours per night, improved sleep latency
-Appetite: Normal, no recent weight changes
-Energy: Good during day
-Concentration: Improved, able to focus at work
-Anxiety: Reduced frequency and intensity
-Panic attacks: 0-1 per month (down from 3-4 per week)
-Suicidal ideation: Denies active/passive SI, no self-harm behaviors
-Homicidal ideation: Denies
-
-STANDARDIZED ASSESSMENTS:
-GAD-7 Score: 8/21 (Mild anxiety)
-- Previous score (4/2024): 15/21 (Moderate anxiety)
-PHQ-9 Score: 4/27 (Minimal depression)
-- Previous score (4/2024): 7/27 (Mild depression)
-
-SUBSTANCE USE:
-Alcohol: Social use, 1-2 drinks per week
-Tobacco: Never smoker
-Recreational drugs: Denies
-Caffeine: 1-2 cups coffee daily
-
-THERAPY ENGAGEMENT:
-Currently in CBT with Amanda Chen, LCSW - weekly sessions
-Progress: Good. Learning and applying coping strategies effectively
-Homework compliance: Excellent
-
-ASSESSMENT AND PLAN:
-
-1. GENERALIZED ANXIETY DISORDER - SIGNIFICANTLY IMPROVED
-   • GAD-7 score decreased from 15 to 8 (47% improvement)
-   • Panic attacks markedly reduced
-   • Functional improvement in work and social settings
-   • Continue sertraline 75mg daily
-   • Patient tolerating medication well, no side effects reported
-   • Continue weekly CBT - consider transitioning to biweekly in 2-3 months if stability maintained
-
-2. INSOMNIA - IMPROVED
-   • Sleep hygiene practices implemented successfully
-   • Hydroxyzine PRN effective when needed
-   • Continue current regimen
-   • Reinforce sleep hygiene: consistent schedule, screen time limits, relaxation techniques
-
-PATIENT EDUCATION:
-- Discussed importance of medication continuity even when feeling better
-- Reviewed warning signs of relapse: increased worry, panic attacks, avoidance behaviors
-- Encouraged continued therapy engagement
-- Stress management: regular exercise, mindfulness practice
-- Patient verbalizes understanding and agreement with plan
-
-SAFETY ASSESSMENT:
-Low risk: No SI/HI, good support system, engaged in treatment
-
-FOLLOW-UP:
-- Return in 3 months
-- Continue weekly therapy
-- Call if symptoms worsen or side effects develop
-- Encouraged to use crisis resources if needed (988 Suicide & Crisis Lifeline)
-
-ELECTRONICALLY SIGNED:
-Dr. Lisa Patel, MD
-Board Certified Psychiatry
-October 20, 2024 15:45 PST`
-    },
-    'demo-patient-4': {
-      patient: getDemoPatients()[3],
-      conditions: [
-        { id: 'cond-10', display: 'Osteoarthritis of Bilateral Knees (M17.0)', clinicalStatus: 'active', onsetDate: '2019-11-12', category: 'Musculoskeletal', severity: 'Moderate' },
-        { id: 'cond-11', display: 'Obesity (E66.9)', clinicalStatus: 'active', onsetDate: '2015-01-10', category: 'Metabolic', severity: 'Class I (BMI 32.4)' }
-      ],
-      medications: [
-        { id: 'med-9', name: 'Ibuprofen', status: 'active', dosage: '400mg', frequency: 'Three times daily with food', route: 'Oral', prescribedDate: '2023-03-10', instructions: 'NSAID for pain/inflammation. Take with food to reduce GI upset. Monitor for GI bleeding. Do not exceed 1200mg/day.' },
-        { id: 'med-10', name: 'Glucosamine-Chondroitin', status: 'active', dosage: '1500mg-1200mg', frequency: 'Once daily', route: 'Oral', prescribedDate: '2024-01-15', instructions: 'Joint supplement. May take 2-3 months for effect. OTC supplement.' }
-      ],
-      documents: [
-        { id: 'doc-9', type: 'Physical Therapy Progress Note', date: '2024-11-05', author: 'PT James Miller, DPT', description: 'Patient completing strengthening exercises. Improved quadriceps strength bilaterally.' },
-        { id: 'doc-10', type: 'X-Ray Report - Bilateral Knees', date: '2024-09-20', author: 'Dr. Robert Kim, MD Radiology', description: 'Moderate joint space narrowing. Mild osteophyte formation. Consistent with osteoarthritis.' }
-      ],
-      observations: [
-        { id: 'obs-10', display: 'Pain Scale (0-10)', value: '4', unit: 'out of 10', date: '2024-11-05', status: 'final', interpretation: 'Moderate pain, improved from baseline (was 7/10)' },
-        { id: 'obs-11', display: 'BMI', value: '32.4', unit: 'kg/m²', date: '2024-11-05', status: 'final', interpretation: 'Class I Obesity - Weight loss recommended' }
-      ],
-      clinical_notes: `PATIENT: Robert Martinez (MRN: MRN011223)
-DATE OF VISIT: November 5, 2024
-PROVIDER: Dr. Amanda Foster, MD - Orthopedics
-VISIT TYPE: Follow-Up - Osteoarthritis Management
-
-CHIEF COMPLAINT: Bilateral knee pain, improving with physical therapy.
-
-HISTORY OF PRESENT ILLNESS:
-58-year-old male with bilateral knee osteoarthritis (diagnosed 2019) presents for follow-up. Patient has been compliant with physical therapy (2x/week for 8 weeks). Reports pain improved from 7/10 to 4/10 with combination of PT, NSAIDs, and activity modification. Still experiences stiffness after prolonged sitting and with stairs. Working on weight loss (down 8 lbs in 3 months). No mechanical symptoms (locking, catching). No swelling or erythema.
-
-MEDICATIONS: Ibuprofen 400mg TID, Glucosamine-Chondroitin supplement
-
-PHYSICAL EXAMINATION:
-Bilateral Knees:
-- Inspection: No effusion, erythema, or deformity
-- Palpation: Mild tenderness over medial joint lines bilaterally
-- Range of Motion: Flexion 0-125° (full), Extension 0° (full)
-- Ligaments: ACL/PCL/MCL/LCL stable
-- Meniscal Signs: Negative McMurray test
-- Crepitus: Present with ROM, more pronounced left > right
-- Gait: Antalgic gait, favoring left leg
-
-X-RAY FINDINGS (9/20/2024):
-Bilateral knees: Moderate joint space narrowing medial compartments. Mild osteophyte formation. Kellgren-Lawrence Grade 2-3.
-
-ASSESSMENT: Bilateral knee osteoarthritis, moderate severity, improving with conservative management.
-
-PLAN:
-1. Continue ibuprofen 400mg TID with food
-2. Continue PT - focusing on quadriceps strengthening, balance training
-3. Weight loss goal: Additional 15-20 lbs over next 6 months
-4. Consider intra-articular corticosteroid injection if pain plateaus
-5. Knee braces for support during activity
-6. Follow up 3 months - may consider hyaluronic acid injections if conservative management insufficient
-
-ELECTRONICALLY SIGNED: Dr. Amanda Foster, MD - Orthopedics, November 5, 2024`
-    },
-    'demo-patient-5': {
-      patient: getDemoPatients()[4],
-      conditions: [
-        { id: 'cond-12', display: 'Coronary Artery Disease - Status Post MI (I25.2)', clinicalStatus: 'active', onsetDate: '2021-08-30', category: 'Cardiovascular', severity: 'Stable, post-intervention' },
-        { id: 'cond-13', display: 'Hyperlipidemia (E78.5)', clinicalStatus: 'active', onsetDate: '2020-01-10', category: 'Metabolic', severity: 'Controlled' },
-        { id: 'cond-14', display: 'Hypertension (I10)', clinicalStatus: 'active', onsetDate: '2019-06-20', category: 'Cardiovascular', severity: 'Controlled' }
-      ],
-      medications: [
-        { id: 'med-11', name: 'Atorvastatin Calcium', status: 'active', dosage: '80mg', frequency: 'Once daily at bedtime', route: 'Oral', prescribedDate: '2021-09-05', instructions: 'High-intensity statin post-MI. Target LDL < 70. Report muscle pain immediately.' },
-        { id: 'med-12', name: 'Aspirin (Enteric Coated)', status: 'active', dosage: '81mg', frequency: 'Once daily with food', route: 'Oral', prescribedDate: '2021-09-05', instructions: 'Antiplatelet therapy post-MI. Take daily to prevent clotting. Report unusual bleeding.' },
-        { id: 'med-13', name: 'Metoprolol Succinate ER', status: 'active', dosage: '50mg', frequency: 'Once daily in morning', route: 'Oral', prescribedDate: '2021-09-05', instructions: 'Beta blocker for heart rate/BP control. Do not stop abruptly. Monitor heart rate.' },
-        { id: 'med-14', name: 'Lisinopril', status: 'active', dosage: '20mg', frequency: 'Once daily in morning', route: 'Oral', prescribedDate: '2021-09-05', instructions: 'ACE inhibitor for cardiac protection post-MI. Monitor kidney function and potassium.' }
-      ],
-      documents: [
-        { id: 'doc-11', type: 'Cardiology Follow-Up', date: '2024-10-25', author: 'Dr. Thomas Wilson, MD', description: 'Post-MI surveillance. Patient stable on optimal medical therapy.' },
-        { id: 'doc-12', type: 'Echocardiogram Report', date: '2024-10-15', author: 'Cardiology Imaging', description: 'LVEF 52%. Mild hypokinesis anterior wall. No significant valvular disease.' },
-        { id: 'doc-13', type: 'Stress Test Report', date: '2024-10-20', author: 'Nuclear Cardiology', description: 'Exercise tolerance 9.2 METS. No inducible ischemia. Negative for angina.' }
-      ],
-      observations: [
-        { id: 'obs-12', display: 'LDL Cholesterol', value: '65', unit: 'mg/dL', date: '2024-10-15', status: 'final', interpretation: 'At goal (< 70 mg/dL post-MI). Excellent control.' },
-        { id: 'obs-13', display: 'Troponin I', value: '< 0.01', unit: 'ng/mL', date: '2024-10-15', status: 'final', interpretation: 'Negative. No evidence of acute cardiac injury.' },
-        { id: 'obs-14', display: 'Blood Pressure', value: '122/78', unit: 'mmHg', date: '2024-10-25', status: 'final', interpretation: 'Optimal control' },
-        { id: 'obs-15', display: 'Ejection Fraction (LVEF)', value: '52', unit: '%', date: '2024-10-15', status: 'final', interpretation: 'Normal (> 50%). Preserved systolic function.' }
-      ],
-      clinical_notes: `PATIENT: David Thompson (MRN: MRN013344)
-DATE OF VISIT: October 25, 2024
-PROVIDER: Dr. Thomas Wilson, MD - Cardiology
-VISIT TYPE: Post-MI Follow-Up & Cardiac Risk Management
-
-CHIEF COMPLAINT: Routine cardiology follow-up, feeling well.
-
-HISTORY OF PRESENT ILLNESS:
-62-year-old male with history of ST-elevation myocardial infarction (STEMI) in August 2021, status post PCI with drug-eluting stent to LAD. Patient presents for routine surveillance. Currently asymptomatic. No chest pain, shortness of breath, palpitations, or orthopnea. Exercise tolerance good - walks 2 miles daily without angina. Compliant with all cardiac medications. Recent stress test negative for ischemia. Echocardiogram shows preserved EF 52%. Successfully quit smoking post-MI (3+ years tobacco-free).
-
-CARDIAC MEDICATIONS:
-1. Atorvastatin 80mg PO QHS - high-intensity statin
-2. Aspirin 81mg PO daily - antiplatelet therapy
-3. Metoprolol Succinate 50mg PO daily - beta blocker
-4. Lisinopril 20mg PO daily - ACE inhibitor
-
-PAST MEDICAL HISTORY:
-- CAD: STEMI 8/2021, PCI with DES to LAD
-- Hypertension (controlled)
-- Hyperlipidemia (controlled)
-- Former smoker (quit 8/2021)
-
-CARDIOVASCULAR REVIEW:
-Chest pain: Denies
-Shortness of breath: Denies
-Palpitations: Denies
-Syncope/Presyncope: Denies
-Edema: Denies
-Orthopnea/PND: Denies
-Exercise tolerance: Excellent - 2 miles daily, no symptoms
-
-RECENT TESTING:
-Echocardiogram (10/15/2024):
-- LVEF: 52% (normal)
-- Regional wall motion: Mild hypokinesis anterior wall (consistent with old MI)
-- Valves: No significant disease
-- Pericardium: Normal
-
-Exercise Stress Test with Nuclear Imaging (10/20/2024):
-- Duration: 9.2 METS (good functional capacity)
-- Peak HR: 132 bpm (83% maximum predicted)
-- BP response: Appropriate
-- No chest pain or significant ST changes
-- Perfusion: No reversible defects, small fixed defect anterior (scar)
-- Interpretation: NEGATIVE for inducible ischemia
-
-Laboratory Results (10/15/2024):
-- Lipid Panel:
-  * Total Cholesterol: 142 mg/dL
-  * LDL: 65 mg/dL (GOAL: < 70) ✓
-  * HDL: 48 mg/dL
-  * Triglycerides: 105 mg/dL
-- Troponin I: < 0.01 ng/mL (negative)
-- BNP: 45 pg/mL (normal)
-- Creatinine: 0.9 mg/dL (normal renal function)
-- Potassium: 4.1 mEq/L (normal)
-
-PHYSICAL EXAMINATION:
-Vitals: BP 122/78, HR 58 (on beta blocker), RR 14, SpO2 99%
-General: Well-appearing, no distress
-Cardiovascular: Regular rate and rhythm, no murmurs/rubs/gallops
-  - No JVD
-  - PMI non-displaced
-  - Carotids: 2+ without bruits
-  - Peripheral pulses: 2+ throughout, no edema
-Lungs: Clear to auscultation bilaterally
-
-ASSESSMENT:
-1. CORONARY ARTERY DISEASE - STABLE, POST-MI
-   • 3+ years post-STEMI with excellent recovery
-   • Negative stress test - no evidence of recurrent ischemia
-   • LVEF preserved at 52%
-   • No anginal symptoms
-   • Excellent functional capacity
-   
-2. HYPERLIPIDEMIA - OPTIMALLY CONTROLLED
-   • LDL 65 mg/dL on atorvastatin 80mg (at goal < 70)
-   • Continue high-intensity statin therapy indefinitely
-   
-3. HYPERTENSION - WELL CONTROLLED
-   • BP 122/78 on dual therapy
-   • Target < 130/80 achieved
-   
-4. CARDIOVASCULAR RISK REDUCTION - EXCELLENT COMPLIANCE
-   • Tobacco cessation maintained (3+ years)
-   • Daily aerobic exercise
-   • Medication adherence 100%
-   • Diet modifications implemented
-
-PLAN:
-1. Continue all current cardiac medications - no changes needed
-2. Continue secondary prevention measures
-3. Annual stress testing - next due October 2025
-4. Annual echocardiogram - next due October 2025
-5. Labs every 6 months (lipids, CMP)
-6. Flu vaccine today - administered
-7. Pneumococcal vaccine up to date
-
-PATIENT EDUCATION:
-- Reinforce medication importance - "medications for life"
-- Continue daily exercise regimen
-- Heart-healthy diet: low saturated fat, high fiber
-- Warning signs of MI: chest pain, SOB, diaphoresis → Call 911
-- Patient verbalizes excellent understanding
-
-FOLLOW-UP: 6 months for routine visit. Call sooner if symptoms develop.
-
-ELECTRONICALLY SIGNED:
-Dr. Thomas Wilson, MD
-Board Certified Cardiology
-October 25, 2024 16:20 PST`
+export async function suggestEpicMatches(doctorEmail, connectionId, rosterPatient, { useMatch = false } = {}) {
+  if (!rosterPatient?.lastName && !rosterPatient?.email) {
+    throw new Error('Need at least a last name or an email to look for matches');
+  }
+  
+  if (useMatch) {
+    const matches = await matchEpicPatients(doctorEmail, connectionId, rosterPatient);
+    if (matches) {
+      return matches;
     }
-  };
+    console.log('ℹ️ Patient/$match not supported, falling back to search');
+  }
   
-  return demoPatients[patientId] || demoPatients['demo-patient-1'];
+  const patients = rosterPatient.lastName ?
+    (await searchEpicPatients(doctorEmail, connectionId, rosterPatient.lastName)).patients :
+    [];
+  
+  return rankMatches(patients.map(patient => ({
+    patient,
+    match: scorePatientMatch(rosterPatient, patient),
+    source: 'search'
+  })));
 }
 
 /**
- * Fetch complete patient data from Epic via Plasma FHIR
+ * Run Patient/$match for a roster patient
  * @param {string} doctorEmail - Doctor's email
- * @param {string} epicPatientId - Epic patient ID
- * @returns {Promise<Object>} Complete patient data
+ * @param {number} connectionId - EHR connection to search
+ * @param {Object} rosterPatient - { email, firstName, lastName, birthDate }
+ * @returns {Promise<Array|null>} Matches best first, or null when the server has no $match
  */
-export async function fetchPatientData(doctorEmail, epicPatientId) {
-  // Demo mode: return mock data
-  if (EPIC_CONFIG.demoMode || doctorEmail === 'demo.doctor@amma.health' || epicPatientId.startsWith('demo-patient-')) {
-    console.log('🎭 Demo Mode: Returning mock patient data');
-    const demoData = getDemoPatientData(epicPatientId);
-    
-    // Store in database for consistency
-    await storeEpicPatientData(doctorEmail, epicPatientId, demoData);
-    
-    // Log audit event
-    await logAuditEvent({
-      doctor_email: doctorEmail,
-      epic_patient_id: epicPatientId,
-      action: 'demo_patient_data_fetched',
-      epic_resource_accessed: 'Demo Patient Data'
-    });
-    
-    return demoData;
-  }
-  
-  const accessToken = await getEpicToken(doctorEmail);
-  
-  console.log('📥 Fetching patient data via Plasma FHIR:', epicPatientId);
-  
-  // Fetch multiple resource types via Plasma FHIR
-  const [patient, conditions, medications, documents, observations] = await Promise.all([
-    fetchResource(accessToken, `Patient/${epicPatientId}`),
-    fetchResourceBundle(accessToken, 'Condition', { patient: epicPatientId }),
-    fetchResourceBundle(accessToken, 'MedicationRequest', { patient: epicPatientId }),
-    fetchResourceBundle(accessToken, 'DocumentReference', { patient: epicPatientId }),
-    fetchResourceBundle(accessToken, 'Observation', { patient: epicPatientId, category: 'laboratory' })
-  ]);
-  
-  // Parse resources
-  const parsedData = {
-    patient: parsePatient(patient),
-    conditions: parseConditions(conditions),
-    medications: parseMedications(medications),
-    documents: parseDocuments(documents),
-    observations: parseObservations(observations)
+async function matchEpicPatients(doctorEmail, connectionId, rosterPatient) {
+  const session = await getEpicSession(doctorEmail, connectionId);
+  
+  const patient = {
+    resourceType: 'Patient',
+    ...(rosterPatient.lastName || rosterPatient.firstName ? {
+      name: [{
+        family: rosterPatient.lastName || undefined,
+        given: rosterPatient.firstName ? rosterPatient.firstName.split(/\s+/) : undefined
+      }]
+    } : {}),
+    ...(rosterPatient.birthDate ? { birthDate: rosterPatient.birthDate } : {}),
+    ...(rosterPatient.email ? { telecom: [{ system: 'email', value: rosterPatient.email }] } : {})
   };
   
-  // Store in database
-  await storeEpicPatientData(doctorEmail, epicPatientId, parsedData);
+  console.log('🔍 Matching patient via Patient/$match:', rosterPatient.email || rosterPatient.lastName);
+  
+  let bundle;
+  try {
+    bundle = await sessionFetchJson(session, `${session.fhirBaseUrl}/Patient/$match`, {
+      method: 'POST',
+      body: {
+        resourceType: 'Parameters',
+        parameter: [
+          { name: 'resource', resource: patient },
+          { name: 'count', valueInteger: 10 }
+        ]
+      }
+    });
+  } catch (error) {
+    if (error instanceof FhirRequestError && MATCH_UNSUPPORTED_STATUSES.includes(error.status)) {
+      return null;
+    }
+    console.error('❌ Patient match failed:', error);
+    throw new Error('Failed to match patient: ' + describeFhirError(error));
+  }
   
-  // Log audit event
   await logAuditEvent({
     doctor_email: doctorEmail,
-    epic_patient_id: epicPatientId,
-    action: 'plasma_patient_data_fetched',
-    epic_resource_accessed: 'Patient, Condition, MedicationRequest, DocumentReference, Observation via Plasma FHIR'
+    patient_email: rosterPatient.email || null,
+    action: 'epic_patient_match',
+    epic_resource_accessed: 'Patient/$match'
+  });
+  
+  // Keep the server's grade but show our own reasons next to it
+  const matches = (bundle?.entry || [])
+    .filter(entry => entry.resource?.resourceType === 'Patient')
+    .map(entry => {
+      const parsed = parsePatient(entry.resource);
+      const local = scorePatientMatch(rosterPatient, parsed);
+      const grade = entry.search?.extension?.find(ext => ext.url === MATCH_GRADE_EXTENSION)?.valueCode;
+      const score = typeof entry.search?.score === 'number' ? entry.search.score : local.score;
+      return {
+        patient: parsed,
+        match: { score, grade: grade || matchGrade(score), reasons: local.reasons },
+        source: 'match'
+      };
+    });
+  
+  console.log(`✅ Patient/$match returned ${matches.length} candidates`);
+  return rankMatches(matches);
+}
+
+/**
+ * Suggest roster patients that may be the given EHR patient
+ * @param {string} doctorEmail - Doctor's email
+ * @param {Object} epicPatient - Parsed FHIR patient
+ * @returns {Promise<Array>} [{ email, name, match: { score, grade, reasons } }], best first
+ */
+export async function suggestRosterMatches(doctorEmail, epicPatient) {
+  const roster = await loadRoster(doctorEmail);
+  
+  return rankMatches(roster.map(rosterPatient => ({
+    ...rosterPatient,
+    match: scorePatientMatch(rosterPatient, epicPatient)
+  })));
+}
+
+/**
+ * Link a synced EHR patient to an Amma patient account
+ * The account then sees this record in its profile. An account has one
+ * linked record per connection, so older links on the connection are removed
+ * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - EHR connection the record came from
+ * @param {string} epicPatientId - Epic patient ID
+ * @param {string} patientEmail - Amma patient account to link
+ */
+export async function linkEpicPatient(doctorEmail, connectionId, epicPatientId, patientEmail) {
+  const roster = await loadRoster(doctorEmail);
+  if (!roster.some(rosterPatient => rosterPatient.email === patientEmail)) {
+    throw new Error(`${patientEmail} is not one of your patients`);
+  }
+  
+  const { error: unlinkError } = await supabase
+    .from('epic_patient_data')
+    .update({ patient_email: null })
+    .eq('doctor_email', doctorEmail)
+    .eq('connection_id', connectionId)
+    .eq('patient_email', patientEmail)
+    .neq('epic_patient_id', epicPatientId);
+  
+  if (unlinkError) {
+    throw new Error('Failed to link patient: ' + unlinkError.message);
+  }
+  
+  const { data, error } = await supabase
+    .from('epic_patient_data')
+    .update({ patient_email: patientEmail })
+    .eq('doctor_email', doctorEmail)
+    .eq('connection_id', connectionId)
+    .eq('epic_patient_id', epicPatientId)
+    .select('id');
+  
+  if (error) {
+    throw new Error('Failed to link patient: ' + error.message);
+  }
+  if (!data?.length) {
+    throw new Error('Load the patient from the EHR before linking');
+  }
+  
+  await logAuditEvent({
+    doctor_email: doctorEmail,
+    patient_email: patientEmail,
+    epic_patient_id: epicPatientId,
+    action: 'epic_patient_linked'
+  });
+  
+  console.log(`🔗 Linked Epic patient ${epicPatientId} to ${patientEmail}`);
+}
+
+/**
+ * Remove the link between a synced EHR patient and an Amma account
+ * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - EHR connection the record came from
+ * @param {string} epicPatientId - Epic patient ID
+ */
+export async function unlinkEpicPatient(doctorEmail, connectionId, epicPatientId) {
+  const { error } = await supabase
+    .from('epic_patient_data')
+    .update({ patient_email: null })
+    .eq('doctor_email', doctorEmail)
+    .eq('connection_id', connectionId)
+    .eq('epic_patient_id', epicPatientId);
+  
+  if (error) {
+    throw new Error('Failed to unlink patient: ' + error.message);
+  }
+  
+  await logAuditEvent({
+    doctor_email: doctorEmail,
+    epic_patient_id: epicPatientId,
+    action: 'epic_patient_unlinked'
+  });
+}
+
+/**
+ * Load a doctor's roster with the details matching needs
+ * @param {string} doctorEmail - Doctor's email
+ * @returns {Promise<Array>} [{ email, name, firstName, lastName }]
+ */
+async function loadRoster(doctorEmail) {
+  const { data: links, error: linkError } = await supabase
+    .from('doctor_patients')
+    .select('patient_email')
+    .eq('doctor_email', doctorEmail);
+  
+  if (linkError) {
+    throw new Error('Failed to load your patients: ' + linkError.message);
+  }
+  if (!links?.length) {
+    return [];
+  }
+  
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('email, first_name, last_name')
+    .in('email', links.map(link => link.patient_email));
+  
+  if (error) {
+    throw new Error('Failed to load your patients: ' + error.message);
+  }
+  
+  return (users || []).map(user => ({
+    email: user.email,
+    name: `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.email,
+    firstName: user.first_name || '',
+    lastName: user.last_name || ''
+  }));
+}
+
+
+/**
+ * Fetch complete patient data from Epic via Plasma FHIR
+ * After the first download only resources changed since the last sync are
+ * requested (_lastUpdated) and merged into the stored record
+ * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - EHR connection the patient belongs to
+ * @param {string} epicPatientId - Epic patient ID
+ * @param {Object} options - Fetch options
+ * @param {number} options.maxPages - Page cap per resource type (defaults to VITE_FHIR_MAX_PAGES)
+ * @param {boolean} options.fullSync - Ignore stored data and download everything again
+ * @returns {Promise<Object>} Complete patient data, with resourceStatus flagging truncated sections
+ *   and lastSynced, the time stored with the record
+ */
+export async function fetchPatientData(doctorEmail, connectionId, epicPatientId, { maxPages, fullSync = false } = {}) {
+  const session = await getEpicSession(doctorEmail, connectionId);
+  // A full sync ignores the stored record but still diffs against it for the version history
+  const previousRecord = await getStoredEpicData(doctorEmail, connectionId, epicPatientId);
+  const stored = fullSync ? null : previousRecord;
+  
+  console.log(stored ? '🔄 Syncing patient changes via Plasma FHIR:' : '📥 Fetching patient data via Plasma FHIR:', epicPatientId);
+  
+  // Only the Patient read can fail the whole fetch; sections fail on their own
+  let patientResource;
+  let sectionSyncs;
+  try {
+    ({ patientResource, sectionSyncs } = await fetchPatientSections(session, epicPatientId, stored, {
+      maxPages: maxPages || EPIC_CONFIG.maxBundlePages
+    }));
+  } catch (error) {
+    console.error('❌ Failed to fetch patient:', error);
+    throw new Error('Failed to fetch patient: ' + describeFhirError(error));
+  }
+  
+  const { parsedData, syncRecord } = await buildPatientRecord(session, patientResource, sectionSyncs, stored);
+  
+  Object.entries(parsedData.resourceStatus).forEach(([section, status]) => {
+    if (status.status === 'error') {
+      console.warn(`⚠️ ${section} unavailable:`, status.error);
+    } else if (status.truncated) {
+      console.warn(`⚠️ ${section} incomplete:`, status.error || 'page cap reached');
+    } else if (status.mode === 'incremental' && (status.changed > 0 || status.removed > 0)) {
+      console.log(`🔄 ${section}: ${status.changed} changed, ${status.removed} removed`);
+    }
+  });
+  
+  // Store in database
+  const lastSynced = await storeEpicPatientData(doctorEmail, connectionId, epicPatientId, parsedData, syncRecord);
+  await recordResourceVersions(doctorEmail, connectionId, epicPatientId, previousRecord?.fhir_resources, syncRecord.fhirResources, parsedData.resourceStatus);
+  
+  // Log audit event
+  const resourceTypes = PATIENT_DATA_SECTIONS.map(section => section.resourceType).join(', ');
+  await logAuditEvent({
+    doctor_email: doctorEmail,
+    epic_patient_id: epicPatientId,
+    action: stored ? 'plasma_patient_data_synced' : 'plasma_patient_data_fetched',
+    epic_resource_accessed: `Patient, ${resourceTypes} via Plasma FHIR`
   });
   
   console.log('✅ Patient data fetched via Plasma FHIR and stored');
-  return parsedData;
+  // Syncs never touch the account link, so the stored one still holds
+  return { ...parsedData, lastSynced, linkedPatientEmail: previousRecord?.patient_email || null };
 }
 
 /**
- * Fetch single FHIR resource
- * @param {string} accessToken - Epic access token
- * @param {string} resourcePath - Resource path (e.g., 'Patient/123')
- * @returns {Promise<Object>} FHIR resource
+ * Import every patient of a Group (the doctor's panel) with a Bulk Data export
+ * Each patient is stored like a full fetchPatientData download, so later
+ * syncs of any of them are incremental
+ * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - EHR connection to export from
+ * @param {string} groupId - Group ID (defaults to VITE_EPIC_BULK_GROUP_ID)
+ * @param {Object} options - Export options
+ * @param {Function} options.onProgress - Called with a short status message as the export advances
+ * @returns {Promise<Object>} { patients, failed, resources, errors }
  */
-async function fetchResource(accessToken, resourcePath) {
-  const url = `${EPIC_CONFIG.fhirApiBase}/${resourcePath}`;
+export async function exportPatientPanel(doctorEmail, connectionId, groupId, { onProgress } = {}) {
+  const exportGroupId = groupId || EPIC_CONFIG.bulkGroupId;
+  if (!exportGroupId) {
+    throw new Error('No Group ID given for the bulk export');
+  }
   
-  const response = await fetch(url, {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/fhir+json'
+  const session = await getEpicSession(doctorEmail, connectionId);
+  const { request } = session;
+  const report = (message) => {
+    console.log(`📦 ${message}`);
+    onProgress?.(message);
+  };
+  
+  report(`Starting export of group ${exportGroupId}...`);
+  let statusUrl;
+  let manifest;
+  try {
+    statusUrl = await startBulkExport(request, session.fhirBaseUrl, exportGroupId, {
+      types: ['Patient', ...PATIENT_DATA_SECTIONS.map(section => section.resourceType)]
+    });
+    manifest = await pollBulkExport(request, statusUrl, {
+      onProgress: progress => report(`Exporting: ${progress}`)
+    });
+  } catch (error) {
+    console.error('❌ Bulk export failed:', error);
+    if (statusUrl) await cancelBulkExport(request, statusUrl);
+    throw new Error('Bulk export failed: ' + describeFhirError(error));
+  }
+  
+  // Cancelling lets the server delete the output files - also when we give up half-way
+  try {
+    // Output files may live in cloud storage that must not see our token
+    const download = manifest.requiresAccessToken ? request : (url, options) => fhirFetch(url, options);
+    const resources = [];
+    
+    for (const [idx, file] of manifest.output.entries()) {
+      report(`Downloading ${file.type} (${idx + 1}/${manifest.output.length})...`);
+      if (manifest.requiresAccessToken && new URL(file.url).origin !== new URL(session.fhirBaseUrl).origin) {
+        throw new Error('Bulk export file is on a different origin but requires our access token');
+      }
+      try {
+        resources.push(...await downloadExportFile(download, file.url));
+      } catch (error) {
+        console.error(`❌ Failed to download ${file.type} export file:`, error);
+        throw new Error(`Failed to download ${file.type} export file: ` + describeFhirError(error));
+      }
+    }
+    
+    const errors = [];
+    for (const file of manifest.error || []) {
+      try {
+        errors.push(...await downloadExportFile(download, file.url));
+      } catch (error) {
+        console.warn('⚠️ Could not download export error file:', describeFhirError(error));
+      }
+    }
+    if (errors.length > 0) {
+      console.warn(`⚠️ Bulk export reported ${errors.length} problem(s)`, errors);
     }
+    const problems = sortExportProblems(errors, PATIENT_DATA_SECTIONS.map(section => section.resourceType));
+    
+    // Sync cursors start at the export's transaction time, like a full download would
+    const transactionTime = new Date(manifest.transactionTime || Date.now());
+    const syncState = {
+      lastUpdated: new Date(transactionTime.getTime() - EPIC_CONFIG.syncOverlapMinutes * 60 * 1000).toISOString(),
+      reconciledAt: transactionTime.toISOString()
+    };
+    
+    const patients = groupResourcesByPatient(resources);
+    const failed = [];
+    let stored = 0;
+    
+    for (const [epicPatientId, { patient, byType }] of patients) {
+      report(`Saving patients (${stored + failed.length + 1}/${patients.size})...`);
+    
+      try {
+        const previousRecord = await getStoredEpicData(doctorEmail, connectionId, epicPatientId);
+        const sectionSyncs = PATIENT_DATA_SECTIONS.map(section =>
+          bulkSectionSync(section, byType[section.resourceType] || [], syncState, problems, previousRecord)
+        );
+    
+        // Notes hosted as Binary are downloaded by the patient's next regular sync;
+        // the stored record keeps the ones already read
+        const { parsedData, syncRecord } = await buildPatientRecord(session, patient, sectionSyncs, previousRecord, { inlineNotesOnly: true });
+        await storeEpicPatientData(doctorEmail, connectionId, epicPatientId, parsedData, syncRecord);
+        await recordResourceVersions(doctorEmail, connectionId, epicPatientId, previousRecord?.fhir_resources, syncRecord.fhirResources, parsedData.resourceStatus);
+        await logAuditEvent({
+          doctor_email: doctorEmail,
+          epic_patient_id: epicPatientId,
+          action: 'plasma_patient_data_exported',
+          epic_resource_accessed: `Group/${exportGroupId}/$export via Plasma FHIR`
+        });
+        stored++;
+      } catch (error) {
+        console.error(`❌ Failed to store exported patient ${epicPatientId}:`, error);
+        failed.push({ epicPatientId, error: error.message });
+      }
+    }
+    
+    console.log(`✅ Bulk export stored ${stored} patients (${failed.length} failed)`);
+    return { patients: stored, failed, resources: resources.length, errors: errors.length };
+  } finally {
+    await cancelBulkExport(request, statusUrl);
+  }
+}
+
+/**
+ * Record delivered patient education in the EHR chart
+ * Creates a DocumentReference (education note) or a Communication being
+ * prepared for the patient, pointing at the video and carrying its transcript
+ * or, without one, the summary it was made from
+ * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - EHR connection the patient belongs to
+ * @param {string} epicPatientId - Epic patient ID
+ * @param {Object} education - What was delivered
+ * @param {string} education.title - Short title (e.g., 'Your glioblastoma treatment plan')
+ * @param {string} education.videoUrl - Absolute URL of the video
+ * @param {string} education.transcript - Narration of the video (optional)
+ * @param {string} education.summary - Summary the video was made from, attached when there is no transcript (optional)
+ * @param {string} education.encounterId - Encounter to link (optional)
+ * @param {string} education.resourceType - 'DocumentReference' or 'Communication' (defaults to VITE_EPIC_WRITE_BACK_RESOURCE)
+ * @returns {Promise<Object>} { resourceType, id }
+ */
+export async function writeBackEducation(doctorEmail, connectionId, epicPatientId, {
+  title = 'Patient education video',
+  videoUrl,
+  transcript,
+  summary,
+  encounterId = null,
+  resourceType = EPIC_CONFIG.writeBackResource
+} = {}) {
+  if (!['DocumentReference', 'Communication'].includes(resourceType)) {
+    throw new Error(`Cannot write patient education as ${resourceType}`);
+  }
+  if (!videoUrl && !transcript && !summary) {
+    throw new Error('Nothing to write back - need a video URL, a transcript or a summary');
+  }
+  
+  const session = await getEpicSession(doctorEmail, connectionId);
+  const resource = buildEducationResource(resourceType, {
+    epicPatientId,
+    encounterId,
+    doctorEmail,
+    title,
+    videoUrl,
+    transcript,
+    summary
   });
   
-  if (!response.ok) {
-    console.error(`❌ Failed to fetch ${resourcePath}:`, response.statusText);
-    return null;
+  console.log(`📝 Writing ${resourceType} for patient ${epicPatientId}...`);
+  let created;
+  let location;
+  try {
+    const response = await sessionFetch(session, `${session.fhirBaseUrl}/${resourceType}`, {
+      method: 'POST',
+      headers: { 'Prefer': 'return=representation' },
+      body: resource
+    });
+    location = response.headers.get('Location');
+    const text = await response.text();
+    created = text ? JSON.parse(text) : null;
+  } catch (error) {
+    console.error(`❌ Failed to write ${resourceType}:`, error);
+    throw new Error('Failed to write to the EHR: ' + describeFhirError(error));
   }
   
-  return await response.json();
+  // Servers answer with the resource, or only with a Location header
+  const id = created?.id || location?.match(new RegExp(`${resourceType}/([^/]+)`))?.[1] || null;
+  
+  await logAuditEvent({
+    doctor_email: doctorEmail,
+    epic_patient_id: epicPatientId,
+    action: 'epic_education_written',
+    epic_resource_accessed: `${resourceType}/${id || '(unknown id)'}${encounterId ? ` for Encounter/${encounterId}` : ''}`
+  });
+  
+  console.log(`✅ ${resourceType} written to the EHR:`, id);
+  return { resourceType, id };
+}
+
+/**
+ * Build the FHIR resource recording delivered education
+ * @param {string} resourceType - 'DocumentReference' or 'Communication'
+ * @param {Object} details - { epicPatientId, encounterId, doctorEmail, title, videoUrl, transcript, summary }
+ * @returns {Object} FHIR resource ready to POST
+ */
+function buildEducationResource(resourceType, { epicPatientId, encounterId, doctorEmail, title, videoUrl, transcript, summary }) {
+  const now = new Date().toISOString();
+  const patient = { reference: `Patient/${epicPatientId}` };
+  const encounter = encounterId ? { reference: `Encounter/${encounterId}` } : null;
+  const video = videoUrl ? { contentType: 'video/mp4', url: videoUrl, title, creation: now } : null;
+  const text = transcript || summary;
+  const textAttachment = text ? {
+    contentType: 'text/plain; charset=utf-8',
+    data: encodeBase64Text(text),
+    title: `${title} (${transcript ? 'transcript' : 'summary'})`,
+    creation: now
+  } : null;
+  
+  if (resourceType === 'Communication') {
+    // Nothing is sent to the patient from here, so no sent time or recipient yet
+    return {
+      resourceType: 'Communication',
+      status: 'preparation',
+      category: [{
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/communication-category', code: 'instruction', display: 'Instruction' }],
+        text: 'Patient education'
+      }],
+      subject: patient,
+      ...(encounter ? { encounter } : {}),
+      sender: { display: doctorEmail },
+      topic: { text: title },
+      payload: [video, textAttachment]
+        .filter(Boolean)
+        .map(contentAttachment => ({ contentAttachment }))
+    };
+  }
+  
+  return {
+    resourceType: 'DocumentReference',
+    status: 'current',
+    docStatus: 'final',
+    type: {
+      coding: [{ system: 'http://loinc.org', code: '34895-3', display: 'Education note' }],
+      text: 'Patient education'
+    },
+    category: [{
+      coding: [{ system: 'http://hl7.org/fhir/us/core/CodeSystem/us-core-documentreference-category', code: 'clinical-note', display: 'Clinical Note' }]
+    }],
+    subject: patient,
+    date: now,
+    author: [{ display: doctorEmail }],
+    description: title,
+    content: [textAttachment, video]
+      .filter(Boolean)
+      .map(attachment => ({ attachment })),
+    ...(encounter ? { context: { encounter: [encounter] } } : {})
+  };
 }
 
 /**
- * Fetch FHIR resource bundle (multiple resources)
- * @param {string} accessToken - Epic access token
- * @param {string} resourceType - Resource type (e.g., 'Condition')
- * @param {Object} params - Search parameters
- * @returns {Promise<Array>} Array of resources
+ * Parse synced sections into the stored patient record
+ * @param {Object} session - Session from getEpicSession
+ * @param {Object} patientResource - FHIR Patient resource
+ * @param {Array} sectionSyncs - Results per PATIENT_DATA_SECTIONS entry: { resources, included, status, syncState }
+ * @param {Object|null} stored - Stored record from getStoredEpicData (null for a fresh download)
+ * @param {Object} noteOptions - Options for resolveNoteBodies
+ * @returns {Promise<Object>} { parsedData, syncRecord }
  */
-async function fetchResourceBundle(accessToken, resourceType, params) {
-  const searchParams = new URLSearchParams(params);
-  searchParams.append('_count', '50');
+async function buildPatientRecord(session, patientResource, sectionSyncs, stored, noteOptions) {
+  const { parsedSections, resourceStatus, fhirResources, syncState } = await parseSyncedSections(session, sectionSyncs, stored);
+  const parsedData = {
+    patient: parsePatient(patientResource),
+    ...parsedSections,
+    resourceStatus
+  };
+  const syncRecord = { fhirResources, syncState, noteBodies: {} };
   
-  const url = `${EPIC_CONFIG.fhirApiBase}/${resourceType}?${searchParams.toString()}`;
+  // Note text lives in attachments, not in the DocumentReference itself
+  syncRecord.noteBodies = await resolveNoteBodies(session, syncRecord.fhirResources.documents, stored?.note_bodies || {}, noteOptions);
+  parsedData.documents = parsedData.documents.map(doc => ({
+    ...doc,
+    text: syncRecord.noteBodies[doc.id]?.text || null
+  }));
   
-  const response = await fetch(url, {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/fhir+json'
+  return { parsedData, syncRecord };
+}
+
+/**
+ * Sync result for one section of one exported patient
+ * A section the export reported as failed keeps the stored resources and
+ * cursor; problems that name no resource type mark every section incomplete
+ * @param {Object} section - PATIENT_DATA_SECTIONS entry
+ * @param {Array} exported - The patient's exported resources of the section's type
+ * @param {Object} syncState - Cursor at the export's transaction time
+ * @param {Object} problems - Result of sortExportProblems
+ * @param {Object|null} previousRecord - Stored record of the patient
+ * @returns {Object} { resources, syncState, status } like a regular section sync
+ */
+function bulkSectionSync(section, exported, syncState, problems, previousRecord) {
+  const failure = problems.byType.get(section.resourceType);
+  if (failure) {
+    const previous = previousRecord?.fhir_resources?.[section.key];
+    return {
+      resources: previous || [],
+      syncState: previousRecord?.sync_state?.[section.key] || null,
+      status: {
+        status: 'error',
+        error: failure,
+        stale: Boolean(previous),
+        mode: 'bulk',
+        count: previous?.length || 0,
+        changed: 0,
+        removed: 0,
+        total: null,
+        pages: 0,
+        truncated: false
+      }
+    };
+  }
+  
+  const resources = exported
+    .filter(resource => !isEnteredInError(resource))
+    .filter(resource => !section.params?.category || hasCategory(resource, section.params.category));
+  const incomplete = problems.unattributed;
+  
+  return {
+    resources,
+    // An incomplete section gets no cursor, so the next sync reads it in full
+    syncState: incomplete ? null : syncState,
+    status: {
+      status: incomplete ? 'partial' : 'ok',
+      error: incomplete,
+      mode: 'bulk',
+      count: resources.length,
+      changed: resources.length,
+      removed: 0,
+      total: resources.length,
+      pages: 0,
+      truncated: Boolean(incomplete)
+    }
+  };
+}
+
+/**
+ * Match the OperationOutcomes of a bulk export's error files to resource types
+ * @param {Array} outcomes - OperationOutcome resources from manifest.error
+ * @param {Array<string>} resourceTypes - Exported resource types
+ * @returns {Object} { byType: Map(resourceType -> message), unattributed: message or null }
+ */
+function sortExportProblems(outcomes, resourceTypes) {
+  const byType = new Map();
+  const unattributed = [];
+  
+  outcomes.flatMap(outcome => outcome.issue || [])
+    .filter(issue => issue.severity === 'error' || issue.severity === 'fatal')
+    .forEach(issue => {
+      const message = issue.diagnostics || issue.details?.text || issue.code || 'Export error';
+      const mentioned = [message, ...(issue.expression || []), ...(issue.location || [])].join(' ');
+      const types = resourceTypes.filter(type => new RegExp(`\\b${type}\\b`).test(mentioned));
+      if (types.length === 0) {
+        unattributed.push(message);
+      }
+      types.forEach(type => {
+        if (!byType.has(type)) byType.set(type, `Bulk export failed: ${message}`);
+      });
+    });
+  
+  return {
+    byType,
+    unattributed: unattributed.length > 0 ? `Bulk export reported problems: ${unattributed.slice(0, 3).join('; ')}` : null
+  };
+}
+
+/**
+ * Sort exported resources into per-patient buckets
+ * @param {Array} resources - Resources from every export file
+ * @returns {Map} Patient ID -> { patient, byType: { resourceType: [resources] } }
+ */
+function groupResourcesByPatient(resources) {
+  const patients = new Map();
+  const bucket = (id) => {
+    if (!patients.has(id)) patients.set(id, { patient: null, byType: {} });
+    return patients.get(id);
+  };
+  
+  resources.forEach(resource => {
+    if (resource.resourceType === 'Patient') {
+      bucket(resource.id).patient = resource;
+      return;
     }
+    
+    const reference = resource.subject?.reference || resource.patient?.reference;
+    const patientId = reference?.match(/(?:^|\/)Patient\/([^/]+)$/)?.[1];
+    if (!patientId) return;
+    
+    const { byType } = bucket(patientId);
+    (byType[resource.resourceType] = byType[resource.resourceType] || []).push(resource);
   });
   
-  if (!response.ok) {
-    console.error(`❌ Failed to fetch ${resourceType}:`, response.statusText);
-    return [];
+  // Resources for patients outside the group (no Patient resource) are dropped
+  [...patients.entries()].forEach(([id, entry]) => {
+    if (!entry.patient) patients.delete(id);
+  });
+  
+  return patients;
+}
+
+// Top-level parsed fields (names, statuses, dosages) that differ between two versions
+function changedFields(before, after) {
+  return Object.keys(after)
+    .filter(field => field !== 'raw' && field !== 'id')
+    .filter(field => (after[field] === null || typeof after[field] !== 'object') && before[field] !== after[field])
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] }));
+}
+
+function hasCategory(resource, code) {
+  return resource.category?.some(category => category.coding?.some(coding => coding.code === code));
+}
+
+/**
+ * Download and decode the text of the most recent clinical notes
+ * Bodies are cached per document version, so incremental syncs only
+ * download notes that are new or were amended
+ * @param {Object} session - Session from getEpicSession
+ * @param {Array} documentResources - FHIR DocumentReference resources
+ * @param {Object} previousBodies - note_bodies of the stored record
+ * @param {Object} options - Options
+ * @param {boolean} options.inlineNotesOnly - Only decode attachments embedded as data (no downloads)
+ * @returns {Promise<Object>} Bodies keyed by DocumentReference ID: { version, contentType, text, skipped, error }
+ */
+async function resolveNoteBodies(session, documentResources, previousBodies, { inlineNotesOnly = false } = {}) {
+  const recent = [...documentResources]
+    .sort((a, b) => new Date(b.date || b.context?.period?.start || 0) - new Date(a.date || a.context?.period?.start || 0))
+    .slice(0, EPIC_CONFIG.maxNoteDownloads);
+  
+  const results = await Promise.all(recent.map(async doc => {
+    const version = doc.meta?.versionId || doc.meta?.lastUpdated || doc.date || null;
+    const cached = previousBodies[doc.id];
+    
+    // Failed downloads are retried on the next sync; skipped ones only when the note changes
+    if (cached && cached.version === version && !cached.error) {
+      return [doc.id, cached];
+    }
+    if (inlineNotesOnly && !selectNoteAttachment(doc)?.data) {
+      return null;
+    }
+    return [doc.id, { version, ...await readNoteBody(session, doc) }];
+  }));
+  const entries = results.filter(Boolean);
+  
+  const downloaded = entries.filter(([id, body]) => body !== previousBodies[id] && body.text).length;
+  if (downloaded > 0) {
+    console.log(`📄 Read ${downloaded} clinical note${downloaded === 1 ? '' : 's'}`);
   }
   
-  const bundle = await response.json();
-  return bundle.entry?.map(e => e.resource) || [];
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Read the text of one DocumentReference
+ * Never throws - failures are returned in the error field
+ * @param {Object} session - Session from getEpicSession
+ * @param {Object} documentReference - FHIR DocumentReference resource
+ * @returns {Promise<Object>} { contentType, text, skipped, error }
+ */
+async function readNoteBody(session, documentReference) {
+  const attachment = selectNoteAttachment(documentReference);
+  if (!attachment) {
+    return { contentType: null, text: null, skipped: 'No readable attachment', error: null };
+  }
+  if (attachment.size > EPIC_CONFIG.maxNoteBytes) {
+    return { contentType: attachment.contentType, text: null, skipped: 'Attachment too large', error: null };
+  }
+  
+  try {
+    const content = attachment.data ?
+      { bytes: decodeBase64(attachment.data), contentType: attachment.contentType } :
+      await fetchAttachment(session, attachment);
+    
+    if (!content) {
+      return { contentType: attachment.contentType, text: null, skipped: 'Attachment hosted on another server', error: null };
+    }
+    if (content.bytes.length > EPIC_CONFIG.maxNoteBytes) {
+      return { contentType: content.contentType, text: null, skipped: 'Attachment too large', error: null };
+    }
+    
+    const text = isReadableContentType(content.contentType) ?
+      await decodeNoteContent(content.bytes, content.contentType) :
+      null;
+    
+    return {
+      contentType: content.contentType,
+      text: text ? text.slice(0, EPIC_CONFIG.maxNoteChars) : null,
+      skipped: text ? null : 'No text could be extracted',
+      error: null
+    };
+  } catch (error) {
+    console.warn(`⚠️ Could not read note ${documentReference.id}:`, describeFhirError(error));
+    return { contentType: attachment.contentType, text: null, skipped: null, error: describeFhirError(error) };
+  }
+}
+
+/**
+ * Download an attachment referenced by URL (usually Binary/[id])
+ * @param {Object} session - Session from getEpicSession
+ * @param {Object} attachment - FHIR Attachment with a url
+ * @returns {Promise<Object|null>} { bytes, contentType }, or null for attachments on another origin
+ * @throws {FhirRequestError} When the download fails after retries
+ */
+async function fetchAttachment(session, attachment) {
+  const url = new URL(attachment.url, `${session.fhirBaseUrl}/`);
+  
+  // Never send the token to another host
+  if (url.origin !== new URL(session.fhirBaseUrl).origin) {
+    console.warn('⚠️ Not downloading attachment on a different origin:', url.toString());
+    return null;
+  }
+  
+  // Asking for the attachment's own type gets the raw bytes from Epic's Binary endpoint
+  const response = await sessionFetch(session, url.toString(), {
+    headers: { 'Accept': attachment.contentType || '*/*' }
+  });
+  const contentType = response.headers.get('Content-Type') || attachment.contentType;
+  
+  // Servers that ignore Accept answer with a Binary resource instead
+  if (/^application\/(fhir\+)?json/i.test(contentType || '')) {
+    const binary = await response.json();
+    if (binary?.resourceType === 'Binary') {
+      return { bytes: decodeBase64(binary.data || ''), contentType: binary.contentType || attachment.contentType };
+    }
+    throw new Error(`Unexpected ${binary?.resourceType || 'JSON'} response for attachment`);
+  }
+  
+  return { bytes: new Uint8Array(await response.arrayBuffer()), contentType };
 }
 
 /**
  * Store Epic patient data in database
  * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - EHR connection the data came from
  * @param {string} epicPatientId - Epic patient ID
  * @param {Object} patientData - Parsed patient data
+ * @param {Object} syncRecord - Raw FHIR resources and per-section sync cursors
+ * @returns {Promise<string>} last_synced time stored with the record
  */
-async function storeEpicPatientData(doctorEmail, epicPatientId, patientData) {
-  const { patient, conditions, medications, documents, observations } = patientData;
-  
+async function storeEpicPatientData(doctorEmail, connectionId, epicPatientId, patientData, syncRecord = {}) {
+  const columns = buildPatientDataColumns(patientData, syncRecord);
   const { error } = await supabase
     .from('epic_patient_data')
     .upsert({
       doctor_email: doctorEmail,
+      connection_id: connectionId,
       epic_patient_id: epicPatientId,
-      epic_mrn: patient.mrn,
-      patient_name: patient.name,
-      patient_dob: patient.birthDate,
-      clinical_notes: generateClinicalNotesText(documents),
-      diagnoses: JSON.stringify(conditions),
-      medications: JSON.stringify(medications),
-      last_synced: new Date().toISOString()
+      ...columns
     }, {
-      onConflict: 'doctor_email,epic_patient_id'
+      onConflict: 'doctor_email,connection_id,epic_patient_id'
     });
   
   if (error) {
     console.error('❌ Failed to store Epic data:', error);
     throw new Error('Failed to store patient data: ' + error.message);
   }
+  
+  return columns.last_synced;
 }
 
 /**
  * Get stored Epic patient data
  * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - EHR connection the data came from
  * @param {string} epicPatientId - Epic patient ID
  * @returns {Promise<Object>} Stored patient data
  */
-export async function getStoredEpicData(doctorEmail, epicPatientId) {
+export async function getStoredEpicData(doctorEmail, connectionId, epicPatientId) {
   const { data, error } = await supabase
     .from('epic_patient_data')
     .select('*')
     .eq('doctor_email', doctorEmail)
+    .eq('connection_id', connectionId)
     .eq('epic_patient_id', epicPatientId)
     .single();
   
@@ -1166,16 +1489,157 @@ export async function getStoredEpicData(doctorEmail, epicPatientId) {
     return null;
   }
   
-  // Parse JSON fields
-  return {
-    ...data,
-    diagnoses: JSON.parse(data.diagnoses || '[]'),
-    medications: JSON.parse(data.medications || '[]')
-  };
+  return parsePatientDataRow(data);
 }
 
 /**
- * Check if doctor is connected to Epic
+ * Get the EHR record linked to an Amma patient account
+ * When several connections hold a linked record, the most recently synced wins
+ * @param {string} patientEmail - Amma patient's email
+ * @returns {Promise<Object|null>} Stored patient data, or null if nothing is linked
+ */
+export async function getLinkedEpicData(patientEmail) {
+  const { data, error } = await supabase
+    .from('epic_patient_data')
+    .select('*')
+    .eq('patient_email', patientEmail)
+    .order('last_synced', { ascending: false })
+    .limit(1);
+  
+  if (error) {
+    console.error('❌ Failed to load linked Epic data:', error);
+    return null;
+  }
+  
+  return data?.length ? parsePatientDataRow(data[0]) : null;
+}
+
+/**
+ * Add the resources a sync created, changed or removed to the version history
+ * Unchanged versions are skipped, so each row is a version we had not seen.
+ * Never throws - history is best effort and must not fail a sync
+ * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - EHR connection the data came from
+ * @param {string} epicPatientId - Epic patient ID
+ * @param {Object|null} previousResources - fhir_resources before the sync
+ * @param {Object} currentResources - fhir_resources after the sync
+ * @param {Object} resourceStatus - Per-section sync status
+ */
+async function recordResourceVersions(doctorEmail, connectionId, epicPatientId, previousResources, currentResources, resourceStatus = {}) {
+  const rows = buildVersionRows({ doctorEmail, connectionId, epicPatientId }, previousResources, currentResources, resourceStatus);
+  if (rows.length === 0) return;
+  
+  for (let start = 0; start < rows.length; start += EPIC_CONFIG.maxHistoryRowsPerInsert) {
+    const { error } = await supabase
+      .from('epic_resource_versions')
+      .insert(rows.slice(start, start + EPIC_CONFIG.maxHistoryRowsPerInsert));
+    
+    if (error) {
+      console.warn('⚠️ Failed to record resource versions:', error.message);
+      return;
+    }
+  }
+  
+  console.log(`🗂️ Recorded ${rows.length} resource version(s)`);
+}
+
+/**
+ * What changed in a patient's chart since a point in time
+ * Each resource is compared as it was then with its latest version, so
+ * several edits in between collapse into one change. History starts at the
+ * patient's first sync; for earlier points that sync is the baseline, so what
+ * was already in the chart is not reported as new
+ * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - EHR connection the data came from
+ * @param {string} epicPatientId - Epic patient ID
+ * @param {Object} options - Diff options
+ * @param {string} options.since - ISO timestamp to diff from (e.g., when the last video was made)
+ * @param {Array<string>} options.sections - Section keys to include (default: all)
+ * @returns {Promise<Object>} { since, baselineAt, sections: { [key]: [{ change, id, before, after, fields, recordedAt }] } } -
+ *   baselineAt is the first sync when it is later than since (null otherwise)
+ */
+export async function getPatientChanges(doctorEmail, connectionId, epicPatientId, { since, sections } = {}) {
+  const sectionKeys = sections || PATIENT_DATA_SECTIONS.map(section => section.key);
+  
+  // Every section of the first sync shares one recorded_at
+  const { data: firstRows, error: firstError } = await supabase
+    .from('epic_resource_versions')
+    .select('recorded_at')
+    .eq('doctor_email', doctorEmail)
+    .eq('connection_id', connectionId)
+    .eq('epic_patient_id', epicPatientId)
+    .order('recorded_at', { ascending: true })
+    .limit(1);
+  
+  if (firstError) {
+    console.error('❌ Failed to load resource history:', firstError);
+    throw new Error('Failed to load resource history: ' + firstError.message);
+  }
+  
+  const historyStart = firstRows[0]?.recorded_at || null;
+  const baselineAt = historyStart && new Date(historyStart).getTime() > new Date(since || 0).getTime() ? historyStart : null;
+  const sinceTime = new Date(baselineAt || since || 0).getTime();
+  
+  const { data, error } = await supabase
+    .from('epic_resource_versions')
+    .select('section, resource_type, resource_id, version_id, change, resource, recorded_at')
+    .eq('doctor_email', doctorEmail)
+    .eq('connection_id', connectionId)
+    .eq('epic_patient_id', epicPatientId)
+    .in('section', sectionKeys)
+    .order('recorded_at', { ascending: true });
+  
+  if (error) {
+    console.error('❌ Failed to load resource history:', error);
+    throw new Error('Failed to load resource history: ' + error.message);
+  }
+  
+  // Medication names may need the referenced Medication resources
+  const stored = await getStoredEpicData(doctorEmail, connectionId, epicPatientId);
+  const relatedResources = { medications: stored?.fhir_resources?.referencedMedications || [] };
+  
+  const histories = new Map();
+  data.forEach(row => {
+    const key = `${row.resource_type}/${row.resource_id}`;
+    if (!histories.has(key)) histories.set(key, []);
+    histories.get(key).push(row);
+  });
+  
+  const changes = Object.fromEntries(sectionKeys.map(key => [key, []]));
+  
+  histories.forEach(rows => {
+    const latest = rows[rows.length - 1];
+    if (new Date(latest.recorded_at).getTime() <= sinceTime) return;
+    
+    const then = rows.filter(row => new Date(row.recorded_at).getTime() <= sinceTime).pop();
+    const existedThen = then && then.change !== 'deleted';
+    const existsNow = latest.change !== 'deleted';
+    if (!existedThen && !existsNow) return;
+    
+    const section = PATIENT_DATA_SECTIONS.find(entry => entry.key === latest.section);
+    const parse = (row) => section.parse([JSON.parse(row.resource)], relatedResources[section.key])[0] || null;
+    const before = existedThen ? parse(then) : null;
+    const after = existsNow ? parse(latest) : null;
+    const fields = before && after ? changedFields(before, after) : [];
+    
+    // New version, same meaning (e.g., only meta or an unparsed element changed)
+    if (before && after && fields.length === 0) return;
+    
+    changes[section.key].push({
+      change: !existedThen ? 'added' : !existsNow ? 'removed' : 'updated',
+      id: latest.resource_id,
+      before,
+      after,
+      fields,
+      recordedAt: latest.recorded_at
+    });
+  });
+  
+  return { since: since || null, baselineAt, sections: changes };
+}
+
+/**
+ * Check if doctor has at least one EHR connection
  * @param {string} doctorEmail - Doctor's email
  * @returns {Promise<boolean>} True if connected
  */
@@ -1184,19 +1648,23 @@ export async function isEpicConnected(doctorEmail) {
     .from('epic_tokens')
     .select('id')
     .eq('doctor_email', doctorEmail)
-    .single();
+    .limit(1);
   
-  return !error && !!data;
+  return !error && data?.length > 0;
 }
 
 /**
- * Disconnect from Epic (delete tokens)
+ * Disconnect an EHR connection
+ * Deletes its tokens; the database cascades to the patient data and version
+ * history synced through it
  * @param {string} doctorEmail - Doctor's email
+ * @param {number} connectionId - Connection ID
  */
-export async function disconnectEpic(doctorEmail) {
+export async function disconnectEpic(doctorEmail, connectionId) {
   const { error } = await supabase
     .from('epic_tokens')
     .delete()
+    .eq('id', connectionId)
     .eq('doctor_email', doctorEmail);
   
   if (error) {
@@ -1207,7 +1675,7 @@ export async function disconnectEpic(doctorEmail) {
   await logAuditEvent({
     doctor_email: doctorEmail,
     action: 'epic_disconnected',
-    epic_resource_accessed: 'OAuth Token'
+    epic_resource_accessed: `OAuth Token (connection ${connectionId})`
   });
   
   console.log('✅ Disconnected from Epic');
@@ -1215,18 +1683,69 @@ export async function disconnectEpic(doctorEmail) {
 
 // Helper Functions
 
+/**
+ * Discover SMART endpoints for a server, honouring env overrides
+ * for the default Plasma server
+ * @param {string} fhirBaseUrl - FHIR base URL
+ * @returns {Promise<Object>} SMART configuration
+ */
+async function resolveSmartConfig(fhirBaseUrl) {
+  const isDefaultServer = fhirBaseUrl === EPIC_CONFIG.fhirApiBase;
+  
+  if (isDefaultServer && EPIC_CONFIG.authUrl && EPIC_CONFIG.tokenUrl) {
+    return {
+      fhirBaseUrl,
+      authorizationEndpoint: EPIC_CONFIG.authUrl,
+      tokenEndpoint: EPIC_CONFIG.tokenUrl,
+      scopesSupported: []
+    };
+  }
+  
+  return await discoverSmartConfiguration(fhirBaseUrl);
+}
+
+// appContext from a CDS Hooks card link: JSON from our own service, anything else kept as text
+function parseAppContext(appContext) {
+  if (!appContext) return null;
+  try {
+    const parsed = JSON.parse(appContext);
+    return parsed && typeof parsed === 'object' ? parsed : { text: String(parsed) };
+  } catch {
+    return { text: appContext };
+  }
+}
+
+// EHR launches ask for "launch" (context from the chart) instead of the
+// standalone "launch/patient" (context picked at login)
+function ehrLaunchScopes(scopes) {
+  const requested = scopes.split(/\s+/).filter(scope => scope && scope !== 'launch/patient');
+  return ['launch', ...requested.filter(scope => scope !== 'launch')].join(' ');
+}
+
 function generateRandomState() {
   const array = new Uint8Array(16);
   crypto.getRandomValues(array);
   return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
 }
 
-function generateClinicalNotesText(documents) {
-  if (!documents || documents.length === 0) return '';
-  
-  return documents.slice(0, 5).map(doc => 
-    `${doc.type} (${doc.date}): ${doc.description || 'No description'}`
-  ).join('\n');
+// PKCE (RFC 7636): 32 random bytes -> 43 char base64url verifier
+function generateCodeVerifier() {
+  const array = new Uint8Array(32);
+  crypto.getRandomValues(array);
+  return base64UrlEncode(array);
+}
+
+async function generateCodeChallenge(codeVerifier) {
+  const data = new TextEncoder().encode(codeVerifier);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
 }
 
 /**
@@ -1252,12 +1771,23 @@ async function logAuditEvent(event) {
 
 export default {
   initEpicAuth,
+  initEpicLaunch,
   handleEpicCallback,
+  listEpicConnections,
+  renameEpicConnection,
   getEpicToken,
   refreshEpicToken,
   searchEpicPatients,
+  suggestEpicMatches,
+  suggestRosterMatches,
+  linkEpicPatient,
+  unlinkEpicPatient,
   fetchPatientData,
+  exportPatientPanel,
+  writeBackEducation,
   getStoredEpicData,
+  getLinkedEpicData,
+  getPatientChanges,
   isEpicConnected,
   disconnectEpic
 };
@@ -0,0 +1,239 @@
+/**
+ * FHIR HTTP Layer
+ * Shared request helper for FHIR servers: timeouts, retries with exponential
+ * backoff (5xx, 429 + Retry-After) and typed errors carrying the OperationOutcome
+ */
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 20000,
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 15000,
+  // A longer Retry-After is not waited out - the 429/503 goes to the caller
+  maxRetryAfterMs: 60000
+};
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+/**
+ * Error thrown for any failed FHIR request
+ * status is 0 when no HTTP response was received (network error, timeout)
+ */
+export class FhirRequestError extends Error {
+  constructor(message, { status = 0, url = null, operationOutcome = null, retryable = false, retryAfterMs = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'FhirRequestError';
+    this.status = status;
+    this.url = url;
+    this.operationOutcome = operationOutcome;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Issues from the server's OperationOutcome, flattened for display
+   * @returns {Array<Object>} { severity, code, message }
+   */
+  get issues() {
+    return (this.operationOutcome?.issue || []).map(issue => ({
+      severity: issue.severity || 'error',
+      code: issue.code || 'unknown',
+      message: issue.details?.text || issue.diagnostics || issue.code || 'Unknown issue'
+    }));
+  }
+}
+
+/**
+ * Request did not complete within the timeout
+ */
+export class FhirTimeoutError extends FhirRequestError {
+  constructor(url, timeoutMs) {
+    super(`FHIR request timed out after ${timeoutMs}ms`, { url, retryable: true });
+    this.name = 'FhirTimeoutError';
+  }
+}
+
+/**
+ * Send a request to a FHIR server, retrying transient failures
+ * @param {string} url - Absolute request URL
+ * @param {Object} options - Request options
+ * @param {string} options.accessToken - Bearer token
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {Object} options.headers - Extra headers
+ * @param {string|Object} options.body - Request body (objects are sent as FHIR JSON)
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.maxRetryAfterMs - Longest Retry-After to wait for before giving up
+ * @returns {Promise<Response>} Successful fetch Response
+ */
+export async function fhirFetch(url, options = {}) {
+  const {
+    accessToken,
+    method = 'GET',
+    headers = {},
+    body,
+    timeoutMs,
+    maxRetries,
+    baseDelayMs,
+    maxDelayMs,
+    maxRetryAfterMs
+  } = { ...DEFAULT_OPTIONS, ...options };
+
+  const requestHeaders = {
+    'Accept': 'application/fhir+json',
+    ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {}),
+    ...headers
+  };
+
+  let requestBody = body;
+  if (body && typeof body === 'object' && !(body instanceof URLSearchParams) && !(body instanceof Blob)) {
+    requestBody = JSON.stringify(body);
+    requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/fhir+json';
+  }
+
+  // Only 429 is safe to retry for non-idempotent requests - the server did not process them
+  const idempotent = IDEMPOTENT_METHODS.includes(method.toUpperCase());
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+
+    try {
+      const response = await fetchWithTimeout(url, {
+        method,
+        headers: requestHeaders,
+        body: requestBody
+      }, timeoutMs);
+
+      if (response.ok) {
+        return response;
+      }
+
+      error = await buildHttpError(response, url);
+      error.retryable = response.status === 429 || (idempotent && RETRYABLE_STATUSES.includes(response.status));
+      error.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+    } catch (fetchError) {
+      if (fetchError instanceof FhirRequestError) {
+        error = fetchError;
+      } else {
+        error = new FhirRequestError(`Network error: ${fetchError.message}`, {
+          url,
+          retryable: true,
+          cause: fetchError
+        });
+      }
+      error.retryable = error.retryable && idempotent;
+    }
+
+    if (!error.retryable || attempt >= maxRetries || error.retryAfterMs > maxRetryAfterMs) {
+      throw error;
+    }
+
+    // The server's Retry-After is honoured in full; backoff is only for when it sends none
+    const delayMs = error.retryAfterMs ?? backoffDelay(attempt, baseDelayMs, maxDelayMs);
+    console.warn(`⏳ ${error.message} - retrying in ${delayMs}ms (${attempt + 1}/${maxRetries})`);
+    await sleep(delayMs);
+  }
+}
+
+/**
+ * Send a FHIR request and parse the JSON response
+ * @param {string} url - Absolute request URL
+ * @param {Object} options - Same options as fhirFetch
+ * @returns {Promise<Object|null>} Parsed body (null for empty responses)
+ */
+export async function fhirFetchJson(url, options = {}) {
+  const response = await fhirFetch(url, options);
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Short, user-facing description of a failed request
+ * @param {Error} error - Error thrown by fhirFetch
+ * @returns {string} Description (e.g., 'Server error (503)')
+ */
+export function describeFhirError(error) {
+  if (error instanceof FhirTimeoutError) return 'Timed out';
+  if (!(error instanceof FhirRequestError)) return error?.message || 'Unknown error';
+  if (error.status === 0) return 'Network error';
+  if (error.status === 401 || error.status === 403) return `Not authorized (${error.status})`;
+  if (error.status === 404) return 'Not found (404)';
+  if (error.status === 429) return `Rate limited (429)${retryAfterHint(error)}`;
+  if (error.status >= 500) return `Server error (${error.status})${retryAfterHint(error)}`;
+  return `Request failed (${error.status})`;
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Helper Functions
+
+async function fetchWithTimeout(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new FhirTimeoutError(url, timeoutMs);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function buildHttpError(response, url) {
+  let operationOutcome = null;
+
+  try {
+    const body = await response.json();
+    if (body?.resourceType === 'OperationOutcome') {
+      operationOutcome = body;
+    }
+  } catch {
+    // Non-JSON error body - nothing to extract
+  }
+
+  const error = new FhirRequestError(
+    `FHIR request failed: ${response.status} ${response.statusText}`.trim(),
+    { status: response.status, url, operationOutcome }
+  );
+
+  const detail = error.issues[0]?.message;
+  if (detail) {
+    error.message += ` - ${detail}`;
+  }
+
+  return error;
+}
+
+function retryAfterHint(error) {
+  return error.retryAfterMs ? ` - try again in ${Math.ceil(error.retryAfterMs / 1000)}s` : '';
+}
+
+// Exponential backoff with jitter: 0.5x - 1x of base * 2^attempt
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
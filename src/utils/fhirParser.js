@@ -3,6 +3,26 @@
  * Parses Epic FHIR resources into human-readable format for video generation
  */
 
+// Extension kept so the CDS Hooks service can load this file under plain Node
+import { describeConcept, CODE_SYSTEMS } from './terminology.js';
+import { translateTerm, DEFAULT_READING_GRADE } from './plainLanguage.js';
+import { assessObservation, worstFlag, describeFlag, formatRange } from './referenceRanges.js';
+import { normalizeUnit, normalizeQuantity } from './units.js';
+
+// Shown when neither the record nor the bundled code tables name an entry
+const UNNAMED = {
+  condition: 'Unknown condition',
+  medication: 'Unknown medication',
+  observation: 'Unknown',
+  allergy: 'Unknown substance',
+  procedure: 'Unknown procedure',
+  immunization: 'Unknown vaccine'
+};
+
+// Encounter statuses of a visit that has taken place (or is underway) -
+// planned, arrived and triaged visits have not started yet
+const VISITED_ENCOUNTER_STATUSES = ['finished', 'in-progress', 'onleave', 'unknown'];
+
 /**
  * Parse Patient resource to extract demographics
  * @param {Object} patient - FHIR Patient resource
@@ -46,30 +66,36 @@ export function parseConditions(conditions) {
 
   return conditions
     .filter(c => c.resourceType === 'Condition')
-    .map(condition => ({
-      id: condition.id,
-      code: condition.code?.coding?.[0]?.code || null,
-      system: condition.code?.coding?.[0]?.system || null,
-      display: condition.code?.coding?.[0]?.display || 
-               condition.code?.text || 
-               'Unknown condition',
-      clinicalStatus: condition.clinicalStatus?.coding?.[0]?.code || null,
-      verificationStatus: condition.verificationStatus?.coding?.[0]?.code || null,
-      category: condition.category?.[0]?.coding?.[0]?.display || 'General',
-      severity: condition.severity?.coding?.[0]?.display || null,
-      onsetDate: condition.onsetDateTime || condition.recordedDate || null,
-      note: condition.note?.[0]?.text || null,
-      raw: condition
-    }))
+    .map(condition => {
+      const concept = describeConcept(condition.code, 'condition');
+
+      return {
+        id: condition.id,
+        code: concept.code,
+        system: concept.system,
+        codes: concept.codes,
+        display: concept.display || UNNAMED.condition,
+        clinicalStatus: condition.clinicalStatus?.coding?.[0]?.code || null,
+        verificationStatus: condition.verificationStatus?.coding?.[0]?.code || null,
+        category: condition.category?.[0]?.coding?.[0]?.display || 'General',
+        severity: condition.severity?.coding?.[0]?.display || null,
+        onsetDate: condition.onsetDateTime || condition.recordedDate || null,
+        note: condition.note?.[0]?.text || null,
+        raw: condition
+      };
+    })
     .sort((a, b) => new Date(b.onsetDate) - new Date(a.onsetDate));
 }
 
 /**
  * Parse MedicationRequest resources
+ * Requests that use medicationReference are resolved against their contained
+ * resources (#id) or the referenced Medication resources passed in
  * @param {Array} medications - Array of FHIR MedicationRequest resources
+ * @param {Array} referencedMedications - FHIR Medication resources the requests point to
  * @returns {Array} Parsed medications
  */
-export function parseMedications(medications) {
+export function parseMedications(medications, referencedMedications = []) {
   if (!Array.isArray(medications)) {
     return [];
   }
@@ -77,15 +103,21 @@ export function parseMedications(medications) {
   return medications
     .filter(m => m.resourceType === 'MedicationRequest')
     .map(med => {
-      const medication = med.medicationCodeableConcept || med.medicationReference;
+      const medicationResource = findReferencedMedication(med, referencedMedications);
+      const medication = describeConcept(med.medicationCodeableConcept || medicationResource?.code, 'medication');
+      const ingredients = parseIngredients(medicationResource);
       const dosage = med.dosageInstruction?.[0];
       
       return {
         id: med.id,
-        name: medication?.coding?.[0]?.display || 
-              medication?.text || 
-              'Unknown medication',
-        code: medication?.coding?.[0]?.code || null,
+        name: medication.display ||
+              med.medicationReference?.display ||
+              UNNAMED.medication,
+        code: medication.code,
+        codes: medication.codes,
+        form: medicationResource?.form?.coding?.[0]?.display || medicationResource?.form?.text || null,
+        strength: ingredients.map(i => i.strength).filter(Boolean).join(' / ') || null,
+        ingredients,
         status: med.status || 'unknown',
         intent: med.intent || 'order',
         dosage: dosage?.text || formatDosage(dosage),
@@ -130,6 +162,11 @@ export function parseDocuments(documents) {
 
 /**
  * Parse Observation resources (lab results, vitals)
+ * Each result is flagged low/high/critical from its interpretation or, when
+ * that is missing, its reference range; panels such as blood pressure carry
+ * their components, and the panel takes the most severe component flag.
+ * Numeric results also carry `normalized`, the value in the analyte's
+ * preferred UCUM unit, so results from labs using other units line up
  * @param {Array} observations - Array of FHIR Observation resources
  * @returns {Array} Parsed observations
  */
@@ -140,29 +177,238 @@ export function parseObservations(observations) {
 
   return observations
     .filter(o => o.resourceType === 'Observation')
-    .map(obs => ({
-      id: obs.id,
-      code: obs.code?.coding?.[0]?.code || null,
-      display: obs.code?.coding?.[0]?.display || obs.code?.text || 'Unknown',
-      category: obs.category?.[0]?.coding?.[0]?.display || 'General',
-      value: formatObservationValue(obs),
-      unit: obs.valueQuantity?.unit || null,
-      referenceRange: obs.referenceRange?.[0]?.text || null,
-      status: obs.status || 'unknown',
-      date: obs.effectiveDateTime || obs.issued || null,
-      interpretation: obs.interpretation?.[0]?.coding?.[0]?.display || null,
-      raw: obs
+    .map(obs => {
+      const concept = describeConcept(obs.code, 'observation');
+      const assessment = assessObservation(obs, { loinc: concept.codes.loinc });
+      const components = (obs.component || []).map(parseObservationComponent);
+      const componentUnits = [...new Set(components.map(c => c.unit))];
+
+      return {
+        id: obs.id,
+        code: concept.code,
+        codes: concept.codes,
+        display: concept.display || UNNAMED.observation,
+        category: obs.category?.[0]?.coding?.[0]?.display || 'General',
+        value: formatObservationValue(obs, components),
+        unit: obs.valueQuantity?.unit || (componentUnits.length === 1 ? componentUnits[0] : null),
+        unitCode: normalizeUnit(assessment.value?.unit),
+        numericValue: assessment.value?.value ?? null,
+        comparator: assessment.value?.comparator || null,
+        normalized: normalizeQuantity(assessment.value, { loinc: concept.codes.loinc }),
+        referenceRange: obs.referenceRange?.[0]?.text || formatRange(assessment.range?.source === 'record' ? assessment.range : null),
+        range: assessment.range,
+        flag: assessment.flag || worstFlag(components.map(c => c.flag)),
+        flagSource: assessment.flagSource || (components.some(c => c.flag) ? 'components' : null),
+        components,
+        status: obs.status || 'unknown',
+        date: obs.effectiveDateTime || obs.issued || null,
+        interpretation: obs.interpretation?.[0]?.coding?.[0]?.display || null,
+        raw: obs
+      };
+    })
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * Group parsed observations into trends, one per analyte and unit. Results
+ * are compared in their normalized unit, so glucose sent in mg/dL by one lab
+ * and mmol/L by another forms one trend
+ * @param {Array} observations - Result of parseObservations
+ * @returns {Array} Trends { analyte, display, unit, points }, points oldest first
+ */
+export function groupObservationTrends(observations) {
+  const trends = new Map();
+
+  (observations || [])
+    .filter(obs => obs.normalized && obs.date)
+    .forEach(obs => {
+      const analyte = obs.normalized.analyte || obs.codes?.loinc || obs.code || obs.display;
+      const key = `${analyte}|${obs.normalized.unit || ''}`;
+      if (!trends.has(key)) {
+        trends.set(key, { analyte, display: obs.display, unit: obs.normalized.unit, points: [] });
+      }
+      trends.get(key).points.push({
+        id: obs.id,
+        date: obs.date,
+        value: obs.normalized.value,
+        comparator: obs.normalized.comparator,
+        flag: obs.flag
+      });
+    });
+
+  return [...trends.values()].map(trend => ({
+    ...trend,
+    points: trend.points.sort((a, b) => new Date(a.date) - new Date(b.date))
+  }));
+}
+
+/**
+ * Parse Encounter resources (visits, admissions)
+ * @param {Array} encounters - Array of FHIR Encounter resources
+ * @returns {Array} Parsed encounters
+ */
+export function parseEncounters(encounters) {
+  if (!Array.isArray(encounters)) {
+    return [];
+  }
+
+  return encounters
+    .filter(e => e.resourceType === 'Encounter')
+    .map(encounter => ({
+      id: encounter.id,
+      status: encounter.status || 'unknown',
+      class: encounter.class?.display || encounter.class?.code || null,
+      type: encounter.type?.[0]?.coding?.[0]?.display ||
+            encounter.type?.[0]?.text ||
+            'Visit',
+      reason: describeConcept(encounter.reasonCode?.[0], 'condition').display,
+      startDate: encounter.period?.start || null,
+      endDate: encounter.period?.end || null,
+      provider: encounter.participant?.find(p => p.individual?.display)?.individual.display || null,
+      location: encounter.location?.[0]?.location?.display || null,
+      serviceProvider: encounter.serviceProvider?.display || null,
+      raw: encounter
     }))
+    .sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+}
+
+/**
+ * Parse AllergyIntolerance resources
+ * @param {Array} allergies - Array of FHIR AllergyIntolerance resources
+ * @returns {Array} Parsed allergies
+ */
+export function parseAllergies(allergies) {
+  if (!Array.isArray(allergies)) {
+    return [];
+  }
+
+  return allergies
+    .filter(a => a.resourceType === 'AllergyIntolerance')
+    .map(allergy => {
+      const concept = describeConcept(allergy.code, 'allergy');
+
+      return {
+        id: allergy.id,
+        code: concept.code,
+        system: concept.system,
+        codes: concept.codes,
+        substance: concept.display || UNNAMED.allergy,
+        clinicalStatus: allergy.clinicalStatus?.coding?.[0]?.code || null,
+        verificationStatus: allergy.verificationStatus?.coding?.[0]?.code || null,
+        type: allergy.type || null,
+        category: allergy.category?.join(', ') || null,
+        criticality: allergy.criticality || null,
+        reactions: (allergy.reaction || []).map(reaction => ({
+          manifestation: reaction.manifestation
+            ?.map(m => describeConcept(m, 'condition').display)
+            .filter(Boolean)
+            .join(', ') || null,
+          severity: reaction.severity || null
+        })),
+        recordedDate: allergy.recordedDate || allergy.onsetDateTime || null,
+        note: allergy.note?.[0]?.text || null,
+        raw: allergy
+      };
+    })
+    .sort((a, b) => new Date(b.recordedDate) - new Date(a.recordedDate));
+}
+
+/**
+ * Parse Procedure resources
+ * @param {Array} procedures - Array of FHIR Procedure resources
+ * @returns {Array} Parsed procedures
+ */
+export function parseProcedures(procedures) {
+  if (!Array.isArray(procedures)) {
+    return [];
+  }
+
+  return procedures
+    .filter(p => p.resourceType === 'Procedure')
+    .map(procedure => {
+      const concept = describeConcept(procedure.code, 'procedure');
+
+      return {
+        id: procedure.id,
+        code: concept.code,
+        system: concept.system,
+        codes: concept.codes,
+        display: concept.display || UNNAMED.procedure,
+        status: procedure.status || 'unknown',
+        performedDate: procedure.performedDateTime || procedure.performedPeriod?.start || null,
+        performer: procedure.performer?.[0]?.actor?.display || null,
+        bodySite: procedure.bodySite?.[0]?.coding?.[0]?.display || procedure.bodySite?.[0]?.text || null,
+        reason: describeConcept(procedure.reasonCode?.[0], 'condition').display,
+        outcome: procedure.outcome?.coding?.[0]?.display || procedure.outcome?.text || null,
+        note: procedure.note?.[0]?.text || null,
+        raw: procedure
+      };
+    })
+    .sort((a, b) => new Date(b.performedDate) - new Date(a.performedDate));
+}
+
+/**
+ * Parse Immunization resources
+ * @param {Array} immunizations - Array of FHIR Immunization resources
+ * @returns {Array} Parsed immunizations
+ */
+export function parseImmunizations(immunizations) {
+  if (!Array.isArray(immunizations)) {
+    return [];
+  }
+
+  return immunizations
+    .filter(i => i.resourceType === 'Immunization')
+    .map(immunization => {
+      const protocol = immunization.protocolApplied?.[0];
+      const concept = describeConcept(immunization.vaccineCode, 'immunization');
+
+      return {
+        id: immunization.id,
+        code: concept.code,
+        system: concept.system,
+        codes: concept.codes,
+        vaccine: concept.display || UNNAMED.immunization,
+        status: immunization.status || 'unknown',
+        date: immunization.occurrenceDateTime || immunization.recorded || null,
+        doseNumber: protocol?.doseNumberPositiveInt || protocol?.doseNumberString || null,
+        seriesDoses: protocol?.seriesDosesPositiveInt || protocol?.seriesDosesString || null,
+        site: immunization.site?.coding?.[0]?.display || null,
+        route: immunization.route?.coding?.[0]?.display || null,
+        lotNumber: immunization.lotNumber || null,
+        raw: immunization
+      };
+    })
     .sort((a, b) => new Date(b.date) - new Date(a.date));
 }
 
 /**
  * Generate a clinical summary from parsed FHIR data
+ * With plainLanguage, diagnoses, medications and lab names are rewritten for
+ * patients and the clinical term is kept on a "Medical term" line
  * @param {Object} patientData - Object containing parsed FHIR resources
+ * @param {Object} options - { plainLanguage, readingGrade, glossary } (see plainLanguage.js)
  * @returns {string} Formatted clinical summary for video generation
  */
-export function generateClinicalSummary(patientData) {
-  const { patient, conditions, medications, documents, observations } = patientData;
+export function generateClinicalSummary(patientData, options = {}) {
+  const {
+    patient,
+    conditions,
+    medications,
+    allergies,
+    procedures,
+    immunizations,
+    encounters,
+    documents,
+    observations,
+    resourceStatus
+  } = patientData;
+  const { plainLanguage = false, readingGrade = DEFAULT_READING_GRADE, glossary } = options;
+
+  // Clinical wording unless a patient is the audience
+  const describe = (term, kind, codes) => plainLanguage ?
+    translateTerm(term, { kind, codes, grade: readingGrade, glossary }) :
+    { text: term, clinical: term, explanation: null, changed: false };
 
   let summary = '';
 
@@ -182,10 +428,19 @@ export function generateClinicalSummary(patientData) {
       c => c.clinicalStatus === 'active' || !c.clinicalStatus
     );
     activeConditions.forEach((condition, idx) => {
-      summary += `${idx + 1}. ${condition.display}`;
+      const term = condition.display === UNNAMED.condition ?
+        { text: unnamedEntryText('diagnosis', condition, plainLanguage), clinical: null, explanation: null, changed: false } :
+        describe(condition.display, 'condition', condition.codes);
+      summary += `${idx + 1}. ${term.text}`;
       if (condition.onsetDate) {
         summary += ` (since ${formatDate(condition.onsetDate)})`;
       }
+      if (term.changed) {
+        summary += `\n   Medical term: ${term.clinical}`;
+      }
+      if (term.explanation) {
+        summary += `\n   What it means: ${term.explanation}`;
+      }
       if (condition.note) {
         summary += `\n   Note: ${condition.note}`;
       }
@@ -198,16 +453,27 @@ export function generateClinicalSummary(patientData) {
   if (medications && medications.length > 0) {
     summary += `CURRENT MEDICATIONS\n`;
     const activeMeds = medications.filter(
-      m => m.status === 'active' || m.status === 'unknown'
+      m => (m.status === 'active' || m.status === 'unknown') && m.name !== UNNAMED.medication
     );
     activeMeds.forEach((med, idx) => {
-      summary += `${idx + 1}. ${med.name}`;
+      const term = describe(med.name, 'medication', med.codes);
+      summary += `${idx + 1}. ${term.text}`;
+      // RxNorm names usually spell out strength and form already - check the
+      // original name, since the plain-language one rewrites them ("Oral Tablet" -> "tablet")
+      const details = [med.strength, med.form?.toLowerCase()]
+        .filter(detail => detail && !term.clinical.toLowerCase().includes(detail.toLowerCase()));
+      if (details.length > 0) {
+        summary += ` ${details.join(' ')}`;
+      }
       if (med.dosage) {
         summary += ` - ${med.dosage}`;
       }
       if (med.frequency) {
         summary += ` (${med.frequency})`;
       }
+      if (term.explanation) {
+        summary += `\n   What it is: ${term.explanation}`;
+      }
       if (med.instructions) {
         summary += `\n   Instructions: ${med.instructions}`;
       }
@@ -216,12 +482,104 @@ export function generateClinicalSummary(patientData) {
     summary += '\n';
   }
 
+  // Allergies - refuted and entered-in-error records are not allergies
+  if (allergies && allergies.length > 0) {
+    const activeAllergies = allergies.filter(
+      a => (a.clinicalStatus === 'active' || !a.clinicalStatus) &&
+           !['refuted', 'entered-in-error'].includes(a.verificationStatus)
+    );
+    if (activeAllergies.length > 0) {
+      summary += `ALLERGIES\n`;
+      activeAllergies.forEach((allergy, idx) => {
+        const substance = allergy.substance === UNNAMED.allergy ?
+          unnamedEntryText('allergy', allergy, plainLanguage) :
+          allergy.substance;
+        summary += `${idx + 1}. ${substance}`;
+        const reactions = allergy.reactions
+          .map(r => r.manifestation)
+          .filter(Boolean);
+        if (reactions.length > 0) {
+          summary += ` - ${reactions.join(', ')}`;
+        }
+        if (allergy.criticality === 'high') {
+          summary += ' (high risk)';
+        }
+        summary += '\n';
+      });
+      summary += '\n';
+    }
+  }
+
+  // Procedures
+  if (procedures && procedures.length > 0) {
+    const completedProcedures = procedures.filter(
+      p => (p.status === 'completed' || p.status === 'unknown') && p.display !== UNNAMED.procedure
+    );
+    if (completedProcedures.length > 0) {
+      summary += `PROCEDURES\n`;
+      completedProcedures.slice(0, 5).forEach((procedure, idx) => {
+        summary += `${idx + 1}. ${procedure.display}`;
+        if (procedure.performedDate) {
+          summary += ` - ${formatDate(procedure.performedDate)}`;
+        }
+        if (procedure.reason) {
+          summary += `\n   Reason: ${procedure.reason}`;
+        }
+        summary += '\n';
+      });
+      summary += '\n';
+    }
+  }
+
+  // Immunizations
+  if (immunizations && immunizations.length > 0) {
+    const givenImmunizations = immunizations.filter(
+      i => i.status === 'completed' && i.vaccine !== UNNAMED.immunization
+    );
+    if (givenImmunizations.length > 0) {
+      summary += `IMMUNIZATIONS\n`;
+      givenImmunizations.forEach((immunization, idx) => {
+        summary += `${idx + 1}. ${immunization.vaccine}`;
+        if (immunization.doseNumber) {
+          summary += ` (dose ${immunization.doseNumber})`;
+        }
+        summary += ` - ${formatDate(immunization.date)}\n`;
+      });
+      summary += '\n';
+    }
+  }
+
+  // Recent Visits
+  if (encounters && encounters.length > 0) {
+    const now = Date.now();
+    const pastEncounters = encounters.filter(e =>
+      VISITED_ENCOUNTER_STATUSES.includes(e.status) &&
+      !(e.startDate && new Date(e.startDate).getTime() > now)
+    );
+    if (pastEncounters.length > 0) {
+      summary += `RECENT VISITS\n`;
+      pastEncounters.slice(0, 3).forEach((encounter, idx) => {
+        summary += `${idx + 1}. ${encounter.type} - ${formatDate(encounter.startDate)}`;
+        if (encounter.reason) {
+          summary += ` (${encounter.reason})`;
+        }
+        if (encounter.provider) {
+          summary += ` with ${encounter.provider}`;
+        }
+        summary += '\n';
+      });
+      summary += '\n';
+    }
+  }
+
   // Recent Clinical Notes
   if (documents && documents.length > 0) {
     summary += `RECENT CLINICAL NOTES\n`;
     documents.slice(0, 3).forEach((doc, idx) => {
       summary += `${idx + 1}. ${doc.type} - ${formatDate(doc.date)}\n`;
-      if (doc.description) {
+      if (doc.text) {
+        summary += `   ${noteExcerpt(doc.text)}\n`;
+      } else if (doc.description) {
         summary += `   ${doc.description}\n`;
       }
     });
@@ -229,26 +587,89 @@ export function generateClinicalSummary(patientData) {
   }
 
   // Recent Lab Results (if available)
-  if (observations && observations.length > 0) {
+  const labs = (observations || []).filter(
+    lab => isLaboratoryObservation(lab) && lab.display !== UNNAMED.observation
+  );
+  if (labs.length > 0) {
     summary += `RECENT LAB RESULTS\n`;
-    const labs = observations.filter(o => o.category === 'laboratory');
     labs.slice(0, 5).forEach((lab, idx) => {
-      summary += `${idx + 1}. ${lab.display}: ${lab.value}`;
+      summary += `${idx + 1}. ${describe(lab.display, 'observation', lab.codes).text}: ${lab.value}`;
       if (lab.unit) {
         summary += ` ${lab.unit}`;
       }
-      if (lab.interpretation) {
-        summary += ` (${lab.interpretation})`;
+      const normalRange = formatRange(lab.range);
+      if (plainLanguage && lab.flag) {
+        summary += ` - ${formatDate(lab.date)}\n`;
+        summary += `   ${describeFlag(lab.flag, { plainLanguage: true })}`;
+        summary += normalRange && lab.flag !== 'normal' ? ` (normal is ${normalRange})\n` : '\n';
+        return;
+      }
+      const flagLabel = lab.interpretation || (lab.flag && lab.flag !== 'normal' ? describeFlag(lab.flag) : null);
+      if (flagLabel) {
+        // Ranges the lab did not send are bundled adult ranges - say so to the clinician
+        const rangeLabel = lab.range?.source === 'typical' ? 'typical adult' : 'normal';
+        summary += normalRange ? ` (${flagLabel}; ${rangeLabel} ${normalRange})` : ` (${flagLabel})`;
       }
       summary += ` - ${formatDate(lab.date)}\n`;
     });
   }
 
+  // Sections the EHR failed to return - say so rather than implying there are none
+  const unavailable = Object.entries(resourceStatus || {})
+    .filter(([, status]) => status.status === 'error')
+    .map(([section]) => SECTION_TITLES[section] || section);
+  if (unavailable.length > 0) {
+    summary += `\nUNAVAILABLE FROM EHR\n`;
+    summary += `${unavailable.join(', ')} could not be retrieved and may be incomplete.\n`;
+  }
+
   return summary.trim();
 }
 
 // Helper Functions
 
+const CODE_SYSTEM_LABELS = {
+  [CODE_SYSTEMS.SNOMED]: 'SNOMED CT',
+  [CODE_SYSTEMS.ICD10CM]: 'ICD-10-CM',
+  [CODE_SYSTEMS.ICD10]: 'ICD-10',
+  [CODE_SYSTEMS.RXNORM]: 'RxNorm'
+};
+
+// A diagnosis or allergy nothing could name still belongs in the summary - with its code if it has one
+function unnamedEntryText(noun, entry, plainLanguage) {
+  if (entry.code) {
+    const system = CODE_SYSTEM_LABELS[entry.system];
+    return `Unnamed ${noun} (code ${system ? `${system} ` : ''}${entry.code})${plainLanguage ? ' - ask your doctor what it is' : ''}`;
+  }
+  return plainLanguage ?
+    `Unnamed ${noun} - ask your doctor what it is` :
+    `Unnamed ${noun} (no name or code in the record)`;
+}
+
+const SECTION_TITLES = {
+  conditions: 'Diagnoses',
+  medications: 'Medications',
+  allergies: 'Allergies',
+  procedures: 'Procedures',
+  immunizations: 'Immunizations',
+  encounters: 'Visits',
+  documents: 'Clinical notes',
+  observations: 'Lab results'
+};
+
+// category holds the display text - check the coded category as well
+function isLaboratoryObservation(observation) {
+  return observation.category?.toLowerCase() === 'laboratory' ||
+    observation.raw?.category?.some(c => c.coding?.some(coding => coding.code === 'laboratory'));
+}
+
+// First few hundred characters of a note, on one line
+function noteExcerpt(text, maxLength = 300) {
+  const flattened = text.replace(/\s+/g, ' ').trim();
+  if (flattened.length <= maxLength) return flattened;
+  return flattened.slice(0, maxLength).replace(/\s\S*$/, '') + '…';
+}
+
 function calculateAge(birthDate) {
   const today = new Date();
   const birth = new Date(birthDate);
@@ -295,7 +716,70 @@ function formatDosage(dosage) {
   return `${dose.value} ${dose.unit}`;
 }
 
-function formatObservationValue(obs) {
+function findReferencedMedication(request, referencedMedications) {
+  const reference = request.medicationReference?.reference;
+  if (!reference) return null;
+
+  if (reference.startsWith('#')) {
+    return request.contained?.find(
+      r => r.resourceType === 'Medication' && r.id === reference.slice(1)
+    ) || null;
+  }
+
+  const id = reference.match(/(?:^|\/)Medication\/([^/]+?)(?:\/_history\/[^/]+)?$/)?.[1];
+  return referencedMedications.find(m => m.id === id) || null;
+}
+
+function parseIngredients(medication) {
+  return (medication?.ingredient || []).map(ingredient => ({
+    name: describeConcept(ingredient.itemCodeableConcept, 'medication').display ||
+          ingredient.itemReference?.display ||
+          null,
+    strength: formatStrength(ingredient.strength)
+  }));
+}
+
+// Ratio -> "500 mg", "250 mg/5 mL" or "10 mg/mL"
+function formatStrength(ratio) {
+  const numerator = ratio?.numerator;
+  if (numerator?.value === undefined) return null;
+
+  const amount = `${numerator.value} ${numerator.unit || numerator.code || ''}`.trim();
+  const denominator = ratio.denominator;
+  const per = denominator?.unit || denominator?.code;
+
+  // Per tablet/capsule (or unitless "1") is implied by the dose form
+  if (!per || per === '1' || per.startsWith('{') || denominator.system?.endsWith('v3-orderableDrugForm')) {
+    return amount;
+  }
+  return denominator.value === undefined || denominator.value === 1 ?
+    `${amount}/${per}` :
+    `${amount}/${denominator.value} ${per}`;
+}
+
+// Components of a panel (blood pressure), flagged like a single result
+function parseObservationComponent(component) {
+  const concept = describeConcept(component.code, 'observation');
+  const assessment = assessObservation(component, { loinc: concept.codes.loinc });
+
+  return {
+    code: concept.code,
+    codes: concept.codes,
+    display: concept.display || UNNAMED.observation,
+    value: formatObservationValue(component),
+    unit: component.valueQuantity?.unit || null,
+    unitCode: normalizeUnit(assessment.value?.unit),
+    numericValue: assessment.value?.value ?? null,
+    normalized: normalizeQuantity(assessment.value, { loinc: concept.codes.loinc }),
+    referenceRange: component.referenceRange?.[0]?.text || formatRange(assessment.range?.source === 'record' ? assessment.range : null),
+    range: assessment.range,
+    flag: assessment.flag,
+    interpretation: component.interpretation?.[0]?.coding?.[0]?.display || null
+  };
+}
+
+// Panels without a value of their own read as their components, e.g. "122/78"
+function formatObservationValue(obs, components = []) {
   if (obs.valueQuantity) {
     return `${obs.valueQuantity.value}`;
   }
@@ -308,6 +792,9 @@ function formatObservationValue(obs) {
   if (obs.valueBoolean !== undefined) {
     return obs.valueBoolean ? 'Yes' : 'No';
   }
+  if (components.length > 0 && components.every(c => c.value !== 'N/A')) {
+    return components.map(c => c.value).join('/');
+  }
   return 'N/A';
 }
 
@@ -331,10 +818,19 @@ export function parseBundle(bundle) {
     throw new Error('Invalid FHIR Bundle');
   }
 
+  // MedicationRequests may reference Medication entries of the same Bundle
+  const bundleMedications = (bundle.entry || [])
+    .map(entry => entry.resource)
+    .filter(resource => resource?.resourceType === 'Medication');
+
   const resources = {
     patients: [],
     conditions: [],
     medications: [],
+    allergies: [],
+    procedures: [],
+    immunizations: [],
+    encounters: [],
     documents: [],
     observations: []
   };
@@ -351,7 +847,19 @@ export function parseBundle(bundle) {
         resources.conditions.push(parseConditions([resource])[0]);
         break;
       case 'MedicationRequest':
-        resources.medications.push(parseMedications([resource])[0]);
+        resources.medications.push(parseMedications([resource], bundleMedications)[0]);
+        break;
+      case 'AllergyIntolerance':
+        resources.allergies.push(parseAllergies([resource])[0]);
+        break;
+      case 'Procedure':
+        resources.procedures.push(parseProcedures([resource])[0]);
+        break;
+      case 'Immunization':
+        resources.immunizations.push(parseImmunizations([resource])[0]);
+        break;
+      case 'Encounter':
+        resources.encounters.push(parseEncounters([resource])[0]);
         break;
       case 'DocumentReference':
         resources.documents.push(parseDocuments([resource])[0]);
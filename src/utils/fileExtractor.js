@@ -1,11 +1,13 @@
 import Tesseract from 'tesseract.js'
 import * as pdfjsLib from 'pdfjs-dist'
+import { isCcdaDocument, parseCcdaDocument, ccdaToText } from './ccdaParser'
+import { isHl7v2Message, parseHl7v2Messages, hl7v2ToText } from './hl7v2Parser'
 
 // Set up PDF.js worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`
 
 /**
- * Extract text from uploaded files (PDFs, images, scans)
+ * Extract text from uploaded files (PDFs, images, scans, C-CDA documents, HL7 v2 messages)
  */
 export const extractTextFromFile = async (file) => {
   const fileType = file.type
@@ -15,6 +17,10 @@ export const extractTextFromFile = async (file) => {
       return await extractFromPDF(file)
     } else if (fileType.startsWith('image/')) {
       return await extractFromImage(file)
+    } else if (isXmlFile(file)) {
+      return await extractFromCCDA(file)
+    } else if (isHl7File(file)) {
+      return await extractFromHL7(file)
     } else {
       console.warn('Unsupported file type:', fileType)
       return null
@@ -88,6 +94,57 @@ const extractFromImage = async (file) => {
   })
 }
 
+/**
+ * Extract a C-CDA document (CCD, referral, discharge summary)
+ * Returns the parsed sections alongside the text so callers can use the
+ * structured problems, medications and results
+ */
+const extractFromCCDA = async (file) => {
+  const xml = await file.text()
+  if (!isCcdaDocument(xml)) {
+    console.warn('XML file is not a C-CDA document:', file.name)
+    return null
+  }
+
+  const document = parseCcdaDocument(xml)
+  return {
+    text: ccdaToText(document),
+    document
+  }
+}
+
+// Browsers often report .xml/.ccd files with an empty or generic type
+const isXmlFile = (file) => {
+  return /xml/.test(file.type) || /\.(xml|cda|ccd|ccda)$/i.test(file.name || '')
+}
+
+/**
+ * Extract HL7 v2 messages (ADT^A01/A08, ORU^R01) from an interface export
+ * Returns the parsed messages alongside the text so callers can use the
+ * structured lab results
+ */
+const extractFromHL7 = async (file) => {
+  const text = await file.text()
+  if (!isHl7v2Message(text)) {
+    console.warn('File is not an HL7 v2 message:', file.name)
+    return null
+  }
+
+  const messages = parseHl7v2Messages(text)
+  if (messages.messages.length === 0) {
+    console.warn('No supported HL7 v2 messages in:', file.name)
+    return null
+  }
+  return {
+    text: hl7v2ToText(messages),
+    messages
+  }
+}
+
+const isHl7File = (file) => {
+  return /hl7/.test(file.type) || /\.hl7$/i.test(file.name || '')
+}
+
 /**
  * Extract text from files stored in Supabase
  */
@@ -0,0 +1,541 @@
+/**
+ * HL7 v2 Message Parser
+ * Reads the pipe-delimited messages lab and hospital interfaces still send -
+ * ADT^A01 (admit), ADT^A08 (update patient) and ORU^R01 (results) - and maps
+ * PID, PV1, OBR and OBX segments onto FHIR R4 resources, which then go through
+ * the regular fhirParser functions. Interface results therefore have the same
+ * shape as observations pulled from Epic.
+ * Mapping follows the HL7 v2-to-FHIR guidance, simplified to the fields
+ * fhirParser reads: https://build.fhir.org/ig/HL7/v2-to-fhir/
+ */
+
+import {
+  parsePatient,
+  parseObservations,
+  parseEncounters,
+  generateClinicalSummary
+} from './fhirParser';
+import { toFhirDateTime, timestampZone } from './ccdaParser';
+
+const SUPPORTED_MESSAGES = ['ADT^A01', 'ADT^A08', 'ORU^R01'];
+
+// Table 0396 coding system names -> FHIR system URIs
+const CODE_SYSTEMS = {
+  LN: 'http://loinc.org',
+  SCT: 'http://snomed.info/sct',
+  SNM: 'http://snomed.info/sct',
+  I10: 'http://hl7.org/fhir/sid/icd-10',
+  I10C: 'http://hl7.org/fhir/sid/icd-10-cm',
+  I9C: 'http://hl7.org/fhir/sid/icd-9-cm',
+  RXNORM: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+  NDC: 'http://hl7.org/fhir/sid/ndc',
+  CPT4: 'http://www.ama-assn.org/go/cpt',
+  UCUM: 'http://unitsofmeasure.org'
+};
+
+// Table 0001
+const GENDERS = {
+  M: 'male',
+  F: 'female',
+  O: 'other',
+  A: 'other',
+  N: 'other',
+  U: 'unknown'
+};
+
+// Table 0085 (OBX-11) and 0123 (OBR-25)
+const RESULT_STATUSES = {
+  F: 'final',
+  C: 'corrected',
+  A: 'amended',
+  P: 'preliminary',
+  R: 'preliminary',
+  S: 'preliminary',
+  I: 'registered',
+  O: 'registered',
+  X: 'cancelled',
+  D: 'entered-in-error',
+  W: 'entered-in-error'
+};
+
+// Table 0078 abnormal flags; the codes are the same in FHIR's interpretation system
+const INTERPRETATIONS = {
+  N: 'Normal',
+  A: 'Abnormal',
+  AA: 'Critical abnormal',
+  H: 'High',
+  HH: 'Critical high',
+  L: 'Low',
+  LL: 'Critical low',
+  '>': 'Above high normal',
+  '<': 'Below low normal',
+  POS: 'Positive',
+  NEG: 'Negative'
+};
+
+// Table 0004 patient class -> v3 ActCode encounter class
+const PATIENT_CLASSES = {
+  I: { code: 'IMP', display: 'inpatient encounter' },
+  O: { code: 'AMB', display: 'ambulatory' },
+  E: { code: 'EMER', display: 'emergency' },
+  P: { code: 'PRENC', display: 'pre-admission' },
+  R: { code: 'AMB', display: 'ambulatory' },
+  B: { code: 'OBSENC', display: 'observation encounter' }
+};
+
+/**
+ * Check whether text is an HL7 v2 message (or a batch of them)
+ * @param {string} text - File or interface payload
+ * @returns {boolean} True when the text starts with an MSH, FHS or BHS segment
+ */
+export function isHl7v2Message(text) {
+  if (typeof text !== 'string') return false;
+  return /^(MSH|FHS|BHS)[|]/.test(stripFraming(text).trimStart());
+}
+
+/**
+ * Split a payload into single messages
+ * Handles MLLP framing, batch/file headers and any line ending
+ * @param {string} text - One or more HL7 v2 messages
+ * @returns {Array<string>} Messages, segments separated by \r
+ */
+export function splitHl7v2Messages(text) {
+  const segments = stripFraming(text || '')
+    .split(/\r\n|\r|\n/)
+    .map(segment => segment.trim())
+    .filter(Boolean);
+
+  const messages = [];
+  segments.forEach(segment => {
+    const type = segment.slice(0, 3);
+    if (['FHS', 'FTS', 'BHS', 'BTS'].includes(type)) return;
+    if (type === 'MSH') {
+      messages.push([segment]);
+    } else if (messages.length > 0) {
+      messages[messages.length - 1].push(segment);
+    }
+  });
+
+  return messages.map(message => message.join('\r'));
+}
+
+/**
+ * Parse one ADT^A01, ADT^A08 or ORU^R01 message
+ * @param {string} message - HL7 v2 message
+ * @returns {Object} { messageType, controlId, sendingFacility, sentAt, patient, observations,
+ *   encounters, resources } - parsed the same way as FHIR data, with the generated FHIR
+ *   resources in resources
+ * @throws {Error} When the text is not an HL7 v2 message or the type is not supported
+ */
+export function parseHl7v2Message(message) {
+  const segments = readSegments(message);
+  const msh = segments.find(segment => segment.type === 'MSH');
+  if (!msh) {
+    throw new Error('Not an HL7 v2 message (no MSH segment)');
+  }
+
+  const messageType = [component(msh, 9, 1), component(msh, 9, 2)].filter(Boolean).join('^');
+  if (!SUPPORTED_MESSAGES.includes(messageType)) {
+    throw new Error(`Unsupported HL7 v2 message type: ${messageType || 'unknown'}`);
+  }
+
+  const controlId = field(msh, 10) || 'message';
+  const sentAt = component(msh, 7, 1);
+  // Times without their own offset are in the sender's time zone (MSH-7)
+  const context = { controlId, ids: new Set(), laboratory: messageType === 'ORU^R01', zone: timestampZone(sentAt) };
+  const pid = segments.find(segment => segment.type === 'PID');
+  const pv1 = segments.find(segment => segment.type === 'PV1');
+  const pv2 = segments.find(segment => segment.type === 'PV2');
+
+  const resources = {
+    patient: pid ? buildPatient(pid) : null,
+    observations: buildObservations(segments, context),
+    encounters: pv1 && messageType.startsWith('ADT') ? [buildEncounter(pv1, pv2, context)] : []
+  };
+
+  return {
+    messageType,
+    controlId,
+    sendingFacility: component(msh, 4, 1) || component(msh, 3, 1) || null,
+    sentAt: toFhirDateTime(sentAt),
+    patient: resources.patient ? parsePatient(resources.patient) : null,
+    observations: parseObservations(resources.observations),
+    encounters: parseEncounters(resources.encounters),
+    resources
+  };
+}
+
+/**
+ * Parse every message in a payload and merge them
+ * Later messages win: an A08 replaces the demographics of an earlier A01, and
+ * a corrected result replaces the one it corrects
+ * @param {string} text - One or more HL7 v2 messages
+ * @returns {Object} { messages: [{ messageType, controlId, sentAt }], patient, observations,
+ *   encounters, skipped: [{ controlId, error }] }
+ */
+export function parseHl7v2Messages(text) {
+  const parsed = [];
+  const skipped = [];
+
+  splitHl7v2Messages(text).forEach(message => {
+    try {
+      parsed.push(parseHl7v2Message(message));
+    } catch (error) {
+      const controlId = readSegments(message)[0]?.fields[10] || null;
+      console.warn('⚠️ Skipping HL7 v2 message:', error.message);
+      skipped.push({ controlId, error: error.message });
+    }
+  });
+
+  const latestById = (items) => [...new Map(items.map(item => [item.id, item])).values()];
+
+  return {
+    messages: parsed.map(({ messageType, controlId, sentAt }) => ({ messageType, controlId, sentAt })),
+    patient: parsed.map(message => message.patient).filter(Boolean).pop() || null,
+    observations: parseObservations(latestById(parsed.flatMap(message => message.resources.observations))),
+    encounters: parseEncounters(latestById(parsed.flatMap(message => message.resources.encounters))),
+    skipped
+  };
+}
+
+/**
+ * Plain text version of parsed messages, for uploads
+ * @param {Object} result - Result of parseHl7v2Messages
+ * @returns {string} Heading plus the clinical summary of the results and visits
+ */
+export function hl7v2ToText(result) {
+  const types = [...new Set(result.messages.map(message => message.messageType))].join(', ');
+  const dates = result.messages.map(message => message.sentAt).filter(Boolean).sort();
+  const heading = [`HL7 v2 ${types || 'messages'}`, dates.pop()?.slice(0, 10)]
+    .filter(Boolean)
+    .join(' - ');
+
+  // Demographics are in the patient record already
+  const summary = generateClinicalSummary({ ...result, patient: null });
+  return summary ? `${heading}\n\n${summary}` : heading;
+}
+
+// FHIR Resource Builders
+
+function buildPatient(pid) {
+  const identifiers = repetitions(pid, 3)
+    .filter(identifier => identifier[0])
+    .map(identifier => ({
+      system: identifierSystem(identifier[3]),
+      value: identifier[0],
+      type: identifier[4] ? { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: identifier[4] }], text: identifier[4] === 'MR' ? 'MRN' : identifier[4] } : undefined
+    }));
+
+  const [family, given, middle, suffix, prefix] = repetitions(pid, 5)[0] || [];
+  const address = repetitions(pid, 11)[0];
+
+  return {
+    resourceType: 'Patient',
+    id: identifiers.find(identifier => identifier.type?.coding[0].code === 'MR')?.value ||
+      identifiers[0]?.value ||
+      'hl7v2-patient',
+    identifier: identifiers,
+    name: family || given ? [{
+      family: family || undefined,
+      given: [given, middle].filter(Boolean),
+      prefix: prefix ? [prefix] : undefined,
+      suffix: suffix ? [suffix] : undefined
+    }] : [],
+    gender: GENDERS[field(pid, 8)] || 'unknown',
+    birthDate: toFhirDateTime(component(pid, 7, 1))?.slice(0, 10),
+    deceasedBoolean: field(pid, 30) === 'Y' ? true : undefined,
+    telecom: [...repetitions(pid, 13), ...repetitions(pid, 14)].map(telecom).filter(Boolean),
+    address: address && address.some(Boolean) ? [{
+      line: [address[0], address[1]].filter(Boolean),
+      city: address[2] || undefined,
+      state: address[3] || undefined,
+      postalCode: address[4] || undefined,
+      country: address[5] || undefined
+    }] : []
+  };
+}
+
+// Each OBX becomes an Observation; OBR supplies the order's time and status, NTE the notes
+function buildObservations(segments, context) {
+  const observations = [];
+  let order = null;
+  let current = null;
+
+  segments.forEach(segment => {
+    if (segment.type === 'OBR') {
+      order = segment;
+      current = null;
+    } else if (segment.type === 'OBX') {
+      current = buildObservation(segment, order, context);
+      if (current) observations.push(current);
+    } else if (segment.type === 'NTE' && current) {
+      const text = repetitions(segment, 3).map(repetition => repetition[0]).filter(Boolean).join('\n');
+      if (text) current.note = [...(current.note || []), { text }];
+    }
+  });
+
+  return observations;
+}
+
+function buildObservation(obx, obr, context) {
+  const code = codeableConcept(components(obx, 3));
+  if (!code) return null;
+
+  const status = RESULT_STATUSES[field(obx, 11)] || RESULT_STATUSES[field(obr, 25)] || 'final';
+  const flag = field(obx, 8);
+  const range = field(obx, 7);
+  const effective = component(obx, 14, 1) || component(obr, 7, 1) || component(obr, 22, 1);
+  const filler = component(obr, 3, 1) || component(obr, 2, 1);
+
+  return {
+    resourceType: 'Observation',
+    id: resourceId([filler || context.controlId, component(obx, 3, 1), field(obx, 4)], context),
+    status,
+    category: context.laboratory ? [{
+      coding: [{
+        system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+        code: 'laboratory',
+        display: 'Laboratory'
+      }]
+    }] : undefined,
+    code,
+    basedOn: obr ? [{ display: codeableConcept(components(obr, 4))?.text || undefined }] : undefined,
+    effectiveDateTime: toFhirDateTime(effective, context.zone) || undefined,
+    issued: instant(component(obr, 22, 1), context.zone) || undefined,
+    ...observationValue(obx, context),
+    interpretation: flag ? [{
+      coding: [{
+        system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+        code: flag,
+        display: INTERPRETATIONS[flag] || flag
+      }]
+    }] : undefined,
+    referenceRange: range ? [{ text: range }] : undefined,
+    performer: component(obx, 15, 2) ? [{ display: component(obx, 15, 2) }] : undefined
+  };
+}
+
+function buildEncounter(pv1, pv2, context) {
+  const patientClass = PATIENT_CLASSES[field(pv1, 2)];
+  const [pointOfCare, room, bed, facility] = components(pv1, 3);
+  const attending = repetitions(pv1, 7)[0];
+  const admitted = component(pv1, 44, 1);
+  const discharged = component(pv1, 45, 1);
+  const reason = codeableConcept(components(pv2, 3));
+
+  return {
+    resourceType: 'Encounter',
+    id: resourceId([component(pv1, 19, 1) || context.controlId, 'encounter'], context),
+    status: discharged ? 'finished' : 'in-progress',
+    class: patientClass ? {
+      system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+      ...patientClass
+    } : undefined,
+    type: [{ text: patientClass?.code === 'IMP' ? 'Hospital admission' : 'Visit' }],
+    reasonCode: reason ? [reason] : undefined,
+    period: {
+      start: toFhirDateTime(admitted, context.zone) || undefined,
+      end: toFhirDateTime(discharged, context.zone) || undefined
+    },
+    participant: attending?.[1] ? [{ individual: { display: personName(attending) } }] : undefined,
+    location: pointOfCare || facility ? [{
+      location: { display: [facility, pointOfCare, [room, bed].filter(Boolean).join('-')].filter(Boolean).join(' ') }
+    }] : undefined
+  };
+}
+
+// Mapping Helpers
+
+// OBX-2 value type decides how OBX-5 is read
+function observationValue(obx, context) {
+  const type = field(obx, 2);
+  const values = repetitions(obx, 5);
+  const unit = component(obx, 6, 1) || component(obx, 6, 2);
+  if (values.length === 0 || !values[0].some(Boolean)) return {};
+
+  switch (type) {
+    case 'NM': {
+      const number = Number(values[0][0]);
+      return Number.isNaN(number) ?
+        { valueString: values[0][0] } :
+        { valueQuantity: { value: number, unit: unit || '', ...ucumCode(obx) } };
+    }
+    case 'SN': {
+      // Structured numeric: comparator^number^separator^number, e.g. <^5 or ^1^:^128
+      const [comparator, first, separator, second] = values[0];
+      if (!comparator && !separator && first && !Number.isNaN(Number(first))) {
+        return { valueQuantity: { value: Number(first), unit: unit || '', ...ucumCode(obx) } };
+      }
+      return { valueString: `${comparator || ''}${first || ''}${separator || ''}${second || ''}` };
+    }
+    case 'CE':
+    case 'CWE':
+    case 'CNE': {
+      const concept = codeableConcept(values[0]);
+      return concept ? { valueCodeableConcept: concept } : {};
+    }
+    case 'DT':
+    case 'TS':
+    case 'DTM':
+      return { valueDateTime: toFhirDateTime(values[0][0], context.zone) || values[0][0] };
+    default:
+      // ST, TX, FT: each repetition is a line
+      return { valueString: values.map(value => value.join(' ').trim()).join('\n') };
+  }
+}
+
+// CE/CWE: code^text^system^altCode^altText^altSystem
+function codeableConcept(parts) {
+  const [code, text, system, altCode, altText, altSystem] = parts || [];
+  const coding = [
+    code ? { system: CODE_SYSTEMS[system] || undefined, code, display: text || undefined } : null,
+    altCode ? { system: CODE_SYSTEMS[altSystem] || undefined, code: altCode, display: altText || undefined } : null
+  ].filter(Boolean);
+
+  // Put the standard code first - fhirParser reads coding[0]
+  coding.sort((a, b) => Number(Boolean(b.system)) - Number(Boolean(a.system)));
+
+  if (coding.length === 0 && !text) return null;
+  return { coding, text: text || altText || undefined };
+}
+
+function ucumCode(obx) {
+  const [code, , system] = components(obx, 6);
+  return system === 'UCUM' && code ? { system: CODE_SYSTEMS.UCUM, code } : {};
+}
+
+// XTN: old-style number in the first component, or use^equipment^email/area^local
+function telecom(parts) {
+  const [number, use, equipment, email, , area, local] = parts;
+  if (equipment === 'Internet' || email) {
+    return email || number ? { system: 'email', value: email || number } : null;
+  }
+  const value = number || [area, local].filter(Boolean).join('-');
+  if (!value) return null;
+  return {
+    system: equipment === 'FX' ? 'fax' : 'phone',
+    value,
+    use: { PRN: 'home', WPN: 'work', ORN: 'home' }[use] || (equipment === 'CP' ? 'mobile' : undefined)
+  };
+}
+
+// HD: namespace^universalId^type - OIDs become urn:oid URIs
+function identifierSystem(assigningAuthority) {
+  if (!assigningAuthority) return undefined;
+  const [namespace, universalId, universalType] = assigningAuthority.split('&');
+  if (universalId && universalType === 'ISO') return `urn:oid:${universalId}`;
+  return universalId || (namespace ? `urn:hl7v2:${namespace}` : undefined);
+}
+
+// XCN: id^family^given^middle^suffix^prefix
+function personName(parts) {
+  const [, family, given, middle, suffix, prefix] = parts;
+  return [prefix, given, middle, family, suffix].filter(Boolean).join(' ');
+}
+
+// Unique, stable IDs so a resent or corrected result replaces the earlier one
+function resourceId(parts, context) {
+  const base = parts.filter(Boolean).join('-').replace(/[^A-Za-z0-9.-]/g, '-').slice(0, 60) || 'hl7v2';
+  let id = base;
+  for (let n = 2; context.ids.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  context.ids.add(id);
+  return id;
+}
+
+// FHIR instants need seconds and a zone
+function instant(value, zone) {
+  const dateTime = toFhirDateTime(value, zone);
+  return dateTime?.includes('T') ? dateTime : null;
+}
+
+// Segment Helpers
+// Fields keep their HL7 numbering: fields[n] is SEG-n. In MSH the field
+// separator itself is MSH-1, so the remaining MSH fields shift by one.
+
+function readSegments(message) {
+  const text = stripFraming(message).trim();
+  if (!text.startsWith('MSH')) return [];
+
+  const separator = text[3];
+  const [componentSeparator = '^', repetitionSeparator = '~', escape = '\\', subcomponentSeparator = '&'] = text.slice(4, 8);
+  const delimiters = { separator, componentSeparator, repetitionSeparator, escape, subcomponentSeparator };
+
+  return text
+    .split(/\r\n|\r|\n/)
+    .filter(Boolean)
+    .map(line => {
+      const values = line.split(separator);
+      const type = values[0];
+      const fields = type === 'MSH' ?
+        [type, separator, ...values.slice(1)] :
+        values;
+      return { type, fields, delimiters };
+    });
+}
+
+// First component of the first repetition - the whole value for simple fields
+function field(segment, index) {
+  if (!segment) return '';
+  // MSH-1 and MSH-2 hold the delimiters themselves
+  if (segment.type === 'MSH' && index <= 2) return segment.fields[index] || '';
+  return component(segment, index, 1);
+}
+
+function component(segment, index, position) {
+  return components(segment, index)[position - 1] || '';
+}
+
+function components(segment, index) {
+  return repetitions(segment, index)[0] || [];
+}
+
+// Each repetition of a field, split into components; subcomponents stay joined with &
+function repetitions(segment, index) {
+  if (!segment) return [];
+  const { repetitionSeparator, componentSeparator, subcomponentSeparator } = segment.delimiters;
+  const value = segment.fields[index] || '';
+  if (!value || value === '""') return [];
+
+  return value
+    .split(repetitionSeparator)
+    .map(repetition => repetition
+      .split(componentSeparator)
+      .map(part => part
+        .split(subcomponentSeparator)
+        .map(subcomponent => unescape(subcomponent, segment.delimiters))
+        .join('&')));
+}
+
+// \F\ \S\ \T\ \R\ \E\ stand for the delimiters; \.br\ is a line break; \Xhh\ is hex
+function unescape(value, { separator, componentSeparator, repetitionSeparator, escape, subcomponentSeparator }) {
+  if (!value.includes(escape)) return value;
+
+  const pattern = new RegExp(`${escapeRegExp(escape)}([^${escapeRegExp(escape)}]*)${escapeRegExp(escape)}`, 'g');
+  return value.replace(pattern, (sequence, code) => {
+    switch (code) {
+      case 'F': return separator;
+      case 'S': return componentSeparator;
+      case 'T': return subcomponentSeparator;
+      case 'R': return repetitionSeparator;
+      case 'E': return escape;
+      case '.br': return '\n';
+      default:
+        if (/^X([0-9A-Fa-f]{2})+$/.test(code)) {
+          return code.slice(1).match(/../g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+        }
+        // Formatting (\H\, \N\, \.sp\ ...) and character set escapes carry no text
+        return code.startsWith('.sp') ? '\n' : '';
+    }
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// MLLP wraps messages in \x0b ... \x1c\r
+function stripFraming(text) {
+  return text.replaceAll('\x0b', '').replaceAll('\x1c', '');
+}
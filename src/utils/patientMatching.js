@@ -0,0 +1,120 @@
+/**
+ * Patient Matching
+ * Scores how likely an Amma roster patient and an EHR patient are the same
+ * person, from email, name and date of birth
+ */
+
+// Weight of each piece of evidence; a full match on everything scores 1
+const MATCH_WEIGHTS = {
+  email: 0.4,
+  lastName: 0.25,
+  firstName: 0.2,
+  birthDate: 0.15
+};
+
+// Same grades FHIR Patient/$match uses (match-grade extension)
+const MATCH_GRADES = [
+  { grade: 'certain', minScore: 0.85 },
+  { grade: 'probable', minScore: 0.6 },
+  { grade: 'possible', minScore: 0.4 }
+];
+
+/**
+ * Score a roster patient against an EHR patient
+ * Evidence missing on either side is left out rather than counted as a
+ * mismatch - Amma accounts have no date of birth, for instance
+ * @param {Object} rosterPatient - { email, firstName, lastName, birthDate }
+ * @param {Object} epicPatient - Parsed FHIR patient { email, firstName, lastName, birthDate }
+ * @returns {Object} { score (0-1), grade, reasons: Array<string> }
+ */
+export function scorePatientMatch(rosterPatient, epicPatient) {
+  let score = 0;
+  let possible = 0;
+  const reasons = [];
+
+  const compare = (field, label, matches) => {
+    const ours = rosterPatient?.[field];
+    const theirs = epicPatient?.[field];
+    if (!ours || !theirs) return;
+
+    possible += MATCH_WEIGHTS[field];
+    if (matches(ours, theirs)) {
+      score += MATCH_WEIGHTS[field];
+      reasons.push(label);
+    }
+  };
+
+  compare('email', 'Email matches', (a, b) => normalizeEmail(a) === normalizeEmail(b));
+  compare('lastName', 'Last name matches', (a, b) => normalizeName(a) === normalizeName(b));
+  compare('firstName', 'First name matches', namesMatch);
+  compare('birthDate', 'Date of birth matches', (a, b) => String(a).slice(0, 10) === String(b).slice(0, 10));
+
+  // A name-only match is never better than "possible"
+  const confidence = possible > 0 ? score / possible : 0;
+  const capped = possible <= MATCH_WEIGHTS.lastName + MATCH_WEIGHTS.firstName ?
+    Math.min(confidence, MATCH_GRADES[1].minScore - 0.01) :
+    confidence;
+
+  return {
+    score: Math.round(capped * 100) / 100,
+    grade: matchGrade(capped),
+    reasons
+  };
+}
+
+/**
+ * Map a score to a FHIR match grade
+ * @param {number} score - Match score (0-1)
+ * @returns {string} 'certain', 'probable', 'possible' or 'certainly-not'
+ */
+export function matchGrade(score) {
+  return MATCH_GRADES.find(({ minScore }) => score >= minScore)?.grade || 'certainly-not';
+}
+
+/**
+ * Split a display name into first and last name
+ * @param {string} fullName - e.g. "Mei Lin Zhang"
+ * @returns {Object} { firstName, lastName } - the last word is the last name
+ */
+export function splitFullName(fullName) {
+  const parts = (fullName || '').trim().split(/\s+/).filter(Boolean);
+  return {
+    firstName: parts.slice(0, -1).join(' '),
+    lastName: parts[parts.length - 1] || ''
+  };
+}
+
+/**
+ * Order match candidates best first, dropping the ones that clearly differ
+ * @param {Array<Object>} candidates - Objects with a match { score, grade }
+ * @returns {Array<Object>} Candidates graded at least 'possible'
+ */
+export function rankMatches(candidates) {
+  return candidates
+    .filter(candidate => candidate.match.grade !== 'certainly-not')
+    .sort((a, b) => b.match.score - a.match.score);
+}
+
+// Helper Functions
+
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+function normalizeName(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+}
+
+// "Mei Lin" matches "Mei-Lin" and "Mei"; initials are not enough
+function namesMatch(a, b) {
+  const first = normalizeName(a);
+  const second = normalizeName(b);
+  if (first === second) return true;
+
+  const firstWord = (name) => normalizeName(String(name).split(/[\s-]+/)[0]);
+  return firstWord(a).length > 1 && firstWord(a) === firstWord(b);
+}
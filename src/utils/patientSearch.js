@@ -0,0 +1,243 @@
+/**
+ * Structured Patient Search
+ * Turns what a doctor types in the search box ("Sharma, Priya 12/19/1988",
+ * "MRN007654", "555-0104") into FHIR Patient search parameters, and ranks
+ * the results by how much of the query they match
+ */
+
+// Explicit "field:" prefixes win over guessing
+const FIELD_PREFIXES = {
+  mrn: 'mrn',
+  id: 'mrn',
+  dob: 'birthDate',
+  born: 'birthDate',
+  phone: 'phone',
+  tel: 'phone',
+  name: 'name'
+};
+
+// Points per criterion a result matches, for ranking
+const RANK_WEIGHTS = {
+  mrn: 4,
+  birthDate: 3,
+  phone: 2,
+  family: 2,
+  given: 1,
+  name: 1.5
+};
+
+/**
+ * Parse free text into patient search criteria
+ * @param {string} query - What the user typed
+ * @param {Object} options - Parse options
+ * @param {string} options.mrnSystem - Identifier system of the organization's MRNs (optional)
+ * @returns {Object} { criteria: { mrn, birthDate, phone, family, given, name }, params: FHIR search parameters,
+ *   invalidDates: dates as typed that are not real dates (e.g. "02/30/1990") }
+ */
+export function parsePatientQuery(query, { mrnSystem = null } = {}) {
+  const criteria = {};
+  let rest = ` ${(query || '').trim()} `;
+  let nameText = '';
+  const invalidDates = [];
+  const takeDate = (text) => {
+    const date = parseDate(text);
+    if (date) criteria.birthDate = date;
+    else invalidDates.push(text.trim());
+  };
+
+  const take = (pattern, handle) => {
+    rest = rest.replace(pattern, (...match) => {
+      handle(match);
+      return ' ';
+    });
+  };
+
+  // "mrn: 123", "dob: 1988-12-19", "phone: 555-0104"
+  take(/\b(mrn|id|dob|born|phone|tel|name)\s*:\s*([^,]+?)(?=\s+\w+\s*:|,|\s*$)/gi, ([, prefix, value]) => {
+    const field = FIELD_PREFIXES[prefix.toLowerCase()];
+    if (field === 'birthDate') takeDate(value);
+    else if (field === 'name') nameText += ` ${value}`;
+    else criteria[field] = value.trim();
+  });
+
+  // system|value identifiers are passed through as typed
+  take(/\s(\S*\|\S+)(?=\s)/g, ([, identifier]) => {
+    criteria.identifier = identifier;
+  });
+
+  take(/\b(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\/\d{1,2}\/(?:\d{4}|\d{2}))\b/g, ([, date]) => takeDate(date));
+
+  // Phone numbers need separators - a bare run of digits is taken as an MRN
+  take(/(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])?\b\d{3}[.-]\d{4}\b/g, ([phone]) => {
+    criteria.phone = phone.trim();
+  });
+
+  // Any remaining word with a digit in it
+  take(/\s([A-Za-z]*\d[\w-]*)(?=\s)/g, ([, mrn]) => {
+    criteria.mrn = mrn;
+  });
+
+  Object.assign(criteria, parseName(`${nameText} ${rest}`));
+
+  return { criteria, params: toSearchParams(criteria, mrnSystem), invalidDates };
+}
+
+/**
+ * Searches to try in order until one finds someone
+ * Servers differ in which parameter combinations they support, so a strict
+ * search that finds nobody is retried with the most selective criteria alone
+ * @param {Object} params - FHIR search parameters from parsePatientQuery
+ * @returns {Array<Object>} Parameter sets, strictest first, without duplicates
+ */
+export function buildSearchAttempts(params) {
+  const pick = (...names) => Object.fromEntries(
+    Object.entries(params).filter(([name]) => names.includes(name))
+  );
+
+  const attempts = [
+    params,
+    pick('identifier'),
+    pick('family', 'given', 'name', 'birthdate'),
+    pick('family', 'name'),
+    pick('birthdate'),
+    pick('phone')
+  ].filter(attempt => Object.keys(attempt).length > 0);
+
+  const seen = new Set();
+  return attempts.filter(attempt => {
+    const key = new URLSearchParams(attempt).toString();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Rank parsed patients by how much of the query they match
+ * @param {Array<Object>} patients - Parsed FHIR patients (parsePatient)
+ * @param {Object} criteria - Criteria from parsePatientQuery
+ * @returns {Array<Object>} Patients with searchScore and matchedOn, best first
+ */
+export function rankPatients(patients, criteria) {
+  return patients
+    .map((patient, index) => {
+      const matchedOn = [];
+      let score = 0;
+      const add = (field, label, points = RANK_WEIGHTS[field]) => {
+        score += points;
+        matchedOn.push(label);
+      };
+
+      const mrn = criteria.mrn || criteria.identifier?.split('|').pop();
+      if (mrn && identifierValues(patient).some(value => value.toLowerCase() === mrn.toLowerCase())) {
+        add('mrn', 'MRN');
+      }
+      if (criteria.birthDate && patient.birthDate === criteria.birthDate) {
+        add('birthDate', 'DOB');
+      }
+      if (criteria.phone && phoneMatches(patient.phone, criteria.phone)) {
+        add('phone', 'Phone');
+      }
+      if (criteria.family) {
+        const points = nameScore(patient.lastName, criteria.family);
+        if (points > 0) add('family', 'Last name', RANK_WEIGHTS.family * points);
+      }
+      if (criteria.given) {
+        const points = nameScore(patient.firstName, criteria.given);
+        if (points > 0) add('given', 'First name', RANK_WEIGHTS.given * points);
+      }
+      if (criteria.name) {
+        const points = Math.max(nameScore(patient.lastName, criteria.name), nameScore(patient.firstName, criteria.name));
+        if (points > 0) add('name', 'Name', RANK_WEIGHTS.name * points);
+      }
+
+      return { patient: { ...patient, searchScore: score, matchedOn }, index };
+    })
+    .sort((a, b) => b.patient.searchScore - a.patient.searchScore || a.index - b.index)
+    .map(({ patient }) => patient);
+}
+
+// Helper Functions
+
+function toSearchParams(criteria, mrnSystem) {
+  const params = {};
+  if (criteria.identifier) params.identifier = criteria.identifier;
+  else if (criteria.mrn) params.identifier = mrnSystem ? `${mrnSystem}|${criteria.mrn}` : criteria.mrn;
+  if (criteria.birthDate) params.birthdate = criteria.birthDate;
+  if (criteria.phone) params.phone = criteria.phone;
+  if (criteria.family) params.family = criteria.family;
+  if (criteria.given) params.given = criteria.given;
+  if (criteria.name) params.name = criteria.name;
+  return params;
+}
+
+// "Sharma, Priya" is family first; "Priya Sharma" is given first; one word could be either
+function parseName(text) {
+  const cleaned = text.replace(/[^\p{L}\s,'-]/gu, ' ').replace(/\s+/g, ' ').trim();
+  if (!cleaned.replace(/,/g, '').trim()) return {};
+
+  if (cleaned.includes(',')) {
+    const [family, given] = cleaned.split(',').map(part => part.trim());
+    return {
+      ...(family ? { family } : {}),
+      ...(given ? { given: given.split(' ')[0] } : {})
+    };
+  }
+
+  const words = cleaned.split(' ');
+  if (words.length === 1) {
+    return { name: words[0] };
+  }
+  return { given: words[0], family: words[words.length - 1] };
+}
+
+// ISO or US (month/day/year) dates; two-digit years are taken as the most recent past year
+function parseDate(text) {
+  const value = text.trim();
+  let year;
+  let month;
+  let day;
+
+  const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})$/);
+  if (iso) {
+    [, year, month, day] = iso.map(Number);
+  } else if (us) {
+    [, month, day, year] = us.map(Number);
+    if (us[3].length === 2) {
+      const currentYear = new Date().getFullYear();
+      year += 2000;
+      if (year > currentYear) year -= 100;
+    }
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function identifierValues(patient) {
+  return [patient.mrn, ...(patient.raw?.identifier || []).map(identifier => identifier.value)]
+    .filter(Boolean);
+}
+
+// Compare digits only; a 7-digit query matches the end of a full number
+function phoneMatches(patientPhone, queryPhone) {
+  const patientDigits = (patientPhone || '').replace(/\D/g, '');
+  const queryDigits = queryPhone.replace(/\D/g, '');
+  return Boolean(patientDigits && queryDigits) &&
+    (patientDigits.endsWith(queryDigits) || queryDigits.endsWith(patientDigits));
+}
+
+// 1 for an exact match, 0.5 when the query is the start of the name
+function nameScore(actual, query) {
+  const name = (actual || '').toLowerCase();
+  const wanted = query.toLowerCase();
+  if (!name || !wanted) return 0;
+  if (name === wanted || name.split(/[\s-]+/).includes(wanted)) return 1;
+  return name.startsWith(wanted) ? 0.5 : 0;
+}
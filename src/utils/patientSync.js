@@ -0,0 +1,537 @@
+/**
+ * Patient Record Sync
+ * Brings a patient's clinical sections up to date from a FHIR server: full
+ * downloads, incremental syncs with _lastUpdated, deletion checks and
+ * referenced Medications. Shared by the app (epicClient.js) and the
+ * server-side overnight sync (server/backend-sync), so it takes a session
+ * { fhirBaseUrl, request } instead of reading tokens itself - request(url,
+ * options) is a fhirFetch with the caller's token and 401 handling.
+ */
+
+// Extensions kept so the backend sync job can load this file under plain Node
+import {
+  parseConditions,
+  parseMedications,
+  parseDocuments,
+  parseObservations,
+  parseEncounters,
+  parseAllergies,
+  parseProcedures,
+  parseImmunizations
+} from './fhirParser.js';
+import { describeFhirError, FhirRequestError } from './fhirHttp.js';
+
+const SYNC_CONFIG = {
+  pageSize: 50,
+  maxBundlePages: 20, // Callers pass their own cap (VITE_FHIR_MAX_PAGES in the app)
+  syncOverlapMinutes: 5, // Incremental syncs re-ask for this much history to absorb clock skew
+  reconcileIntervalHours: 24, // How often incremental syncs check for hard-deleted resources
+  maxBatchEntries: 50 // Reads per batch Bundle when resolving references
+};
+
+// Clinical sections pulled for every patient, in summary order
+export const PATIENT_DATA_SECTIONS = [
+  { key: 'conditions', resourceType: 'Condition', parse: parseConditions },
+  { key: 'medications', resourceType: 'MedicationRequest', include: 'MedicationRequest:medication', parse: parseMedications },
+  { key: 'allergies', resourceType: 'AllergyIntolerance', parse: parseAllergies },
+  { key: 'procedures', resourceType: 'Procedure', parse: parseProcedures },
+  { key: 'immunizations', resourceType: 'Immunization', parse: parseImmunizations },
+  { key: 'encounters', resourceType: 'Encounter', parse: parseEncounters },
+  { key: 'documents', resourceType: 'DocumentReference', parse: parseDocuments },
+  { key: 'observations', resourceType: 'Observation', params: { category: 'laboratory' }, parse: parseObservations }
+];
+
+/**
+ * Read the Patient and bring every clinical section up to date
+ * Sections fail independently so "labs unavailable" never looks like "no labs";
+ * only the Patient read can fail the whole sync
+ * @param {Object} session - { fhirBaseUrl, request }
+ * @param {string} epicPatientId - Patient ID on the FHIR server
+ * @param {Object|null} stored - Stored record (fhir_resources, sync_state), null for a full download
+ * @param {Object} pageOptions - { maxPages } page cap per resource type
+ * @returns {Promise<Object>} { patientResource, sectionSyncs } - one sync result per PATIENT_DATA_SECTIONS entry
+ * @throws {FhirRequestError} When the Patient cannot be read
+ */
+export async function fetchPatientSections(session, epicPatientId, stored, pageOptions = {}) {
+  const syncStartedAt = new Date();
+  const [patientResource, ...sectionSyncs] = await Promise.all([
+    fetchResource(session, `Patient/${epicPatientId}`),
+    ...PATIENT_DATA_SECTIONS.map(section =>
+      syncSection(session, section, epicPatientId, stored, syncStartedAt, pageOptions)
+    )
+  ]);
+  return { patientResource, sectionSyncs };
+}
+
+/**
+ * Parse synced sections and collect what is stored for the next sync
+ * Note text is left to the caller - decoding attachments needs the browser
+ * @param {Object} session - { fhirBaseUrl, request }
+ * @param {Array} sectionSyncs - Results per PATIENT_DATA_SECTIONS entry: { resources, included, status, syncState }
+ * @param {Object|null} stored - Stored record (null for a fresh download)
+ * @returns {Promise<Object>} { parsedSections, resourceStatus, fhirResources, syncState }
+ */
+export async function parseSyncedSections(session, sectionSyncs, stored) {
+  const parsedSections = {};
+  const resourceStatus = {};
+  const fhirResources = {};
+  const syncState = {};
+  
+  // Epic tenants that prescribe by reference keep the drug name and strength in Medication resources
+  const medicationSync = sectionSyncs[PATIENT_DATA_SECTIONS.findIndex(section => section.key === 'medications')];
+  fhirResources.referencedMedications = await resolveMedicationReferences(
+    session,
+    medicationSync.resources,
+    [...(stored?.fhir_resources?.referencedMedications || []), ...(medicationSync.included || [])]
+  );
+  // Resources a section's parser needs besides its own
+  const relatedResources = { medications: fhirResources.referencedMedications };
+  
+  PATIENT_DATA_SECTIONS.forEach((section, idx) => {
+    const sync = sectionSyncs[idx];
+    parsedSections[section.key] = section.parse(sync.resources, relatedResources[section.key]);
+    resourceStatus[section.key] = sync.status;
+    fhirResources[section.key] = sync.resources;
+    if (sync.syncState) {
+      syncState[section.key] = sync.syncState;
+    }
+  });
+  
+  return { parsedSections, resourceStatus, fhirResources, syncState };
+}
+
+/**
+ * Version history rows for the resources a sync created, changed or removed
+ * Unchanged versions are skipped, so each row is a version we had not seen
+ * @param {Object} patientKey - { doctorEmail, connectionId, epicPatientId }
+ * @param {Object|null} previousResources - fhir_resources before the sync
+ * @param {Object} currentResources - fhir_resources after the sync
+ * @param {Object} resourceStatus - Per-section sync status
+ * @returns {Array} epic_resource_versions rows
+ */
+export function buildVersionRows({ doctorEmail, connectionId, epicPatientId }, previousResources, currentResources, resourceStatus = {}) {
+  const recordedAt = new Date().toISOString();
+  const rows = [];
+  const versionRow = (section, resource, change) => ({
+    doctor_email: doctorEmail,
+    connection_id: connectionId,
+    epic_patient_id: epicPatientId,
+    section: section.key,
+    resource_type: resource.resourceType,
+    resource_id: resource.id,
+    version_id: resource.meta?.versionId || null,
+    last_updated: resource.meta?.lastUpdated || null,
+    change,
+    resource: JSON.stringify(resource),
+    recorded_at: recordedAt
+  });
+  
+  PATIENT_DATA_SECTIONS.forEach(section => {
+    const before = new Map((previousResources?.[section.key] || []).map(resource => [resource.id, resource]));
+    
+    (currentResources?.[section.key] || []).forEach(resource => {
+      const previous = before.get(resource.id);
+      before.delete(resource.id);
+      if (!previous || isNewVersion(previous, resource)) {
+        rows.push(versionRow(section, resource, previous ? 'updated' : 'created'));
+      }
+    });
+    
+    // A partial or failed read says nothing about what was deleted
+    const status = resourceStatus[section.key];
+    if (status?.truncated || status?.status === 'error') return;
+    before.forEach(resource => rows.push(versionRow(section, resource, 'deleted')));
+  });
+  
+  return rows;
+}
+
+/**
+ * Columns of an epic_patient_data row for a synced patient
+ * @param {Object} patientData - Parsed patient and sections
+ * @param {Object} syncRecord - { fhirResources, syncState, noteBodies }
+ * @returns {Object} Row values, without the doctor, connection and patient keys
+ */
+export function buildPatientDataColumns(patientData, syncRecord = {}) {
+  const {
+    patient,
+    conditions,
+    medications,
+    allergies,
+    procedures,
+    immunizations,
+    encounters,
+    documents
+  } = patientData;
+  
+  return {
+    epic_mrn: patient.mrn,
+    patient_name: patient.name,
+    patient_dob: patient.birthDate,
+    clinical_notes: generateClinicalNotesText(documents),
+    diagnoses: JSON.stringify(conditions),
+    medications: JSON.stringify(medications),
+    allergies: JSON.stringify(allergies || []),
+    procedures: JSON.stringify(procedures || []),
+    immunizations: JSON.stringify(immunizations || []),
+    encounters: JSON.stringify(encounters || []),
+    fhir_resources: JSON.stringify(syncRecord.fhirResources || {}),
+    sync_state: JSON.stringify(syncRecord.syncState || {}),
+    note_bodies: JSON.stringify(syncRecord.noteBodies || {}),
+    last_synced: new Date().toISOString()
+  };
+}
+
+/**
+ * Parse the JSON columns of an epic_patient_data row
+ * @param {Object} data - Raw row
+ * @returns {Object} Row with arrays and objects in place of JSON strings
+ */
+export function parsePatientDataRow(data) {
+  return {
+    ...data,
+    diagnoses: JSON.parse(data.diagnoses || '[]'),
+    medications: JSON.parse(data.medications || '[]'),
+    allergies: JSON.parse(data.allergies || '[]'),
+    procedures: JSON.parse(data.procedures || '[]'),
+    immunizations: JSON.parse(data.immunizations || '[]'),
+    encounters: JSON.parse(data.encounters || '[]'),
+    fhir_resources: JSON.parse(data.fhir_resources || '{}'),
+    sync_state: JSON.parse(data.sync_state || '{}'),
+    note_bodies: JSON.parse(data.note_bodies || '{}')
+  };
+}
+
+/**
+ * Fetch single FHIR resource
+ * @param {Object} session - { fhirBaseUrl, request }
+ * @param {string} resourcePath - Resource path (e.g., 'Patient/123')
+ * @returns {Promise<Object>} FHIR resource
+ * @throws {FhirRequestError} When the request fails after retries
+ */
+export async function fetchResource(session, resourcePath) {
+  const url = `${session.fhirBaseUrl}/${resourcePath}`;
+  return await fetchJson(session, url);
+}
+
+/**
+ * Fetch FHIR resource bundle (multiple resources), following
+ * Bundle.link[rel=next] until the last page or the page cap
+ * @param {Object} session - { fhirBaseUrl, request }
+ * @param {string} resourceType - Resource type (e.g., 'Condition')
+ * @param {Object} params - Search parameters
+ * @param {Object} options - Paging options
+ * @param {number} options.maxPages - Maximum number of pages to read
+ * @returns {Promise<Object>} { resources, included, pages, total, truncated, error }
+ * @throws {FhirRequestError} When the first page cannot be fetched
+ */
+export async function fetchResourceBundle(session, resourceType, params, { maxPages } = {}) {
+  const pageCap = maxPages || SYNC_CONFIG.maxBundlePages;
+  const searchParams = new URLSearchParams(params);
+  searchParams.append('_count', String(SYNC_CONFIG.pageSize));
+  
+  let url = `${session.fhirBaseUrl}/${resourceType}?${searchParams.toString()}`;
+  const resources = [];
+  const included = [];
+  let pages = 0;
+  let total = null;
+  let truncated = false;
+  let error = null;
+  
+  while (url) {
+    if (pages >= pageCap) {
+      // A next link we didn't follow means the server has more data
+      truncated = true;
+      break;
+    }
+    
+    let bundle;
+    try {
+      bundle = await fetchJson(session, url);
+    } catch (pageError) {
+      // Nothing fetched yet - let the caller report the section as unavailable
+      if (pages === 0) throw pageError;
+      
+      console.error(`❌ Failed to fetch ${resourceType} (page ${pages + 1}):`, pageError);
+      error = describeFhirError(pageError);
+      truncated = true;
+      break;
+    }
+    
+    pages++;
+    total = bundle.total ?? total;
+    
+    // Matches and _include results are kept apart; OperationOutcome entries are skipped
+    bundle.entry?.forEach(e => {
+      if (e.search?.mode === 'include' && e.resource) {
+        included.push(e.resource);
+      } else if (e.resource?.resourceType === resourceType) {
+        resources.push(e.resource);
+      }
+    });
+    
+    url = getNextPageUrl(bundle, session.fhirBaseUrl);
+    
+    // Never send the token to another host, even if the server links there
+    if (url && new URL(url).origin !== new URL(session.fhirBaseUrl).origin) {
+      console.warn('⚠️ Not following next link on a different origin:', url);
+      truncated = true;
+      break;
+    }
+  }
+  
+  return { resources, included, pages, total, truncated, error };
+}
+
+/**
+ * Records entered in error are retractions, not data
+ * @param {Object} resource - FHIR resource
+ * @returns {boolean} True when the resource was entered in error
+ */
+export function isEnteredInError(resource) {
+  return resource.status === 'entered-in-error' ||
+    resource.verificationStatus?.coding?.some(coding => coding.code === 'entered-in-error');
+}
+
+// Helper Functions
+
+/**
+ * Read the next-page link of a searchset Bundle
+ * @param {Object} bundle - FHIR Bundle
+ * @param {string} fhirBaseUrl - FHIR base URL the search was sent to
+ * @returns {string|null} Absolute URL of the next page
+ */
+function getNextPageUrl(bundle, fhirBaseUrl) {
+  const next = bundle.link?.find(link => link.relation === 'next')?.url;
+  return next ? new URL(next, `${fhirBaseUrl}/`).toString() : null;
+}
+
+async function fetchJson(session, url, options = {}) {
+  const response = await session.request(url, options);
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Bring one clinical section up to date
+ * Never throws - a failed section keeps its stored resources and sync cursor
+ * @param {Object} session - { fhirBaseUrl, request }
+ * @param {Object} section - Entry of PATIENT_DATA_SECTIONS
+ * @param {string} epicPatientId - Epic patient ID
+ * @param {Object|null} stored - Stored record from getStoredEpicData
+ * @param {Date} syncStartedAt - When this sync began
+ * @param {Object} pageOptions - Paging options for fetchResourceBundle
+ * @returns {Promise<Object>} { resources, included, status, syncState }
+ */
+async function syncSection(session, section, epicPatientId, stored, syncStartedAt, pageOptions) {
+  const previous = stored?.fhir_resources?.[section.key] || null;
+  const state = stored?.sync_state?.[section.key] || null;
+  const params = { patient: epicPatientId, ...section.params };
+  // Deletion checks reuse params, so _include is only added to the reads that need it
+  const includeParams = section.include ? { _include: section.include } : {};
+  
+  let mode = previous && state?.lastUpdated ? 'incremental' : 'full';
+  let result;
+  
+  try {
+    if (mode === 'incremental') {
+      try {
+        result = await fetchResourceBundle(session, section.resourceType, {
+          ...params,
+          ...includeParams,
+          _lastUpdated: `gt${state.lastUpdated}`
+        }, pageOptions);
+      } catch (error) {
+        // Some servers reject _lastUpdated for some resource types - fall back to a full read
+        if (!(error instanceof FhirRequestError) || error.status !== 400) throw error;
+        console.warn(`⚠️ ${section.resourceType} does not support _lastUpdated, fetching everything`);
+        mode = 'full';
+      }
+    }
+    
+    if (mode === 'full') {
+      result = await fetchResourceBundle(session, section.resourceType, { ...params, ...includeParams }, pageOptions);
+    }
+  } catch (error) {
+    return {
+      resources: previous || [],
+      syncState: state,
+      status: {
+        status: 'error',
+        error: describeFhirError(error),
+        httpStatus: error?.status || null,
+        issues: error?.issues || [],
+        stale: Boolean(previous),
+        mode,
+        count: previous?.length || 0,
+        changed: 0,
+        removed: 0,
+        total: null,
+        pages: 0,
+        truncated: false
+      }
+    };
+  }
+  
+  let resources;
+  let removed = 0;
+  let reconciledAt = state?.reconciledAt || null;
+  
+  if (mode === 'incremental') {
+    ({ resources, removed } = mergeResources(previous, result.resources));
+    
+    // Hard deletes never show up in a _lastUpdated search - compare ids now and then
+    if (isReconcileDue(reconciledAt)) {
+      const reconciled = await reconcileDeletions(session, section, params, resources, pageOptions);
+      if (reconciled) {
+        removed += resources.length - reconciled.length;
+        resources = reconciled;
+        reconciledAt = syncStartedAt.toISOString();
+      }
+    }
+  } else {
+    resources = result.resources.filter(resource => !isEnteredInError(resource));
+    reconciledAt = result.truncated ? null : syncStartedAt.toISOString();
+  }
+  
+  // A truncated read didn't see every change - keep the old cursor so the next sync asks again.
+  // The cursor overlaps the previous sync slightly; merging by id makes repeats harmless
+  const lastUpdated = result.truncated ?
+    (mode === 'incremental' ? state.lastUpdated : null) :
+    new Date(syncStartedAt.getTime() - SYNC_CONFIG.syncOverlapMinutes * 60 * 1000).toISOString();
+  
+  return {
+    resources,
+    included: result.included,
+    syncState: lastUpdated ? { lastUpdated, reconciledAt } : null,
+    status: {
+      status: result.truncated ? 'partial' : 'ok',
+      error: result.error,
+      mode,
+      count: resources.length,
+      changed: mode === 'incremental' ? result.resources.length : resources.length,
+      removed,
+      total: mode === 'full' ? result.total : null,
+      pages: result.pages,
+      truncated: result.truncated
+    }
+  };
+}
+
+/**
+ * Apply changed resources to the stored copy of a section
+ * @param {Array} previous - Stored FHIR resources
+ * @param {Array} changes - Resources updated since the last sync
+ * @returns {Object} { resources, removed }
+ */
+function mergeResources(previous, changes) {
+  const byId = new Map(previous.map(resource => [resource.id, resource]));
+  let removed = 0;
+  
+  changes.forEach(resource => {
+    if (isEnteredInError(resource)) {
+      if (byId.delete(resource.id)) removed++;
+    } else {
+      byId.set(resource.id, resource);
+    }
+  });
+  
+  return { resources: [...byId.values()], removed };
+}
+
+/**
+ * Drop stored resources the server no longer returns
+ * Uses an id-only search (_elements=id) to keep the check cheap
+ * @returns {Promise<Array|null>} Remaining resources, or null when the id list is incomplete
+ */
+async function reconcileDeletions(session, section, params, resources, pageOptions) {
+  try {
+    const idResult = await fetchResourceBundle(session, section.resourceType, {
+      ...params,
+      _elements: 'id'
+    }, pageOptions);
+    
+    // Removing based on a partial id list would delete live records
+    if (idResult.truncated) return null;
+    
+    const liveIds = new Set(idResult.resources.map(resource => resource.id));
+    return resources.filter(resource => liveIds.has(resource.id));
+  } catch (error) {
+    console.warn(`⚠️ Could not check ${section.resourceType} for deletions:`, describeFhirError(error));
+    return null;
+  }
+}
+
+function isReconcileDue(reconciledAt) {
+  if (!reconciledAt) return true;
+  return Date.now() - new Date(reconciledAt).getTime() > SYNC_CONFIG.reconcileIntervalHours * 60 * 60 * 1000;
+}
+
+/**
+ * Collect the Medication resources that MedicationRequests reference
+ * Contained (#id) medications need no lookup; remote ones already known
+ * (stored from an earlier sync or returned by _include) are reused and the
+ * rest are read in batch Bundles
+ * @param {Object} session - { fhirBaseUrl, request }
+ * @param {Array} medicationRequests - FHIR MedicationRequest resources
+ * @param {Array} knownMedications - Medication resources on hand, later entries winning
+ * @returns {Promise<Array>} Medication resources referenced by the requests
+ */
+async function resolveMedicationReferences(session, medicationRequests, knownMedications) {
+  const known = new Map(knownMedications.map(medication => [medication.id, medication]));
+  const referencedIds = [...new Set(medicationRequests
+    .map(request => request.medicationReference?.reference)
+    .filter(reference => reference && !reference.startsWith('#'))
+    .map(reference => reference.match(/(?:^|\/)Medication\/([^/]+?)(?:\/_history\/[^/]+)?$/)?.[1])
+    .filter(Boolean))];
+  
+  const missingIds = referencedIds.filter(id => !known.has(id));
+  for (let start = 0; start < missingIds.length; start += SYNC_CONFIG.maxBatchEntries) {
+    const ids = missingIds.slice(start, start + SYNC_CONFIG.maxBatchEntries);
+    try {
+      const response = await fetchJson(session, session.fhirBaseUrl, {
+        method: 'POST',
+        body: {
+          resourceType: 'Bundle',
+          type: 'batch',
+          entry: ids.map(id => ({ request: { method: 'GET', url: `Medication/${encodeURIComponent(id)}` } }))
+        }
+      });
+      
+      response?.entry?.forEach(entry => {
+        if (entry.resource?.resourceType === 'Medication' && entry.response?.status?.startsWith('2')) {
+          known.set(entry.resource.id, entry.resource);
+        }
+      });
+    } catch (error) {
+      // Names fall back to medicationReference.display
+      console.warn('⚠️ Could not read referenced medications:', describeFhirError(error));
+    }
+  }
+  
+  const unresolved = referencedIds.filter(id => !known.has(id));
+  if (unresolved.length > 0) {
+    console.warn(`⚠️ ${unresolved.length} referenced medication(s) could not be read`);
+  }
+  
+  return referencedIds.filter(id => known.has(id)).map(id => known.get(id));
+}
+
+function isNewVersion(previous, resource) {
+  if (previous.meta?.versionId && resource.meta?.versionId) {
+    return previous.meta.versionId !== resource.meta.versionId;
+  }
+  if (previous.meta?.lastUpdated && resource.meta?.lastUpdated) {
+    return previous.meta.lastUpdated !== resource.meta.lastUpdated;
+  }
+  return JSON.stringify(previous) !== JSON.stringify(resource);
+}
+
+function generateClinicalNotesText(documents) {
+  if (!documents || documents.length === 0) return '';
+  
+  return documents.slice(0, 5).map(doc => doc.text ?
+    `${doc.type} (${doc.date}):\n${doc.text}` :
+    `${doc.type} (${doc.date}): ${doc.description || 'No description'}`
+  ).join('\n\n');
+}
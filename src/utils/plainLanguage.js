@@ -0,0 +1,782 @@
+/**
+ * Plain-Language Translation
+ * Rewrites diagnoses, lab names and medications into words a patient can
+ * follow, for the video summary. The clinical term is never lost: callers keep
+ * it next to the plain text, so the transcript still reads correctly to a doctor.
+ *
+ * The glossary is curated: entries are matched by code first (ICD-10-CM
+ * categories, SNOMED CT, LOINC, RxNorm) and by phrase inside the clinical
+ * text. Pass extra entries to createGlossary to extend or override it.
+ */
+
+export const DEFAULT_READING_GRADE = 6;
+
+/*
+ * Entry fields:
+ *   kind        condition, observation, medication or term (qualifiers used inside any text)
+ *   codes       'system:code' keys; ICD-10 categories (icd10:C71) cover their subcodes
+ *   phrases     clinical wording to match, case-insensitive; all-caps abbreviations match as written
+ *   plain       wordings from most precise to simplest - the first one at or below the
+ *               target reading grade is used. Medications keep their name and use this as the class
+ *   explanation one or two sentences for the patient (optional)
+ */
+const GLOSSARY_ENTRIES = [
+  // Diagnoses
+  {
+    kind: 'condition',
+    phrases: ['glioblastoma multiforme', 'glioblastoma'],
+    plain: ['a fast-growing brain tumor', 'a brain tumor that grows fast'],
+    explanation: 'A cancer that starts in the brain and grows quickly. It is usually treated with surgery, radiation and chemotherapy.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:C71'],
+    phrases: ['malignant neoplasm of brain', 'malignant brain tumor'],
+    plain: ['brain cancer'],
+    explanation: 'A cancer that starts in the brain.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:I10', 'snomed:38341003', 'snomed:59621000'],
+    phrases: ['essential hypertension', 'essential (primary) hypertension', 'hypertension'],
+    plain: ['high blood pressure'],
+    explanation: 'Your blood pushes too hard against the walls of your blood vessels. Over time this strains your heart, brain and kidneys.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:E78', 'snomed:55822004'],
+    phrases: ['hyperlipidemia', 'hypercholesterolemia', 'dyslipidemia'],
+    plain: ['high cholesterol'],
+    explanation: 'There is too much fat in your blood. It can build up and narrow your blood vessels.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:E11', 'snomed:44054006'],
+    phrases: ['type 2 diabetes mellitus', 'diabetes mellitus type 2'],
+    plain: ['type 2 diabetes'],
+    explanation: 'Your body does not use insulin well, so sugar builds up in your blood.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:E10', 'snomed:46635009'],
+    phrases: ['type 1 diabetes mellitus', 'diabetes mellitus type 1'],
+    plain: ['type 1 diabetes'],
+    explanation: 'Your body makes little or no insulin, the hormone that moves sugar from your blood into your cells.'
+  },
+  {
+    kind: 'condition',
+    codes: ['snomed:73211009'],
+    phrases: ['diabetes mellitus'],
+    plain: ['diabetes'],
+    explanation: 'Sugar builds up in your blood because your body does not make or use insulin well.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:E66', 'snomed:414916001'],
+    phrases: ['obesity'],
+    plain: ['obesity'],
+    explanation: 'Your weight is high enough to raise the risk of other health problems.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:J45', 'snomed:195967001', 'snomed:426979002'],
+    phrases: ['asthma'],
+    plain: ['asthma'],
+    explanation: 'The airways in your lungs swell and narrow at times, which makes it hard to breathe.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:J44', 'snomed:13645005'],
+    phrases: ['chronic obstructive pulmonary disease', 'chronic obstructive lung disease', 'COPD'],
+    plain: ['COPD, a long-term lung disease that makes breathing hard', 'COPD, a lung disease'],
+    explanation: 'Damage to your lungs makes it hard to move air in and out.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:J30', 'snomed:367498001'],
+    phrases: ['allergic rhinitis'],
+    plain: ['hay fever'],
+    explanation: 'Your nose reacts to things like pollen, which causes sneezing and a runny or stuffy nose.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:F41.1', 'snomed:21897009'],
+    phrases: ['generalized anxiety disorder'],
+    plain: ['an anxiety disorder that causes constant worry', 'constant worry (anxiety)'],
+    explanation: 'You feel worried or nervous most days, even when there is no clear reason.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:F32', 'snomed:370143000', 'snomed:35489007'],
+    phrases: ['major depressive disorder', 'depressive disorder', 'depressive episode'],
+    plain: ['depression'],
+    explanation: 'A low mood and loss of interest that last for weeks and get in the way of daily life.'
+  },
+  {
+    kind: 'condition',
+    codes: ['snomed:128613002'],
+    phrases: ['seizure disorder'],
+    plain: ['seizures'],
+    explanation: 'Bursts of electrical activity in the brain that can cause shaking, staring spells or passing out.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:G40', 'snomed:84757009'],
+    phrases: ['epilepsy'],
+    plain: ['epilepsy, which causes seizures', 'seizures (epilepsy)'],
+    explanation: 'Bursts of electrical activity in the brain that can cause shaking, staring spells or passing out.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:G43', 'snomed:37796009'],
+    phrases: ['migraine'],
+    plain: ['migraine headaches'],
+    explanation: 'Strong headaches that can come with nausea and sensitivity to light.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:G47.0', 'snomed:193462001'],
+    phrases: ['insomnia disorder', 'insomnia'],
+    plain: ['trouble sleeping'],
+    explanation: 'You have a hard time falling asleep or staying asleep.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:G93.6', 'snomed:2032001'],
+    phrases: ['cerebral edema', 'brain edema'],
+    plain: ['swelling in the brain'],
+    explanation: 'Fluid builds up in the brain and raises the pressure inside the skull.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:I25.1', 'snomed:53741008'],
+    phrases: ['coronary artery disease', 'coronary arteriosclerosis', 'atherosclerotic heart disease'],
+    plain: ['narrowed heart arteries', 'clogged heart arteries'],
+    explanation: 'The blood vessels that feed your heart are narrowed by fatty buildup.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:I25.2', 'snomed:1755008'],
+    phrases: ['old myocardial infarction'],
+    plain: ['a past heart attack'],
+    explanation: 'Part of your heart muscle was damaged when its blood supply was blocked.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:I21', 'snomed:22298006'],
+    phrases: ['acute myocardial infarction', 'myocardial infarction', 'MI'],
+    plain: ['a heart attack'],
+    explanation: 'Part of your heart muscle was damaged when its blood supply was blocked.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:I50', 'snomed:84114007'],
+    phrases: ['congestive heart failure', 'heart failure', 'CHF'],
+    plain: ['heart failure, when the heart does not pump as well as it should', 'a weak heart pump'],
+    explanation: 'Your heart still works, but it does not pump blood as well as it should.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:I48', 'snomed:49436004'],
+    phrases: ['atrial fibrillation', 'AFib'],
+    plain: ['an irregular heartbeat (AFib)'],
+    explanation: 'The top chambers of your heart beat out of rhythm, which raises the risk of stroke.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:I63', 'snomed:230690007'],
+    phrases: ['cerebral infarction', 'cerebrovascular accident', 'CVA'],
+    plain: ['a stroke'],
+    explanation: 'Blood flow to part of the brain was blocked.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:M17', 'snomed:396275006', 'snomed:239873007'],
+    phrases: ['osteoarthritis'],
+    plain: ['wear-and-tear arthritis', 'joint wear and tear'],
+    explanation: 'The cushion in your joints wears down, which causes pain and stiffness.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:K21', 'snomed:235595009'],
+    phrases: ['gastro-esophageal reflux disease', 'gastroesophageal reflux disease', 'GERD'],
+    plain: ['acid reflux'],
+    explanation: 'Stomach acid flows back up into the tube that carries food to your stomach.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:N18', 'snomed:709044004'],
+    phrases: ['chronic kidney disease', 'CKD'],
+    plain: ['long-term kidney disease'],
+    explanation: 'Your kidneys do not clean your blood as well as they should.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:E03', 'snomed:40930008'],
+    phrases: ['hypothyroidism'],
+    plain: ['an underactive thyroid'],
+    explanation: 'Your thyroid gland does not make enough hormone, which can make you tired and slow.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:D64', 'snomed:271737000'],
+    phrases: ['anemia'],
+    plain: ['low red blood cells (anemia)'],
+    explanation: 'Your blood has fewer red blood cells than normal, so it carries less oxygen.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:J18', 'snomed:233604007'],
+    phrases: ['pneumonia'],
+    plain: ['a lung infection (pneumonia)'],
+    explanation: 'An infection that fills the air sacs in your lungs with fluid.'
+  },
+  {
+    kind: 'condition',
+    codes: ['icd10:N39.0', 'snomed:68566005'],
+    phrases: ['urinary tract infection', 'UTI'],
+    plain: ['an infection in the urinary tract', 'a bladder or kidney infection'],
+    explanation: 'Germs have gotten into the bladder or the tubes that carry urine.'
+  },
+
+  // Qualifiers and general wording inside clinical text
+  { kind: 'term', phrases: ['malignant neoplasm'], plain: ['cancer'] },
+  { kind: 'term', phrases: ['carcinoma'], plain: ['cancer'] },
+  { kind: 'term', phrases: ['neoplasm'], plain: ['growth'] },
+  { kind: 'term', phrases: ['metastatic'], plain: ['that has spread'] },
+  { kind: 'term', phrases: ['malignant'], plain: ['cancerous'] },
+  { kind: 'term', phrases: ['benign'], plain: ['not cancer'] },
+  { kind: 'term', phrases: ['lesion'], plain: ['abnormal area'] },
+  { kind: 'term', phrases: ['right frontal lobe'], plain: ['in the front right part of the brain'] },
+  { kind: 'term', phrases: ['left frontal lobe'], plain: ['in the front left part of the brain'] },
+  { kind: 'term', phrases: ['frontal lobe'], plain: ['in the front part of the brain'] },
+  { kind: 'term', phrases: ['intracranial mass'], plain: ['a growth inside the skull'] },
+  { kind: 'term', phrases: ['intracranial'], plain: ['inside the skull'] },
+  { kind: 'term', phrases: ['secondary to'], plain: ['caused by'] },
+  { kind: 'term', phrases: ['status post', 's/p'], plain: ['after'] },
+  { kind: 'term', phrases: ['bilateral'], plain: ['both'] },
+  { kind: 'term', phrases: ['acute'], plain: ['sudden'] },
+  { kind: 'term', phrases: ['chronic'], plain: ['long-term'] },
+  { kind: 'term', phrases: ['persistent'], plain: ['ongoing'] },
+  { kind: 'term', phrases: ['edema'], plain: ['swelling'] },
+  // "Not intractable" is a coding qualifier, not a statement that treatment is working
+  { kind: 'term', phrases: ['not intractable', 'without status epilepticus', 'without status migrainosus', 'without complications', 'uncomplicated', 'site not specified', 'unspecified organism', 'unspecified'], plain: [''] },
+  { kind: 'term', phrases: ['oral tablet'], plain: ['tablet'] },
+  { kind: 'term', phrases: ['oral capsule'], plain: ['capsule'] },
+  { kind: 'term', phrases: ['extended release', 'ER', 'XL'], plain: ['long-acting'] },
+  { kind: 'term', phrases: ['24 HR'], plain: [''] },
+  { kind: 'term', phrases: ['MG'], plain: ['mg'] },
+
+  // Lab and vital sign names
+  {
+    kind: 'observation',
+    codes: ['loinc:2345-7', 'loinc:2339-0', 'loinc:14749-6', 'loinc:15074-8'],
+    phrases: ['blood glucose', 'glucose'],
+    plain: ['blood sugar']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:4548-4'],
+    phrases: ['hemoglobin a1c', 'HbA1c', 'A1c'],
+    plain: ['A1c, your average blood sugar over the past 3 months', 'A1c (average blood sugar)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:718-7'],
+    phrases: ['hemoglobin'],
+    plain: ['hemoglobin, which carries oxygen in your blood', 'hemoglobin (carries oxygen)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:4544-3'],
+    phrases: ['hematocrit'],
+    plain: ['hematocrit, the share of your blood made of red blood cells', 'red blood cell level']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:6690-2'],
+    phrases: ['white blood cell count', 'leukocytes', 'WBC'],
+    plain: ['white blood cells, which fight infection']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:777-3'],
+    phrases: ['platelet count', 'platelets'],
+    plain: ['platelets, which help your blood clot']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:751-8'],
+    phrases: ['absolute neutrophil count', 'neutrophils', 'ANC'],
+    plain: ['neutrophils, white blood cells that fight infection', 'infection-fighting cells']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:2160-0'],
+    phrases: ['creatinine'],
+    plain: ['creatinine, which shows how well your kidneys work', 'kidney test (creatinine)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:33914-3', 'loinc:62238-1'],
+    phrases: ['glomerular filtration rate', 'eGFR'],
+    plain: ['kidney function (eGFR)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:13457-7', 'loinc:18262-6'],
+    phrases: ['LDL cholesterol', 'LDL'],
+    plain: ['LDL ("bad") cholesterol']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:2085-9'],
+    phrases: ['HDL cholesterol', 'HDL'],
+    plain: ['HDL ("good") cholesterol']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:2571-8'],
+    phrases: ['triglycerides', 'triglyceride'],
+    plain: ['triglycerides, a type of fat in your blood', 'blood fats (triglycerides)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:10839-9', 'loinc:6598-7'],
+    phrases: ['troponin'],
+    plain: ['troponin, which rises when the heart muscle is damaged', 'heart damage test (troponin)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:30934-4'],
+    phrases: ['B-type natriuretic peptide', 'BNP'],
+    plain: ['BNP, which rises when the heart is under strain', 'heart strain test (BNP)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:3016-3'],
+    phrases: ['thyroid stimulating hormone', 'thyrotropin', 'TSH'],
+    plain: ['thyroid level (TSH)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:1742-6'],
+    phrases: ['alanine aminotransferase', 'ALT'],
+    plain: ['liver test (ALT)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:1920-8'],
+    phrases: ['aspartate aminotransferase', 'AST'],
+    plain: ['liver test (AST)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:1988-5'],
+    phrases: ['C-reactive protein', 'CRP'],
+    plain: ['CRP, a sign of inflammation in the body', 'swelling test (CRP)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:6301-6'],
+    phrases: ['INR'],
+    plain: ['INR, how long your blood takes to clot', 'blood clotting test (INR)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:2708-6', 'loinc:59408-5'],
+    phrases: ['oxygen saturation', 'SpO2'],
+    plain: ['oxygen level in your blood']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:39156-5'],
+    phrases: ['body mass index', 'BMI'],
+    plain: ['BMI, a measure of weight for your height']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:10230-1'],
+    phrases: ['ejection fraction', 'LVEF'],
+    plain: ['how well your heart pumps (ejection fraction)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:44261-6'],
+    phrases: ['PHQ-9'],
+    plain: ['depression questionnaire score (PHQ-9)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:70274-6'],
+    phrases: ['GAD-7'],
+    plain: ['anxiety questionnaire score (GAD-7)']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:8480-6'],
+    phrases: ['systolic blood pressure'],
+    plain: ['blood pressure, top number']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:8462-4'],
+    phrases: ['diastolic blood pressure'],
+    plain: ['blood pressure, bottom number']
+  },
+  {
+    kind: 'observation',
+    codes: ['loinc:85354-9', 'loinc:55284-4'],
+    phrases: ['blood pressure'],
+    plain: ['blood pressure']
+  },
+
+  // Drug classes - matched by the drug names in the medication
+  {
+    kind: 'medication',
+    phrases: ['atorvastatin', 'simvastatin', 'rosuvastatin', 'pravastatin', 'lovastatin'],
+    plain: ['a statin, which lowers cholesterol', 'a cholesterol medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['lisinopril', 'enalapril', 'ramipril', 'benazepril'],
+    plain: ['an ACE inhibitor, which lowers blood pressure and protects the heart and kidneys', 'a blood pressure medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['losartan', 'valsartan', 'irbesartan', 'olmesartan'],
+    plain: ['a medicine that lowers blood pressure and protects the kidneys', 'a blood pressure medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['metoprolol', 'atenolol', 'carvedilol', 'propranolol', 'bisoprolol'],
+    plain: ['a beta blocker, which slows the heart and lowers blood pressure', 'a heart medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['amlodipine', 'diltiazem', 'nifedipine'],
+    plain: ['a medicine that relaxes blood vessels to lower blood pressure', 'a blood pressure medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['hydrochlorothiazide', 'chlorthalidone', 'furosemide', 'spironolactone'],
+    plain: ['a water pill, which helps your body get rid of extra fluid', 'a water pill']
+  },
+  {
+    kind: 'medication',
+    phrases: ['aspirin', 'clopidogrel', 'ticagrelor'],
+    plain: ['a medicine that helps prevent blood clots', 'a clot-preventing medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['warfarin', 'apixaban', 'rivaroxaban', 'heparin', 'enoxaparin'],
+    plain: ['a blood thinner, which prevents dangerous clots', 'a blood thinner']
+  },
+  {
+    kind: 'medication',
+    phrases: ['metformin', 'glipizide', 'sitagliptin', 'empagliflozin'],
+    plain: ['a diabetes medicine that lowers blood sugar', 'a blood sugar medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['insulin'],
+    plain: ['insulin, which lowers blood sugar']
+  },
+  {
+    kind: 'medication',
+    phrases: ['sertraline', 'escitalopram', 'citalopram', 'fluoxetine', 'paroxetine'],
+    plain: ['an antidepressant used for depression and anxiety', 'a mood medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['lorazepam', 'clonazepam', 'alprazolam', 'diazepam'],
+    plain: ['a calming medicine for anxiety', 'a calming medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['hydroxyzine'],
+    plain: ['an antihistamine used for anxiety and itching', 'a calming medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['levetiracetam', 'Keppra', 'lamotrigine', 'phenytoin', 'valproate', 'carbamazepine'],
+    plain: ['a medicine that prevents seizures', 'a seizure medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['dexamethasone', 'prednisone', 'prednisolone', 'methylprednisolone', 'hydrocortisone'],
+    plain: ['a steroid that reduces swelling and inflammation', 'a steroid that brings down swelling']
+  },
+  {
+    kind: 'medication',
+    phrases: ['temozolomide', 'carboplatin', 'cisplatin', 'paclitaxel', 'cyclophosphamide'],
+    plain: ['chemotherapy, which kills cancer cells', 'a cancer medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['ondansetron', 'Zofran', 'metoclopramide'],
+    plain: ['a medicine that prevents nausea and vomiting', 'an upset stomach medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['morphine', 'oxycodone', 'hydrocodone', 'tramadol'],
+    plain: ['a strong pain medicine (opioid)', 'a strong pain medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['ibuprofen', 'naproxen', 'meloxicam', 'celecoxib'],
+    plain: ['a medicine for pain and swelling (NSAID)', 'a pain medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['acetaminophen'],
+    plain: ['a medicine for pain and fever', 'a pain medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['omeprazole', 'pantoprazole', 'esomeprazole'],
+    plain: ['a medicine that lowers stomach acid', 'a stomach acid medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['albuterol'],
+    plain: ['a rescue inhaler that quickly opens the airways', 'a breathing inhaler']
+  },
+  {
+    kind: 'medication',
+    phrases: ['fluticasone', 'budesonide'],
+    plain: ['a steroid that calms swelling in the airways', 'a breathing medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['montelukast'],
+    plain: ['a daily pill that helps prevent asthma and allergy symptoms', 'an asthma pill']
+  },
+  {
+    kind: 'medication',
+    phrases: ['cetirizine', 'loratadine', 'fexofenadine'],
+    plain: ['an allergy medicine']
+  },
+  {
+    kind: 'medication',
+    phrases: ['levothyroxine'],
+    plain: ['thyroid hormone, which replaces what your thyroid does not make', 'a thyroid pill']
+  },
+  {
+    kind: 'medication',
+    phrases: ['amoxicillin', 'ciprofloxacin', 'azithromycin', 'doxycycline', 'cephalexin'],
+    plain: ['an antibiotic, which fights infection caused by bacteria', 'an antibiotic']
+  },
+  {
+    kind: 'medication',
+    phrases: ['gabapentin', 'pregabalin'],
+    plain: ['a medicine for nerve pain', 'a nerve pain medicine']
+  }
+];
+
+const DEFAULT_GLOSSARY = createGlossary();
+
+/**
+ * Build a glossary from the curated entries plus your own
+ * Extra entries are checked before the curated ones, so they can override them
+ * @param {Array<Object>} extraEntries - Entries with kind, codes, phrases, plain and explanation
+ * @returns {Object} Glossary to pass to translateTerm
+ */
+export function createGlossary(extraEntries = []) {
+  const entries = [...extraEntries, ...GLOSSARY_ENTRIES].map(entry => ({
+    ...entry,
+    plain: Array.isArray(entry.plain) ? entry.plain : [entry.plain]
+  }));
+
+  const byCode = new Map();
+  entries.forEach(entry => (entry.codes || []).forEach(key => {
+    const normalized = normalizeCodeKey(key);
+    if (!byCode.has(normalized)) byCode.set(normalized, entry);
+  }));
+
+  // Longest phrases first, so "insomnia disorder" wins over "insomnia"
+  const phrases = entries
+    .flatMap(entry => (entry.phrases || []).map(phrase => ({ phrase, entry, pattern: phrasePattern(phrase) })))
+    .sort((a, b) => b.phrase.length - a.phrase.length);
+
+  return { entries, byCode, phrases };
+}
+
+/**
+ * Translate a clinical term into plain language
+ * Order: a glossary phrase covering the whole term, phrases rewritten inside
+ * the term, then the term's codes (codes first for lab names). Codes in
+ * trailing parentheses are dropped.
+ * @param {string} term - Clinical term, e.g. "Glioblastoma Multiforme, Right Frontal Lobe (C71.1)"
+ * @param {Object} options - { kind, codes ({ icd10, snomed, loinc, rxnorm }), grade, glossary }
+ * @returns {Object} { text, clinical, explanation, changed } - medications keep their
+ *   name in text and get their drug class as explanation
+ */
+export function translateTerm(term, options = {}) {
+  const {
+    kind = 'condition',
+    codes = {},
+    grade = DEFAULT_READING_GRADE,
+    glossary = DEFAULT_GLOSSARY
+  } = options;
+
+  const clinical = (term || '').trim();
+  const base = stripTrailingCode(clinical);
+  const codeEntry = findByCodes(glossary, kind, codes);
+
+  if (kind === 'medication') {
+    const classEntry = codeEntry || glossary.phrases.find(({ entry, pattern }) => entry.kind === 'medication' && pattern.test(base))?.entry;
+    const { text } = rewritePhrases(base, glossary, grade, ['term']);
+    return {
+      text: capitalize(text || base),
+      clinical,
+      explanation: classEntry ? pickWording(classEntry.plain, grade) : null,
+      changed: capitalize(text || base) !== clinical
+    };
+  }
+
+  const whole = glossary.phrases.find(({ entry, phrase }) =>
+    entry.kind === kind && normalizePhrase(phrase) === normalizePhrase(base));
+  if (whole) {
+    return result(clinical, pickWording(whole.entry.plain, grade), whole.entry.explanation || codeEntry?.explanation);
+  }
+
+  // Lab names carry suffixes ("Troponin I", "Glucose [Mass/volume]") - trust the code first
+  if (codeEntry && kind === 'observation') {
+    return result(clinical, pickWording(codeEntry.plain, grade), codeEntry.explanation);
+  }
+
+  const rewritten = rewritePhrases(base, glossary, grade, [kind, 'term']);
+  if (rewritten.matched.length > 0 && rewritten.text) {
+    const explained = rewritten.matched.find(entry => entry.explanation);
+    return result(clinical, rewritten.text, explained?.explanation || codeEntry?.explanation);
+  }
+
+  if (codeEntry) {
+    return result(clinical, pickWording(codeEntry.plain, grade), codeEntry.explanation);
+  }
+
+  return result(clinical, base, null);
+}
+
+/**
+ * Estimate the US school grade needed to read a text (Flesch-Kincaid)
+ * @param {string} text - Text to score
+ * @returns {number} Grade level, rounded to one decimal
+ */
+export function readingGrade(text) {
+  const words = (text || '').match(/[A-Za-z0-9'-]+/g) || [];
+  if (words.length === 0) return 0;
+
+  const sentences = Math.max(1, (text.match(/[.!?]+(\s|$)/g) || []).length);
+  const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+  const grade = 0.39 * (words.length / sentences) + 11.8 * (syllables / words.length) - 15.59;
+  return Math.round(grade * 10) / 10;
+}
+
+// Helper Functions
+
+function result(clinical, text, explanation) {
+  // Problem lists are often Title Case; keep abbreviations, lower the rest
+  const sentenceCase = isTitleCase(clinical) ? text.replace(/\b([A-Z])([a-z]+)\b/g, (word, first, rest) => first.toLowerCase() + rest) : text;
+  const plain = capitalize(sentenceCase);
+  return {
+    text: plain,
+    clinical,
+    explanation: explanation || null,
+    changed: plain !== clinical
+  };
+}
+
+// First wording at or below the target grade, else the simplest
+function pickWording(wordings, grade) {
+  return wordings.find(wording => readingGrade(wording) <= grade) ?? wordings[wordings.length - 1];
+}
+
+function rewritePhrases(text, glossary, grade, kinds) {
+  const matched = [];
+  let rewritten = text;
+
+  glossary.phrases
+    .filter(({ entry }) => kinds.includes(entry.kind))
+    .forEach(({ entry, pattern }) => {
+      if (!pattern.test(rewritten)) return;
+      const everywhere = new RegExp(pattern.source, `${pattern.flags}g`);
+      rewritten = rewritten.replace(everywhere, (match, before) => `${before}${pickWording(entry.plain, grade)}`);
+      if (!matched.includes(entry)) matched.push(entry);
+    });
+
+  return { text: tidy(rewritten), matched };
+}
+
+function findByCodes(glossary, kind, codes) {
+  for (const [system, code] of Object.entries(codes || {})) {
+    if (!code) continue;
+    const candidates = system === 'icd10' ?
+      icd10Ancestors(code).map(candidate => `icd10:${candidate}`) :
+      [`${system}:${code}`];
+    const entry = candidates.map(key => glossary.byCode.get(normalizeCodeKey(key))).find(Boolean);
+    if (entry && (entry.kind === kind || entry.kind === 'term')) return entry;
+  }
+  return null;
+}
+
+// C71.1 -> C71.1, C71 and I25.10 -> I25.10, I25.1, I25
+function icd10Ancestors(code) {
+  const normalized = code.toUpperCase().trim();
+  const ancestors = [];
+  for (let length = normalized.length; length >= 3; length--) {
+    const candidate = normalized.slice(0, length).replace(/\.$/, '');
+    if (!ancestors.includes(candidate)) ancestors.push(candidate);
+  }
+  return ancestors;
+}
+
+function normalizeCodeKey(key) {
+  const [system, ...code] = key.split(':');
+  return `${system.toLowerCase()}:${code.join(':').toUpperCase()}`;
+}
+
+// Whole words; all-caps abbreviations (MI, ER) only match as written
+function phrasePattern(phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const caseSensitive = phrase === phrase.toUpperCase() && /[A-Z]/.test(phrase);
+  return new RegExp(`(^|[^A-Za-z0-9])${escaped}(?![A-Za-z0-9])`, caseSensitive ? '' : 'i');
+}
+
+function normalizePhrase(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// "Hypertension (I10)" -> "Hypertension"
+function stripTrailingCode(text) {
+  return text.replace(/\s*\((?:[A-Z]\d{2}(?:\.[0-9A-Z]{1,4})?|\d{1,5}-\d|\d{6,18})\)\s*$/, '').trim();
+}
+
+// Clean up what removed qualifiers leave behind
+function tidy(text) {
+  return text
+    .replace(/\s*,\s*(,\s*)+/g, ', ')
+    .replace(/,\s*(in|of|on|caused by)\s/gi, ' $1 ')
+    .replace(/\b(?:of|in|on)\s+(in|on)\s/gi, '$1 ')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/^[\s,-]+|[\s,-]+$/g, '')
+    .trim();
+}
+
+function isTitleCase(text) {
+  const words = text.match(/[A-Za-z]{4,}/g) || [];
+  return words.length > 1 && words.every(word => /^[A-Z]/.test(word));
+}
+
+function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+function countSyllables(word) {
+  const lower = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!lower) return 1;
+  if (lower.length <= 3) return 1;
+  const groups = lower.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
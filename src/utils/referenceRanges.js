@@ -0,0 +1,379 @@
+/**
+ * Lab Reference Ranges and Abnormal Flags
+ * Reads Observation.referenceRange (structured low/high or text such as
+ * "70-99 mg/dL" and "<200"), values with comparators ("< 0.01 ng/mL"), and
+ * flags results as low, high or critical. The sender's interpretation wins;
+ * without one the flag is computed from the range. Labs that send no range
+ * are compared with typical adult ranges bundled here, for common LOINC codes.
+ * Results in a different unit from their range (mmol/L glucose against a
+ * mg/dL range) are converted before comparing.
+ */
+
+import { convertValue, displayUnit, normalizeUnit } from './units.js';
+
+export const FLAGS = ['normal', 'low', 'high', 'critical-low', 'critical-high', 'abnormal', 'critical'];
+
+// v3 ObservationInterpretation (and HL7 v2 table 0078) codes -> flags
+const INTERPRETATION_FLAGS = {
+  N: 'normal',
+  L: 'low',
+  H: 'high',
+  LL: 'critical-low',
+  LU: 'critical-low',
+  HH: 'critical-high',
+  HU: 'critical-high',
+  '<': 'low',
+  '>': 'high',
+  A: 'abnormal',
+  AA: 'critical',
+  POS: 'abnormal',
+  DET: 'abnormal',
+  NEG: 'normal',
+  ND: 'normal'
+};
+
+const FLAG_LABELS = {
+  normal: { clinical: 'Normal', patient: 'Your value is in the normal range' },
+  low: { clinical: 'Low', patient: 'Your value is below normal' },
+  high: { clinical: 'High', patient: 'Your value is above normal' },
+  'critical-low': { clinical: 'Critical low', patient: 'Your value is far below normal' },
+  'critical-high': { clinical: 'Critical high', patient: 'Your value is far above normal' },
+  abnormal: { clinical: 'Abnormal', patient: 'Your value is outside the normal range' },
+  critical: { clinical: 'Critical', patient: 'Your value is far outside the normal range' }
+};
+
+// Severity order for rolling component flags up to the panel
+const FLAG_SEVERITY = {
+  normal: 0,
+  low: 1,
+  high: 1,
+  abnormal: 1,
+  'critical-low': 2,
+  'critical-high': 2,
+  critical: 2
+};
+
+// Adult critical (panic) limits by LOINC, after common hospital lab policies
+const CRITICAL_LIMITS = {
+  '2345-7': { low: 40, high: 500, unit: 'mg/dL' },
+  '2339-0': { low: 40, high: 500, unit: 'mg/dL' },
+  '14749-6': { low: 2.2, high: 27.8, unit: 'mmol/L' },
+  '15074-8': { low: 2.2, high: 27.8, unit: 'mmol/L' },
+  '2823-3': { low: 2.5, high: 6.5, unit: 'mmol/L' },
+  '2951-2': { low: 120, high: 160, unit: 'mmol/L' },
+  '17861-6': { low: 6, high: 13, unit: 'mg/dL' },
+  '718-7': { low: 7, high: 20, unit: 'g/dL' },
+  '777-3': { low: 20, high: 1000, unit: '10*3/uL' },
+  '6690-2': { low: 2, high: 30, unit: '10*3/uL' },
+  '751-8': { low: 0.5, unit: '10*3/uL' },
+  '6301-6': { high: 5, unit: '{INR}' },
+  '2708-6': { low: 88, unit: '%' },
+  '59408-5': { low: 88, unit: '%' },
+  '8480-6': { low: 80, high: 180, unit: 'mm[Hg]' },
+  '8462-4': { high: 120, unit: 'mm[Hg]' },
+  '8867-4': { low: 40, high: 130, unit: '/min' }
+};
+
+// Typical adult ranges for labs that arrive without one
+const TYPICAL_RANGES = {
+  '2345-7': { low: 70, high: 99, unit: 'mg/dL' },
+  '2339-0': { low: 70, high: 99, unit: 'mg/dL' },
+  '14749-6': { low: 3.9, high: 5.5, unit: 'mmol/L' },
+  '15074-8': { low: 3.9, high: 5.5, unit: 'mmol/L' },
+  '4548-4': { high: 5.7, highComparator: '<', unit: '%' },
+  '718-7': { low: 12, high: 17.5, unit: 'g/dL' },
+  '6690-2': { low: 4.5, high: 11, unit: '10*3/uL' },
+  '777-3': { low: 150, high: 400, unit: '10*3/uL' },
+  '751-8': { low: 1.5, high: 8, unit: '10*3/uL' },
+  '2160-0': { low: 0.6, high: 1.3, unit: 'mg/dL' },
+  '2823-3': { low: 3.5, high: 5.1, unit: 'mmol/L' },
+  '2951-2': { low: 135, high: 145, unit: 'mmol/L' },
+  '2093-3': { high: 200, highComparator: '<', unit: 'mg/dL' },
+  '13457-7': { high: 100, highComparator: '<', unit: 'mg/dL' },
+  '18262-6': { high: 100, highComparator: '<', unit: 'mg/dL' },
+  '2085-9': { low: 40, unit: 'mg/dL' },
+  '2571-8': { high: 150, highComparator: '<', unit: 'mg/dL' },
+  '3016-3': { low: 0.4, high: 4, unit: 'm[IU]/L' },
+  '10839-9': { high: 0.04, highComparator: '<', unit: 'ng/mL' },
+  '2708-6': { low: 95, high: 100, unit: '%' },
+  '59408-5': { low: 95, high: 100, unit: '%' },
+  '39156-5': { low: 18.5, high: 25, highComparator: '<', unit: 'kg/m2' },
+  // Blood pressure flags high at the ACC/AHA hypertension thresholds (130/80),
+  // so an elevated 120-129 systolic reading is not called high
+  '8480-6': { low: 90, high: 130, highComparator: '<', unit: 'mm[Hg]' },
+  '8462-4': { low: 60, high: 80, highComparator: '<', unit: 'mm[Hg]' },
+  '8867-4': { low: 60, high: 100, unit: '/min' },
+  '10230-1': { low: 50, unit: '%' },
+  '44261-6': { high: 5, highComparator: '<', unit: '{score}' },
+  '70274-6': { high: 5, highComparator: '<', unit: '{score}' }
+};
+
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+
+/**
+ * Parse one Observation.referenceRange
+ * @param {Object} range - FHIR referenceRange (low, high, text, type, appliesTo)
+ * @returns {Object|null} { low, high, lowComparator, highComparator, unit, text, source } or null
+ *   when the range has no numbers (e.g. "Negative")
+ */
+export function parseReferenceRange(range) {
+  if (!range) return null;
+
+  const low = numberOrNull(range.low?.value);
+  const high = numberOrNull(range.high?.value);
+  if (low !== null || high !== null) {
+    return {
+      low,
+      high,
+      lowComparator: low !== null ? '>=' : null,
+      highComparator: high !== null ? '<=' : null,
+      unit: range.low?.code || range.high?.code || range.low?.unit || range.high?.unit || null,
+      text: range.text || null,
+      source: 'record'
+    };
+  }
+
+  const parsed = parseRangeText(range.text);
+  return parsed ? { ...parsed, text: range.text, source: 'record' } : null;
+}
+
+/**
+ * Read the numeric value of an Observation or Observation.component
+ * @param {Object} source - Observation or component with valueQuantity or valueString
+ * @returns {Object|null} { value, comparator, unit } or null for non-numeric values
+ */
+export function parseObservationValue(source) {
+  const quantity = source?.valueQuantity;
+  if (quantity && numberOrNull(quantity.value) !== null) {
+    return {
+      value: Number(quantity.value),
+      comparator: quantity.comparator || null,
+      unit: quantity.code || quantity.unit || null
+    };
+  }
+
+  const match = typeof source?.valueString === 'string' &&
+    source.valueString.trim().match(new RegExp(`^(<=|>=|<|>|≤|≥)?\\s*${NUMBER}\\s*(.*)$`));
+  if (!match) return null;
+
+  return {
+    value: Number(match[2]),
+    comparator: normalizeComparator(match[1]),
+    unit: match[3].trim() || null
+  };
+}
+
+/**
+ * Work out the range and flag of an Observation or one of its components
+ * @param {Object} source - Observation or component
+ * @param {Object} options - { loinc } code used for the bundled critical limits and typical ranges
+ * @returns {Object} { value, range, flag, flagSource } - flagSource is interpretation, range,
+ *   typical-range, critical-limits or null when there is nothing to compare with; range is given
+ *   in the value's unit when it can be converted, so the two can be shown side by side
+ */
+export function assessObservation(source, options = {}) {
+  const value = parseObservationValue(source);
+  const recorded = selectRange(source?.referenceRange);
+  const typical = TYPICAL_RANGES[options.loinc];
+  const range = recorded || (typical ? { ...typicalRange(typical), source: 'typical' } : null);
+
+  const shownRange = value && range ? rangeInUnit(range, value, options.loinc) : range;
+
+  const interpreted = interpretationFlag(source?.interpretation);
+  if (interpreted) {
+    return { value, range: shownRange, flag: interpreted, flagSource: 'interpretation' };
+  }
+  if (!value) {
+    return { value, range, flag: null, flagSource: null };
+  }
+
+  const critical = criticalFlag(value, CRITICAL_LIMITS[options.loinc], options.loinc);
+  const inRangeUnit = range ? inUnit(value, range.unit, options.loinc) : null;
+  const compared = inRangeUnit ? compareToRange(inRangeUnit, range) : null;
+  const flag = critical || compared;
+  return {
+    value,
+    range: shownRange,
+    flag,
+    flagSource: critical ? 'critical-limits' : compared ? (range.source === 'record' ? 'range' : 'typical-range') : null
+  };
+}
+
+/**
+ * Most severe of several flags, for a panel with components
+ * @param {Array<string|null>} flags - Component flags
+ * @returns {string|null} Most severe flag, or null when none are set
+ */
+export function worstFlag(flags) {
+  return flags
+    .filter(Boolean)
+    .reduce((worst, flag) => (worst === null || FLAG_SEVERITY[flag] > FLAG_SEVERITY[worst] ? flag : worst), null);
+}
+
+/**
+ * Describe a flag for clinicians ("High") or patients ("Your value is above normal")
+ * @param {string} flag - One of FLAGS
+ * @param {Object} options - { plainLanguage }
+ * @returns {string|null} Label
+ */
+export function describeFlag(flag, options = {}) {
+  const labels = FLAG_LABELS[flag];
+  if (!labels) return null;
+  return options.plainLanguage ? labels.patient : labels.clinical;
+}
+
+/**
+ * Format a parsed range for display
+ * @param {Object} range - Result of parseReferenceRange
+ * @returns {string|null} The sender's text, else e.g. "70-99 mg/dL", "< 100 mg/dL" or ">= 40 mg/dL"
+ */
+export function formatRange(range) {
+  if (!range) return null;
+  if (range.text) return range.text;
+
+  const shown = displayUnit(range.unit);
+  const unit = shown ? ` ${shown}` : '';
+  if (range.low !== null && range.high !== null) {
+    return `${range.low}-${range.high}${unit}`;
+  }
+  if (range.high !== null) {
+    return `${range.highComparator || '<='} ${range.high}${unit}`;
+  }
+  if (range.low !== null) {
+    return `${range.lowComparator || '>='} ${range.low}${unit}`;
+  }
+  return range.text || null;
+}
+
+// Helper Functions
+
+// Prefer the normal range, and one without a population restriction
+function selectRange(ranges) {
+  const parsed = (ranges || [])
+    .filter(range => !range.type?.coding?.some(coding => coding.code && coding.code !== 'normal'))
+    .map(parseReferenceRange)
+    .filter(Boolean);
+  return parsed[0] || null;
+}
+
+function typicalRange({ low = null, high = null, lowComparator = null, highComparator = null, unit }) {
+  return {
+    low,
+    high,
+    lowComparator: low !== null ? lowComparator || '>=' : null,
+    highComparator: high !== null ? highComparator || '<=' : null,
+    unit,
+    text: null
+  };
+}
+
+// "70-99 mg/dL", "70 to 99", "<200 mg/dL", ">= 60", "Normal: 3.5 - 5.1 mmol/L"
+function parseRangeText(text) {
+  if (!text) return null;
+
+  const between = text.match(new RegExp(`${NUMBER}\\s*(?:-|–|to)\\s*${NUMBER}\\s*([^;,()]*)`, 'i'));
+  if (between) {
+    return {
+      low: Number(between[1]),
+      high: Number(between[2]),
+      lowComparator: '>=',
+      highComparator: '<=',
+      unit: between[3].trim() || null
+    };
+  }
+
+  const bound = text.match(new RegExp(`(<=|>=|<|>|≤|≥)\\s*${NUMBER}\\s*([^;,()]*)`));
+  if (bound) {
+    const comparator = normalizeComparator(bound[1]);
+    const value = Number(bound[2]);
+    const unit = bound[3].trim() || null;
+    return comparator.startsWith('<') ?
+      { low: null, high: value, lowComparator: null, highComparator: comparator, unit } :
+      { low: value, high: null, lowComparator: comparator, highComparator: null, unit };
+  }
+
+  return null;
+}
+
+function interpretationFlag(interpretation) {
+  const codes = (interpretation || []).flatMap(concept => (concept.coding || []).map(coding => coding.code));
+  return codes.map(code => INTERPRETATION_FLAGS[code]).find(Boolean) || null;
+}
+
+function criticalFlag(value, limits, loinc) {
+  const inLimitUnit = limits ? inUnit(value, limits.unit, loinc) : null;
+  if (!inLimitUnit) return null;
+  if (limits.low !== undefined && isBelow(inLimitUnit, limits.low, '<')) return 'critical-low';
+  if (limits.high !== undefined && isAbove(inLimitUnit, limits.high, '>')) return 'critical-high';
+  return null;
+}
+
+// A "< 0.01" result is only known to be below 0.01, so it can only prove "low" or "not high"
+function compareToRange(value, range) {
+  const belowLow = range.low !== null && isBelow(value, range.low, range.lowComparator === '>' ? '<=' : '<');
+  const aboveHigh = range.high !== null && isAbove(value, range.high, range.highComparator === '<' ? '>=' : '>');
+  if (belowLow) return 'low';
+  if (aboveHigh) return 'high';
+
+  const knownAboveLow = range.low === null || !couldBeBelow(value, range.low);
+  const knownBelowHigh = range.high === null || !couldBeAbove(value, range.high);
+  return knownAboveLow && knownBelowHigh ? 'normal' : null;
+}
+
+function isBelow(value, limit, operator) {
+  if (value.comparator === '>' || value.comparator === '>=') return false;
+  return operator === '<' ? value.value < limit || (value.comparator === '<' && value.value <= limit) : value.value <= limit;
+}
+
+function isAbove(value, limit, operator) {
+  if (value.comparator === '<' || value.comparator === '<=') return false;
+  return operator === '>' ? value.value > limit || (value.comparator === '>' && value.value >= limit) : value.value >= limit;
+}
+
+function couldBeBelow(value, limit) {
+  return value.comparator === '<' || value.comparator === '<=' ? limit > 0 : value.value < limit;
+}
+
+function couldBeAbove(value, limit) {
+  return value.comparator === '>' || value.comparator === '>=' ? true : value.value > limit;
+}
+
+// Results and limits in different units are compared after conversion; a side without a unit
+// is assumed to share the other's. Null when the units cannot be converted.
+function inUnit(value, unit, loinc) {
+  if (!unit || !value.unit) return value;
+  const converted = convertValue(value.value, value.unit, unit, { loinc });
+  return converted === null ? null : { ...value, value: converted, unit };
+}
+
+// The range restated in the value's unit, rounded to the value's precision (at least two
+// significant digits). Flags are worked out on the unrounded range.
+function rangeInUnit(range, value, loinc) {
+  if (!range.unit || !value.unit || normalizeUnit(range.unit) === normalizeUnit(value.unit)) return range;
+
+  const decimals = String(value.value).split('.')[1]?.length || 0;
+  const convert = (limit) => {
+    if (limit === null) return null;
+    const converted = convertValue(limit, range.unit, value.unit, { loinc });
+    if (converted === null) return undefined;
+    const significant = converted !== 0 && Math.abs(converted) < 10 ? 1 - Math.floor(Math.log10(Math.abs(converted))) : 0;
+    return Number(converted.toFixed(Math.max(decimals, significant)));
+  };
+
+  const low = convert(range.low);
+  const high = convert(range.high);
+  if (low === undefined || high === undefined) return range;
+  // The sender's text is in the old unit, so the converted numbers are shown instead
+  return { ...range, low, high, unit: value.unit, text: null };
+}
+
+function normalizeComparator(comparator) {
+  if (!comparator) return null;
+  return { '≤': '<=', '≥': '>=' }[comparator] || comparator;
+}
+
+function numberOrNull(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
@@ -0,0 +1,197 @@
+/**
+ * SMART on FHIR Discovery
+ * Resolves OAuth endpoints and capabilities for any SMART-compliant FHIR server
+ * from /.well-known/smart-configuration and the server's CapabilityStatement
+ */
+
+// Legacy (SMART v1) location of OAuth endpoints inside the CapabilityStatement
+const OAUTH_URIS_EXTENSION = 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris';
+
+// Discovery documents rarely change - cache per server for an hour
+const DISCOVERY_CACHE_TTL_MS = 60 * 60 * 1000;
+const DISCOVERY_CACHE_PREFIX = 'smart_config:';
+
+const discoveryCache = new Map();
+
+/**
+ * Discover SMART configuration for a FHIR server (cached per server)
+ * @param {string} fhirBaseUrl - FHIR API base URL (e.g., 'https://ehr.example.org/fhir/r4')
+ * @param {Object} options - Discovery options
+ * @param {boolean} options.forceRefresh - Ignore any cached configuration
+ * @returns {Promise<Object>} Resolved endpoints, scopes and capabilities
+ */
+export async function discoverSmartConfiguration(fhirBaseUrl, { forceRefresh = false } = {}) {
+  const baseUrl = normalizeBaseUrl(fhirBaseUrl);
+
+  if (!forceRefresh) {
+    const cached = readCache(baseUrl);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  console.log('🔎 Discovering SMART configuration for', baseUrl);
+
+  // Both documents are optional on their own - fetch them side by side
+  const [wellKnown, capabilityStatement] = await Promise.all([
+    fetchJson(`${baseUrl}/.well-known/smart-configuration`, 'application/json'),
+    fetchJson(`${baseUrl}/metadata`, 'application/fhir+json')
+  ]);
+
+  const oauthUris = extractOAuthUris(capabilityStatement);
+
+  const config = {
+    fhirBaseUrl: baseUrl,
+    issuer: wellKnown?.issuer || null,
+    authorizationEndpoint: wellKnown?.authorization_endpoint || oauthUris.authorize || null,
+    tokenEndpoint: wellKnown?.token_endpoint || oauthUris.token || null,
+    revocationEndpoint: wellKnown?.revocation_endpoint || oauthUris.revoke || null,
+    scopesSupported: wellKnown?.scopes_supported || [],
+    capabilities: wellKnown?.capabilities || [],
+    codeChallengeMethods: wellKnown?.code_challenge_methods_supported || [],
+    fhirVersion: capabilityStatement?.fhirVersion || null,
+    resourceTypes: extractResourceTypes(capabilityStatement),
+    discoveredAt: Date.now()
+  };
+
+  if (!config.authorizationEndpoint || !config.tokenEndpoint) {
+    throw new Error(`SMART discovery failed for ${baseUrl}: no OAuth endpoints advertised`);
+  }
+
+  writeCache(baseUrl, config);
+
+  console.log('✅ SMART configuration discovered:', config.authorizationEndpoint);
+  return config;
+}
+
+/**
+ * Check the requested scopes against the server's scopes_supported
+ * SMART treats scopes_supported as a sample, not a full list, so unlisted
+ * scopes are still requested. A resource scope is only dropped when the
+ * server lists other access to the same resource (e.g. it lists
+ * patient/Observation.read and the request asks for patient/Observation.write).
+ * @param {string} requestedScopes - Space separated scopes
+ * @param {Array<string>} scopesSupported - Scopes from discovery
+ * @returns {string} Space separated scopes to request
+ */
+export function filterSupportedScopes(requestedScopes, scopesSupported) {
+  const requested = requestedScopes.split(/\s+/).filter(Boolean);
+
+  if (!Array.isArray(scopesSupported) || scopesSupported.length === 0) {
+    return requested.join(' ');
+  }
+
+  const unlisted = requested.filter(scope => !scopesSupported.includes(scope));
+  const dropped = unlisted.filter(scope => listsOtherAccess(scope, scopesSupported));
+  const kept = unlisted.filter(scope => !dropped.includes(scope));
+
+  if (kept.length > 0) {
+    console.warn('⚠️ Server does not list scopes (requesting anyway):', kept.join(' '));
+  }
+  if (dropped.length > 0) {
+    console.warn('⚠️ Server lists other access to these resources, dropping:', dropped.join(' '));
+  }
+
+  return requested.filter(scope => !dropped.includes(scope)).join(' ');
+}
+
+/**
+ * Clear cached discovery results (all servers, or a single one)
+ * @param {string} fhirBaseUrl - Optional FHIR base URL to clear
+ */
+export function clearSmartConfigurationCache(fhirBaseUrl) {
+  if (fhirBaseUrl) {
+    const baseUrl = normalizeBaseUrl(fhirBaseUrl);
+    discoveryCache.delete(baseUrl);
+    getSessionStorage()?.removeItem(DISCOVERY_CACHE_PREFIX + baseUrl);
+    return;
+  }
+
+  discoveryCache.clear();
+  const storage = getSessionStorage();
+  if (storage) {
+    Object.keys(storage)
+      .filter(key => key.startsWith(DISCOVERY_CACHE_PREFIX))
+      .forEach(key => storage.removeItem(key));
+  }
+}
+
+// Helper Functions
+
+// patient/Observation.read -> { context: 'patient', resource: 'Observation' }
+function parseResourceScope(scope) {
+  const match = scope.match(/^(patient|user|system)\/([A-Za-z]+|\*)\.(.+)$/);
+  return match ? { context: match[1], resource: match[2] } : null;
+}
+
+function listsOtherAccess(scope, scopesSupported) {
+  const parsed = parseResourceScope(scope);
+  if (!parsed || parsed.resource === '*') return false;
+
+  const listed = scopesSupported.map(parseResourceScope).filter(Boolean);
+  const coveredByWildcard = listed.some(other => other.context === parsed.context && other.resource === '*');
+  const listsResource = listed.some(other => other.context === parsed.context && other.resource === parsed.resource);
+  return listsResource && !coveredByWildcard;
+}
+
+function normalizeBaseUrl(fhirBaseUrl) {
+  if (!fhirBaseUrl) {
+    throw new Error('A FHIR base URL is required for SMART discovery');
+  }
+  return fhirBaseUrl.trim().replace(/\/+$/, '');
+}
+
+async function fetchJson(url, accept) {
+  try {
+    const response = await fetch(url, { headers: { 'Accept': accept } });
+    if (!response.ok) {
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.warn(`⚠️ Discovery request failed for ${url}:`, error.message);
+    return null;
+  }
+}
+
+function extractOAuthUris(capabilityStatement) {
+  const extensions = capabilityStatement?.rest?.[0]?.security?.extension || [];
+  const oauthExtension = extensions.find(ext => ext.url === OAUTH_URIS_EXTENSION);
+
+  const uris = {};
+  oauthExtension?.extension?.forEach(ext => {
+    uris[ext.url] = ext.valueUri;
+  });
+  return uris;
+}
+
+function extractResourceTypes(capabilityStatement) {
+  const resources = capabilityStatement?.rest?.[0]?.resource || [];
+  return resources.map(resource => resource.type).filter(Boolean);
+}
+
+function readCache(baseUrl) {
+  let config = discoveryCache.get(baseUrl);
+
+  // Survive the full-page OAuth redirect through sessionStorage
+  if (!config) {
+    const stored = getSessionStorage()?.getItem(DISCOVERY_CACHE_PREFIX + baseUrl);
+    config = stored ? JSON.parse(stored) : null;
+  }
+
+  if (!config || Date.now() - config.discoveredAt > DISCOVERY_CACHE_TTL_MS) {
+    return null;
+  }
+
+  discoveryCache.set(baseUrl, config);
+  return config;
+}
+
+function writeCache(baseUrl, config) {
+  discoveryCache.set(baseUrl, config);
+  getSessionStorage()?.setItem(DISCOVERY_CACHE_PREFIX + baseUrl, JSON.stringify(config));
+}
+
+function getSessionStorage() {
+  return typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+}
@@ -0,0 +1,523 @@
+/**
+ * Offline Terminology Lookup
+ * Picks the most useful coding of a CodeableConcept, fills in displays the
+ * sending system left out from bundled ICD-10-CM, SNOMED CT, LOINC, RxNorm
+ * and CVX tables, and maps between SNOMED CT and ICD-10-CM where a map exists.
+ * The tables cover the codes Amma sees most often - they are not a full
+ * terminology server, so anything missing falls back to the concept's text.
+ */
+
+export const CODE_SYSTEMS = {
+  SNOMED: 'http://snomed.info/sct',
+  ICD10CM: 'http://hl7.org/fhir/sid/icd-10-cm',
+  ICD10: 'http://hl7.org/fhir/sid/icd-10',
+  LOINC: 'http://loinc.org',
+  RXNORM: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+  CVX: 'http://hl7.org/fhir/sid/cvx',
+  NDC: 'http://hl7.org/fhir/sid/ndc',
+  CPT: 'http://www.ama-assn.org/go/cpt'
+};
+
+// OIDs (C-CDA, Epic) and v2 table 0396 names seen in the system field
+const SYSTEM_ALIASES = {
+  'urn:oid:2.16.840.1.113883.6.96': CODE_SYSTEMS.SNOMED,
+  'urn:oid:2.16.840.1.113883.6.90': CODE_SYSTEMS.ICD10CM,
+  'urn:oid:2.16.840.1.113883.6.3': CODE_SYSTEMS.ICD10,
+  'urn:oid:2.16.840.1.113883.6.1': CODE_SYSTEMS.LOINC,
+  'urn:oid:2.16.840.1.113883.6.88': CODE_SYSTEMS.RXNORM,
+  'urn:oid:2.16.840.1.113883.12.292': CODE_SYSTEMS.CVX,
+  'urn:oid:2.16.840.1.113883.6.69': CODE_SYSTEMS.NDC,
+  'urn:oid:2.16.840.1.113883.6.12': CODE_SYSTEMS.CPT,
+  'http://snomed.info/sct/': CODE_SYSTEMS.SNOMED,
+  'http://www.snomed.org/': CODE_SYSTEMS.SNOMED,
+  'http://hl7.org/fhir/sid/icd-10-us': CODE_SYSTEMS.ICD10CM,
+  sct: CODE_SYSTEMS.SNOMED,
+  snm: CODE_SYSTEMS.SNOMED,
+  snomed: CODE_SYSTEMS.SNOMED,
+  i10c: CODE_SYSTEMS.ICD10CM,
+  i10: CODE_SYSTEMS.ICD10,
+  ln: CODE_SYSTEMS.LOINC,
+  loinc: CODE_SYSTEMS.LOINC,
+  rxnorm: CODE_SYSTEMS.RXNORM,
+  cvx: CODE_SYSTEMS.CVX,
+  ndc: CODE_SYSTEMS.NDC
+};
+
+// Short names for the codes object parsed resources carry
+const SYSTEM_KEYS = {
+  [CODE_SYSTEMS.SNOMED]: 'snomed',
+  [CODE_SYSTEMS.ICD10CM]: 'icd10',
+  [CODE_SYSTEMS.ICD10]: 'icd10',
+  [CODE_SYSTEMS.LOINC]: 'loinc',
+  [CODE_SYSTEMS.RXNORM]: 'rxnorm',
+  [CODE_SYSTEMS.CVX]: 'cvx',
+  [CODE_SYSTEMS.NDC]: 'ndc',
+  [CODE_SYSTEMS.CPT]: 'cpt'
+};
+
+// Which coding to trust first, per kind of concept
+const PREFERRED_SYSTEMS = {
+  condition: [CODE_SYSTEMS.SNOMED, CODE_SYSTEMS.ICD10CM, CODE_SYSTEMS.ICD10],
+  medication: [CODE_SYSTEMS.RXNORM, CODE_SYSTEMS.NDC, CODE_SYSTEMS.SNOMED],
+  observation: [CODE_SYSTEMS.LOINC, CODE_SYSTEMS.SNOMED],
+  allergy: [CODE_SYSTEMS.RXNORM, CODE_SYSTEMS.SNOMED],
+  procedure: [CODE_SYSTEMS.SNOMED, CODE_SYSTEMS.CPT],
+  immunization: [CODE_SYSTEMS.CVX, CODE_SYSTEMS.NDC]
+};
+
+// ICD-10-CM descriptors; three-character categories cover the codes below them
+const ICD10_CM = {
+  'C34': 'Malignant neoplasm of bronchus and lung',
+  'C34.90': 'Malignant neoplasm of unspecified part of unspecified bronchus or lung',
+  'C50': 'Malignant neoplasm of breast',
+  'C50.911': 'Malignant neoplasm of unspecified site of right female breast',
+  'C71': 'Malignant neoplasm of brain',
+  'C71.1': 'Malignant neoplasm of frontal lobe',
+  'C71.9': 'Malignant neoplasm of brain, unspecified',
+  'D64.9': 'Anemia, unspecified',
+  'E03': 'Other hypothyroidism',
+  'E03.9': 'Hypothyroidism, unspecified',
+  'E10': 'Type 1 diabetes mellitus',
+  'E10.9': 'Type 1 diabetes mellitus without complications',
+  'E11': 'Type 2 diabetes mellitus',
+  'E11.65': 'Type 2 diabetes mellitus with hyperglycemia',
+  'E11.9': 'Type 2 diabetes mellitus without complications',
+  'E66': 'Overweight and obesity',
+  'E66.9': 'Obesity, unspecified',
+  'E78': 'Disorders of lipoprotein metabolism and other lipidemias',
+  'E78.00': 'Pure hypercholesterolemia, unspecified',
+  'E78.5': 'Hyperlipidemia, unspecified',
+  'F32': 'Depressive episode',
+  'F32.9': 'Major depressive disorder, single episode, unspecified',
+  'F41': 'Other anxiety disorders',
+  'F41.1': 'Generalized anxiety disorder',
+  'G40': 'Epilepsy and recurrent seizures',
+  'G40.909': 'Epilepsy, unspecified, not intractable, without status epilepticus',
+  'G43': 'Migraine',
+  'G43.909': 'Migraine, unspecified, not intractable, without status migrainosus',
+  'G47': 'Sleep disorders',
+  'G47.00': 'Insomnia, unspecified',
+  'G93': 'Other disorders of brain',
+  'G93.6': 'Cerebral edema',
+  'I10': 'Essential (primary) hypertension',
+  'I21': 'Acute myocardial infarction',
+  'I21.9': 'Acute myocardial infarction, unspecified',
+  'I25': 'Chronic ischemic heart disease',
+  'I25.10': 'Atherosclerotic heart disease of native coronary artery without angina pectoris',
+  'I25.2': 'Old myocardial infarction',
+  'I48': 'Atrial fibrillation and flutter',
+  'I48.91': 'Unspecified atrial fibrillation',
+  'I50': 'Heart failure',
+  'I50.9': 'Heart failure, unspecified',
+  'I63': 'Cerebral infarction',
+  'I63.9': 'Cerebral infarction, unspecified',
+  'J18': 'Pneumonia, unspecified organism',
+  'J18.9': 'Pneumonia, unspecified organism',
+  'J30': 'Vasomotor and allergic rhinitis',
+  'J30.2': 'Other seasonal allergic rhinitis',
+  'J44': 'Other chronic obstructive pulmonary disease',
+  'J44.9': 'Chronic obstructive pulmonary disease, unspecified',
+  'J45': 'Asthma',
+  'J45.30': 'Mild persistent asthma, uncomplicated',
+  'J45.909': 'Unspecified asthma, uncomplicated',
+  'K21': 'Gastro-esophageal reflux disease',
+  'K21.9': 'Gastro-esophageal reflux disease without esophagitis',
+  'M17': 'Osteoarthritis of knee',
+  'M17.0': 'Bilateral primary osteoarthritis of knee',
+  'M54.50': 'Low back pain, unspecified',
+  'N18': 'Chronic kidney disease (CKD)',
+  'N18.30': 'Chronic kidney disease, stage 3 unspecified',
+  'N39.0': 'Urinary tract infection, site not specified',
+  'R50.9': 'Fever, unspecified',
+  'U07.1': 'COVID-19'
+};
+
+const SNOMED_CT = {
+  '1755008': 'Old myocardial infarction',
+  '2032001': 'Cerebral edema',
+  '13645005': 'Chronic obstructive lung disease',
+  '21897009': 'Generalized anxiety disorder',
+  '22298006': 'Myocardial infarction',
+  '37796009': 'Migraine',
+  '38102005': 'Cholecystectomy',
+  '38341003': 'Hypertension',
+  '40930008': 'Hypothyroidism',
+  '44054006': 'Type 2 diabetes mellitus',
+  '46635009': 'Type 1 diabetes mellitus',
+  '49436004': 'Atrial fibrillation',
+  '53741008': 'Coronary arteriosclerosis',
+  '55822004': 'Hyperlipidemia',
+  '59621000': 'Essential hypertension',
+  '68566005': 'Urinary tract infection',
+  '71651007': 'Mammography',
+  '73211009': 'Diabetes mellitus',
+  '73761001': 'Colonoscopy',
+  '77477000': 'CT scan',
+  '80146002': 'Appendectomy',
+  '84114007': 'Heart failure',
+  '84757009': 'Epilepsy',
+  '91935009': 'Allergy to peanuts',
+  '91936005': 'Allergy to penicillin',
+  '113091000': 'MRI scan',
+  '128613002': 'Seizure disorder',
+  '193462001': 'Insomnia',
+  '195967001': 'Asthma',
+  '230690007': 'Stroke',
+  '232717009': 'Coronary artery bypass graft',
+  '233604007': 'Pneumonia',
+  '235595009': 'Gastroesophageal reflux disease',
+  '239873007': 'Osteoarthritis of knee',
+  '254637007': 'Non-small cell lung cancer',
+  '254837009': 'Breast cancer',
+  '271737000': 'Anemia',
+  '279039007': 'Low back pain',
+  '300913006': 'Shellfish allergy',
+  '363358000': 'Lung cancer',
+  '367336001': 'Chemotherapy',
+  '367498001': 'Seasonal allergic rhinitis',
+  '370143000': 'Major depressive disorder',
+  '385049006': 'Capsule',
+  '385055001': 'Tablet',
+  '386661006': 'Fever',
+  '396275006': 'Osteoarthritis',
+  '409137002': 'No known drug allergy',
+  '415070008': 'Percutaneous coronary intervention',
+  '426979002': 'Mild persistent asthma',
+  '609588000': 'Total knee replacement',
+  '709044004': 'Chronic kidney disease',
+  '716186003': 'No known allergy',
+  '840539006': 'COVID-19'
+};
+
+// SNOMED CT -> ICD-10-CM, after the NLM map's default targets
+const SNOMED_TO_ICD10 = {
+  '1755008': 'I25.2',
+  '2032001': 'G93.6',
+  '13645005': 'J44.9',
+  '21897009': 'F41.1',
+  '22298006': 'I21.9',
+  '37796009': 'G43.909',
+  '38341003': 'I10',
+  '40930008': 'E03.9',
+  '44054006': 'E11.9',
+  '46635009': 'E10.9',
+  '49436004': 'I48.91',
+  '53741008': 'I25.10',
+  '55822004': 'E78.5',
+  '59621000': 'I10',
+  '68566005': 'N39.0',
+  '84114007': 'I50.9',
+  '84757009': 'G40.909',
+  '128613002': 'G40.909',
+  '193462001': 'G47.00',
+  '195967001': 'J45.909',
+  '230690007': 'I63.9',
+  '233604007': 'J18.9',
+  '235595009': 'K21.9',
+  '239873007': 'M17.0',
+  '254837009': 'C50.911',
+  '271737000': 'D64.9',
+  '279039007': 'M54.50',
+  '363358000': 'C34.90',
+  '367498001': 'J30.2',
+  '370143000': 'F32.9',
+  '386661006': 'R50.9',
+  '426979002': 'J45.30',
+  '709044004': 'N18.30',
+  '840539006': 'U07.1'
+};
+
+// Component names rather than full LOINC long names, which read badly in a summary
+const LOINC = {
+  '718-7': 'Hemoglobin',
+  '751-8': 'Absolute neutrophil count',
+  '777-3': 'Platelet count',
+  '789-8': 'Red blood cell count',
+  '1742-6': 'ALT (alanine aminotransferase)',
+  '1920-8': 'AST (aspartate aminotransferase)',
+  '1988-5': 'C-reactive protein',
+  '2085-9': 'HDL cholesterol',
+  '2093-3': 'Total cholesterol',
+  '2160-0': 'Creatinine',
+  '2339-0': 'Glucose (blood)',
+  '2345-7': 'Glucose',
+  '2571-8': 'Triglycerides',
+  '2708-6': 'Oxygen saturation',
+  '2823-3': 'Potassium',
+  '2951-2': 'Sodium',
+  '3016-3': 'TSH (thyroid stimulating hormone)',
+  '3094-0': 'Blood urea nitrogen (BUN)',
+  '4544-3': 'Hematocrit',
+  '4548-4': 'Hemoglobin A1c',
+  '5902-2': 'Prothrombin time (PT)',
+  '6301-6': 'INR',
+  '6598-7': 'Troponin T',
+  '6690-2': 'White blood cell count',
+  '8302-2': 'Body height',
+  '8310-5': 'Body temperature',
+  '8462-4': 'Diastolic blood pressure',
+  '8480-6': 'Systolic blood pressure',
+  '8867-4': 'Heart rate',
+  '9279-1': 'Respiratory rate',
+  '10230-1': 'Left ventricular ejection fraction',
+  '10839-9': 'Troponin I',
+  '13457-7': 'LDL cholesterol',
+  '14749-6': 'Glucose',
+  '15074-8': 'Glucose (blood)',
+  '17861-6': 'Calcium',
+  '18262-6': 'LDL cholesterol (direct)',
+  '29463-7': 'Body weight',
+  '30934-4': 'BNP (B-type natriuretic peptide)',
+  '33914-3': 'eGFR (MDRD)',
+  '39156-5': 'Body mass index (BMI)',
+  '44261-6': 'PHQ-9 depression score',
+  '55284-4': 'Blood pressure',
+  '57133-1': 'Referral note',
+  '59408-5': 'Oxygen saturation (pulse oximetry)',
+  '62238-1': 'eGFR (CKD-EPI)',
+  '70274-6': 'GAD-7 anxiety score',
+  '72514-3': 'Pain score (0-10)',
+  '85354-9': 'Blood pressure'
+};
+
+const RXNORM = {
+  '161': 'acetaminophen',
+  '435': 'albuterol',
+  '723': 'amoxicillin',
+  '1191': 'aspirin',
+  '1202': 'atenolol',
+  '2551': 'ciprofloxacin',
+  '2598': 'clonazepam',
+  '3264': 'dexamethasone',
+  '4493': 'fluoxetine',
+  '4603': 'furosemide',
+  '5224': 'heparin',
+  '5487': 'hydrochlorothiazide',
+  '5640': 'ibuprofen',
+  '6809': 'metformin',
+  '6918': 'metoprolol',
+  '7052': 'morphine',
+  '7646': 'omeprazole',
+  '7804': 'oxycodone',
+  '8640': 'prednisone',
+  '10582': 'levothyroxine',
+  '11289': 'warfarin',
+  '17767': 'amlodipine',
+  '20352': 'carvedilol',
+  '25480': 'gabapentin',
+  '29046': 'lisinopril',
+  '32968': 'clopidogrel',
+  '36437': 'sertraline',
+  '36567': 'simvastatin',
+  '37776': 'temozolomide',
+  '40790': 'pantoprazole',
+  '41493': 'meloxicam',
+  '52175': 'losartan',
+  '83367': 'atorvastatin',
+  '114477': 'levetiracetam',
+  '197361': 'amlodipine 5 MG Oral Tablet',
+  '221124': 'metoprolol succinate',
+  '243670': 'aspirin 81 MG Oral Tablet',
+  '274783': 'insulin glargine',
+  '301542': 'rosuvastatin',
+  '310965': 'ibuprofen 200 MG Oral Tablet',
+  '313782': 'acetaminophen 325 MG Oral Tablet',
+  '314077': 'lisinopril 20 MG Oral Tablet',
+  '321988': 'escitalopram',
+  '861007': 'metformin hydrochloride 500 MG Oral Tablet',
+  '866436': '24 HR metoprolol succinate 50 MG Extended Release Oral Tablet',
+  '1114195': 'rivaroxaban',
+  '1364430': 'apixaban'
+};
+
+const CVX = {
+  '03': 'MMR vaccine',
+  '21': 'Varicella vaccine',
+  '33': 'Pneumococcal polysaccharide vaccine (PPSV23)',
+  '43': 'Hepatitis B vaccine, adult',
+  '62': 'HPV vaccine, quadrivalent',
+  '88': 'Influenza vaccine',
+  '115': 'Tdap vaccine',
+  '133': 'Pneumococcal conjugate vaccine (PCV13)',
+  '140': 'Influenza vaccine, seasonal, preservative free',
+  '141': 'Influenza vaccine, seasonal',
+  '187': 'Shingles vaccine (recombinant zoster)',
+  '207': 'COVID-19 vaccine, Moderna',
+  '208': 'COVID-19 vaccine, Pfizer-BioNTech'
+};
+
+const CODE_TABLES = {
+  [CODE_SYSTEMS.ICD10CM]: ICD10_CM,
+  [CODE_SYSTEMS.ICD10]: ICD10_CM,
+  [CODE_SYSTEMS.SNOMED]: SNOMED_CT,
+  [CODE_SYSTEMS.LOINC]: LOINC,
+  [CODE_SYSTEMS.RXNORM]: RXNORM,
+  [CODE_SYSTEMS.CVX]: CVX
+};
+
+/**
+ * Normalize a code system to its canonical FHIR URI
+ * @param {string} system - System URI, OID or v2 table 0396 name
+ * @returns {string|null} Canonical system URI (unknown systems are returned as-is)
+ */
+export function normalizeSystem(system) {
+  if (!system) return null;
+  const trimmed = system.trim();
+  const oid = /^\d+(\.\d+)+$/.test(trimmed) ? `urn:oid:${trimmed}` : trimmed;
+  return SYSTEM_ALIASES[oid] || SYSTEM_ALIASES[oid.toLowerCase()] || oid;
+}
+
+/**
+ * Choose the coding to use for a concept
+ * Preferred systems for the kind come first; within a system, codings the
+ * clinician picked (userSelected) and codings with a display win
+ * @param {Object} concept - FHIR CodeableConcept
+ * @param {string} kind - condition, medication, observation, allergy, procedure or immunization
+ * @returns {Object|null} Coding with a normalized system
+ */
+export function selectCoding(concept, kind) {
+  const codings = normalizedCodings(concept);
+  if (codings.length === 0) return null;
+
+  const preferred = PREFERRED_SYSTEMS[kind] || [];
+  const rank = (coding) => {
+    const index = preferred.indexOf(coding.system);
+    return (index === -1 ? preferred.length : index) * 4 +
+      (coding.userSelected ? 0 : 2) +
+      (usableDisplay(coding) ? 0 : 1);
+  };
+
+  // Stable sort keeps the sender's order between equally ranked codings
+  return [...codings].sort((a, b) => rank(a) - rank(b))[0];
+}
+
+/**
+ * Look up the display of a code in the bundled tables
+ * ICD-10 codes fall back to their three-character category
+ * @param {string} system - Code system
+ * @param {string} code - Code
+ * @returns {string|null} Display, or null when the code is not bundled
+ */
+export function lookupDisplay(system, code) {
+  const table = CODE_TABLES[normalizeSystem(system)];
+  if (!table || !code) return null;
+
+  const key = String(code).trim();
+  if (table[key]) return table[key];
+  if (table === ICD10_CM) {
+    return table[key.toUpperCase()] || table[key.toUpperCase().slice(0, 3)] || null;
+  }
+  return null;
+}
+
+/**
+ * Map a code to another code system
+ * Supports SNOMED CT <-> ICD-10-CM for the bundled conditions
+ * @param {string} system - Source code system
+ * @param {string} code - Source code
+ * @param {string} targetSystem - Target code system
+ * @returns {Object|null} { system, code, display } or null when there is no map
+ */
+export function translateCode(system, code, targetSystem) {
+  const source = normalizeSystem(system);
+  const target = normalizeSystem(targetSystem);
+  if (!code || !source || !target) return null;
+  if (source === target) {
+    return { system: target, code, display: lookupDisplay(target, code) };
+  }
+
+  let mapped = null;
+  if (source === CODE_SYSTEMS.SNOMED && isIcd10(target)) {
+    mapped = SNOMED_TO_ICD10[code] || null;
+  } else if (isIcd10(source) && target === CODE_SYSTEMS.SNOMED) {
+    mapped = icd10ToSnomed()[String(code).toUpperCase()] || null;
+  }
+
+  return mapped ? { system: target, code: mapped, display: lookupDisplay(target, mapped) } : null;
+}
+
+/**
+ * Resolve a CodeableConcept to one code, a readable display and its codes by system
+ * The display comes from the chosen coding, the concept text, the other
+ * codings, the bundled tables and finally a mapped code - never the raw code
+ * @param {Object} concept - FHIR CodeableConcept
+ * @param {string} kind - condition, medication, observation, allergy, procedure or immunization
+ * @returns {Object} { code, system, display, codes } (display is null when nothing readable exists)
+ */
+export function describeConcept(concept, kind) {
+  const codings = normalizedCodings(concept);
+  const selected = selectCoding(concept, kind);
+  const ordered = selected ? [selected, ...codings.filter(coding => coding !== selected)] : [];
+
+  const codes = {};
+  ordered.forEach(coding => {
+    const key = SYSTEM_KEYS[coding.system];
+    if (key && !codes[key]) codes[key] = coding.code;
+  });
+
+  // Conditions coded in only one of SNOMED CT / ICD-10-CM get the other through the map
+  if (kind === 'condition') {
+    if (codes.snomed && !codes.icd10) {
+      codes.icd10 = translateCode(CODE_SYSTEMS.SNOMED, codes.snomed, CODE_SYSTEMS.ICD10CM)?.code;
+    } else if (codes.icd10 && !codes.snomed) {
+      codes.snomed = translateCode(CODE_SYSTEMS.ICD10CM, codes.icd10, CODE_SYSTEMS.SNOMED)?.code;
+    }
+    Object.keys(codes).forEach(key => codes[key] === undefined && delete codes[key]);
+  }
+
+  const display = usableDisplay(selected) ||
+    usableText(concept?.text, ordered) ||
+    ordered.map(usableDisplay).find(Boolean) ||
+    ordered.map(coding => lookupDisplay(coding.system, coding.code)).find(Boolean) ||
+    mappedDisplay(codes) ||
+    null;
+
+  return {
+    code: selected?.code || null,
+    system: selected?.system || null,
+    display,
+    codes
+  };
+}
+
+// Helper Functions
+
+function normalizedCodings(concept) {
+  return (concept?.coding || [])
+    .filter(coding => coding?.code)
+    .map(coding => ({ ...coding, system: normalizeSystem(coding.system), code: String(coding.code).trim() }));
+}
+
+function isIcd10(system) {
+  return system === CODE_SYSTEMS.ICD10CM || system === CODE_SYSTEMS.ICD10;
+}
+
+// A display that only repeats the code is no display
+function usableDisplay(coding) {
+  const display = coding?.display?.trim();
+  return display && display !== coding.code ? display : null;
+}
+
+function usableText(text, codings) {
+  const trimmed = text?.trim();
+  return trimmed && !codings.some(coding => coding.code === trimmed) ? trimmed : null;
+}
+
+function mappedDisplay(codes) {
+  if (codes.snomed && lookupDisplay(CODE_SYSTEMS.SNOMED, codes.snomed)) {
+    return lookupDisplay(CODE_SYSTEMS.SNOMED, codes.snomed);
+  }
+  return codes.icd10 ? lookupDisplay(CODE_SYSTEMS.ICD10CM, codes.icd10) : null;
+}
+
+// Inverse of SNOMED_TO_ICD10; the first SNOMED concept listed for an ICD-10 code wins
+let icd10ToSnomedMap = null;
+function icd10ToSnomed() {
+  if (!icd10ToSnomedMap) {
+    icd10ToSnomedMap = {};
+    Object.entries(SNOMED_TO_ICD10).forEach(([snomed, icd10]) => {
+      if (!icd10ToSnomedMap[icd10]) icd10ToSnomedMap[icd10] = snomed;
+    });
+  }
+  return icd10ToSnomedMap;
+}
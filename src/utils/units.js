@@ -0,0 +1,310 @@
+/**
+ * UCUM Unit Normalization and Conversion
+ * Reads the unit spellings senders use ("mg/dl", "K/uL", "mmHg", "mcg/L") as
+ * UCUM codes and converts observation values between units. Conversions
+ * within a kind of quantity (mg/dL <-> g/L, 10*9/L <-> 10*3/uL, [degF] <-> Cel)
+ * work for any result; mass <-> molar (glucose mg/dL <-> mmol/L) and molar
+ * <-> equivalents need the analyte, so those go through a table of common
+ * labs keyed by LOINC. Each analyte also has a preferred unit, so results
+ * from different labs can be put on one trend.
+ */
+
+// UCUM code -> kind of quantity, and factor (plus offset) to that kind's base unit
+const UNITS = {
+  'g/L': { kind: 'mass-concentration', factor: 1 },
+  'g/dL': { kind: 'mass-concentration', factor: 10 },
+  'mg/mL': { kind: 'mass-concentration', factor: 1 },
+  'mg/dL': { kind: 'mass-concentration', factor: 1e-2 },
+  'mg/L': { kind: 'mass-concentration', factor: 1e-3 },
+  'ug/mL': { kind: 'mass-concentration', factor: 1e-3 },
+  'ug/dL': { kind: 'mass-concentration', factor: 1e-5 },
+  'ug/L': { kind: 'mass-concentration', factor: 1e-6 },
+  'ng/mL': { kind: 'mass-concentration', factor: 1e-6 },
+  'ng/dL': { kind: 'mass-concentration', factor: 1e-8 },
+  'ng/L': { kind: 'mass-concentration', factor: 1e-9 },
+  'pg/mL': { kind: 'mass-concentration', factor: 1e-9 },
+  'mol/L': { kind: 'substance-concentration', factor: 1 },
+  'mmol/L': { kind: 'substance-concentration', factor: 1e-3 },
+  'umol/L': { kind: 'substance-concentration', factor: 1e-6 },
+  'nmol/L': { kind: 'substance-concentration', factor: 1e-9 },
+  'pmol/L': { kind: 'substance-concentration', factor: 1e-12 },
+  'eq/L': { kind: 'equivalent-concentration', factor: 1 },
+  'meq/L': { kind: 'equivalent-concentration', factor: 1e-3 },
+  '/L': { kind: 'number-concentration', factor: 1 },
+  '/uL': { kind: 'number-concentration', factor: 1e6 },
+  '10*3/uL': { kind: 'number-concentration', factor: 1e9 },
+  '10*9/L': { kind: 'number-concentration', factor: 1e9 },
+  '10*6/uL': { kind: 'number-concentration', factor: 1e12 },
+  '10*12/L': { kind: 'number-concentration', factor: 1e12 },
+  '[IU]/L': { kind: 'arbitrary-concentration', factor: 1 },
+  '[IU]/mL': { kind: 'arbitrary-concentration', factor: 1e3 },
+  'm[IU]/L': { kind: 'arbitrary-concentration', factor: 1e-3 },
+  'm[IU]/mL': { kind: 'arbitrary-concentration', factor: 1 },
+  'u[IU]/mL': { kind: 'arbitrary-concentration', factor: 1e-3 },
+  'U/L': { kind: 'catalytic-concentration', factor: 1 },
+  'kU/L': { kind: 'catalytic-concentration', factor: 1e3 },
+  '%': { kind: 'fraction', factor: 1e-2 },
+  'mmol/mol': { kind: 'substance-fraction', factor: 1e-3 },
+  'Cel': { kind: 'temperature', factor: 1 },
+  '[degF]': { kind: 'temperature', factor: 5 / 9, offset: -160 / 9 },
+  'g': { kind: 'mass', factor: 1 },
+  'kg': { kind: 'mass', factor: 1e3 },
+  '[lb_av]': { kind: 'mass', factor: 453.59237 },
+  '[oz_av]': { kind: 'mass', factor: 28.349523125 },
+  'm': { kind: 'length', factor: 1 },
+  'cm': { kind: 'length', factor: 1e-2 },
+  'mm': { kind: 'length', factor: 1e-3 },
+  '[in_i]': { kind: 'length', factor: 0.0254 },
+  '[ft_i]': { kind: 'length', factor: 0.3048 },
+  'mm[Hg]': { kind: 'pressure', factor: 133.322 },
+  'kPa': { kind: 'pressure', factor: 1e3 },
+  '/min': { kind: 'rate', factor: 1 },
+  'kg/m2': { kind: 'area-density', factor: 1 }
+};
+
+// Spellings of the same unit seen across senders (lowercase, spaces removed, µ read as u)
+const UNIT_ALIASES = {
+  'k/ul': '10*3/uL',
+  'x10e3/ul': '10*3/uL',
+  'x10^3/ul': '10*3/uL',
+  '10^3/ul': '10*3/uL',
+  '10e3/ul': '10*3/uL',
+  'thou/ul': '10*3/uL',
+  'x10e9/l': '10*9/L',
+  'x10^9/l': '10*9/L',
+  '10^9/l': '10*9/L',
+  'm/ul': '10*6/uL',
+  'x10e6/ul': '10*6/uL',
+  'x10^6/ul': '10*6/uL',
+  '10^6/ul': '10*6/uL',
+  'mill/ul': '10*6/uL',
+  'x10e12/l': '10*12/L',
+  'x10^12/l': '10*12/L',
+  '10^12/l': '10*12/L',
+  'cells/ul': '/uL',
+  '/mm3': '/uL',
+  'cells/mm3': '/uL',
+  'mcg/ml': 'ug/mL',
+  'mcg/dl': 'ug/dL',
+  'mcg/l': 'ug/L',
+  'mequiv/l': 'meq/L',
+  'iu/l': '[IU]/L',
+  'iu/ml': '[IU]/mL',
+  'miu/l': 'm[IU]/L',
+  'miu/ml': 'm[IU]/mL',
+  'uiu/ml': 'u[IU]/mL',
+  'u/l': 'U/L',
+  'iu/l(37c)': 'U/L',
+  'ku/l': 'kU/L',
+  'percent': '%',
+  'degc': 'Cel',
+  '°c': 'Cel',
+  'c': 'Cel',
+  'celsius': 'Cel',
+  'degf': '[degF]',
+  '°f': '[degF]',
+  'f': '[degF]',
+  'fahrenheit': '[degF]',
+  'lb': '[lb_av]',
+  'lbs': '[lb_av]',
+  'oz': '[oz_av]',
+  'in': '[in_i]',
+  'inch': '[in_i]',
+  'inches': '[in_i]',
+  'ft': '[ft_i]',
+  'mmhg': 'mm[Hg]',
+  'bpm': '/min',
+  'beats/min': '/min',
+  'breaths/min': '/min',
+  'kg/m²': 'kg/m2',
+  'score': '{score}'
+};
+
+// UCUM codes read badly in a summary
+const DISPLAY_UNITS = {
+  '10*3/uL': 'K/uL',
+  '10*6/uL': 'M/uL',
+  '10*9/L': '10^9/L',
+  '10*12/L': '10^12/L',
+  '[IU]/L': 'IU/L',
+  '[IU]/mL': 'IU/mL',
+  'm[IU]/L': 'mIU/L',
+  'm[IU]/mL': 'mIU/mL',
+  'u[IU]/mL': 'uIU/mL',
+  'Cel': '°C',
+  '[degF]': '°F',
+  '[lb_av]': 'lb',
+  '[oz_av]': 'oz',
+  '[in_i]': 'in',
+  '[ft_i]': 'ft',
+  'mm[Hg]': 'mmHg'
+};
+
+// Common analytes by LOINC: preferred unit for trends, molar mass (g/mol) for
+// mass <-> molar, valence for molar <-> equivalents. The mass and molar LOINC
+// codes of one analyte share an entry so both land on the same trend.
+const ANALYTES = {
+  glucose: { loinc: ['2345-7', '2339-0', '41653-7', '14749-6', '15074-8'], unit: 'mg/dL', molarMass: 180.156 },
+  cholesterol: { loinc: ['2093-3', '14647-2'], unit: 'mg/dL', molarMass: 386.65 },
+  'ldl-cholesterol': { loinc: ['13457-7', '18262-6', '2089-1', '22748-8'], unit: 'mg/dL', molarMass: 386.65 },
+  'hdl-cholesterol': { loinc: ['2085-9', '14646-4'], unit: 'mg/dL', molarMass: 386.65 },
+  triglycerides: { loinc: ['2571-8', '14927-8'], unit: 'mg/dL', molarMass: 885.7 },
+  creatinine: { loinc: ['2160-0', '38483-4', '14682-9'], unit: 'mg/dL', molarMass: 113.12 },
+  // Reported as the nitrogen in urea (N2), hence 28.014
+  'urea-nitrogen': { loinc: ['3094-0', '6299-2', '14937-7'], unit: 'mg/dL', molarMass: 28.014 },
+  bilirubin: { loinc: ['1975-2', '42719-5', '14631-6'], unit: 'mg/dL', molarMass: 584.66 },
+  calcium: { loinc: ['17861-6', '2000-8'], unit: 'mg/dL', molarMass: 40.078, valence: 2 },
+  magnesium: { loinc: ['19123-9', '2601-3'], unit: 'mg/dL', molarMass: 24.305, valence: 2 },
+  sodium: { loinc: ['2951-2', '2947-0'], unit: 'mmol/L', molarMass: 22.99, valence: 1 },
+  potassium: { loinc: ['2823-3', '6298-4'], unit: 'mmol/L', molarMass: 39.098, valence: 1 },
+  chloride: { loinc: ['2075-0', '2069-3'], unit: 'mmol/L', molarMass: 35.45, valence: 1 },
+  bicarbonate: { loinc: ['1963-8', '2028-9'], unit: 'mmol/L', valence: 1 },
+  // Hemoglobin in mmol/L counts the monomer (g/dL x 0.6206)
+  hemoglobin: { loinc: ['718-7', '30313-1'], unit: 'g/dL', molarMass: 16114.5 },
+  // NGSP % = 0.09148 x IFCC mmol/mol + 2.152
+  hba1c: { loinc: ['4548-4', '17856-6', '59261-8'], unit: '%', equation: { from: 'substance-fraction', to: 'fraction', scale: 0.9148, offset: 0.02152 } },
+  'troponin-i': { loinc: ['10839-9', '42757-5', '89579-7'], unit: 'ng/mL' },
+  tsh: { loinc: ['3016-3', '11580-8'], unit: 'm[IU]/L' },
+  wbc: { loinc: ['6690-2', '26464-8'], unit: '10*3/uL' },
+  platelets: { loinc: ['777-3', '26515-7'], unit: '10*3/uL' },
+  neutrophils: { loinc: ['751-8', '26499-4'], unit: '10*3/uL' },
+  rbc: { loinc: ['789-8', '26453-1'], unit: '10*6/uL' },
+  'body-weight': { loinc: ['29463-7', '3141-9'], unit: 'kg' },
+  'body-height': { loinc: ['8302-2', '8306-3'], unit: 'cm' },
+  'body-temperature': { loinc: ['8310-5', '8331-1'], unit: 'Cel' }
+};
+
+const ANALYTES_BY_LOINC = Object.fromEntries(
+  Object.entries(ANALYTES).flatMap(([key, analyte]) => analyte.loinc.map(code => [code, key]))
+);
+
+const UNIT_CODES = Object.fromEntries(Object.keys(UNITS).map(code => [compactUnit(code), code]));
+
+/**
+ * Read a unit as its UCUM code
+ * @param {string} unit - Unit as sent, e.g. "mg/dl", "K/uL", "mmHg" or "10*3/uL"
+ * @returns {string|null} UCUM code, the trimmed unit when it is not one we know, or null when empty
+ */
+export function normalizeUnit(unit) {
+  if (typeof unit !== 'string' || !unit.trim()) return null;
+  const compact = compactUnit(unit);
+  return UNIT_ALIASES[compact] || UNIT_CODES[compact] || unit.trim();
+}
+
+/**
+ * Unit as a reader expects it ("K/uL", "mmHg", "°F"), without UCUM annotations such as {score}
+ * @param {string} unit - UCUM code or unit as sent
+ * @returns {string} Display unit, empty for annotation-only units
+ */
+export function displayUnit(unit) {
+  const code = normalizeUnit(unit);
+  if (!code) return '';
+  return DISPLAY_UNITS[code] || code.replace(/\{[^}]*\}/g, '').trim();
+}
+
+/**
+ * Find the analyte a LOINC code measures
+ * @param {string} loinc - LOINC code
+ * @returns {Object|null} { analyte, unit } - key shared by the analyte's LOINC codes and its preferred unit
+ */
+export function findAnalyte(loinc) {
+  const key = ANALYTES_BY_LOINC[loinc];
+  return key ? { analyte: key, unit: ANALYTES[key].unit } : null;
+}
+
+/**
+ * Convert a value between units
+ * @param {number} value - Value in fromUnit
+ * @param {string} fromUnit - Unit of the value
+ * @param {string} toUnit - Unit wanted
+ * @param {Object} options - { loinc } needed for mass <-> molar and molar <-> equivalents
+ * @returns {number|null} Converted value, or null when the units cannot be converted
+ */
+export function convertValue(value, fromUnit, toUnit, options = {}) {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  if (!Number.isFinite(value) || !from || !to) return null;
+  if (from === to) return value;
+
+  const source = UNITS[from];
+  const target = UNITS[to];
+  if (!source || !target) return null;
+
+  const base = value * source.factor + (source.offset || 0);
+  const converted = convertKind(base, source.kind, target.kind, ANALYTES[ANALYTES_BY_LOINC[options.loinc]]);
+  if (converted === null) return null;
+  return (converted - (target.offset || 0)) / target.factor;
+}
+
+/**
+ * Put a quantity in its analyte's preferred unit, so results from labs that
+ * report in different units can be compared and trended
+ * @param {Object} quantity - { value, unit, comparator }
+ * @param {Object} options - { loinc }
+ * @returns {Object|null} { value, unit, comparator, analyte, converted } - unit is the UCUM code; a
+ *   result that cannot be converted keeps its value, and analyte is null for codes not in the table
+ */
+export function normalizeQuantity(quantity, options = {}) {
+  if (!quantity || !Number.isFinite(quantity.value)) return null;
+
+  const unit = normalizeUnit(quantity.unit);
+  const match = findAnalyte(options.loinc);
+  const converted = match && unit && unit !== match.unit ?
+    convertValue(quantity.value, unit, match.unit, options) :
+    null;
+
+  return {
+    value: converted === null ? quantity.value : roundValue(converted),
+    unit: converted === null ? unit : match.unit,
+    comparator: quantity.comparator || null,
+    analyte: match?.analyte || null,
+    converted: converted !== null
+  };
+}
+
+// Helper Functions
+
+function compactUnit(unit) {
+  return unit.trim().toLowerCase().replace(/\s+/g, '').replace(/[µμ]/g, 'u');
+}
+
+// Bridges between kinds of quantity depend on what is measured
+function convertKind(base, fromKind, toKind, analyte) {
+  if (fromKind === toKind) return base;
+  const bridge = analyte && analyteBridges(analyte).find(b => b.from === fromKind && b.to === toKind);
+  return bridge ? base * bridge.scale + (bridge.offset || 0) : null;
+}
+
+function analyteBridges({ molarMass, valence, equation }) {
+  const bridges = [];
+  if (molarMass) {
+    bridges.push(
+      { from: 'mass-concentration', to: 'substance-concentration', scale: 1 / molarMass },
+      { from: 'substance-concentration', to: 'mass-concentration', scale: molarMass }
+    );
+  }
+  if (valence) {
+    bridges.push(
+      { from: 'substance-concentration', to: 'equivalent-concentration', scale: valence },
+      { from: 'equivalent-concentration', to: 'substance-concentration', scale: 1 / valence }
+    );
+  }
+  if (molarMass && valence) {
+    bridges.push(
+      { from: 'mass-concentration', to: 'equivalent-concentration', scale: valence / molarMass },
+      { from: 'equivalent-concentration', to: 'mass-concentration', scale: molarMass / valence }
+    );
+  }
+  if (equation) {
+    bridges.push(
+      equation,
+      { from: equation.to, to: equation.from, scale: 1 / equation.scale, offset: -equation.offset / equation.scale }
+    );
+  }
+  return bridges;
+}
+
+// Conversion factors carry more digits than any lab reports
+function roundValue(value) {
+  return Number(value.toPrecision(4));
+}